@@ -5,57 +5,258 @@ import {
   getActiveChain, 
   isExtensionEnabled,
   loadChains,
+  importChains,
+  loadRules,
+  loadPacConfig,
+  loadHealthConfig,
+  loadTestTargets,
+  loadExitCheckEndpoint,
+  loadDohServer,
   getSettings,
   setExtensionEnabled,
-  setActiveChain
+  setActiveChain,
+  listChainProxies
 } from '../storage.js';
 
 import { ProxyChainEngine } from '../chainEngine.js';
+import { ChainRelay } from '../relay.js';
+import { matchRule } from '../rules.js';
+import { PacScript, parsePacResult } from '../pac.js';
+import { CredentialVault } from '../vault.js';
+import { HealthMonitor } from '../health.js';
+import { runConnectionTest } from '../connectionTest.js';
+import { checkExit } from '../exitCheck.js';
+import { DohResolver } from '../doh.js';
 
 let currentProxyState = {
   enabled: false,
   activeChainId: null,
-  activeChain: null
+  activeChain: null,
+  chains: [],
+  rules: [],
+  pacScript: null
 };
 
-// Connection cache to avoid rebuilding chains too frequently
+// Recent chain failures, used to avoid notifying about the same target repeatedly
 const connectionCache = new Map();
 const CACHE_TTL = 30000; // 30 seconds
 
+// Proxy config that makes Firefox fail the request instead of leaking it directly
+const BLOCKING_PROXY = {
+  type: 'socks',
+  host: 'localhost',
+  port: 1
+};
+
+// Encrypted proxy credentials, unlocked once per browser session
+const credentialVault = new CredentialVault();
+
 // Initialize proxy chain engine
 let proxyChainEngine = new ProxyChainEngine({
   connectionTimeout: 30000,
   totalTimeout: 120000,
   enableLogging: true,
-  maxRetries: 2
+  maxRetries: 2,
+  credentialResolver: (credentialId) => credentialVault.getCredential(credentialId),
+  hostResolver: resolveHostAddresses,
+  dohResolver: (hostname, chain, options) => dohResolver.resolve(hostname, chain, options)
 });
 
+// DNS-over-HTTPS lookups through the chains, for 'doh' chains and hops that cannot take hostnames
+const dohResolver = new DohResolver(proxyChainEngine, { loadServer: loadDohServer });
+
+// Local relay that carries Firefox connections over the full chain
+const chainRelay = new ChainRelay(proxyChainEngine, {
+  resolveChain: resolveRelayChain,
+  onError: handleRelayError
+});
+
+// Scheduled probes of every proxy and chain; chains needing locked credentials wait for the vault
+const HEALTH_ALARM = 'healthCheck';
+const healthMonitor = new HealthMonitor(proxyChainEngine, {
+  canProbeChain: async (chain) =>
+    !listChainProxies(chain).some(proxy => proxy.credentialId) || await credentialVault.isUnlocked()
+});
+
+// Alarms wake the worker, so the listener is registered on every start
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === HEALTH_ALARM) {
+    runHealthCheck();
+  }
+});
+
+// Load the saved state and start the relay. A suspended worker is started
+// again without onStartup firing, so this runs on every worker start; the
+// promise keeps it to once per worker lifetime.
+let workerStarted = null;
+function startWorker() {
+  if (!workerStarted) {
+    workerStarted = (async () => {
+      try {
+        await loadCurrentState();
+        setupStorageListener();
+        updateProxySettings();
+      } catch (error) {
+        console.error('Failed to load state:', error);
+      }
+
+      await startRelay();
+    })();
+  }
+  return workerStarted;
+}
+
+startWorker();
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed:', details);
+  await startWorker();
   
   try {
     await initializeStorage();
+    // The state loaded at worker start predates any migration
     await loadCurrentState();
-    setupStorageListener();
     updateProxySettings();
     console.log('Storage initialized successfully');
   } catch (error) {
     console.error('Failed to initialize storage:', error);
   }
+
+  await scheduleHealthChecks();
 });
 
+// Handle browser startup
+chrome.runtime.onStartup.addListener(async () => {
+  await startWorker();
+  await scheduleHealthChecks();
+});
+
+// Start the local chaining relay
+async function startRelay() {
+  try {
+    const port = await chainRelay.start();
+    console.log('Chain relay listening on port', port);
+  } catch (error) {
+    console.error('Failed to start chain relay:', error);
+  }
+}
+
+// Start, move or stop the health check alarm to match the saved settings
+async function scheduleHealthChecks() {
+  try {
+    const config = await loadHealthConfig();
+    if (!config.enabled) {
+      await chrome.alarms.clear(HEALTH_ALARM);
+      return;
+    }
+    
+    const alarm = await chrome.alarms.get(HEALTH_ALARM);
+    if (!alarm || alarm.periodInMinutes !== config.intervalMinutes) {
+      chrome.alarms.create(HEALTH_ALARM, { delayInMinutes: 1, periodInMinutes: config.intervalMinutes });
+      console.log(`Health checks scheduled every ${config.intervalMinutes} minute(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to schedule health checks:', error);
+  }
+}
+
+// Probe every proxy and chain once
+async function runHealthCheck() {
+  const config = await loadHealthConfig();
+  const health = await healthMonitor.run(await loadChains(), config);
+  console.log('Health check completed');
+  return health;
+}
+
+// Look up the chain a relay client asked for
+async function resolveRelayChain(chainId) {
+  if (!currentProxyState.enabled) {
+    return null;
+  }
+  return currentProxyState.chains.find(c => c.id === chainId) || null;
+}
+
+// Report a failed chain build once per target within the cache window
+function handleRelayError(chain, targetHost, targetPort, error) {
+  console.error('Chain connection failed:', error.message);
+
+  const cacheKey = `${chain.id}:${targetHost}:${targetPort}`;
+  const cached = connectionCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return;
+  }
+
+  connectionCache.set(cacheKey, {
+    timestamp: Date.now(),
+    error: error.message
+  });
+  notifyConnectionError(chain.name, error.message);
+}
+
 // Load current state from storage
 async function loadCurrentState() {
   try {
     currentProxyState.enabled = await isExtensionEnabled();
     currentProxyState.activeChain = await getActiveChain();
     currentProxyState.activeChainId = currentProxyState.activeChain ? currentProxyState.activeChain.id : null;
+    currentProxyState.chains = await loadChains();
+    currentProxyState.rules = await loadRules();
+    currentProxyState.pacScript = compilePacScript(await loadPacConfig());
   } catch (error) {
     console.error('Failed to load current state:', error);
   }
 }
 
+// Compile an imported PAC script, or return null if none is enabled
+function compilePacScript(pacConfig) {
+  if (!pacConfig || !pacConfig.enabled) {
+    return null;
+  }
+
+  try {
+    return new PacScript(pacConfig.source, { resolveHost: resolvePacHost });
+  } catch (error) {
+    console.error('Failed to compile PAC script:', error);
+    return null;
+  }
+}
+
+// dnsResolve()/isInNet() lookups for PAC scripts, IPv4 only as the PAC spec expects
+async function resolvePacHost(host) {
+  if (typeof browser === 'undefined' || !browser.dns) {
+    return null;
+  }
+  const record = await browser.dns.resolve(host, ['disable_ipv6']);
+  return record.addresses.length > 0 ? record.addresses[0] : null;
+}
+
+// All addresses of a host, for chains that resolve hostnames locally and for
+// comparing exit addresses with hops given by name
+async function resolveHostAddresses(host) {
+  if (typeof browser === 'undefined' || !browser.dns) {
+    return [];
+  }
+  const record = await browser.dns.resolve(host);
+  return record.addresses;
+}
+
+// Browser settings that decide whether WebRTC and DNS prefetching bypass the proxy
+async function readPrivacySettings() {
+  if (!chrome.privacy) {
+    return null;
+  }
+  
+  const { network } = chrome.privacy;
+  const read = async (setting, fallback) => setting ? (await setting.get({})).value : fallback;
+  return {
+    webRTCIPHandlingPolicy: await read(network.webRTCIPHandlingPolicy, 'default'),
+    // Firefox only; other browsers cannot turn WebRTC off
+    peerConnectionEnabled: await read(network.peerConnectionEnabled, true),
+    networkPredictionEnabled: await read(network.networkPredictionEnabled, false)
+  };
+}
+
 // Listen for real-time storage changes
 function setupStorageListener() {
   chrome.storage.onChanged.addListener(async (changes, areaName) => {
@@ -83,6 +284,7 @@ function setupStorageListener() {
       // Check for chain changes
       if (changes.proxyChains) {
         console.log('Proxy chains updated');
+        currentProxyState.chains = changes.proxyChains.newValue || [];
         try {
           currentProxyState.activeChain = await getActiveChain();
         } catch (error) {
@@ -90,6 +292,25 @@ function setupStorageListener() {
         }
         clearConnectionCache();
       }
+      
+      // Check for routing rule changes
+      if (changes.routingRules) {
+        console.log('Routing rules updated');
+        currentProxyState.rules = changes.routingRules.newValue || [];
+      }
+      
+      // Check for PAC script changes
+      if (changes.pacScript) {
+        console.log('PAC script updated');
+        currentProxyState.pacScript = compilePacScript(changes.pacScript.newValue);
+        clearConnectionCache();
+      }
+      
+      // Check for health monitor changes
+      if (changes.healthMonitor) {
+        console.log('Health monitor settings updated');
+        await scheduleHealthChecks();
+      }
     }
   });
 }
@@ -110,26 +331,6 @@ function clearConnectionCache() {
   console.log('Connection cache cleared');
 }
 
-// Extract host and port from URL
-function extractHostPort(url) {
-  try {
-    const parsed = new URL(url);
-    const host = parsed.hostname;
-    const protocol = parsed.protocol;
-    
-    // Determine port from protocol or explicit port
-    let port = parseInt(parsed.port, 10);
-    if (!port) {
-      port = protocol === 'https:' ? 443 : (protocol === 'http:' ? 80 : 443);
-    }
-    
-    return { host, port, protocol };
-  } catch (error) {
-    console.error('Failed to parse URL:', url, error);
-    return null;
-  }
-}
-
 // Check if request should go through proxy based on protocol
 function shouldProxyRequest(url) {
   try {
@@ -145,54 +346,6 @@ function shouldProxyRequest(url) {
   }
 }
 
-// Validate chain connection before using it
-async function validateChainConnection(chain, targetHost, targetPort) {
-  // Check cache
-  const cacheKey = `${chain.id}:${targetHost}:${targetPort}`;
-  const cached = connectionCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    console.log('Using cached chain validation for', cacheKey);
-    return cached.valid;
-  }
-  
-  try {
-    console.log(`Validating chain connection to ${targetHost}:${targetPort}`);
-    
-    // Build chain to validate it works
-    const result = await proxyChainEngine.buildChain(chain, targetHost, targetPort);
-    
-    // Successfully built, cache the result
-    connectionCache.set(cacheKey, {
-      valid: true,
-      timestamp: Date.now(),
-      result
-    });
-    
-    // Clean up the socket
-    if (result.socket) {
-      result.socket.close();
-    }
-    
-    console.log('Chain validation successful');
-    return true;
-  } catch (error) {
-    console.error('Chain validation failed:', error.message);
-    
-    // Cache the failure
-    connectionCache.set(cacheKey, {
-      valid: false,
-      timestamp: Date.now(),
-      error: error.message
-    });
-    
-    // Notify user of connection error
-    notifyConnectionError(chain.name, error.message);
-    
-    return false;
-  }
-}
-
 // Notify user of connection errors via notification
 async function notifyConnectionError(chainName, errorMessage) {
   try {
@@ -201,7 +354,7 @@ async function notifyConnectionError(chainName, errorMessage) {
       iconUrl: chrome.runtime.getURL('src/icons/icon-48.svg'),
       title: 'Proxy Chain Error',
       message: `Failed to connect using chain "${chainName}": ${errorMessage}`,
-      contextMessage: 'Requests will use direct connection',
+      contextMessage: 'Requests through this chain are blocked until it recovers',
       priority: 2
     });
     console.log('Error notification sent');
@@ -220,77 +373,90 @@ chrome.proxy.onRequest.addListener(async (requestInfo) => {
     return { type: 'direct' };
   }
   
-  // Check if proxy is enabled and we have an active chain
-  if (!currentProxyState.enabled || !currentProxyState.activeChain) {
-    console.log('Proxy disabled or no active chain, using direct connection');
+  if (!currentProxyState.enabled) {
+    console.log('Proxy disabled, using direct connection');
     return { type: 'direct' };
   }
   
-  try {
-    const chain = currentProxyState.activeChain;
-    console.log('Using proxy chain:', chain.name);
+  // Routing rules take precedence over the PAC script and the active chain, first match wins
+  let chain = currentProxyState.activeChain;
+  const rule = matchRule(currentProxyState.rules, requestInfo.url);
+  
+  if (rule) {
+    console.log(`Routing rule ${rule.id} matched (${rule.type} ${rule.pattern} -> ${rule.action})`);
     
-    // Extract target host and port from request URL
-    const hostPortInfo = extractHostPort(requestInfo.url);
-    if (!hostPortInfo) {
-      console.error('Failed to extract host and port from URL');
+    if (rule.action === 'direct') {
       return { type: 'direct' };
     }
     
-    const { host, port } = hostPortInfo;
-    
-    // Validate chain connection (with caching to avoid excessive validation)
-    const isValid = await validateChainConnection(chain, host, port);
-    
-    if (!isValid) {
-      console.error('Chain validation failed, blocking request to prevent IP leak');
-      // Return a non-functional proxy config to block the request
-      // Firefox will fail to connect and won't leak the real IP
-      return {
-        type: 'socks5',
-        host: 'localhost',
-        port: 1
-      };
+    if (rule.action === 'block') {
+      return BLOCKING_PROXY;
     }
     
-    // Chain validation passed, configure Firefox to use the first proxy
-    const firstProxy = chain.proxies[0];
-    
-    if (!firstProxy) {
-      console.error('No first proxy found in chain');
+    chain = currentProxyState.chains.find(c => c.id === rule.chainId);
+    if (!chain) {
+      console.error('Routing rule references missing chain, blocking request to prevent IP leak');
+      return BLOCKING_PROXY;
+    }
+  } else if (currentProxyState.pacScript) {
+    return resolvePacProxy(currentProxyState.pacScript, requestInfo.url);
+  }
+  
+  if (!chain) {
+    console.log('No active chain, using direct connection');
+    return { type: 'direct' };
+  }
+  
+  return getChainProxyInfo(chain);
+}, { urls: ['<all_urls>'] });
+
+// Proxy info that sends a request through every hop of a chain
+function getChainProxyInfo(chain) {
+  if (!chainRelay.isListening()) {
+    console.error('Chain relay not running, blocking request to prevent IP leak');
+    return BLOCKING_PROXY;
+  }
+  
+  console.log('Routing request through relay for chain:', chain.name);
+  
+  // The relay builds every hop of the chain for each connection Firefox opens.
+  // A chain that resolves hostnames locally has Firefox resolve them, so the
+  // relay is only given addresses.
+  return chainRelay.getProxyInfo(chain.id, { proxyDNS: chain.dns !== 'local' });
+}
+
+// Evaluate the imported PAC script and convert its result to proxy info
+async function resolvePacProxy(pacScript, url) {
+  let result;
+  try {
+    result = await pacScript.findProxyForURL(url, new URL(url).hostname.replace(/^\[|\]$/g, ''));
+  } catch (error) {
+    console.error('PAC script failed, blocking request to prevent IP leak:', error.message);
+    return BLOCKING_PROXY;
+  }
+  
+  console.log('PAC script returned:', result);
+  
+  // Firefox tries each entry in order, so PAC failover lists map directly
+  const proxies = parsePacResult(result).map(entry => {
+    if (entry.type === 'direct') {
       return { type: 'direct' };
     }
     
-    console.log(`Configuring Firefox to use first proxy: ${firstProxy.address}:${firstProxy.port}`);
-    
-    // Build proxy config for Firefox
-    const proxyConfig = {
-      type: firstProxy.type.toLowerCase(),
-      host: firstProxy.address,
-      port: firstProxy.port
-    };
-    
-    // Add authentication if provided
-    if (firstProxy.username && firstProxy.password) {
-      proxyConfig.username = firstProxy.username;
-      proxyConfig.password = firstProxy.password;
+    if (entry.type === 'chain') {
+      const chain = currentProxyState.chains.find(c => c.id === entry.chainId || c.name === entry.chainId);
+      if (!chain) {
+        console.error(`PAC script referenced unknown chain '${entry.chainId}'`);
+        return BLOCKING_PROXY;
+      }
+      return getChainProxyInfo(chain);
     }
     
-    console.log('Proxy configuration returned:', proxyConfig);
-    return proxyConfig;
-    
-  } catch (error) {
-    console.error('Error in proxy request handler:', error);
-    notifyConnectionError(currentProxyState.activeChain.name, error.message);
-    
-    // On error, block request to prevent IP leak
-    return {
-      type: 'socks5',
-      host: 'localhost',
-      port: 1
-    };
-  }
-});
+    return entry;
+  });
+  
+  return proxies.length > 0 ? proxies : BLOCKING_PROXY;
+}
 
 // Handle messages from popup and options
 chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
@@ -309,10 +475,32 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         break;
         
       case 'testConnection':
-        const result = await handleTestConnection(message.chainId);
+        const result = await handleTestConnection(message.chainId, message.targets);
         sendResponse(result);
         break;
         
+      case 'verifyExit':
+        sendResponse(await handleVerifyExit(message.chainId));
+        break;
+        
+      case 'getHealth':
+        sendResponse({ success: true, health: await healthMonitor.getHealth() });
+        break;
+        
+      case 'checkHealth':
+        sendResponse({ success: true, health: await runHealthCheck() });
+        break;
+        
+      case 'getVaultStatus':
+      case 'createVault':
+      case 'unlockVault':
+      case 'lockVault':
+      case 'changeVaultPassphrase':
+      case 'sealCredentials':
+      case 'revealCredentials':
+        sendResponse(await handleVaultMessage(message, sender));
+        break;
+        
       default:
         console.warn('Unknown message action:', message.action);
         sendResponse({ success: false, error: 'Unknown action' });
@@ -359,7 +547,9 @@ async function handleSetActiveChain(chainId) {
 }
 
 // Handle connection test
-async function handleTestConnection(chainId) {
+// Build the chain to each test target in turn and exchange a request with it
+// (see connectionTest.js); targets default to the saved ones
+async function handleTestConnection(chainId, targets) {
   console.log('Testing connection for chain:', chainId);
   
   try {
@@ -374,28 +564,169 @@ async function handleTestConnection(chainId) {
       return { success: false, error: 'Chain not found' };
     }
     
-    // Test connection using chain engine
     console.log('Testing connection through chain:', chain.name);
     
-    // Use a common test target (like Google DNS)
-    const testTarget = '8.8.8.8';
-    const testPort = 53;
-    
-    const connectionResult = await proxyChainEngine.buildChain(chain, testTarget, testPort);
+    const results = [];
+    for (const target of targets?.length ? targets : await loadTestTargets()) {
+      results.push(await runConnectionTest(proxyChainEngine, chain, target));
+    }
     
-    // Test successful, clean up connection
-    if (connectionResult.socket) {
-      connectionResult.socket.close();
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      console.error('Connection test failed:', failed.map(result => `${result.target}: ${result.error}`).join('; '));
+      return {
+        success: false,
+        error: failed.map(result => `${result.target}: ${result.error}`).join('\n'),
+        results,
+        connectionInfo: failed[0].connectionInfo
+      };
     }
     
     return { 
       success: true, 
-      connectionInfo: connectionResult.connectionInfo,
-      message: `Successfully connected to ${testTarget}:${testPort} through ${chain.proxies.length} proxy(ies)`
+      results,
+      connectionInfo: results[0].connectionInfo,
+      message: results.map(result => `${result.target}: ${result.response} in ${result.connectTime + result.responseTime}ms`).join('\n')
     };
     
   } catch (error) {
     console.error('Connection test failed:', error);
+    return { success: false, error: error.message, connectionInfo: error.connectionInfo };
+  }
+}
+
+// Compare the chain's exit address with the device's own and the hops' (see exitCheck.js)
+async function handleVerifyExit(chainId) {
+  const chain = currentProxyState.chains.find(c => c.id === chainId);
+  if (!chain) {
+    return { success: false, error: 'Chain not found' };
+  }
+  
+  try {
+    const result = await checkExit(proxyChainEngine, chain, {
+      endpoint: await loadExitCheckEndpoint(),
+      resolve: resolveHostAddresses,
+      privacy: await readPrivacySettings(),
+      doh: !!(await loadDohServer())
+    });
+    console.log(`Exit check for ${chain.name}: ${result.status}, exit ${result.exitIp}`);
+    return { success: true, result };
+  } catch (error) {
+    console.error('Exit check failed:', error);
     return { success: false, error: error.message };
   }
 }
+
+// Vault requests are only accepted from the extension's own pages
+async function handleVaultMessage(message, sender) {
+  if (sender.id !== chrome.runtime.id || !(sender.url || '').startsWith(chrome.runtime.getURL(''))) {
+    return { success: false, error: 'Vault requests are only accepted from extension pages' };
+  }
+  
+  switch (message.action) {
+    case 'getVaultStatus':
+      return {
+        success: true,
+        initialized: await credentialVault.isInitialized(),
+        unlocked: await credentialVault.isUnlocked(),
+        inlineCredentials: countInlineCredentials(await loadChains())
+      };
+      
+    case 'createVault':
+      await credentialVault.create(message.passphrase);
+      await migrateInlineCredentials();
+      return { success: true };
+      
+    case 'unlockVault':
+      await credentialVault.unlock(message.passphrase);
+      await pruneVault();
+      clearConnectionCache();
+      return { success: true };
+      
+    case 'lockVault':
+      await credentialVault.lock();
+      return { success: true };
+      
+    case 'changeVaultPassphrase':
+      await credentialVault.changePassphrase(message.currentPassphrase, message.newPassphrase);
+      return { success: true };
+      
+    case 'sealCredentials':
+      return { success: true, chains: await sealCredentials(message.chains) };
+      
+    case 'revealCredentials':
+      return { success: true, chains: await revealCredentials(message.chains) };
+  }
+}
+
+// Count proxies that still carry cleartext credentials
+function countInlineCredentials(chains) {
+  return chains.reduce((count, chain) => 
+    count + listChainProxies(chain).filter(proxy => proxy.username || proxy.password).length, 0);
+}
+
+// Rewrite every proxy of the chains, alternates included, one at a time
+async function mapChainProxies(chains, rewrite) {
+  const mapped = [];
+  
+  for (const chain of chains) {
+    const proxies = [];
+    for (const hop of chain.proxies) {
+      const proxy = await rewrite(hop);
+      if (hop.alternates) {
+        proxy.alternates = [];
+        for (const alternate of hop.alternates) {
+          proxy.alternates.push(await rewrite(alternate));
+        }
+      }
+      proxies.push(proxy);
+    }
+    mapped.push({ ...chain, proxies });
+  }
+  
+  return mapped;
+}
+
+// Move inline usernames/passwords into the vault, replacing them with references
+async function sealCredentials(chains) {
+  return mapChainProxies(chains, async (proxy) => {
+    const { username, password, ...rest } = proxy;
+    if (username || password) {
+      rest.credentialId = await credentialVault.storeCredential({ username, password });
+    }
+    return rest;
+  });
+}
+
+// Replace credential references with the decrypted usernames/passwords, for export
+async function revealCredentials(chains) {
+  return mapChainProxies(chains, async (proxy) => {
+    const { credentialId, ...rest } = proxy;
+    if (credentialId) {
+      Object.assign(rest, await credentialVault.getCredential(credentialId));
+    }
+    return rest;
+  });
+}
+
+// Encrypt credentials of chains saved before the vault existed
+async function migrateInlineCredentials() {
+  const chains = await loadChains();
+  const count = countInlineCredentials(chains);
+  if (count === 0) {
+    return;
+  }
+  
+  await importChains(await sealCredentials(chains));
+  console.log(`Moved credentials of ${count} proxy(ies) into the vault`);
+}
+
+// Drop vault entries no longer referenced by any chain
+async function pruneVault() {
+  const chains = await loadChains();
+  const usedIds = chains.flatMap(chain => listChainProxies(chain).map(proxy => proxy.credentialId).filter(Boolean));
+  const removed = await credentialVault.pruneCredentials(usedIds);
+  if (removed > 0) {
+    console.log(`Removed ${removed} unused credential(s) from the vault`);
+  }
+}
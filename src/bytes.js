@@ -0,0 +1,18 @@
+/**
+ * Byte array helpers shared by the protocol implementations
+ */
+
+/**
+ * Concatenate byte arrays
+ * @param {...(Uint8Array|number[])} parts
+ * @returns {Uint8Array}
+ */
+export function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
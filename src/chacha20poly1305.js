@@ -0,0 +1,260 @@
+/**
+ * ChaCha20-Poly1305 AEAD (RFC 8439)
+ *
+ * WebCrypto offers AES-GCM but not ChaCha20-Poly1305, which Shadowsocks
+ * servers commonly require (chacha20-ietf-poly1305). Both operations take
+ * a 32-byte key and a 12-byte nonce and append or check a 16-byte tag.
+ */
+
+const TAG_LENGTH = 16;
+
+// "expand 32-byte k"
+const SIGMA = [0x61707865, 0x3320646E, 0x79622D32, 0x6B206574];
+
+/**
+ * Rotate a 32-bit word left
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotateLeft(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Read the key and nonce into the constant part of the ChaCha20 state
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @returns {Uint32Array} 16-word state with a zero block counter
+ */
+function initialState(key, nonce) {
+  const state = new Uint32Array(16);
+  const keyView = new DataView(key.buffer, key.byteOffset, key.byteLength);
+  const nonceView = new DataView(nonce.buffer, nonce.byteOffset, nonce.byteLength);
+
+  state.set(SIGMA);
+  for (let i = 0; i < 8; i++) {
+    state[4 + i] = keyView.getUint32(i * 4, true);
+  }
+  for (let i = 0; i < 3; i++) {
+    state[13 + i] = nonceView.getUint32(i * 4, true);
+  }
+  return state;
+}
+
+/**
+ * Compute one 64-byte ChaCha20 block (RFC 8439 Section 2.3)
+ * @param {Uint32Array} state - Input state
+ * @param {Uint32Array} output - 16 words of keystream
+ */
+function chachaBlock(state, output) {
+  const x = Uint32Array.from(state);
+
+  const quarterRound = (a, b, c, d) => {
+    x[a] += x[b]; x[d] = rotateLeft(x[d] ^ x[a], 16);
+    x[c] += x[d]; x[b] = rotateLeft(x[b] ^ x[c], 12);
+    x[a] += x[b]; x[d] = rotateLeft(x[d] ^ x[a], 8);
+    x[c] += x[d]; x[b] = rotateLeft(x[b] ^ x[c], 7);
+  };
+
+  for (let round = 0; round < 10; round++) {
+    quarterRound(0, 4, 8, 12);
+    quarterRound(1, 5, 9, 13);
+    quarterRound(2, 6, 10, 14);
+    quarterRound(3, 7, 11, 15);
+    quarterRound(0, 5, 10, 15);
+    quarterRound(1, 6, 11, 12);
+    quarterRound(2, 7, 8, 13);
+    quarterRound(3, 4, 9, 14);
+  }
+
+  for (let i = 0; i < 16; i++) {
+    output[i] = x[i] + state[i];
+  }
+}
+
+/**
+ * ChaCha20 encryption or decryption (RFC 8439 Section 2.4)
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {number} counter - Initial block counter
+ * @param {Uint8Array} data - Input
+ * @returns {Uint8Array} data XORed with the keystream
+ */
+function chacha20(key, nonce, counter, data) {
+  const state = initialState(key, nonce);
+  const block = new Uint32Array(16);
+  // Keystream bytes are the words in little-endian order, the byte order of every browser platform
+  const keystream = new Uint8Array(block.buffer);
+  const output = new Uint8Array(data.length);
+
+  for (let offset = 0; offset < data.length; offset += 64) {
+    state[12] = counter++;
+    chachaBlock(state, block);
+
+    const end = Math.min(offset + 64, data.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = data[i] ^ keystream[i - offset];
+    }
+  }
+
+  return output;
+}
+
+// Poly1305 works on 130-bit numbers held as ten 13-bit limbs, so products
+// and their sums stay well within exact double precision
+const LIMB_BITS = 13;
+const LIMB_MASK = 0x1FFF;
+const LIMB_BASE = 0x2000;
+
+/**
+ * Split a 17-byte little-endian number into ten 13-bit limbs
+ * @param {Uint8Array} bytes - 17 bytes
+ * @returns {number[]}
+ */
+function toLimbs(bytes) {
+  const limbs = new Array(10);
+  for (let i = 0; i < 10; i++) {
+    const bit = i * LIMB_BITS;
+    const byte = bit >> 3;
+    const word = bytes[byte] | (bytes[byte + 1] << 8) | ((bytes[byte + 2] || 0) << 16);
+    limbs[i] = (word >>> (bit & 7)) & LIMB_MASK;
+  }
+  return limbs;
+}
+
+/**
+ * Poly1305 one-time authenticator (RFC 8439 Section 2.5)
+ * @param {Uint8Array} key - 32 bytes: r then s
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 16-byte tag
+ */
+function poly1305(key, message) {
+  const clamped = new Uint8Array(17);
+  clamped.set(key.subarray(0, 16));
+  clamped[3] &= 15; clamped[7] &= 15; clamped[11] &= 15; clamped[15] &= 15;
+  clamped[4] &= 252; clamped[8] &= 252; clamped[12] &= 252;
+  const r = toLimbs(clamped);
+
+  let h = new Array(10).fill(0);
+  const block = new Uint8Array(17);
+
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const chunk = message.subarray(offset, offset + 16);
+    block.fill(0);
+    block.set(chunk);
+    block[chunk.length] = 1;
+    const n = toLimbs(block);
+
+    for (let i = 0; i < 10; i++) {
+      h[i] += n[i];
+    }
+
+    // h *= r mod 2^130 - 5; limbs at or above 2^130 fold back in multiplied by 5
+    const product = new Array(10);
+    for (let i = 0; i < 10; i++) {
+      let sum = 0;
+      for (let j = 0; j < 10; j++) {
+        sum += h[j] * (j <= i ? r[i - j] : 5 * r[i + 10 - j]);
+      }
+      product[i] = sum;
+    }
+
+    let carry = 0;
+    for (let i = 0; i < 10; i++) {
+      product[i] += carry;
+      carry = Math.floor(product[i] / LIMB_BASE);
+      product[i] -= carry * LIMB_BASE;
+    }
+    product[0] += carry * 5;
+    carry = Math.floor(product[0] / LIMB_BASE);
+    product[0] -= carry * LIMB_BASE;
+    product[1] += carry;
+    h = product;
+  }
+
+  // Final reduction and tag = (h + s) mod 2^128, once per message
+  let value = 0n;
+  for (let i = 9; i >= 0; i--) {
+    value = (value << BigInt(LIMB_BITS)) + BigInt(h[i]);
+  }
+  value %= (1n << 130n) - 5n;
+
+  let s = 0n;
+  for (let i = 31; i >= 16; i--) {
+    s = (s << 8n) + BigInt(key[i]);
+  }
+  value = (value + s) & ((1n << 128n) - 1n);
+
+  const tag = new Uint8Array(TAG_LENGTH);
+  for (let i = 0; i < TAG_LENGTH; i++) {
+    tag[i] = Number(value & 0xFFn);
+    value >>= 8n;
+  }
+  return tag;
+}
+
+/**
+ * Compute the AEAD tag over additional data and ciphertext (RFC 8439 Section 2.8)
+ * @private
+ */
+function computeTag(key, nonce, aad, ciphertext) {
+  const polyKey = chacha20(key, nonce, 0, new Uint8Array(32));
+
+  const pad = (length) => (16 - (length % 16)) % 16;
+  const macData = new Uint8Array(aad.length + pad(aad.length) + ciphertext.length + pad(ciphertext.length) + 16);
+  macData.set(aad);
+  macData.set(ciphertext, aad.length + pad(aad.length));
+
+  const view = new DataView(macData.buffer);
+  view.setUint32(macData.length - 16, aad.length, true);
+  view.setUint32(macData.length - 8, ciphertext.length, true);
+
+  return poly1305(polyKey, macData);
+}
+
+/**
+ * Encrypt and authenticate
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} [aad] - Additional authenticated data
+ * @returns {Uint8Array} Ciphertext followed by the 16-byte tag
+ */
+function chacha20Poly1305Seal(key, nonce, plaintext, aad = new Uint8Array(0)) {
+  const ciphertext = chacha20(key, nonce, 1, plaintext);
+  const sealed = new Uint8Array(ciphertext.length + TAG_LENGTH);
+  sealed.set(ciphertext);
+  sealed.set(computeTag(key, nonce, aad, ciphertext), ciphertext.length);
+  return sealed;
+}
+
+/**
+ * Check the tag and decrypt
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {Uint8Array} sealed - Ciphertext followed by the 16-byte tag
+ * @param {Uint8Array} [aad] - Additional authenticated data
+ * @returns {Uint8Array} Plaintext
+ * @throws {Error} If the tag does not match
+ */
+function chacha20Poly1305Open(key, nonce, sealed, aad = new Uint8Array(0)) {
+  if (sealed.length < TAG_LENGTH) {
+    throw new Error('ChaCha20-Poly1305 input shorter than its tag');
+  }
+
+  const ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH);
+  const expected = computeTag(key, nonce, aad, ciphertext);
+
+  let difference = 0;
+  for (let i = 0; i < TAG_LENGTH; i++) {
+    difference |= expected[i] ^ sealed[ciphertext.length + i];
+  }
+  if (difference !== 0) {
+    throw new Error('ChaCha20-Poly1305 authentication failed');
+  }
+
+  return chacha20(key, nonce, 1, ciphertext);
+}
+
+export { chacha20, poly1305, chacha20Poly1305Seal, chacha20Poly1305Open };
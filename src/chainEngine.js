@@ -2,13 +2,25 @@
  * Core Proxy Chain Engine
  * 
  * Handles sequential connections through multiple proxies using different protocols.
- * Supports SOCKS4, SOCKS5, and HTTP CONNECT proxy chaining.
+ * Supports every protocol in the registry (SOCKS4, SOCKS5, HTTP and HTTPS
+ * CONNECT built in), plus BIND and UDP associations through a last hop
+ * whose protocol has those capabilities.
+ *
+ * Each hop is carried over a SocketStream (see stream.js): the connection to
+ * the first proxy and every tunnel opened after it are wrapped in one, so
+ * bytes a handler does not consume reach the next hop instead of being lost.
+ *
+ * A hop may list alternate proxies to fail over to, and the chain's mode
+ * decides which hops a connection goes through (see _buildChainInternal).
+ * Its DNS policy decides whether hops are given hostnames (see _hopAddress).
+ * BIND and UDP associations go through every hop in order and negotiate
+ * with the last hop's own proxy; only the hops leading to it fail over.
  */
 
-import { SOCKS5Protocol } from './socks5.js';
-import { SOCKS4Protocol } from './socks4.js';
-import { HttpConnectProtocol } from './httpConnect.js';
-import { TCPSocket } from './socket.js';
+import { getProtocol } from './protocols.js';
+import { TCPSocket, UDPSocket } from './socket.js';
+import { SocketStream } from './stream.js';
+import { TLSSocket } from './tls.js';
 
 /**
  * Default configuration values
@@ -17,9 +29,121 @@ const DEFAULT_CONFIG = {
   connectionTimeout: 30000, // 30 seconds per connection step
   totalTimeout: 120000,     // 2 minutes total for entire chain
   enableLogging: true,
-  maxRetries: 2
+  maxRetries: 2,            // Attempts after the first, per step
+  retryDelay: 1000,         // Backoff before the first retry, doubled for each one after
+  retryMaxDelay: 10000,     // Backoff ceiling
+  retryJitter: 0.5,         // Fraction of each backoff that is randomised
+  retryOn: {                // Error classes worth another attempt (see classifyError)
+    network: true,
+    timeout: true,
+    refused: false,
+    auth: false,
+    protocol: false
+  },
+  credentialResolver: null, // async (credentialId) => { username, password }
+  hostResolver: null,       // async (hostname) => addresses, for names a hop must not be given
+  dohResolver: null         // async (hostname, chain, { signal }) => addresses, or null without a DoH server
 };
 
+// Weight of a new measurement in a proxy's running latency average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Message patterns of the error classes, checked in order
+ *
+ * Handlers throw plain Errors, so the class is read from the message.
+ * Anything unmatched is a 'protocol' error: a malformed or unexpected reply.
+ */
+const ERROR_CLASSES = [
+  // Credentials or identity rejected; trying again cannot change the answer
+  ['auth', /authentication|credentials|password|host key|not trusted|not pinned|certificate|rejected all/i],
+  // The proxy answered, but refused to connect where it was asked to
+  ['refused', /request failed|connect failed|SOCKS4 \w+ failed|upgrade refused|could not open a channel/i],
+  // The connection to the proxy failed or was dropped
+  ['network', /failed to connect|connection closed|closed the connection|socket closed|socket not connected|socket error|send failed|disconnected/i]
+];
+
+/**
+ * Error raised when a chain step or the whole build runs out of time
+ */
+export class TimeoutError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Sort a chain error into the classes that retryOn refers to
+ * @param {Error} error - Error from a chain step
+ * @returns {string} 'timeout', 'auth', 'refused', 'network' or 'protocol'
+ */
+export function classifyError(error) {
+  if (error instanceof TimeoutError) {
+    return 'timeout';
+  }
+
+  const message = error?.message || String(error);
+  const match = ERROR_CLASSES.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : 'protocol';
+}
+
+/**
+ * Whether an address is an IPv4 or IPv6 literal rather than a hostname
+ */
+function isIpLiteral(address) {
+  return /^(?:\d{1,3}\.){3}\d{1,3}$/.test(address) || address.includes(':');
+}
+
+/**
+ * Key under which a proxy's measurements are kept
+ */
+function proxyKey(proxy) {
+  return `${proxy.type}://${proxy.address}:${proxy.port}`;
+}
+
+/**
+ * Settle with a promise, or reject with the signal's reason once it aborts
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Wait for a delay, cut short if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
 /**
  * Proxy Chain Engine Class
  * Orchestrates connections through multiple proxy servers
@@ -31,24 +155,45 @@ export class ProxyChainEngine {
    * @param {number} config.connectionTimeout - Timeout per connection step (ms)
    * @param {number} config.totalTimeout - Total timeout for entire chain (ms)
    * @param {boolean} config.enableLogging - Enable debug logging
-   * @param {number} config.maxRetries - Maximum retry attempts per connection
+   * @param {number} config.maxRetries - Maximum retry attempts per step
+   * @param {number} config.retryDelay - Backoff before the first retry (ms), doubled for each later one
+   * @param {number} config.retryMaxDelay - Longest backoff between attempts (ms)
+   * @param {number} config.retryJitter - Fraction of each backoff that is randomised (0-1)
+   * @param {Object} config.retryOn - Which error classes are retried, e.g. { auth: false, network: true }
+   * @param {Function} config.credentialResolver - Resolves a proxy's credentialId to { username, password }
+   * @param {Function} config.hostResolver - Resolves a hostname to its addresses on this device
+   * @param {Function} config.dohResolver - Resolves a hostname to its addresses over DNS-over-HTTPS
+   *   through a chain (see doh.js); resolves to null when no DoH server is set
    */
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config.retryOn = { ...DEFAULT_CONFIG.retryOn, ...config.retryOn };
     this.activeConnections = new Set();
+    this.rotation = new Map();   // chain id and hop index -> next round-robin start
+    this.latencies = new Map();  // proxyKey -> running average time to reach it (ms)
   }
 
   /**
    * Build a proxy chain connection to target destination
+   *
+   * Every step (the TCP connection to the first proxy, then the TLS and
+   * protocol handshake with each hop) must finish within
+   * `connectionTimeout`, and the whole build within `totalTimeout`. When a
+   * deadline passes or `options.signal` aborts, the socket of the step in
+   * progress is closed, which fails the handler's pending reads, and the
+   * partial chain is released. The failed step is recorded in
+   * `connectionInfo.steps` and the error carries the `connectionInfo`.
+   *
    * @param {Object} chain - Proxy chain object with proxies array
    * @param {string} targetAddress - Target destination address
    * @param {number} targetPort - Target destination port
+   * @param {Object} [options] - Build options
+   * @param {AbortSignal} [options.signal] - Cancels the build
    * @returns {Promise<Object>} Connected socket and connection info
-   * @throws {Error} If any step in the chain fails
+   * @throws {Error} If any step in the chain fails; a TimeoutError if a deadline passed
    */
-  async buildChain(chain, targetAddress, targetPort) {
+  async buildChain(chain, targetAddress, targetPort, options = {}) {
     const startTime = Date.now();
-    this.log(`Starting chain build: ${chain.name} -> ${targetAddress}:${targetPort}`);
     
     if (!chain || !chain.proxies || chain.proxies.length === 0) {
       throw new Error('Invalid chain: no proxies defined');
@@ -58,28 +203,38 @@ export class ProxyChainEngine {
       throw new Error('Invalid target: address and port required');
     }
 
-    let currentSocket = null;
+    this.log(`Starting chain build: ${chain.name} -> ${targetAddress}:${targetPort}`);
+
     let connectionInfo = {
       startTime,
       chainId: chain.id,
       chainName: chain.name,
       targetAddress,
       targetPort,
+      mode: chain.mode || 'strict',
+      dns: chain.dns || 'remote',
+      hops: [],
       steps: [],
+      failovers: [],
+      skipped: [],
       totalDuration: null
     };
 
-    try {
-      // Set total timeout for entire operation
-      const totalTimeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error(`Chain connection timeout after ${this.config.totalTimeout}ms`));
-        }, this.config.totalTimeout);
-      });
+    // One signal for the whole build: the caller's, or the total timeout
+    const controller = new AbortController();
+    const cancel = () => controller.abort(options.signal.reason);
+    const totalTimer = setTimeout(() => {
+      controller.abort(new TimeoutError(`Chain connection timeout after ${this.config.totalTimeout}ms`));
+    }, this.config.totalTimeout);
 
-      const connectionPromise = this._buildChainInternal(chain, targetAddress, targetPort, connectionInfo);
-      
-      const result = await Promise.race([connectionPromise, totalTimeoutPromise]);
+    if (options.signal?.aborted) {
+      cancel();
+    } else {
+      options.signal?.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+      const result = await this._buildChainInternal(chain, targetAddress, targetPort, connectionInfo, controller.signal);
       
       connectionInfo.totalDuration = Date.now() - startTime;
       this.log(`Chain build completed successfully in ${connectionInfo.totalDuration}ms`);
@@ -97,109 +252,378 @@ export class ProxyChainEngine {
       
       this.log(`Chain build failed after ${connectionInfo.totalDuration}ms: ${error.message}`);
       
-      // Clean up any partial connections
-      if (currentSocket) {
-        this._cleanupSocket(currentSocket);
-      }
-      
-      throw new Error(`Chain connection failed at step ${connectionInfo.steps.length}: ${error.message}`);
+      const failedStep = connectionInfo.steps[connectionInfo.steps.length - 1];
+      const ErrorType = error instanceof TimeoutError ? TimeoutError : Error;
+      const failure = new ErrorType(`Chain connection failed at step ${failedStep ? failedStep.step : 0}: ${error.message}`, { cause: error });
+      failure.connectionInfo = connectionInfo;
+      throw failure;
+
+    } finally {
+      clearTimeout(totalTimer);
+      options.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Have the last hop of a chain accept one inbound connection
+   *
+   * The returned bind address is where the peer should connect (for example
+   * the address sent in an active-mode FTP PORT command). `accepted`
+   * resolves with the peer's address once it has connected; from then on
+   * the socket carries the inbound connection. If it rejects, the socket has
+   * been released.
+   *
+   * @param {Object} chain - Proxy chain object; the last proxy must support BIND
+   * @param {Object} expectedPeer - { address, port } of the expected peer; port may be 0
+   * @param {Object} [options] - Bind options
+   * @param {AbortSignal} [options.signal] - Cancels building the chain and the BIND request
+   * @returns {Promise<Object>} { socket, connectionInfo, bindAddress, bindPort, accepted }
+   * @throws {Error} If the chain cannot be built or the BIND is refused
+   */
+  async bindThroughChain(chain, expectedPeer, options = {}) {
+    if (!chain || !chain.proxies || chain.proxies.length === 0) {
+      throw new Error('Invalid chain: no proxies defined');
+    }
+
+    if (!expectedPeer || !expectedPeer.address) {
+      throw new Error('Invalid peer: address required');
+    }
+
+    const lastProxy = chain.proxies[chain.proxies.length - 1];
+    if (!this._getProtocol(lastProxy).capabilities.bind) {
+      throw new Error(`BIND is not supported by ${lastProxy.type.toUpperCase()} proxies`);
+    }
+    const protocolHandler = this._getProtocolHandler(lastProxy);
+
+    const lastHop = await this._connectToLastHop(chain, options.signal);
+    const connectionInfo = lastHop.connectionInfo;
+    let socket = lastHop.socket;
+
+    try {
+      const auth = await this._resolveAuth(lastProxy);
+      const result = await this._runStep(`BIND request to ${lastProxy.address}:${lastProxy.port}`, options.signal, () => socket,
+        () => protocolHandler.bind(socket, auth, expectedPeer, { proxyAddress: lastProxy.address }));
+      socket = this._adoptSocket(socket, result.socket);
+
+      this.log(`BIND listening on ${result.address}:${result.port} for ${expectedPeer.address}`);
+
+      result.accepted.then(
+        (peer) => this.log(`BIND accepted inbound connection from ${peer.address}:${peer.port}`),
+        (error) => {
+          this.log(`BIND failed waiting for inbound connection: ${error.message}`);
+          this.releaseConnection(socket);
+        }
+      );
+
+      return {
+        socket,
+        connectionInfo,
+        bindAddress: result.address,
+        bindPort: result.port,
+        accepted: result.accepted
+      };
+    } catch (error) {
+      this.releaseConnection(socket);
+      throw new Error(`BIND failed: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Open a SOCKS5 UDP association on the last hop of a chain
+   *
+   * The control connection is tunnelled through every earlier hop, but the
+   * datagrams themselves go straight to the last hop's UDP relay: UDP cannot
+   * be carried over the TCP tunnels, so the last hop sees this machine's
+   * address rather than that of the hop before it.
+   *
+   * @param {Object} chain - Proxy chain object; the last proxy must be SOCKS5
+   * @param {Object} [options] - Association options
+   * @param {string} [options.fragmentPolicy='drop'] - 'drop' or 'reassemble'
+   * @param {number} [options.reassemblyTimeout] - Fragment reassembly timer (ms)
+   * @param {AbortSignal} [options.signal] - Cancels building the chain and the association request
+   * @returns {Promise<Object>} { association, connectionInfo }
+   * @throws {Error} If the chain cannot be built or the association is refused
+   */
+  async associateThroughChain(chain, options = {}) {
+    if (!chain || !chain.proxies || chain.proxies.length === 0) {
+      throw new Error('Invalid chain: no proxies defined');
+    }
+
+    const lastProxy = chain.proxies[chain.proxies.length - 1];
+    if (!this._getProtocol(lastProxy).capabilities.udp) {
+      throw new Error(`UDP ASSOCIATE is not supported by ${lastProxy.type.toUpperCase()} proxies`);
+    }
+
+    const { signal, ...associateOptions } = options;
+    const { socket, connectionInfo } = await this._connectToLastHop(chain, signal);
+    const udpSocket = new UDPSocket();
+
+    try {
+      await udpSocket.bind('0.0.0.0', 0);
+
+      const auth = await this._resolveAuth(lastProxy);
+      const association = await this._runStep(`UDP ASSOCIATE request to ${lastProxy.address}:${lastProxy.port}`, signal, () => socket,
+        () => this._getProtocolHandler(lastProxy).associate(socket, auth, udpSocket, {
+          ...associateOptions,
+          proxyAddress: lastProxy.address
+        }));
+
+      association.addEventListener('closed', () => this.activeConnections.delete(socket));
+      this.log(`UDP association open via relay ${association.relayAddress}:${association.relayPort}`);
+
+      return { association, connectionInfo };
+    } catch (error) {
+      udpSocket.close();
+      this.releaseConnection(socket);
+      throw new Error(`UDP association failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Open a TCP connection to the last proxy of a chain through the hops before it
+   * @private
+   */
+  async _connectToLastHop(chain, signal) {
+    const lastProxy = chain.proxies[chain.proxies.length - 1];
+
+    if (chain.proxies.length > 1) {
+      const leadingHops = { ...chain, mode: 'strict', proxies: chain.proxies.slice(0, -1) };
+      return this.buildChain(leadingHops, lastProxy.address, lastProxy.port, { signal });
+    }
+
+    const socket = await this._runStep(`Connecting to ${lastProxy.address}:${lastProxy.port}`, signal, () => null,
+      (stepSignal) => this._createDirectConnection(lastProxy, stepSignal));
+    this.activeConnections.add(socket);
+
+    return {
+      socket,
+      connectionInfo: {
+        startTime: Date.now(),
+        chainId: chain.id,
+        chainName: chain.name,
+        steps: [{ step: 1, type: 'direct', proxy: lastProxy, success: true, timestamp: Date.now() }]
+      }
+    };
+  }
+
   /**
    * Internal chain building logic
+   *
+   * Each step runs under its own deadline (see _runStep) and is retried as
+   * retryOn allows. A retry never reuses the socket of the failed attempt,
+   * which may be closed or halfway through a handshake: it opens a fresh
+   * connection to the hop, through the hops before it (see _reconnectToHop).
+   * Failed attempts are listed in the step's `attempts`, and the step that
+   * gives up is appended to connectionInfo.steps with success: false.
+   *
+   * A hop with alternates fails over instead of retrying: when its proxy
+   * fails, the next candidate takes its place, and when a hop cannot reach
+   * the next hop's proxy ('refused'), the next hop's candidate is replaced.
+   * Only the last candidate of a hop gets retries. The chain is then built
+   * again up to the replaced hop; connectionInfo.steps keeps only the route
+   * that was finally used, with each step's `candidate` (0 for the hop's
+   * own proxy, n for its n-th alternate), and connectionInfo.failovers lists
+   * the candidates that were given up.
+   *
+   * The chain's mode picks the hops (see _selectHops). In 'dynamic' mode a
+   * hop that fails with no candidates left is dropped from the route, as
+   * long as one hop remains, and listed in connectionInfo.skipped; the
+   * previous hop then connects to the one after it. connectionInfo.hops
+   * lists the chain's hops (numbered from 1) that the route went through.
    * @private
    */
-  async _buildChainInternal(chain, targetAddress, targetPort, connectionInfo) {
+  async _buildChainInternal(chain, targetAddress, targetPort, connectionInfo, signal, maxRetries = this.config.maxRetries) {
     let currentSocket = null;
-    
-    try {
-      // Connect to first proxy directly
-      const firstProxy = chain.proxies[0];
-      this.log(`Step 1: Connecting to first proxy ${firstProxy.address}:${firstProxy.port}`);
-      
-      currentSocket = await this._createDirectConnection(firstProxy);
-      this.activeConnections.add(currentSocket);
-      
-      connectionInfo.steps.push({
-        step: 1,
-        type: 'direct',
-        proxy: firstProxy,
-        success: true,
-        timestamp: Date.now()
-      });
 
-      // If only one proxy, connect directly to target
-      if (chain.proxies.length === 1) {
-        this.log(`Single proxy chain: connecting to target ${targetAddress}:${targetPort}`);
-        const result = await this._connectThroughProxy(
-          currentSocket, 
-          firstProxy, 
-          targetAddress, 
-          targetPort
-        );
-        
-        return {
-          socket: currentSocket,
-          bindAddress: result.address,
-          bindPort: result.port
-        };
+    // The chain's hops on the route, the candidates of each in the order its
+    // selection policy tries them, and the candidate in use for each
+    const hops = this._selectHops(chain);
+    const candidates = hops.map(index => this._orderCandidates(chain, chain.proxies[index], index));
+    const chosen = candidates.map(() => 0);
+    const hasAlternative = (index) => index < candidates.length && chosen[index] < candidates[index].length - 1;
+    const canSkip = () => chain.mode === 'dynamic' && candidates.length > 1;
+    const route = () => ({ ...chain, mode: 'strict', proxies: candidates.map((list, index) => list[chosen[index]].proxy) });
+
+    // Drop a dead hop from the route
+    const skip = (index, error) => {
+      this._recordSkip(connectionInfo, hops[index], candidates[index][chosen[index]], error);
+      hops.splice(index, 1);
+      candidates.splice(index, 1);
+      chosen.splice(index, 1);
+    };
+
+    // Replaces the connection to hop i, after a failed attempt or when a
+    // proxy closes it mid-authentication
+    const reconnectTo = (index, stepSignal) => async () => {
+      this.releaseConnection(currentSocket);
+      currentSocket = null;
+      currentSocket = await this._reconnectToHop(route(), index, stepSignal);
+      return currentSocket;
+    };
+
+    let step = null;
+
+    // Connect to the first hop directly, failing over between its candidates
+    const connectFirstHop = async () => {
+      for (;;) {
+        const candidate = candidates[0][chosen[0]];
+        const { address, port } = candidate.proxy;
+        step = { step: 1, type: 'direct', proxy: candidate.proxy, candidate: candidate.index, attempts: [] };
+        this.log(`Step 1: Connecting to first proxy ${address}:${port}`);
+
+        try {
+          const started = Date.now();
+          currentSocket = await this._runWithRetries(step, hasAlternative(0) ? 0 : maxRetries, signal,
+            `Connecting to ${address}:${port}`, () => null,
+            (attempt, stepSignal) => this._createDirectConnection(candidate.proxy, stepSignal));
+          this.recordLatency(candidate.proxy, Date.now() - started);
+          break;
+        } catch (error) {
+          if (signal?.aborted || !(hasAlternative(0) || canSkip())) {
+            throw error;
+          }
+          if (hasAlternative(0)) {
+            this._recordFailover(connectionInfo, hops[0], candidate, error);
+            chosen[0]++;
+          } else {
+            skip(0, error);
+          }
+        }
       }
 
-      // For multiple proxies, chain through them sequentially
-      for (let i = 0; i < chain.proxies.length; i++) {
-        const currentProxy = chain.proxies[i];
-        
-        if (i === chain.proxies.length - 1) {
-          // Last proxy: connect to final target
+      this.activeConnections.add(currentSocket);
+      connectionInfo.steps.push({ ...step, success: true, timestamp: Date.now() });
+    };
+
+    try {
+      await connectFirstHop();
+
+      // Chain through the hops sequentially; the last one connects to the target.
+      // After a failover the step for hop i starts on a fresh connection.
+      let fresh = false;
+      let i = 0;
+      for (;;) {
+        const current = candidates[i][chosen[i]];
+        const currentProxy = current.proxy;
+        const next = i + 1 < candidates.length ? candidates[i + 1][chosen[i + 1]] : null;
+        const nextProxy = next && next.proxy;
+        const [address, port] = nextProxy ? [nextProxy.address, nextProxy.port] : [targetAddress, targetPort];
+
+        if (nextProxy) {
+          this.log(`Step ${i + 1}: Connecting through proxy ${currentProxy.address}:${currentProxy.port} to next proxy ${nextProxy.address}:${nextProxy.port}`);
+          step = {
+            step: i + 1,
+            type: 'proxy_to_proxy',
+            proxy: currentProxy,
+            candidate: current.index,
+            nextProxy: nextProxy.address + ':' + nextProxy.port,
+            attempts: []
+          };
+        } else {
           this.log(`Step ${i + 1}: Connecting through last proxy to target ${targetAddress}:${targetPort}`);
-          
-          const result = await this._connectThroughProxy(
-            currentSocket,
-            currentProxy,
-            targetAddress,
-            targetPort
-          );
-          
-          connectionInfo.steps.push({
+          step = {
             step: i + 1,
             type: 'proxy_to_target',
             proxy: currentProxy,
+            candidate: current.index,
             target: `${targetAddress}:${targetPort}`,
-            success: true,
-            timestamp: Date.now()
-          });
-          
+            attempts: []
+          };
+        }
+
+        const label = `${currentProxy.type.toUpperCase()} handshake with ${currentProxy.address}:${currentProxy.port}`;
+        const retries = hasAlternative(i) || hasAlternative(i + 1) ? 0 : maxRetries;
+        const started = Date.now();
+        let result;
+
+        try {
+          result = await this._runWithRetries(step, retries, signal, label, () => currentSocket,
+            async (attempt, stepSignal) => {
+              currentSocket = attempt === 0 && !fresh
+                ? await this._secureHop(currentSocket, currentProxy)
+                : await reconnectTo(i, stepSignal)();
+
+              // A resolved name is kept for the step's retries
+              const hopAddress = step.resolved || await this._hopAddress(chain, currentProxy, address, stepSignal);
+              if (hopAddress !== address) {
+                step.resolved = hopAddress;
+              }
+              const reply = await this._connectThroughProxy(
+                currentSocket,
+                currentProxy,
+                hopAddress,
+                port,
+                reconnectTo(i, stepSignal),
+                stepSignal
+              );
+              currentSocket = this._adoptSocket(currentSocket, reply.socket);
+              return reply;
+            });
+        } catch (error) {
+          // Replace the next hop's proxy if this one could not reach it, else this hop's.
+          // Failing that, drop the dead hop; a refusal on the last hop is the target's.
+          const refused = classifyError(error) === 'refused';
+          let failing = nextProxy && hasAlternative(i + 1) && refused
+            ? i + 1
+            : hasAlternative(i) ? i : -1;
+          if (signal?.aborted) {
+            throw error;
+          }
+
+          if (failing >= 0) {
+            this._recordFailover(connectionInfo, hops[failing], candidates[failing][chosen[failing]], error);
+            chosen[failing]++;
+          } else if (canSkip() && (nextProxy || !refused)) {
+            failing = nextProxy && refused ? i + 1 : i;
+            skip(failing, error);
+          } else {
+            throw error;
+          }
+
+          // Go back to the step that reaches the replaced proxy, or the one
+          // after a dropped hop, and redo it on a fresh connection; the first
+          // hop is reached directly
+          connectionInfo.steps.length = failing;
+          if (failing === 0) {
+            this.releaseConnection(currentSocket);
+            currentSocket = null;
+            await connectFirstHop();
+            fresh = false;
+            i = 0;
+          } else {
+            fresh = true;
+            i = failing - 1;
+          }
+          continue;
+        }
+
+        fresh = false;
+        if (nextProxy && step.attempts.length === 0) {
+          this.recordLatency(nextProxy, Date.now() - started);
+        }
+        connectionInfo.steps.push({ ...step, success: true, timestamp: Date.now() });
+
+        if (!nextProxy) {
+          connectionInfo.hops = hops.map(index => index + 1);
           return {
             socket: currentSocket,
             bindAddress: result.address,
             bindPort: result.port
           };
-          
-        } else {
-          // Intermediate proxy: connect to next proxy
-          const nextProxy = chain.proxies[i + 1];
-          this.log(`Step ${i + 1}: Connecting through proxy ${currentProxy.address}:${currentProxy.port} to next proxy ${nextProxy.address}:${nextProxy.port}`);
-          
-          await this._connectThroughProxy(
-            currentSocket,
-            currentProxy,
-            nextProxy.address,
-            nextProxy.port
-          );
-          
-          connectionInfo.steps.push({
-            step: i + 1,
-            type: 'proxy_to_proxy',
-            proxy: currentProxy,
-            nextProxy: nextProxy.address + ':' + nextProxy.port,
-            success: true,
-            timestamp: Date.now()
-          });
         }
+        i++;
       }
 
     } catch (error) {
+      connectionInfo.hops = hops.map(index => index + 1);
+      connectionInfo.steps.push({
+        ...step,
+        success: false,
+        error: error.message,
+        timedOut: error instanceof TimeoutError,
+        timestamp: Date.now()
+      });
+
       if (currentSocket) {
         this._cleanupSocket(currentSocket);
         this.activeConnections.delete(currentSocket);
@@ -209,94 +633,393 @@ export class ProxyChainEngine {
   }
 
   /**
-   * Create direct TCP connection to a proxy
+   * Pick the chain's hops a connection goes through, as indexes into chain.proxies
+   *
+   * 'random' mode takes `chainLength` hops (all of them by default) in a new
+   * random order for each connection; the other modes take every hop in order.
    * @private
    */
-  async _createDirectConnection(proxy) {
-    const timeoutId = setTimeout(() => {
-      // This will be handled by the socket's own timeout
+  _selectHops(chain) {
+    const hops = chain.proxies.map((hop, index) => index);
+    if (chain.mode !== 'random') {
+      return hops;
+    }
+
+    for (let i = hops.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [hops[i], hops[j]] = [hops[j], hops[i]];
+    }
+    return hops.slice(0, chain.chainLength || hops.length);
+  }
+
+  /**
+   * List a hop's proxy and alternates in the order its selection policy tries them
+   * @private
+   * @returns {Object[]} { proxy, index } with index 0 for the hop's own proxy, n for alternate n
+   */
+  _orderCandidates(chain, hop, hopIndex) {
+    const { alternates = [], selection = 'failover', ...primary } = hop;
+    const candidates = [primary, ...alternates].map((proxy, index) => ({ proxy, index }));
+    if (candidates.length === 1) {
+      return candidates;
+    }
+
+    switch (selection) {
+      case 'round-robin': {
+        const key = `${chain.id}:${hopIndex}`;
+        const start = (this.rotation.get(key) || 0) % candidates.length;
+        this.rotation.set(key, start + 1);
+        return [...candidates.slice(start), ...candidates.slice(0, start)];
+      }
+
+      case 'random':
+        for (let i = candidates.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        return candidates;
+
+      case 'latency': {
+        // Unmeasured proxies go last, in their configured order
+        const latency = ({ proxy }) => this.latencies.get(proxyKey(proxy)) ?? Infinity;
+        return candidates.sort((a, b) => latency(a) === latency(b) ? 0 : latency(a) < latency(b) ? -1 : 1);
+      }
+
+      default:
+        return candidates;
+    }
+  }
+
+  /**
+   * Note a candidate that was given up, before the next one is tried
+   * @private
+   */
+  _recordFailover(connectionInfo, hopIndex, candidate, error) {
+    const { address, port } = candidate.proxy;
+    const errorClass = classifyError(error);
+    this.log(`Hop ${hopIndex + 1}: giving up on ${address}:${port} (${errorClass}), trying the next alternate: ${error.message}`);
+
+    connectionInfo.failovers.push({
+      hop: hopIndex + 1,
+      candidate: candidate.index,
+      proxy: `${address}:${port}`,
+      error: error.message,
+      errorClass,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Note a dead hop that a 'dynamic' chain leaves out
+   * @private
+   */
+  _recordSkip(connectionInfo, hopIndex, candidate, error) {
+    const { address, port } = candidate.proxy;
+    const errorClass = classifyError(error);
+    this.log(`Hop ${hopIndex + 1}: skipping ${address}:${port} (${errorClass}): ${error.message}`);
+
+    connectionInfo.skipped.push({
+      hop: hopIndex + 1,
+      proxy: `${address}:${port}`,
+      error: error.message,
+      errorClass,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Run a step until an attempt succeeds or the retry policy gives up
+   *
+   * Each attempt gets its own deadline. Between attempts the engine backs
+   * off exponentially from retryDelay, up to retryMaxDelay, with part of
+   * the delay randomised so that many clients do not retry in step. An
+   * aborted build is never retried.
+   * @private
+   * @param {Object} step - Step record; failed attempts are appended to step.attempts
+   * @param {number} maxRetries - Attempts allowed after the first
+   * @param {AbortSignal} signal - Signal of the whole build
+   * @param {string} label - Names the step in messages
+   * @param {Function} getSocket - Returns the step's current socket, if any
+   * @param {Function} attempt - (attemptIndex, stepSignal) => Promise for one attempt
+   */
+  async _runWithRetries(step, maxRetries, signal, label, getSocket, attempt) {
+    for (let index = 0; ; index++) {
+      try {
+        return await this._runStep(label, signal, getSocket, (stepSignal) => attempt(index, stepSignal));
+      } catch (error) {
+        const errorClass = classifyError(error);
+        const retry = index < maxRetries && this.config.retryOn[errorClass] && !signal?.aborted;
+        const delay = retry ? this._retryDelay(index) : null;
+
+        step.attempts.push({ error: error.message, errorClass, delay, timestamp: Date.now() });
+
+        if (!retry) {
+          if (index === 0) {
+            throw error;
+          }
+          const ErrorType = error instanceof TimeoutError ? TimeoutError : Error;
+          throw new ErrorType(`Failed after ${index + 1} attempts: ${error.message}`, { cause: error });
+        }
+
+        this.log(`${label} failed (${errorClass}), retrying in ${delay}ms (${index + 1}/${maxRetries}): ${error.message}`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Backoff before retry number `index` + 1
+   * @private
+   */
+  _retryDelay(index) {
+    const { retryDelay, retryMaxDelay, retryJitter } = this.config;
+    const delay = Math.min(retryMaxDelay, retryDelay * 2 ** index);
+    return Math.round(delay * (1 - retryJitter * Math.random()));
+  }
+
+  /**
+   * Run one step of a build under the `connectionTimeout` deadline
+   *
+   * When the deadline passes or the build signal aborts, the step's socket
+   * is destroyed so that whatever the handler is waiting on fails, and the
+   * step rejects with the abort reason.
+   * @private
+   * @param {string} label - Names the step in the timeout message
+   * @param {AbortSignal} [signal] - Signal of the whole build
+   * @param {Function} getSocket - Returns the step's current socket, if any
+   * @param {Function} task - (stepSignal) => Promise for the step's work
+   */
+  async _runStep(label, signal, getSocket, task) {
+    const step = new AbortController();
+    const cancel = () => step.abort(signal.reason);
+    const timer = setTimeout(() => {
+      step.abort(new TimeoutError(`${label} timed out after ${this.config.connectionTimeout}ms`));
     }, this.config.connectionTimeout);
 
+    step.signal.addEventListener('abort', () => {
+      this.log(`${label} aborted: ${step.signal.reason?.message}`);
+      getSocket()?.destroy?.(step.signal.reason);
+    });
+
+    if (signal?.aborted) {
+      cancel();
+    } else {
+      signal?.addEventListener('abort', cancel, { once: true });
+    }
+
     try {
-      const socket = new TCPSocket(proxy.address, proxy.port);
-      
-      // Set up event listeners
-      socket.addEventListener('opened', () => {
-        clearTimeout(timeoutId);
-        this.log(`Direct connection established to ${proxy.address}:${proxy.port}`);
-      });
+      return await abortable(task(step.signal), step.signal);
+    } catch (error) {
+      throw step.signal.aborted ? step.signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
 
-      socket.addEventListener('error', (error) => {
-        clearTimeout(timeoutId);
-        throw new Error(`Failed to connect to ${proxy.address}:${proxy.port}: ${error.message || error}`);
-      });
+  /**
+   * Create direct TCP connection to a proxy
+   *
+   * An abort closes the socket, including one still connecting.
+   * @private
+   */
+  async _createDirectConnection(proxy, signal) {
+    const socket = new TCPSocket(proxy.address, proxy.port);
+    const closeSocket = () => socket.close();
+    signal?.addEventListener('abort', closeSocket, { once: true });
 
-      // Connect to the proxy
-      await socket.connect();
-      
-      clearTimeout(timeoutId);
-      return socket;
-      
+    // A connect that completes after the abort is closed straight away
+    const connecting = socket.connect().then(() => {
+      if (signal?.aborted) {
+        socket.close();
+      }
+    });
+
+    try {
+      await abortable(connecting, signal);
+    } catch (error) {
+      throw new Error(`Failed to connect to ${proxy.address}:${proxy.port}: ${error.message || error}`, { cause: error });
+    } finally {
+      signal?.removeEventListener('abort', closeSocket);
+    }
+
+    this.log(`Direct connection established to ${proxy.address}:${proxy.port}`);
+    return new SocketStream(socket);
+  }
+
+  /**
+   * Open a new connection to hop `index` of a chain, through the hops before it
+   * @private
+   */
+  async _reconnectToHop(chain, index, signal) {
+    const proxy = chain.proxies[index];
+    this.log(`Reconnecting to proxy ${proxy.address}:${proxy.port}`);
+
+    let socket;
+    if (index === 0) {
+      socket = await this._createDirectConnection(proxy, signal);
+      this.activeConnections.add(socket);
+    } else {
+      // Those hops just worked, so they get one attempt each: retrying them
+      // here as well would multiply the attempts of the step being retried
+      const leadingHops = { ...chain, proxies: chain.proxies.slice(0, index) };
+      ({ socket } = await this._buildChainInternal(leadingHops, proxy.address, proxy.port, { steps: [], failovers: [], skipped: [] }, signal, 0));
+    }
+
+    // The caller's step cannot see this socket until it is returned
+    const release = () => this.releaseConnection(socket);
+    signal?.addEventListener('abort', release, { once: true });
+
+    try {
+      return await abortable(this._secureHop(socket, proxy), signal);
     } catch (error) {
-      clearTimeout(timeoutId);
+      release();
       throw error;
+    } finally {
+      signal?.removeEventListener('abort', release);
+    }
+  }
+
+  /**
+   * Negotiate TLS with an HTTPS proxy over the socket that reaches it
+   * @private
+   */
+  async _secureHop(socket, proxy) {
+    if (!this._getProtocol(proxy).capabilities.tls) {
+      return socket;
+    }
+
+    this.log(`Negotiating TLS with ${proxy.address}:${proxy.port}`);
+    const tlsSocket = new TLSSocket(socket, { servername: proxy.address, pins: proxy.tlsPins });
+    await tlsSocket.handshake();
+
+    this.log(`TLS established with ${proxy.address} (${tlsSocket.cipherSuite})`);
+    return this._adoptSocket(socket, tlsSocket);
+  }
+
+  /**
+   * Continue on a socket that wraps the current one (TLS, a tunnel, or an
+   * authentication method that encapsulates traffic)
+   * @private
+   * @returns {SocketStream} Stream over the replacement
+   */
+  _adoptSocket(socket, replacement) {
+    if (!replacement || replacement === socket) {
+      return socket;
     }
+
+    const stream = SocketStream.from(replacement);
+    this.activeConnections.delete(socket);
+    this.activeConnections.add(stream);
+    return stream;
   }
 
   /**
    * Connect through a proxy to a target
    * @private
    */
-  async _connectThroughProxy(socket, proxy, targetAddress, targetPort) {
-    const protocolHandler = this._getProtocolHandler(proxy.type);
-    
-    let retryCount = 0;
-    while (retryCount <= this.config.maxRetries) {
-      try {
-        const auth = (proxy.username && proxy.password) ? {
-          username: proxy.username,
-          password: proxy.password
-        } : undefined;
-
-        this.log(`Using ${proxy.type.toUpperCase()} protocol to connect to ${targetAddress}:${targetPort}`);
-        
-        const result = await protocolHandler.connect(targetAddress, targetPort, socket, auth);
-        
-        this.log(`${proxy.type.toUpperCase()} connection successful`);
-        return result;
-        
-      } catch (error) {
-        retryCount++;
-        
-        if (retryCount <= this.config.maxRetries) {
-          this.log(`${proxy.type.toUpperCase()} connection failed, retrying (${retryCount}/${this.config.maxRetries}): ${error.message}`);
-          await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
-        } else {
-          throw new Error(`${proxy.type.toUpperCase()} connection failed after ${this.config.maxRetries} retries: ${error.message}`);
-        }
+  async _connectThroughProxy(socket, proxy, targetAddress, targetPort, reconnect, signal) {
+    const protocolHandler = this._getProtocolHandler(proxy);
+    const auth = await this._resolveAuth(proxy);
+
+    this.log(`Using ${proxy.type.toUpperCase()} protocol to connect to ${targetAddress}:${targetPort}`);
+    const result = await protocolHandler.connect(targetAddress, targetPort, socket, auth, { reconnect, signal });
+
+    this.log(`${proxy.type.toUpperCase()} connection successful`);
+    return result;
+  }
+
+  /**
+   * Address a hop is asked to connect to, for the next hop or the target
+   *
+   * Under the chain's `dns` policy hostnames are passed on for the proxy to
+   * resolve ('remote'), resolved with config.hostResolver ('local') or over
+   * DNS-over-HTTPS through the chain with config.dohResolver ('doh'). A
+   * 'remote' chain's hop whose protocol cannot take hostnames gets them
+   * resolved over DoH when a DoH server is set, else locally. The hop gets
+   * the first IPv4 address, as every protocol can address IPv4, or else the
+   * first one.
+   * @private
+   */
+  async _hopAddress(chain, proxy, address, signal) {
+    const policy = chain.dns || 'remote';
+    if (isIpLiteral(address) || (policy === 'remote' && this._getProtocol(proxy).capabilities.hostnames)) {
+      return address;
+    }
+
+    let addresses = null;
+    if (policy !== 'local' && this.config.dohResolver) {
+      addresses = await this.config.dohResolver(address, chain, { signal });
+    }
+    if (addresses === null && policy === 'doh') {
+      throw new Error(`Cannot resolve ${address}: no DNS-over-HTTPS server is configured`);
+    }
+    if (addresses === null) {
+      if (!this.config.hostResolver) {
+        throw new Error(`Cannot resolve ${address}: no host resolver is configured`);
       }
+      addresses = await this.config.hostResolver(address);
     }
+
+    if (!addresses || addresses.length === 0) {
+      throw new Error(`Could not resolve ${address}`);
+    }
+    const resolved = addresses.find(candidate => !candidate.includes(':')) || addresses[0];
+    this.log(`Resolved ${address} to ${resolved} for ${proxy.address}:${proxy.port}`);
+    return resolved;
   }
 
   /**
-   * Get appropriate protocol handler for proxy type
+   * Resolve the credentials for a proxy
+   * Proxies reference vault entries by credentialId; inline username/password
+   * fields are only read for chains saved before the vault existed.
    * @private
    */
-  _getProtocolHandler(proxyType) {
-    switch (proxyType.toLowerCase()) {
-      case 'socks5':
-        return new SOCKS5Protocol();
-      
-      case 'socks4':
-        return new SOCKS4Protocol();
-      
-      case 'http':
-      case 'https':
-        return new HttpConnectProtocol();
-      
-      default:
-        throw new Error(`Unsupported proxy type: ${proxyType}`);
+  async _resolveAuth(proxy) {
+    let credentials = proxy;
+
+    if (proxy.credentialId) {
+      if (!this.config.credentialResolver) {
+        throw new Error('Proxy requires stored credentials but no credential resolver is configured');
+      }
+      credentials = await this.config.credentialResolver(proxy.credentialId);
+    }
+
+    const auth = {};
+    if (credentials.username && credentials.password) {
+      auth.username = credentials.username;
+      auth.password = credentials.password;
+    } else if (credentials.password) {
+      // Key-only protocols such as Shadowsocks; the others ignore a lone password
+      auth.password = credentials.password;
+    }
+
+    // SOCKS4 identifies the user by a plain user ID kept on the proxy itself
+    if (proxy.userid) {
+      auth.userid = proxy.userid;
+    }
+
+    return Object.keys(auth).length > 0 ? auth : undefined;
+  }
+
+  /**
+   * Look up the registered protocol for a proxy
+   * @private
+   */
+  _getProtocol(proxy) {
+    const protocol = getProtocol(proxy.type.toLowerCase());
+    if (!protocol) {
+      throw new Error(`Unsupported proxy type: ${proxy.type}`);
     }
+    return protocol;
+  }
+
+  /**
+   * Create a protocol handler for a proxy
+   * @private
+   */
+  _getProtocolHandler(proxy) {
+    return this._getProtocol(proxy).createHandler(proxy);
   }
 
   /**
@@ -314,6 +1037,64 @@ export class ProxyChainEngine {
     }
   }
 
+  /**
+   * Time a connection to a single proxy, without going through any other hop
+   *
+   * Opens a TCP connection to the proxy, and TLS for protocols that use it,
+   * within `connectionTimeout`, then closes it again. No request is sent, so
+   * this shows the proxy is up but not that it accepts our credentials. The
+   * time is not added to the latency averages, which are measured through
+   * the chain.
+   * @param {Object} proxy - Proxy to reach
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the probe
+   * @returns {Promise<number>} Milliseconds it took
+   * @throws {Error} If the proxy cannot be reached; a TimeoutError if it took too long
+   */
+  async probeProxy(proxy, options = {}) {
+    const started = Date.now();
+    let socket = null;
+
+    try {
+      await this._runStep(`Connecting to ${proxy.address}:${proxy.port}`, options.signal, () => socket,
+        async (stepSignal) => {
+          socket = await this._createDirectConnection(proxy, stepSignal);
+          this.activeConnections.add(socket);
+          socket = await this._secureHop(socket, proxy);
+        });
+      return Date.now() - started;
+    } finally {
+      if (socket) {
+        this.activeConnections.delete(socket);
+        this._cleanupSocket(socket);
+      }
+    }
+  }
+
+  /**
+   * Add a measurement of the time it takes to reach a proxy
+   *
+   * The engine measures every proxy it reaches; the 'latency' selection
+   * policy tries a hop's candidates from the fastest running average.
+   * @param {Object} proxy - Proxy that was reached
+   * @param {number} ms - Time it took
+   */
+  recordLatency(proxy, ms) {
+    const key = proxyKey(proxy);
+    const previous = this.latencies.get(key);
+    this.latencies.set(key, previous === undefined ? ms : Math.round(previous + (ms - previous) * LATENCY_SMOOTHING));
+  }
+
+  /**
+   * Close a socket returned by buildChain and stop tracking it
+   * @param {Object} socket - Socket from a buildChain result
+   */
+  releaseConnection(socket) {
+    if (this.activeConnections.delete(socket)) {
+      this._cleanupSocket(socket);
+    }
+  }
+
   /**
    * Close all active connections
    */
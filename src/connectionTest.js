@@ -0,0 +1,349 @@
+/**
+ * End-to-end connection tests
+ *
+ * A chain only works if data crosses it in both directions, which the last
+ * hop accepting the CONNECT does not show. A test builds the chain to a
+ * target, sends a real request through the tunnel and checks the reply:
+ *
+ * - http://host[:port]/path sends an HTTP GET and needs a status line back
+ * - https://host[:port]/path sends a TLS ClientHello and needs a ServerHello
+ *   back. The handshake stops there, so the certificate is not checked.
+ * - host:port sends a TLS ClientHello and accepts any reply, so servers
+ *   speaking other protocols (or echoing) work as targets too
+ */
+
+import { SocketStream } from './stream.js';
+import { TimeoutError } from './chainEngine.js';
+
+// Time the target has to answer once the chain is built
+const DEFAULT_RESPONSE_TIMEOUT = 10000;
+
+// Longest HTTP status line or header block accepted
+const MAX_STATUS_LINE = 8192;
+
+// Longest body fetchHttp reads
+const MAX_BODY = 65536;
+
+const TLS_RECORD = { ALERT: 21, HANDSHAKE: 22 };
+const TLS_SERVER_HELLO = 2;
+
+// Offered in the ClientHello: TLS 1.3 suites, then ECDHE suites for TLS 1.2 servers
+const CIPHER_SUITES = [0x1301, 0x1302, 0x1303, 0xc02b, 0xc02f, 0xc02c, 0xc030];
+const SIGNATURE_ALGORITHMS = [0x0403, 0x0503, 0x0804, 0x0805, 0x0401, 0x0501];
+const SUPPORTED_GROUPS = [0x001d, 0x0017, 0x0018];
+
+/**
+ * Parse a test target
+ * @param {string} input - host:port ([v6]:port for IPv6), or an http:// or https:// URL
+ * @returns {Object} { target, type: 'http'|'https'|'tcp', host, port, path, hostHeader },
+ *   where target is the normalized input; path and hostHeader are for URLs only
+ * @throws {Error} If the target is not valid
+ */
+export function parseTestTarget(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(text)) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw new Error(`Invalid test target URL: ${text}`, { cause: error });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Test target URLs must be http or https: ${text}`);
+    }
+
+    const type = url.protocol.slice(0, -1);
+    return {
+      target: url.href,
+      type,
+      host: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+      port: Number(url.port) || (type === 'https' ? 443 : 80),
+      path: url.pathname + url.search,
+      hostHeader: url.host
+    };
+  }
+
+  const match = text.match(/^(?:\[([\da-f:.]+)\]|([^\s:/[\]]+)):(\d{1,5})$/i);
+  const port = match ? Number(match[3]) : 0;
+  if (port < 1 || port > 65535) {
+    throw new Error(`Test target must be host:port or an http(s) URL: ${text || '(empty)'}`);
+  }
+
+  return { target: text, type: 'tcp', host: match[1] || match[2], port };
+}
+
+/**
+ * Build a chain to a target, exchange a request with it and close it again
+ *
+ * Never throws; a failed test has success: false and the error.
+ * @param {ProxyChainEngine} engine - Engine that builds the chain
+ * @param {ProxyChain} chain - Chain to test
+ * @param {string|Object} target - Target string, or one parsed by parseTestTarget
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the test
+ * @param {number} [options.timeout] - Milliseconds the target has to answer
+ * @returns {Promise<Object>} { target, success, response, connectTime, responseTime, hops, error,
+ *   connectionInfo }, where response describes the reply (e.g. 'HTTP 200 OK') and hops is from hopTimings
+ */
+export async function runConnectionTest(engine, chain, target, options = {}) {
+  const result = {
+    target: typeof target === 'string' ? target : target.target,
+    success: false,
+    response: null,
+    connectTime: null,
+    responseTime: null,
+    hops: [],
+    error: null,
+    connectionInfo: null
+  };
+
+  let socket = null;
+  try {
+    const parsed = typeof target === 'string' ? parseTestTarget(target) : target;
+    result.target = parsed.target;
+
+    const started = Date.now();
+    const built = await engine.buildChain(chain, parsed.host, parsed.port, { signal: options.signal });
+    socket = built.socket;
+    result.connectionInfo = built.connectionInfo;
+    result.connectTime = Date.now() - started;
+
+    const sent = Date.now();
+    result.response = await exchange(SocketStream.from(socket), parsed, options);
+    result.responseTime = Date.now() - sent;
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+    result.connectionInfo = result.connectionInfo || error.connectionInfo || null;
+  } finally {
+    if (socket) {
+      engine.releaseConnection(socket);
+    }
+  }
+
+  result.hops = hopTimings(result.connectionInfo);
+  return result;
+}
+
+/**
+ * Time each hop of a chain build
+ * @param {Object|null} connectionInfo - From buildChain, or a build error
+ * @returns {Object[]} { step, hop, type, proxy, candidate, success, duration } per step, where
+ *   hop is the chain's hop (numbered from 1) that proxy belongs to, proxy is 'type://address:port'
+ *   and duration the milliseconds since the previous step finished
+ */
+export function hopTimings(connectionInfo) {
+  if (!connectionInfo) {
+    return [];
+  }
+
+  let previous = connectionInfo.startTime;
+  return connectionInfo.steps.map(step => {
+    const timing = {
+      step: step.step,
+      hop: connectionInfo.hops[step.step - 1] || step.step,
+      type: step.type,
+      proxy: `${step.proxy.type}://${step.proxy.address}:${step.proxy.port}`,
+      candidate: step.candidate,
+      success: step.success,
+      duration: step.timestamp - previous
+    };
+    previous = step.timestamp;
+    return timing;
+  });
+}
+
+/**
+ * Fetch an http:// target over a connected tunnel
+ *
+ * Bodies sent with Content-Length, chunked or until the connection closes
+ * are all read, up to maxBody bytes.
+ * @param {Object} socket - Tunnel to the target's host and port
+ * @param {Object} target - http target parsed by parseTestTarget
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Milliseconds the whole response may take
+ * @param {number} [options.maxBody] - Longest body accepted (default 64 KiB)
+ * @param {string} [options.accept] - Accept header (default any type)
+ * @param {boolean} [options.binary] - Return the body as bytes rather than text
+ * @returns {Promise<Object>} { status, reason, headers, body }, header names in lower case
+ * @throws {Error} If the reply is not HTTP, too long or late
+ */
+export async function fetchHttp(socket, target, options = {}) {
+  const stream = SocketStream.from(socket);
+  const maxBody = options.maxBody || MAX_BODY;
+
+  return withDeadline(stream, target, options, async () => {
+    const { status, reason } = await sendGet(stream, target, options.accept);
+
+    const headers = {};
+    for (let line = await readLine(stream); line; line = await readLine(stream)) {
+      const colon = line.indexOf(':');
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const chunks = [];
+    let length = 0;
+    const take = (bytes) => {
+      length += bytes.length;
+      if (length > maxBody) {
+        throw new Error(`Response body is longer than ${maxBody} bytes`);
+      }
+      chunks.push(bytes);
+    };
+
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+      for (;;) {
+        const size = parseInt(await readLine(stream), 16);
+        if (!(size > 0)) {
+          break;
+        }
+        take((await stream.readExactly(size + 2)).subarray(0, size));
+      }
+    } else if (headers['content-length'] !== undefined) {
+      const size = Number(headers['content-length']);
+      if (size > maxBody) {
+        throw new Error(`Response body is longer than ${maxBody} bytes`);
+      }
+      take(await stream.readExactly(size));
+    } else {
+      for (let data = await stream.read(); data; data = await stream.read()) {
+        take(data);
+      }
+    }
+
+    const body = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return { status, reason, headers, body: options.binary ? body : new TextDecoder().decode(body) };
+  });
+}
+
+/**
+ * Send the target's request and check its reply
+ * @private
+ * @returns {Promise<string>} Description of the reply
+ */
+function exchange(stream, target, options) {
+  return withDeadline(stream, target, options, async () => {
+    if (target.type === 'http') {
+      const { status, reason } = await sendGet(stream, target);
+      return `HTTP ${status}${reason ? ' ' + reason : ''}`;
+    }
+
+    await stream.write(buildClientHello(target.host));
+
+    if (target.type === 'tcp') {
+      const reply = await stream.read();
+      if (!reply) {
+        throw new Error('Target closed the connection without answering');
+      }
+      return isServerHello(reply) ? 'TLS ServerHello' : `${reply.length} bytes`;
+    }
+
+    const header = await stream.readExactly(6);
+    if (header[0] === TLS_RECORD.ALERT) {
+      const [description] = await stream.readExactly(1);
+      throw new Error(`Target answered with TLS alert ${description}`);
+    }
+    if (!isServerHello(header)) {
+      throw new Error('Target did not answer with a TLS ServerHello');
+    }
+    return 'TLS ServerHello';
+  });
+}
+
+/**
+ * Run reads and writes on a stream, destroying it if the target takes too
+ * long or the signal aborts
+ * @private
+ */
+async function withDeadline(stream, target, options, work) {
+  const timeout = options.timeout || DEFAULT_RESPONSE_TIMEOUT;
+  const fail = (error) => stream.destroy(error);
+  const timer = setTimeout(() => fail(new TimeoutError(`No response from ${target.target} within ${timeout}ms`)), timeout);
+  const cancel = () => fail(options.signal.reason);
+  options.signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    return await work();
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Send a GET for an http target and read the status line of the reply
+ * @private
+ * @returns {Promise<Object>} { status, reason }
+ */
+async function sendGet(stream, target, accept = '*/*') {
+  await stream.write(`GET ${target.path} HTTP/1.1\r\nHost: ${target.hostHeader}\r\n` +
+    `Accept: ${accept}\r\nConnection: close\r\n\r\n`);
+  const line = await readLine(stream);
+  const status = line.match(/^HTTP\/\d(?:\.\d)? (\d{3})(?: (.*))?$/);
+  if (!status) {
+    throw new Error(`Target did not answer with HTTP: ${line.slice(0, 40)}`);
+  }
+  return { status: Number(status[1]), reason: status[2] || '' };
+}
+
+/**
+ * Read a CRLF-terminated line, without the CRLF
+ * @private
+ */
+async function readLine(stream) {
+  return new TextDecoder().decode(await stream.readUntil('\r\n', MAX_STATUS_LINE)).slice(0, -2);
+}
+
+/**
+ * Whether bytes start with a TLS record carrying a ServerHello
+ * @private
+ */
+function isServerHello(bytes) {
+  return bytes.length >= 6 && bytes[0] === TLS_RECORD.HANDSHAKE && bytes[1] === 3 && bytes[5] === TLS_SERVER_HELLO;
+}
+
+/**
+ * Build a TLS ClientHello record that TLS 1.2 and 1.3 servers answer
+ *
+ * The key_share extension is left empty, which asks a TLS 1.3 server to
+ * pick a group in a HelloRetryRequest (itself a ServerHello); no keys are
+ * needed since the handshake goes no further.
+ * @private
+ * @param {string} servername - Sent as SNI unless it is an IP address
+ * @returns {Uint8Array}
+ */
+function buildClientHello(servername) {
+  const u16 = (values) => values.flatMap(value => [value >> 8, value & 0xff]);
+  const vector8 = (bytes) => [bytes.length, ...bytes];
+  const vector16 = (bytes) => [...u16([bytes.length]), ...bytes];
+  const extension = (type, body) => [...u16([type]), ...vector16(body)];
+
+  const isAddress = /^[\d.]+$/.test(servername) || servername.includes(':');
+  const extensions = [
+    ...(isAddress ? [] : extension(0, vector16([0, ...vector16([...new TextEncoder().encode(servername)])]))),
+    ...extension(10, vector16(u16(SUPPORTED_GROUPS))),
+    ...extension(11, vector8([0])),
+    ...extension(13, vector16(u16(SIGNATURE_ALGORITHMS))),
+    ...extension(43, vector8(u16([0x0304, 0x0303]))),
+    ...extension(51, vector16([]))
+  ];
+
+  const body = [
+    3, 3,
+    ...crypto.getRandomValues(new Uint8Array(32)),
+    ...vector8([...crypto.getRandomValues(new Uint8Array(32))]),
+    ...vector16(u16(CIPHER_SUITES)),
+    ...vector8([0]),
+    ...vector16(extensions)
+  ];
+  const handshake = [1, body.length >> 16, ...u16([body.length & 0xffff]), ...body];
+
+  return new Uint8Array([TLS_RECORD.HANDSHAKE, 3, 1, ...vector16(handshake)]);
+}
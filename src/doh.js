@@ -0,0 +1,351 @@
+/**
+ * DNS-over-HTTPS resolver (RFC 8484) that tunnels through a chain
+ *
+ * Each lookup sends wire-format DNS queries (RFC 1035) in a GET request to
+ * a DoH server reached through a chain built by the engine, so that names
+ * are resolved from the chain's exit rather than this device. Answers,
+ * including names that do not exist, are cached for their TTL.
+ *
+ * https:// servers are authenticated by pinned public keys, as HTTPS hops
+ * are. The connections to the server are built with the 'local' DNS
+ * policy: the server's own name and those of the proxies leading to it
+ * are looked up on this device, the bootstrap every DoH client needs.
+ */
+
+import { TimeoutError, abortable } from './chainEngine.js';
+import { parseTestTarget, fetchHttp } from './connectionTest.js';
+import { TLSSocket } from './tls.js';
+
+// Record types the resolver asks for or follows
+export const RECORD_TYPES = { A: 1, CNAME: 5, SOA: 6, AAAA: 28 };
+
+const CLASS_IN = 1;
+const FLAG_RESPONSE = 0x8000;
+const FLAG_RECURSION_DESIRED = 0x0100;
+
+// Response codes (RCODE) worth naming in errors; NXDOMAIN is an empty answer
+const RCODE = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+const RCODE_NAMES = Object.fromEntries(Object.entries(RCODE).map(([name, code]) => [code, name]));
+
+const DNS_MESSAGE_TYPE = 'application/dns-message';
+
+// Longest DNS message a response may carry
+const MAX_MESSAGE = 65535;
+
+// Time each query may take once the chain is built (ms)
+const DEFAULT_QUERY_TIMEOUT = 10000;
+
+// Bounds on how long answers are cached (seconds), and the TTL of a negative
+// answer without an SOA record to take it from
+const DEFAULT_MIN_TTL = 10;
+const DEFAULT_MAX_TTL = 3600;
+const DEFAULT_NEGATIVE_TTL = 60;
+
+// Names cached at most; the oldest entries are dropped first
+const DEFAULT_CACHE_SIZE = 512;
+
+/**
+ * Encode a query for one record type
+ *
+ * The ID is 0, as RFC 8484 recommends so that HTTP caches can share answers.
+ * @param {string} hostname - Name to look up, in ASCII (IDNs as punycode)
+ * @param {number} type - Record type, e.g. RECORD_TYPES.A
+ * @returns {Uint8Array} DNS message
+ * @throws {Error} If the name is not a valid DNS name
+ */
+export function encodeQuery(hostname, type) {
+  const labels = hostname.replace(/\.$/, '').split('.');
+  if (hostname.length > 253 || labels.some(label => !label || label.length > 63 || !/^[\x21-\x7e]+$/.test(label))) {
+    throw new Error(`Invalid hostname: ${hostname}`);
+  }
+
+  const name = labels.flatMap(label => [label.length, ...new TextEncoder().encode(label)]);
+  const message = new Uint8Array(12 + name.length + 5);
+  const view = new DataView(message.buffer);
+  view.setUint16(2, FLAG_RECURSION_DESIRED);
+  view.setUint16(4, 1);
+  message.set(name, 12);
+  view.setUint16(12 + name.length + 1, type);
+  view.setUint16(12 + name.length + 3, CLASS_IN);
+  return message;
+}
+
+/**
+ * Parse a DNS response
+ * @param {Uint8Array} message - DNS message
+ * @returns {Object} { rcode, answers, negativeTtl }, where answers are
+ *   { name, type, ttl, data } and data is an address for A and AAAA records
+ *   and a name for CNAME ones; negativeTtl is how long an empty answer may
+ *   be cached according to the authority's SOA record (RFC 2308), or null
+ * @throws {Error} If the message is malformed or not a response
+ */
+export function parseResponse(message) {
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+  const need = (offset, length) => {
+    if (offset + length > message.length) {
+      throw new Error('DNS response is truncated');
+    }
+  };
+
+  need(0, 12);
+  const flags = view.getUint16(2);
+  if (!(flags & FLAG_RESPONSE)) {
+    throw new Error('DNS message is not a response');
+  }
+  const counts = [4, 6, 8].map(offset => view.getUint16(offset));
+  let offset = 12;
+
+  // Names may point back to earlier ones (RFC 1035 section 4.1.4)
+  const readName = () => {
+    const labels = [];
+    let position = offset;
+    let jumped = false;
+    let jumps = 0;
+    for (;;) {
+      need(position, 1);
+      const length = message[position];
+      if (length === 0) {
+        position++;
+        break;
+      }
+      if ((length & 0xc0) === 0xc0) {
+        need(position, 2);
+        if (++jumps > 32) {
+          throw new Error('DNS response has a compression loop');
+        }
+        if (!jumped) {
+          offset = position + 2;
+          jumped = true;
+        }
+        position = view.getUint16(position) & 0x3fff;
+        continue;
+      }
+      need(position + 1, length);
+      labels.push(new TextDecoder().decode(message.subarray(position + 1, position + 1 + length)));
+      position += 1 + length;
+    }
+    if (!jumped) {
+      offset = position;
+    }
+    return labels.join('.').toLowerCase();
+  };
+
+  for (let i = 0; i < counts[0]; i++) {
+    readName();
+    need(offset, 4);
+    offset += 4;
+  }
+
+  const answers = [];
+  let negativeTtl = null;
+  for (let i = 0; i < counts[1] + counts[2]; i++) {
+    const name = readName();
+    need(offset, 10);
+    const type = view.getUint16(offset);
+    const ttl = view.getUint32(offset + 4);
+    const length = view.getUint16(offset + 8);
+    offset += 10;
+    need(offset, length);
+    const end = offset + length;
+
+    if (i < counts[1]) {
+      let data = null;
+      if (type === RECORD_TYPES.A && length === 4) {
+        data = Array.from(message.subarray(offset, end)).join('.');
+      } else if (type === RECORD_TYPES.AAAA && length === 16) {
+        data = Array.from({ length: 8 }, (_, group) => view.getUint16(offset + group * 2).toString(16)).join(':');
+      } else if (type === RECORD_TYPES.CNAME) {
+        data = readName();
+      }
+      answers.push({ name, type, ttl, data });
+    } else if (type === RECORD_TYPES.SOA) {
+      // MNAME and RNAME, then SERIAL, REFRESH, RETRY, EXPIRE and MINIMUM
+      readName();
+      readName();
+      need(offset, 20);
+      negativeTtl = Math.min(ttl, view.getUint32(offset + 16));
+    }
+    offset = end;
+  }
+
+  return { rcode: flags & 0x0f, answers, negativeTtl };
+}
+
+/**
+ * Resolver that sends its queries through a chain
+ */
+export class DohResolver {
+  /**
+   * @param {ProxyChainEngine} engine - Engine that builds the chains
+   * @param {Object} options
+   * @param {Function} options.loadServer - async () => { url, pins } of the DoH server, or null when
+   *   none is set; read for every lookup, so a new server takes effect at once
+   * @param {number} [options.timeout] - Milliseconds each query may take once the chain is built
+   * @param {number} [options.minTtl] - Shortest time answers are cached (seconds)
+   * @param {number} [options.maxTtl] - Longest time answers are cached (seconds)
+   * @param {number} [options.cacheSize] - Names cached at most
+   */
+  constructor(engine, options) {
+    this.engine = engine;
+    this.loadServer = options.loadServer;
+    this.timeout = options.timeout || DEFAULT_QUERY_TIMEOUT;
+    this.minTtl = options.minTtl ?? DEFAULT_MIN_TTL;
+    this.maxTtl = options.maxTtl ?? DEFAULT_MAX_TTL;
+    this.cacheSize = options.cacheSize || DEFAULT_CACHE_SIZE;
+    this.cache = new Map();    // hostname -> { addresses, expires }
+    this.pending = new Map();  // chain id and hostname -> { lookup, controller, waiting }
+    this.serverUrl = null;
+  }
+
+  /**
+   * Resolve a hostname through a chain
+   *
+   * The A record is asked for first, as every protocol can carry IPv4, and
+   * AAAA only when the name has none. Lookups of a name already in progress
+   * through the same chain are shared; each caller's signal only stops its
+   * own wait, and the queries are cancelled once every caller has stopped.
+   * @param {string} hostname - Name to resolve
+   * @param {ProxyChain} chain - Chain the queries go through
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup
+   * @returns {Promise<string[]|null>} Addresses, empty if the name has none,
+   *   or null when no DoH server is set
+   * @throws {Error} If the server cannot be reached or answers with an error
+   */
+  async resolve(hostname, chain, options = {}) {
+    const server = await this.loadServer();
+    if (!server) {
+      return null;
+    }
+
+    // Answers from another server are not reused
+    if (server.url !== this.serverUrl) {
+      this.clear();
+      this.serverUrl = server.url;
+    }
+
+    const name = hostname.toLowerCase().replace(/\.$/, '');
+    const cached = this.cache.get(name);
+    if (cached && cached.expires > Date.now()) {
+      return [...cached.addresses];
+    }
+
+    // A lookup through another chain may fail where this chain would not
+    const key = `${chain.id}\n${name}`;
+    let pending = this.pending.get(key);
+    if (!pending) {
+      const controller = new AbortController();
+      pending = { controller, waiting: 0 };
+      pending.lookup = this._lookup(name, server, chain, { signal: controller.signal })
+        .finally(() => this._forget(key, pending));
+      this.pending.set(key, pending);
+    }
+
+    pending.waiting++;
+    try {
+      return [...await abortable(pending.lookup, options.signal)];
+    } finally {
+      pending.waiting--;
+      if (pending.waiting === 0 && options.signal?.aborted) {
+        this._forget(key, pending);
+        pending.controller.abort(options.signal.reason);
+      }
+    }
+  }
+
+  /**
+   * Forget every cached answer
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Stop sharing a lookup, unless a newer one has taken its place
+   * @private
+   */
+  _forget(key, pending) {
+    if (this.pending.get(key) === pending) {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Query the A and, if needed, AAAA records of a name and cache the result
+   * @private
+   */
+  async _lookup(name, server, chain, options) {
+    let result = await this._query(name, RECORD_TYPES.A, server, chain, options);
+    if (result.addresses.length === 0 && result.exists) {
+      result = await this._query(name, RECORD_TYPES.AAAA, server, chain, options);
+    }
+
+    const ttl = Math.min(this.maxTtl, Math.max(this.minTtl, result.ttl));
+    this.cache.delete(name);
+    this.cache.set(name, { addresses: result.addresses, expires: Date.now() + ttl * 1000 });
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return result.addresses;
+  }
+
+  /**
+   * Send one query through a new connection to the server
+   * @private
+   * @returns {Promise<Object>} { addresses, ttl, exists }, ttl in seconds; exists is
+   *   false when the name does not exist (NXDOMAIN)
+   */
+  async _query(name, type, server, chain, options) {
+    const target = parseTestTarget(server.url);
+    const query = btoa(String.fromCharCode(...encodeQuery(name, type)))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    target.path += `${target.path.includes('?') ? '&' : '?'}dns=${query}`;
+
+    const { socket } = await this.engine.buildChain({ ...chain, dns: 'local' }, target.host, target.port,
+      { signal: options.signal });
+
+    // The deadline also covers the TLS handshake, which fails once the chain's stream is destroyed
+    const timer = setTimeout(() => {
+      socket.destroy(new TimeoutError(`DoH query for ${name} to ${target.host} timed out after ${this.timeout}ms`));
+    }, this.timeout);
+    let tunnel = socket;
+    try {
+      if (target.type === 'https') {
+        tunnel = new TLSSocket(socket, { servername: target.host, pins: server.pins });
+        await tunnel.handshake();
+      }
+
+      const response = await fetchHttp(tunnel, target, {
+        signal: options.signal,
+        timeout: this.timeout,
+        accept: DNS_MESSAGE_TYPE,
+        binary: true,
+        maxBody: MAX_MESSAGE
+      });
+      if (response.status !== 200) {
+        throw new Error(`DoH server answered HTTP ${response.status} ${response.reason}`.trim());
+      }
+      if (!(response.headers['content-type'] || '').startsWith(DNS_MESSAGE_TYPE)) {
+        throw new Error(`DoH server answered with ${response.headers['content-type'] || 'no content type'}, not a DNS message`);
+      }
+
+      const { rcode, answers, negativeTtl } = parseResponse(response.body);
+      if (rcode !== RCODE.NOERROR && rcode !== RCODE.NXDOMAIN) {
+        throw new Error(`DoH server could not resolve ${name}: ${RCODE_NAMES[rcode] || `RCODE ${rcode}`}`);
+      }
+
+      // The answer holds the CNAME records leading to the addresses, if any
+      const addresses = answers.filter(answer => answer.type === type && answer.data).map(answer => answer.data);
+      const ttl = addresses.length > 0
+        ? Math.min(...answers.map(answer => answer.ttl))
+        : negativeTtl ?? DEFAULT_NEGATIVE_TTL;
+      return { addresses, ttl, exists: rcode === RCODE.NOERROR };
+    } finally {
+      clearTimeout(timer);
+      if (tunnel !== socket) {
+        tunnel.close();
+      }
+      this.engine.releaseConnection(socket);
+    }
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Event listeners for sockets and tunnels
+ *
+ * Every socket-like class (TCPSocket, SocketStream, TLSSocket, SSHSocket, ...)
+ * reports 'data', 'error', 'closed' and similar events the same way, so the
+ * protocol handlers can treat them alike. They extend EventEmitter for it.
+ */
+
+/**
+ * Listener registry with addEventListener, removeEventListener and _emit
+ */
+export class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler function
+   */
+  addEventListener(event, handler) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(handler);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler function
+   */
+  removeEventListener(event, handler) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      const index = listeners.indexOf(handler);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to all listeners; a handler that throws does not stop the others
+   * @protected
+   */
+  _emit(event, ...args) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      // Handlers may remove themselves while the event is delivered
+      listeners.slice().forEach(handler => {
+        try {
+          handler(...args);
+        } catch (error) {
+          console.error(`Error in ${event} event handler:`, error);
+        }
+      });
+    }
+  }
+}
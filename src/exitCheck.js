@@ -0,0 +1,270 @@
+/**
+ * Exit address and leak check
+ *
+ * Fetches an IP echo endpoint (a page that answers with the address it was
+ * reached from) once through a chain and once directly. The chain's answer
+ * should be the egress address of its last hop, and must not be the
+ * device's own. Browser settings that let traffic or DNS lookups bypass
+ * the proxy are reported alongside.
+ *
+ * A hop's egress is its `egressIp` when set (for proxies whose outbound
+ * connections come from another address than the one they listen on),
+ * otherwise its address, resolved if it is a hostname.
+ */
+
+import { TCPSocket } from './socket.js';
+import { TimeoutError } from './chainEngine.js';
+import { parseTestTarget, fetchHttp } from './connectionTest.js';
+import { getProtocol } from './protocols.js';
+
+// Time the direct connection to the endpoint may take
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+// WebRTC IP handling policies that keep WebRTC from using non-proxied UDP
+const PROXIED_WEBRTC_POLICIES = ['disable_non_proxied_udp', 'proxy_only'];
+
+/**
+ * Whether a string is an IPv4 or IPv6 address
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isIpAddress(text) {
+  return /^(?:\d{1,3}\.){3}\d{1,3}$/.test(text) || (text.includes(':') && /^[\da-f:.]+$/i.test(text));
+}
+
+/**
+ * Find the address in an IP echo response
+ * @param {string} body - Plain text, or JSON with an ip, origin or query member
+ * @returns {string} The address
+ * @throws {Error} If the body holds no address
+ */
+export function extractIp(body) {
+  const text = body.trim();
+  try {
+    const data = JSON.parse(text);
+    const value = data && (data.ip || data.origin || data.query);
+    if (typeof value === 'string' && isIpAddress(value.split(',')[0].trim())) {
+      return value.split(',')[0].trim().toLowerCase();
+    }
+  } catch (error) {
+    // Not JSON; look for an address in the text
+  }
+
+  const match = text.match(/(?:\d{1,3}\.){3}\d{1,3}|(?:[\da-f]{0,4}:){2,7}[\da-f]{0,4}/i);
+  if (!match || !isIpAddress(match[0])) {
+    throw new Error(`IP echo endpoint did not answer with an address: ${text.slice(0, 40)}`);
+  }
+  return match[0].toLowerCase();
+}
+
+/**
+ * Proxies given addresses for names resolved on this device under the 'remote' DNS policy
+ *
+ * A hop whose protocol cannot take hostnames is given the next hop's
+ * address, a lookup only when that hop is named by hostname, or the target,
+ * which usually is one. Outside strict mode hops may be left out, so any hop
+ * may be last.
+ * @param {ProxyChain} chain
+ * @returns {Proxy[]}
+ */
+function hopsResolvedLocally(chain) {
+  const strict = !chain.mode || chain.mode === 'strict';
+  return chain.proxies.flatMap((hop, index) => {
+    const next = strict ? chain.proxies[index + 1] : null;
+    if (next && [next, ...(next.alternates || [])].every(proxy => isIpAddress(proxy.address))) {
+      return [];
+    }
+    return [hop, ...(hop.alternates || [])].filter(proxy => {
+      const protocol = getProtocol(proxy.type);
+      return protocol && !protocol.capabilities.hostnames;
+    });
+  });
+}
+
+/**
+ * Find conditions that let traffic or DNS lookups leave outside the chain
+ * @param {ProxyChain} chain - Chain requests are routed through
+ * @param {Object|null} privacy - Browser settings, null if they cannot be read:
+ *   { webRTCIPHandlingPolicy, peerConnectionEnabled, networkPredictionEnabled }
+ * @param {boolean} [doh] - Whether a DoH server is set, which resolves names for hops that
+ *   cannot take them
+ * @returns {Object[]} Issues, { kind: 'webrtc'|'dns', severity: 'leak'|'warning', message }
+ */
+export function assessLeaks(chain, privacy, doh = false) {
+  const issues = [];
+
+  if (!privacy) {
+    issues.push({ kind: 'webrtc', severity: 'warning', message: 'WebRTC settings could not be read' });
+  } else if (privacy.peerConnectionEnabled !== false &&
+      !PROXIED_WEBRTC_POLICIES.includes(privacy.webRTCIPHandlingPolicy)) {
+    issues.push({
+      kind: 'webrtc',
+      severity: 'leak',
+      message: 'WebRTC can send UDP around the proxy and reveal this device\'s addresses'
+    });
+  }
+
+  // The 'doh' policy never resolves on this device, and 'remote' only for hops that cannot take hostnames
+  const policy = chain.dns || 'remote';
+  const local = policy === 'remote' && !doh ? hopsResolvedLocally(chain) : [];
+  if (policy === 'local') {
+    issues.push({
+      kind: 'dns',
+      severity: 'warning',
+      message: 'The chain\'s DNS policy resolves hostnames on this device'
+    });
+  } else if (local.length > 0) {
+    issues.push({
+      kind: 'dns',
+      severity: 'leak',
+      message: `Hostnames are resolved on this device for ${local.map(proxy => `${proxy.address}:${proxy.port}`).join(', ')}`
+    });
+  }
+
+  if (privacy && privacy.networkPredictionEnabled) {
+    issues.push({
+      kind: 'dns',
+      severity: 'warning',
+      message: 'Network prediction may resolve hostnames of links on this device'
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check a chain's exit address and the browser's leak conditions
+ *
+ * The direct fetch needs the sockets.tcp permission; without it directIp
+ * is null and directError says why.
+ * @param {ProxyChainEngine} engine - Engine that builds the chain
+ * @param {ProxyChain} chain - Chain to check
+ * @param {Object} options
+ * @param {string} options.endpoint - http:// URL of the IP echo endpoint
+ * @param {Function} [options.resolve] - async (hostname) => addresses, for hops given by name
+ * @param {Object|null} [options.privacy] - Browser settings (see assessLeaks)
+ * @param {boolean} [options.doh] - Whether a DoH server is set (see assessLeaks)
+ * @param {number} [options.timeout] - Milliseconds each fetch may take once connected
+ * @returns {Promise<Object>} { checkedAt, endpoint, exitIp, directIp, directError, exitHop,
+ *   matchedHop, status: 'ok'|'warning'|'leak', issues, connectionInfo }, where exitHop is the
+ *   chain's last hop on the route (numbered from 1) and matchedHop the hop whose egress the
+ *   exit address is, or null
+ * @throws {Error} If the endpoint cannot be fetched through the chain
+ */
+export async function checkExit(engine, chain, options) {
+  const target = parseTestTarget(options.endpoint);
+  if (target.type !== 'http') {
+    throw new Error('IP echo endpoint must be an http:// URL');
+  }
+
+  const [throughChain, direct] = await Promise.all([
+    fetchThroughChain(engine, chain, target, options),
+    fetchDirect(target, options).then(ip => ({ ip }), error => ({ error: error.message }))
+  ]);
+  const { exitIp, connectionInfo } = throughChain;
+
+  // The route's hops in order, each with the proxy that carried it
+  const route = connectionInfo.steps
+    .filter(step => step.type !== 'direct')
+    .map(step => ({ hop: connectionInfo.hops[step.step - 1], proxy: step.proxy }));
+  const egress = await Promise.all(route.map(({ proxy }) => expectedEgress(proxy, options.resolve)));
+  const exit = route[route.length - 1];
+  const matched = [...route.keys()].reverse().find(index => egress[index].includes(exitIp));
+
+  const issues = [];
+  if (direct.ip && direct.ip === exitIp) {
+    issues.push({ kind: 'exit', severity: 'leak', message: `The chain exits from this device's own address ${exitIp}` });
+  } else if (matched === undefined) {
+    issues.push({
+      kind: 'exit',
+      severity: 'warning',
+      message: `Exit address ${exitIp} is not the egress of hop ${exit.hop} (${exit.proxy.address}); ` +
+        'set its exit IP if it sends traffic from another address'
+    });
+  } else if (matched !== route.length - 1) {
+    issues.push({
+      kind: 'exit',
+      severity: 'leak',
+      message: `Traffic leaves from hop ${route[matched].hop} (${route[matched].proxy.address}), not the last hop`
+    });
+  }
+  if (direct.error) {
+    issues.push({ kind: 'exit', severity: 'warning', message: `Direct address could not be fetched: ${direct.error}` });
+  }
+  issues.push(...assessLeaks(chain, options.privacy || null, !!options.doh));
+
+  return {
+    checkedAt: Date.now(),
+    endpoint: target.target,
+    exitIp,
+    directIp: direct.ip || null,
+    directError: direct.error || null,
+    exitHop: exit.hop,
+    matchedHop: matched === undefined ? null : route[matched].hop,
+    status: issues.some(issue => issue.severity === 'leak') ? 'leak'
+      : issues.some(issue => issue.severity === 'warning') ? 'warning' : 'ok',
+    issues,
+    connectionInfo
+  };
+}
+
+/**
+ * Fetch the endpoint through the chain
+ * @private
+ */
+async function fetchThroughChain(engine, chain, target, options) {
+  const { socket, connectionInfo } = await engine.buildChain(chain, target.host, target.port, { signal: options.signal });
+  try {
+    const response = await fetchHttp(socket, target, options);
+    if (response.status !== 200) {
+      throw new Error(`IP echo endpoint answered HTTP ${response.status} through the chain`);
+    }
+    return { exitIp: extractIp(response.body), connectionInfo };
+  } finally {
+    engine.releaseConnection(socket);
+  }
+}
+
+/**
+ * Fetch the endpoint without the chain
+ * @private
+ */
+async function fetchDirect(target, options) {
+  const socket = new TCPSocket(target.host, target.port);
+  const timeout = options.timeout || DEFAULT_CONNECT_TIMEOUT;
+  let timer;
+  try {
+    await Promise.race([
+      socket.connect(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(`Connection to ${target.host}:${target.port} timed out`)), timeout);
+      })
+    ]);
+    const response = await fetchHttp(socket, target, options);
+    if (response.status !== 200) {
+      throw new Error(`IP echo endpoint answered HTTP ${response.status}`);
+    }
+    return extractIp(response.body);
+  } finally {
+    clearTimeout(timer);
+    socket.close();
+  }
+}
+
+/**
+ * Addresses a proxy's outbound connections are expected to come from
+ * @private
+ */
+async function expectedEgress(proxy, resolve) {
+  if (proxy.egressIp) {
+    return [proxy.egressIp.toLowerCase()];
+  }
+  if (isIpAddress(proxy.address) || !resolve) {
+    return [proxy.address.toLowerCase()];
+  }
+  try {
+    return (await resolve(proxy.address)).map(address => address.toLowerCase());
+  } catch (error) {
+    return [];
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * GSSAPI authentication method for SOCKS5 (RFC 1961)
+ *
+ * Browsers give extensions no Kerberos or other GSS-API implementation, so
+ * the security mechanism is supplied by the caller, for example a bridge to
+ * a native messaging host. This module does the SOCKS side: the context
+ * establishment exchange, the protection level sub-negotiation, and the
+ * per-message encapsulation that protects all traffic afterwards.
+ *
+ * Usage:
+ *   registerAuthMethod(createGssapiAuthMethod(mechanism));
+ *
+ * where mechanism provides:
+ *   initSecContext(inputToken|null) → Promise<{ token?: Uint8Array, complete: boolean }>
+ *   wrap(data, confidential) → Promise<Uint8Array>
+ *   unwrap(token) → Promise<Uint8Array>
+ */
+
+import { AUTH_METHOD } from './socks5.js';
+import { EventEmitter } from './events.js';
+
+const GSSAPI_VERSION = 0x01;
+
+// Message types (RFC 1961 Section 3)
+const MESSAGE_TYPE = {
+  AUTHENTICATION: 0x01,
+  PROTECTION_LEVEL: 0x02,
+  ENCAPSULATION: 0x03,
+  ABORT: 0xFF
+};
+
+// Protection levels (RFC 1961 Section 4.3)
+const PROTECTION_LEVEL = {
+  INTEGRITY: 0x01,
+  CONFIDENTIALITY: 0x02,
+  SELECTIVE: 0x03
+};
+
+const MAX_TOKEN_LENGTH = 0xFFFF;
+
+// Plaintext per encapsulated message, leaving room for the mechanism's overhead
+const MAX_CHUNK_LENGTH = 32768;
+
+/**
+ * Build a GSSAPI sub-negotiation message
+ *
+ * +------+------+------+.......................+
+ * + ver  | mtyp | len  |       token           |
+ * +------+------+------+.......................+
+ * + 0x01 | 0x01 | 0x02 | up to 2^16 - 1 octets |
+ * +------+------+------+.......................+
+ *
+ * @param {number} type - Message type
+ * @param {Uint8Array} token - Token
+ * @returns {Uint8Array}
+ * @throws {Error} If the token is too long
+ */
+function encodeMessage(type, token) {
+  if (token.length > MAX_TOKEN_LENGTH) {
+    throw new Error(`GSSAPI token too long: ${token.length} bytes`);
+  }
+
+  const message = new Uint8Array(4 + token.length);
+  message.set([GSSAPI_VERSION, type, token.length >> 8, token.length & 0xFF]);
+  message.set(token, 4);
+  return message;
+}
+
+/**
+ * Read a GSSAPI sub-negotiation message of a given type
+ * @param {Object} channel - { read(length) }
+ * @param {number} type - Expected message type
+ * @returns {Promise<Uint8Array>} Token
+ * @throws {Error} If the server aborts or sends something else
+ */
+async function readMessage(channel, type) {
+  const header = await channel.read(2);
+  if (header[1] === MESSAGE_TYPE.ABORT) {
+    throw new Error('GSSAPI authentication aborted by server');
+  }
+  if (header[0] !== GSSAPI_VERSION || header[1] !== type) {
+    throw new Error(`Unexpected GSSAPI message (version ${header[0]}, type ${header[1]})`);
+  }
+
+  const length = await channel.read(2);
+  return channel.read((length[0] << 8) | length[1]);
+}
+
+/**
+ * Socket that wraps every message with the GSS-API security context
+ * Emits 'data', 'error' and 'closed' like TCPSocket.
+ */
+class GssapiSocket extends EventEmitter {
+  /**
+   * @param {Object} socket - Authenticated connection to the SOCKS server
+   * @param {Object} mechanism - GSS-API mechanism with wrap/unwrap
+   * @param {boolean} confidential - Whether messages are encrypted as well as signed
+   */
+  constructor(socket, mechanism, confidential) {
+    super();
+    this.socket = socket;
+    this.mechanism = mechanism;
+    this.confidential = confidential;
+    this.connected = true;
+
+    this._buffer = new Uint8Array(0);
+    this._readQueue = Promise.resolve();
+    this._writeQueue = Promise.resolve();
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._handleTransportClosed();
+    this._onError = (error) => this._emit('error', error);
+
+    socket.addEventListener('data', this._onData);
+    socket.addEventListener('closed', this._onClosed);
+    socket.addEventListener('error', this._onError);
+  }
+
+  /**
+   * Write data, encapsulated in one or more messages
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Socket not connected'));
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    const task = this._writeQueue.then(async () => {
+      for (let offset = 0; offset < bytes.length; offset += MAX_CHUNK_LENGTH) {
+        const token = await this.mechanism.wrap(bytes.subarray(offset, offset + MAX_CHUNK_LENGTH), this.confidential);
+        await this.socket.write(encodeMessage(MESSAGE_TYPE.ENCAPSULATION, token));
+      }
+    });
+
+    this._writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+    this.socket.close();
+
+    this._emit('closed');
+  }
+
+  /**
+   * Close once the messages received before the server's close are unwrapped
+   * @private
+   */
+  _handleTransportClosed() {
+    this._readQueue = this._readQueue.then(() => this.close());
+  }
+
+  /**
+   * Split received bytes into messages and unwrap them in order
+   * @private
+   */
+  _receive(chunk) {
+    const buffer = new Uint8Array(this._buffer.length + chunk.length);
+    buffer.set(this._buffer);
+    buffer.set(new Uint8Array(chunk), this._buffer.length);
+    this._buffer = buffer;
+
+    while (this._buffer.length >= 2) {
+      if (this._buffer[1] === MESSAGE_TYPE.ABORT) {
+        this._fail(new Error('GSSAPI session aborted by server'));
+        return;
+      }
+      if (this._buffer[0] !== GSSAPI_VERSION || this._buffer[1] !== MESSAGE_TYPE.ENCAPSULATION) {
+        this._fail(new Error(`Unexpected GSSAPI message type ${this._buffer[1]}`));
+        return;
+      }
+      if (this._buffer.length < 4) {
+        return;
+      }
+
+      const length = (this._buffer[2] << 8) | this._buffer[3];
+      if (this._buffer.length < 4 + length) {
+        return;
+      }
+
+      const token = this._buffer.slice(4, 4 + length);
+      this._buffer = this._buffer.slice(4 + length);
+
+      this._readQueue = this._readQueue
+        .then(() => this.mechanism.unwrap(token))
+        .then((data) => {
+          if (this.connected && data.length > 0) {
+            this._emit('data', data);
+          }
+        })
+        .catch((error) => this._fail(new Error(`GSSAPI unwrap failed: ${error.message}`)));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _fail(error) {
+    if (this.connected) {
+      this._emit('error', error);
+      this.close();
+    }
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get socket information
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return {
+      ...this.socket.getInfo(),
+      connected: this.connected,
+      type: 'gssapi',
+      confidential: this.confidential
+    };
+  }
+}
+
+/**
+ * Create the SOCKS5 GSSAPI authentication method
+ * @param {Object} mechanism - GSS-API mechanism (see module comment)
+ * @param {Object} [options]
+ * @param {number} [options.protectionLevel=2] - 1 integrity, 2 confidentiality, 3 selective
+ * @returns {Object} Method for registerAuthMethod()
+ */
+function createGssapiAuthMethod(mechanism, options = {}) {
+  const requestedLevel = options.protectionLevel || PROTECTION_LEVEL.CONFIDENTIALITY;
+
+  return {
+    code: AUTH_METHOD.GSSAPI,
+    name: 'gssapi',
+
+    async authenticate(channel) {
+      // Context establishment (RFC 1961 Section 3)
+      let inputToken = null;
+      for (;;) {
+        const { token, complete } = await mechanism.initSecContext(inputToken);
+        if (token && token.length > 0) {
+          await channel.write(encodeMessage(MESSAGE_TYPE.AUTHENTICATION, token));
+        }
+        if (complete) {
+          break;
+        }
+        inputToken = await readMessage(channel, MESSAGE_TYPE.AUTHENTICATION);
+      }
+
+      // Protection level sub-negotiation (RFC 1961 Section 4), sent integrity-protected only
+      const request = await mechanism.wrap(new Uint8Array([requestedLevel]), false);
+      await channel.write(encodeMessage(MESSAGE_TYPE.PROTECTION_LEVEL, request));
+
+      const reply = await mechanism.unwrap(await readMessage(channel, MESSAGE_TYPE.PROTECTION_LEVEL));
+      const level = reply[0];
+      if (reply.length !== 1 || !Object.values(PROTECTION_LEVEL).includes(level)) {
+        throw new Error(`Server chose an invalid GSSAPI protection level: ${level}`);
+      }
+
+      return new GssapiSocket(channel.socket, mechanism, level !== PROTECTION_LEVEL.INTEGRITY);
+    }
+  };
+}
+
+export { createGssapiAuthMethod, GssapiSocket, PROTECTION_LEVEL };
@@ -0,0 +1,178 @@
+/**
+ * MD4 and MD5 message digests
+ *
+ * WebCrypto has no MD4 or MD5, but HTTP Digest authentication (MD5) and
+ * NTLM (MD4 for the password hash, HMAC-MD5 for responses) still require
+ * them. Neither is used for anything but those protocols.
+ */
+
+/**
+ * Rotate a 32-bit word left
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotateLeft(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Pad a message and split it into little-endian 32-bit words
+ * (the same padding for MD4 and MD5)
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint32Array} Words, a multiple of 16 long
+ */
+function padMessage(bytes) {
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(length);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  const bitLength = bytes.length * 8;
+  view.setUint32(length - 8, bitLength >>> 0, true);
+  view.setUint32(length - 4, Math.floor(bitLength / 0x100000000), true);
+
+  const words = new Uint32Array(length / 4);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+}
+
+/**
+ * Serialize the four state words little-endian
+ * @param {number[]} state
+ * @returns {Uint8Array}
+ */
+function stateToBytes(state) {
+  const output = new Uint8Array(16);
+  const view = new DataView(output.buffer);
+  state.forEach((word, i) => view.setUint32(i * 4, word >>> 0, true));
+  return output;
+}
+
+const INITIAL_STATE = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+
+// MD4 (RFC 1320): message word order and shift amounts per round
+const MD4_ORDER = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+  [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15]
+];
+const MD4_SHIFTS = [[3, 7, 11, 19], [3, 5, 9, 13], [3, 9, 11, 15]];
+const MD4_CONSTANTS = [0, 0x5A827999, 0x6ED9EBA1];
+
+// MD5 (RFC 1321): shift amounts per round and the sine-derived constants
+const MD5_SHIFTS = [[7, 12, 17, 22], [5, 9, 14, 20], [4, 11, 16, 23], [6, 10, 15, 21]];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+/**
+ * MD4 digest
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 16-byte digest
+ */
+function md4(bytes) {
+  const words = padMessage(bytes);
+  const state = [...INITIAL_STATE];
+
+  for (let block = 0; block < words.length; block += 16) {
+    let [a, b, c, d] = state;
+
+    for (let i = 0; i < 48; i++) {
+      const round = i >> 4;
+      let f;
+      if (round === 0) {
+        f = (b & c) | (~b & d);
+      } else if (round === 1) {
+        f = (b & c) | (b & d) | (c & d);
+      } else {
+        f = b ^ c ^ d;
+      }
+
+      const word = words[block + MD4_ORDER[round][i & 15]];
+      const rotated = rotateLeft((a + f + word + MD4_CONSTANTS[round]) | 0, MD4_SHIFTS[round][i & 3]);
+      a = d;
+      d = c;
+      c = b;
+      b = rotated;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  return stateToBytes(state);
+}
+
+/**
+ * MD5 digest
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 16-byte digest
+ */
+function md5(bytes) {
+  const words = padMessage(bytes);
+  const state = [...INITIAL_STATE];
+
+  for (let block = 0; block < words.length; block += 16) {
+    let [a, b, c, d] = state;
+
+    for (let i = 0; i < 64; i++) {
+      const round = i >> 4;
+      let f;
+      let index;
+      if (round === 0) {
+        f = (b & c) | (~b & d);
+        index = i;
+      } else if (round === 1) {
+        f = (d & b) | (~d & c);
+        index = (5 * i + 1) & 15;
+      } else if (round === 2) {
+        f = b ^ c ^ d;
+        index = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        index = (7 * i) & 15;
+      }
+
+      const rotated = rotateLeft((a + f + MD5_CONSTANTS[i] + words[block + index]) | 0, MD5_SHIFTS[round][i & 3]);
+      a = d;
+      d = c;
+      c = b;
+      b = (b + rotated) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  return stateToBytes(state);
+}
+
+/**
+ * HMAC-MD5 (RFC 2104)
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 16-byte MAC
+ */
+function hmacMd5(key, data) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? md5(key) : key);
+
+  const inner = new Uint8Array(64 + data.length);
+  const outer = new Uint8Array(64 + 16);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5C;
+  }
+  inner.set(data, 64);
+  outer.set(md5(inner), 64);
+
+  return md5(outer);
+}
+
+export { md4, md5, hmacMd5 };
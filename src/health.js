@@ -0,0 +1,182 @@
+/**
+ * Proxy and chain health monitor
+ *
+ * The background worker runs the monitor on a chrome.alarms schedule. Each
+ * run probes every proxy of every chain, alternates included, with a direct
+ * connection (ProxyChainEngine.probeProxy), and builds every chain end to end
+ * to the configured target. Results are appended to a rolling history per
+ * proxy and per chain, kept in storage so it outlives the worker being
+ * suspended, and handed to the popup and options page by the 'getHealth'
+ * message, which render it with src/options/render.js.
+ */
+
+import { listChainProxies } from './storage.js';
+
+const HEALTH_STORAGE_KEY = 'proxyHealth';
+
+// Samples kept per proxy and per chain
+const DEFAULT_HISTORY_LENGTH = 48;
+
+/**
+ * Key under which a proxy's history is kept
+ * @param {Object} proxy
+ * @returns {string} e.g. socks5://host:1080
+ */
+export function healthKey(proxy) {
+  return `${proxy.type}://${proxy.address}:${proxy.port}`;
+}
+
+/**
+ * Health Monitor Class
+ * Probes proxies and chains and keeps their recent results
+ */
+export class HealthMonitor {
+  /**
+   * Create a monitor that probes through an engine
+   * @param {ProxyChainEngine} engine - Engine used for the probes
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Storage area for the history (default chrome.storage.local)
+   * @param {number} [options.historyLength] - Samples kept per proxy and per chain
+   * @param {Function} [options.canProbeChain] - async (chain) => false to leave a chain out of a
+   *   run, e.g. while the credentials it needs are locked away; its history is kept as it was
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.storage = options.storage || chrome.storage.local;
+    this.historyLength = options.historyLength || DEFAULT_HISTORY_LENGTH;
+    this.canProbeChain = options.canProbeChain || (async () => true);
+    this.running = null;
+  }
+
+  /**
+   * Probe every proxy and chain once and record the results
+   *
+   * A run that is already in progress is joined rather than started again.
+   * Proxies and chains that are no longer configured lose their history.
+   * @param {ProxyChain[]} chains - Chains to probe
+   * @param {HealthConfig} config - Chain probe target
+   * @returns {Promise<Object>} Health after the run (see getHealth)
+   */
+  run(chains, config) {
+    if (!this.running) {
+      this.running = this._run(chains, config).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Get the recorded history with a summary of each entry
+   * @returns {Promise<Object>} { checkedAt, proxies: { [healthKey]: entry }, chains: { [chainId]: entry } },
+   *   where each entry is { samples, summary } (see summarizeHealth)
+   */
+  async getHealth() {
+    const health = await this._load();
+    const summarize = (entries) => Object.fromEntries(Object.entries(entries)
+      .map(([key, samples]) => [key, { samples, summary: summarizeHealth(samples) }]));
+
+    return {
+      checkedAt: health.checkedAt,
+      proxies: summarize(health.proxies),
+      chains: summarize(health.chains)
+    };
+  }
+
+  /**
+   * Probe everything in parallel, then store the results
+   * @private
+   */
+  async _run(chains, config) {
+    const proxies = new Map();
+    for (const chain of chains) {
+      for (const proxy of listChainProxies(chain)) {
+        proxies.set(healthKey(proxy), proxy);
+      }
+    }
+
+    const [proxyResults, chainResults] = await Promise.all([
+      Promise.all([...proxies].map(async ([key, proxy]) =>
+        [key, await this._probe(() => this.engine.probeProxy(proxy))])),
+      Promise.all(chains.map(async (chain) =>
+        [chain.id, await this.canProbeChain(chain) ? await this._probe(() => this._probeChain(chain, config)) : null]))
+    ]);
+
+    const previous = await this._load();
+    const timestamp = Date.now();
+    const health = { checkedAt: timestamp, proxies: {}, chains: {} };
+
+    for (const [key, result] of proxyResults) {
+      health.proxies[key] = this._append(previous.proxies[key], { timestamp, ...result });
+    }
+    for (const [id, result] of chainResults) {
+      if (result) {
+        health.chains[id] = this._append(previous.chains[id], { timestamp, ...result });
+      } else if (previous.chains[id]) {
+        health.chains[id] = previous.chains[id];
+      }
+    }
+
+    await this.storage.set({ [HEALTH_STORAGE_KEY]: health });
+    return this.getHealth();
+  }
+
+  /**
+   * Build a chain to the probe target and close it again
+   * @private
+   * @returns {Promise<number>} Milliseconds the build took
+   */
+  async _probeChain(chain, config) {
+    const { socket, connectionInfo } = await this.engine.buildChain(chain, config.targetHost, config.targetPort);
+    this.engine.releaseConnection(socket);
+    return connectionInfo.totalDuration;
+  }
+
+  /**
+   * Turn a timed probe into a sample
+   * @private
+   */
+  async _probe(probe) {
+    try {
+      return { ok: true, latency: await probe() };
+    } catch (error) {
+      return { ok: false, latency: null, error: error.message };
+    }
+  }
+
+  /**
+   * Add a sample to a history, dropping the oldest beyond historyLength
+   * @private
+   */
+  _append(samples = [], sample) {
+    return [...samples, sample].slice(-this.historyLength);
+  }
+
+  /**
+   * @private
+   */
+  async _load() {
+    const { [HEALTH_STORAGE_KEY]: health } = await this.storage.get(HEALTH_STORAGE_KEY);
+    return health || { checkedAt: null, proxies: {}, chains: {} };
+  }
+}
+
+/**
+ * Summarize a history
+ * @param {Object[]} samples - { timestamp, ok, latency, error }, oldest first
+ * @returns {Object} { status: 'up'|'down'|'unknown', latency, averageLatency, uptime, checkedAt, error },
+ *   where latency and error come from the last sample and uptime is the fraction of samples that succeeded
+ */
+export function summarizeHealth(samples = []) {
+  const last = samples[samples.length - 1];
+  const latencies = samples.filter(sample => sample.ok).map(sample => sample.latency);
+
+  return {
+    status: !last ? 'unknown' : last.ok ? 'up' : 'down',
+    latency: last && last.ok ? last.latency : null,
+    averageLatency: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    uptime: samples.length > 0 ? latencies.length / samples.length : null,
+    checkedAt: last ? last.timestamp : null,
+    error: last && !last.ok ? last.error : null
+  };
+}
@@ -0,0 +1,555 @@
+/**
+ * HTTP proxy authentication schemes
+ *
+ * Parses Proxy-Authenticate challenges (RFC 7235) and answers them for the
+ * schemes corporate proxies use:
+ *
+ * - Basic (RFC 7617)
+ * - Digest (RFC 7616) with MD5 or SHA-256, optionally -sess, qop=auth
+ * - NTLM (NTLMv2 responses, MS-NLMP)
+ * - Negotiate, answered with raw NTLM tokens. Kerberos is not available to
+ *   an extension, but SSPI-based proxies accept NTLM inside Negotiate
+ *
+ * NTLM and Negotiate authenticate the connection rather than the request,
+ * so their handshake must complete on a single connection.
+ */
+
+import { md4, md5, hmacMd5 } from './hash.js';
+import { concat } from './bytes.js';
+
+// Most preferred first
+const SCHEME_PREFERENCE = ['ntlm', 'negotiate', 'digest', 'basic'];
+
+const DIGEST_ALGORITHMS = {
+  'SHA-256': 'SHA-256',
+  'SHA-256-SESS': 'SHA-256',
+  'MD5': 'MD5',
+  'MD5-SESS': 'MD5'
+};
+
+const NTLM_SIGNATURE = 'NTLMSSP\0';
+
+const NTLM_FLAGS = {
+  UNICODE: 0x00000001,
+  OEM: 0x00000002,
+  REQUEST_TARGET: 0x00000004,
+  NTLM: 0x00000200,
+  ALWAYS_SIGN: 0x00008000,
+  EXTENDED_SESSION_SECURITY: 0x00080000,
+  TARGET_INFO: 0x00800000,
+  KEY_128: 0x20000000,
+  KEY_56: 0x80000000
+};
+
+const NTLM_NEGOTIATE_FLAGS = NTLM_FLAGS.UNICODE | NTLM_FLAGS.OEM | NTLM_FLAGS.REQUEST_TARGET |
+  NTLM_FLAGS.NTLM | NTLM_FLAGS.ALWAYS_SIGN | NTLM_FLAGS.EXTENDED_SESSION_SECURITY |
+  NTLM_FLAGS.TARGET_INFO | NTLM_FLAGS.KEY_128 | NTLM_FLAGS.KEY_56;
+
+// AV_PAIR ID of the server's timestamp in the target info
+const MSV_AV_TIMESTAMP = 7;
+
+// Windows FILETIME epoch (1601-01-01) to Unix epoch, in milliseconds
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+const TOKEN = /[!#$%&'*+.^_`|~0-9A-Za-z-]+/y;
+const TOKEN68 = /[A-Za-z0-9\-._~+/]+=*(?=\s*(?:,|$))/y;
+const AUTH_PARAM = /([!#$%&'*+.^_`|~0-9A-Za-z-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([!#$%&'*+.^_`|~0-9A-Za-z-]+))/y;
+const SEPARATORS = /[\s,]*/y;
+const SPACES = /\s*/y;
+
+/**
+ * Match a sticky regular expression at a position
+ * @returns {RegExpExecArray|null}
+ */
+function matchAt(pattern, text, position) {
+  pattern.lastIndex = position;
+  return pattern.exec(text);
+}
+
+/**
+ * Parse Proxy-Authenticate header values into challenges
+ * One header value may hold several comma-separated challenges.
+ * @param {string[]} values - Header values
+ * @returns {Array<{scheme: string, params: Object, token68: string|null}>}
+ *   scheme and parameter names are lowercase
+ */
+function parseChallenges(values) {
+  const challenges = [];
+
+  for (const value of values) {
+    let position = matchAt(SEPARATORS, value, 0)[0].length;
+
+    while (position < value.length) {
+      const scheme = matchAt(TOKEN, value, position);
+      if (!scheme) {
+        break; // malformed; keep what was parsed
+      }
+      position += scheme[0].length;
+      position += matchAt(SPACES, value, position)[0].length;
+
+      const challenge = { scheme: scheme[0].toLowerCase(), params: {}, token68: null };
+      challenges.push(challenge);
+
+      const token68 = matchAt(TOKEN68, value, position);
+      if (token68 && !matchAt(AUTH_PARAM, value, position)) {
+        challenge.token68 = token68[0];
+        position += token68[0].length;
+      } else {
+        let param;
+        while ((param = matchAt(AUTH_PARAM, value, position))) {
+          challenge.params[param[1].toLowerCase()] = param[2] !== undefined
+            ? param[2].replace(/\\(.)/g, '$1')
+            : param[3];
+          position += param[0].length;
+          position += matchAt(SEPARATORS, value, position)[0].length;
+        }
+      }
+
+      position += matchAt(SEPARATORS, value, position)[0].length;
+    }
+  }
+
+  return challenges;
+}
+
+/**
+ * Check whether a challenge can be answered
+ * @param {Object} challenge
+ * @returns {boolean}
+ */
+function isSupported(challenge) {
+  if (challenge.scheme !== 'digest') {
+    return SCHEME_PREFERENCE.includes(challenge.scheme);
+  }
+
+  const algorithm = (challenge.params.algorithm || 'MD5').toUpperCase();
+  const qop = challenge.params.qop;
+  return Boolean(DIGEST_ALGORITHMS[algorithm]) && Boolean(challenge.params.nonce) &&
+    (qop === undefined || qop.split(',').some(option => option.trim() === 'auth'));
+}
+
+/**
+ * Pick the strongest challenge this module can answer
+ * @param {Object[]} challenges - Parsed challenges
+ * @returns {Object|null}
+ */
+function selectChallenge(challenges) {
+  const rank = (challenge) => {
+    const base = SCHEME_PREFERENCE.indexOf(challenge.scheme) * 2;
+    // Among Digest challenges, SHA-256 beats MD5
+    const algorithm = (challenge.params.algorithm || 'MD5').toUpperCase();
+    return base + (challenge.scheme === 'digest' && DIGEST_ALGORITHMS[algorithm] === 'MD5' ? 1 : 0);
+  };
+
+  return challenges
+    .filter(isSupported)
+    .sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * Convert bytes to lowercase hex
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Quote a Digest parameter value
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+}
+
+/**
+ * Hex digest of a string for a Digest algorithm
+ * @param {string} hash - 'MD5' or 'SHA-256'
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function digestHex(hash, text) {
+  const bytes = new TextEncoder().encode(text);
+  if (hash === 'MD5') {
+    return toHex(md5(bytes));
+  }
+  return toHex(new Uint8Array(await crypto.subtle.digest(hash, bytes)));
+}
+
+/**
+ * Compute a Digest response (RFC 7616 Section 3.4.1)
+ * @param {Object} params
+ * @param {string} params.algorithm - e.g. 'MD5', 'SHA-256-sess'
+ * @param {string} params.username
+ * @param {string} params.password
+ * @param {string} params.realm
+ * @param {string} params.nonce
+ * @param {string} [params.cnonce] - Required with qop or -sess
+ * @param {string} [params.nc] - Nonce count, 8 hex digits
+ * @param {string} [params.qop] - 'auth', or omitted for RFC 2069 servers
+ * @param {string} params.method - Request method
+ * @param {string} params.uri - Request target
+ * @returns {Promise<string>} Hex response
+ */
+async function computeDigestResponse(params) {
+  const algorithm = params.algorithm.toUpperCase();
+  const hash = DIGEST_ALGORITHMS[algorithm];
+
+  let ha1 = await digestHex(hash, `${params.username}:${params.realm}:${params.password}`);
+  if (algorithm.endsWith('-SESS')) {
+    ha1 = await digestHex(hash, `${ha1}:${params.nonce}:${params.cnonce}`);
+  }
+  const ha2 = await digestHex(hash, `${params.method}:${params.uri}`);
+
+  if (!params.qop) {
+    return digestHex(hash, `${ha1}:${params.nonce}:${ha2}`);
+  }
+  return digestHex(hash, `${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`);
+}
+
+/**
+ * Basic authentication; sent once, since a repeat challenge means the
+ * credentials were rejected
+ */
+class BasicAuthenticator {
+  constructor(credentials) {
+    this.scheme = 'basic';
+    this.connectionBased = false;
+    this.boundToConnection = false;
+    this.credentials = credentials;
+    this.sent = false;
+  }
+
+  async authorize() {
+    if (this.sent) {
+      return null;
+    }
+    this.sent = true;
+
+    const bytes = new TextEncoder().encode(`${this.credentials.username}:${this.credentials.password || ''}`);
+    return `Basic ${toBase64(bytes)}`;
+  }
+}
+
+/**
+ * Digest authentication; a repeat challenge is only answered when the
+ * server marks the previous nonce as stale
+ */
+class DigestAuthenticator {
+  constructor(credentials, request) {
+    this.scheme = 'digest';
+    this.connectionBased = false;
+    this.boundToConnection = false;
+    this.credentials = credentials;
+    this.request = request;
+    this.answered = false;
+    this.nonce = null;
+    this.nonceCount = 0;
+  }
+
+  async authorize(challenge) {
+    const { params } = challenge;
+    if (this.answered && String(params.stale).toLowerCase() !== 'true') {
+      return null;
+    }
+    this.answered = true;
+
+    this.nonceCount = params.nonce === this.nonce ? this.nonceCount + 1 : 1;
+    this.nonce = params.nonce;
+
+    const algorithm = params.algorithm || 'MD5';
+    const hash = DIGEST_ALGORITHMS[algorithm.toUpperCase()];
+    const realm = params.realm || '';
+    const qop = params.qop !== undefined ? 'auth' : null;
+    const cnonce = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const nc = this.nonceCount.toString(16).padStart(8, '0');
+    const userhash = String(params.userhash).toLowerCase() === 'true';
+
+    const response = await computeDigestResponse({
+      algorithm,
+      username: this.credentials.username,
+      password: this.credentials.password || '',
+      realm,
+      nonce: params.nonce,
+      cnonce,
+      nc,
+      qop,
+      method: this.request.method,
+      uri: this.request.uri
+    });
+
+    const username = userhash
+      ? await digestHex(hash, `${this.credentials.username}:${realm}`)
+      : this.credentials.username;
+
+    const fields = [
+      `username=${quote(username)}`,
+      `realm=${quote(realm)}`,
+      `nonce=${quote(params.nonce)}`,
+      `uri=${quote(this.request.uri)}`,
+      `algorithm=${algorithm}`,
+      `response=${quote(response)}`
+    ];
+    if (qop) {
+      fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce=${quote(cnonce)}`);
+    }
+    if (params.opaque !== undefined) {
+      fields.push(`opaque=${quote(params.opaque)}`);
+    }
+    if (userhash) {
+      fields.push('userhash=true');
+    }
+
+    return `Digest ${fields.join(', ')}`;
+  }
+}
+
+/**
+ * Encode a string as UTF-16LE
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function utf16le(text) {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes[i * 2] = code & 0xFF;
+    bytes[i * 2 + 1] = code >> 8;
+  }
+  return bytes;
+}
+
+/**
+ * Compute NTLMv2 and LMv2 responses (MS-NLMP Section 3.3.2)
+ * @param {Object} params
+ * @param {string} params.username
+ * @param {string} params.domain - User's domain, may be empty
+ * @param {string} params.password
+ * @param {Uint8Array} params.serverChallenge - 8 bytes from the CHALLENGE message
+ * @param {Uint8Array} params.clientChallenge - 8 random bytes
+ * @param {Uint8Array} params.timestamp - 8-byte little-endian FILETIME
+ * @param {Uint8Array} params.targetInfo - AV pairs from the CHALLENGE message
+ * @param {boolean} [params.omitLmResponse] - Send an all-zero LM response (server sent a timestamp)
+ * @returns {{ ntResponse: Uint8Array, lmResponse: Uint8Array }}
+ */
+function computeNtlmV2Response(params) {
+  const ntHash = md4(utf16le(params.password));
+  const responseKey = hmacMd5(ntHash, utf16le(params.username.toUpperCase() + params.domain));
+
+  const blob = new Uint8Array(28 + params.targetInfo.length + 4);
+  blob.set([0x01, 0x01], 0);
+  blob.set(params.timestamp, 8);
+  blob.set(params.clientChallenge, 16);
+  blob.set(params.targetInfo, 28);
+
+  const proof = hmacMd5(responseKey, concat(params.serverChallenge, blob));
+  const lmResponse = params.omitLmResponse
+    ? new Uint8Array(24)
+    : concat(hmacMd5(responseKey, concat(params.serverChallenge, params.clientChallenge)), params.clientChallenge);
+
+  return { ntResponse: concat(proof, blob), lmResponse };
+}
+
+/**
+ * Parse an NTLM CHALLENGE message
+ * @param {Uint8Array} message
+ * @returns {{ flags: number, serverChallenge: Uint8Array, targetInfo: Uint8Array }}
+ * @throws {Error} If the message is malformed
+ */
+function parseNtlmChallenge(message) {
+  const signature = new TextDecoder().decode(message.subarray(0, 8));
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+  if (message.length < 32 || signature !== NTLM_SIGNATURE || view.getUint32(8, true) !== 2) {
+    throw new Error('Malformed NTLM challenge');
+  }
+
+  const flags = view.getUint32(20, true);
+  let targetInfo = new Uint8Array(0);
+  if (message.length >= 48) {
+    const length = view.getUint16(40, true);
+    const offset = view.getUint32(44, true);
+    if (offset + length > message.length) {
+      throw new Error('Malformed NTLM challenge');
+    }
+    targetInfo = message.slice(offset, offset + length);
+  }
+
+  return { flags, serverChallenge: message.slice(24, 32), targetInfo };
+}
+
+/**
+ * Find an AV pair in NTLM target info
+ * @param {Uint8Array} targetInfo
+ * @param {number} id - AV pair ID
+ * @returns {Uint8Array|null}
+ */
+function findAvPair(targetInfo, id) {
+  const view = new DataView(targetInfo.buffer, targetInfo.byteOffset, targetInfo.byteLength);
+  for (let offset = 0; offset + 4 <= targetInfo.length;) {
+    const pairId = view.getUint16(offset, true);
+    const length = view.getUint16(offset + 2, true);
+    if (pairId === 0) {
+      break;
+    }
+    if (pairId === id) {
+      return targetInfo.slice(offset + 4, offset + 4 + length);
+    }
+    offset += 4 + length;
+  }
+  return null;
+}
+
+/**
+ * Current time as an 8-byte little-endian FILETIME
+ * @returns {Uint8Array}
+ */
+function currentFiletime() {
+  const ticks = BigInt(Date.now() + FILETIME_EPOCH_OFFSET) * 10000n;
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, ticks, true);
+  return bytes;
+}
+
+/**
+ * NTLM authentication, also used to answer Negotiate challenges
+ *
+ * NEGOTIATE (type 1) → CHALLENGE (type 2) → AUTHENTICATE (type 3), all on
+ * one connection.
+ */
+class NtlmAuthenticator {
+  constructor(scheme, credentials) {
+    this.scheme = scheme;
+    this.label = scheme === 'ntlm' ? 'NTLM' : 'Negotiate';
+    this.connectionBased = true;
+    this.boundToConnection = false;
+    this.state = 'initial';
+
+    // DOMAIN\user; a UPN (user@domain) is sent whole with an empty domain
+    const separator = credentials.username.indexOf('\\');
+    this.domain = separator > 0 ? credentials.username.slice(0, separator) : '';
+    this.username = separator > 0 ? credentials.username.slice(separator + 1) : credentials.username;
+    this.password = credentials.password || '';
+  }
+
+  async authorize(challenge) {
+    if (!challenge.token68) {
+      // A bare challenge after our NEGOTIATE or AUTHENTICATE is a rejection
+      if (this.state !== 'initial') {
+        return null;
+      }
+      this.state = 'negotiating';
+      return `${this.label} ${toBase64(this._negotiateMessage())}`;
+    }
+
+    if (this.state !== 'negotiating') {
+      return null;
+    }
+    this.state = 'authenticating';
+    this.boundToConnection = true;
+    return `${this.label} ${toBase64(this._authenticateMessage(parseNtlmChallenge(fromBase64(challenge.token68))))}`;
+  }
+
+  /**
+   * NEGOTIATE message without domain or workstation
+   * @private
+   */
+  _negotiateMessage() {
+    const message = new Uint8Array(32);
+    const view = new DataView(message.buffer);
+    message.set(new TextEncoder().encode(NTLM_SIGNATURE));
+    view.setUint32(8, 1, true);
+    view.setUint32(12, NTLM_NEGOTIATE_FLAGS, true);
+    return message;
+  }
+
+  /**
+   * AUTHENTICATE message carrying NTLMv2 responses
+   * @private
+   */
+  _authenticateMessage(challenge) {
+    const timestamp = findAvPair(challenge.targetInfo, MSV_AV_TIMESTAMP);
+    const { ntResponse, lmResponse } = computeNtlmV2Response({
+      username: this.username,
+      domain: this.domain,
+      password: this.password,
+      serverChallenge: challenge.serverChallenge,
+      clientChallenge: crypto.getRandomValues(new Uint8Array(8)),
+      timestamp: timestamp || currentFiletime(),
+      targetInfo: challenge.targetInfo,
+      omitLmResponse: Boolean(timestamp)
+    });
+
+    const unicode = (challenge.flags & NTLM_FLAGS.UNICODE) !== 0;
+    const encode = unicode ? utf16le : (text) => new TextEncoder().encode(text);
+    const flags = (challenge.flags & NTLM_NEGOTIATE_FLAGS & ~(unicode ? NTLM_FLAGS.OEM : NTLM_FLAGS.UNICODE)) >>> 0;
+
+    // Security buffers in header order: LM, NT, domain, user, workstation, session key
+    const fields = [lmResponse, ntResponse, encode(this.domain), encode(this.username), new Uint8Array(0), new Uint8Array(0)];
+    const header = new Uint8Array(64);
+    const view = new DataView(header.buffer);
+    header.set(new TextEncoder().encode(NTLM_SIGNATURE));
+    view.setUint32(8, 3, true);
+
+    let offset = header.length;
+    fields.forEach((field, i) => {
+      view.setUint16(12 + i * 8, field.length, true);
+      view.setUint16(14 + i * 8, field.length, true);
+      view.setUint32(16 + i * 8, offset, true);
+      offset += field.length;
+    });
+    view.setUint32(60, flags, true);
+
+    return concat(header, ...fields);
+  }
+}
+
+/**
+ * Create the authenticator answering a challenge
+ * @param {Object} challenge - Challenge chosen by selectChallenge()
+ * @param {Object} credentials - { username, password }
+ * @param {Object} request - { method, uri } of the request being authorized
+ * @returns {Object} Authenticator with scheme, connectionBased, boundToConnection
+ *   and authorize(challenge) → Promise<string|null>; null means the
+ *   credentials were rejected
+ */
+function createAuthenticator(challenge, credentials, request) {
+  switch (challenge.scheme) {
+    case 'basic':
+      return new BasicAuthenticator(credentials);
+    case 'digest':
+      return new DigestAuthenticator(credentials, request);
+    case 'ntlm':
+    case 'negotiate':
+      return new NtlmAuthenticator(challenge.scheme, credentials);
+    default:
+      throw new Error(`Unsupported authentication scheme: ${challenge.scheme}`);
+  }
+}
+
+export {
+  parseChallenges,
+  selectChallenge,
+  createAuthenticator,
+  computeDigestResponse,
+  computeNtlmV2Response
+};
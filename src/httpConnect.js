@@ -2,9 +2,18 @@
  * HTTP CONNECT Protocol Client Implementation
  * 
  * Implements HTTP CONNECT method for establishing TCP tunnels through HTTP proxies
- * Supports both HTTP and HTTPS proxies with Basic authentication
+ * Supports both HTTP and HTTPS proxies; for HTTPS proxies the engine hands
+ * this handler a TLSSocket (see tls.js)
+ *
+ * Credentials are sent as Basic up front. A 407 response is answered with
+ * the strongest scheme in Proxy-Authenticate (NTLM, Negotiate, Digest,
+ * Basic; see httpAuth.js) and the request is repeated on the same
+ * connection, or on a new one when the proxy closes it.
  */
 
+import { parseChallenges, selectChallenge, createAuthenticator } from './httpAuth.js';
+import { SocketStream } from './stream.js';
+
 /**
  * HTTP Status Codes for CONNECT method
  */
@@ -58,138 +67,23 @@ function getStatusError(status) {
   }
 }
 
-/**
- * Encode credentials for Basic authentication
- * @param {string} username - Username
- * @param {string} password - Password
- * @returns {string} Base64 encoded credentials
- */
-function encodeBasicAuth(username, password) {
-  const credentials = `${username}:${password}`;
-  return btoa(credentials);
-}
+// 407 round trips before giving up (NTLM needs two after the initial Basic)
+const MAX_AUTH_ROUNDS = 4;
 
-/**
- * Read a line from socket (until CRLF)
- * @param {Object} socket - Socket object
- * @returns {Promise<string>} Line without CRLF
- */
-function readLine(socket) {
-  return new Promise((resolve, reject) => {
-    let buffer = '';
-    let foundCRLF = false;
-    
-    const onData = (data) => {
-      const chunk = new TextDecoder().decode(data);
-      buffer += chunk;
-      
-      // Check for CRLF
-      const crlfIndex = buffer.indexOf('\r\n');
-      if (crlfIndex !== -1) {
-        foundCRLF = true;
-        const line = buffer.substring(0, crlfIndex);
-        socket.removeEventListener('data', onData);
-        resolve(line);
-      }
-    };
-    
-    const onError = (error) => {
-      socket.removeEventListener('data', onData);
-      reject(new Error(`Socket read error: ${error}`));
-    };
-    
-    socket.addEventListener('data', onData);
-    socket.addEventListener('error', onError);
-    
-    // Timeout protection
-    setTimeout(() => {
-      if (!foundCRLF) {
-        socket.removeEventListener('data', onData);
-        socket.removeEventListener('error', onError);
-        reject(new Error('Read line timeout'));
-      }
-    }, 30000);
-  });
-}
+// Larger 407 bodies are not read; the connection is replaced instead
+const MAX_DISCARDED_BODY = 65536;
 
-/**
- * Read all remaining data from socket until connection closes or timeout
- * @param {Object} socket - Socket object
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<string>} Remaining data
- */
-function readRemainingData(socket, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    let data = '';
-    let timeoutId;
-    
-    const onData = (chunk) => {
-      data += new TextDecoder().decode(chunk);
-      // Reset timeout on data received
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      timeoutId = setTimeout(() => {
-        socket.removeEventListener('data', onData);
-        resolve(data);
-      }, timeout);
-    };
-    
-    const onClose = () => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      socket.removeEventListener('data', onData);
-      resolve(data);
-    };
-    
-    const onError = (error) => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      socket.removeEventListener('data', onData);
-      reject(new Error(`Socket read error: ${error}`));
-    };
-    
-    socket.addEventListener('data', onData);
-    socket.addEventListener('close', onClose);
-    socket.addEventListener('error', onError);
-    
-    // Start initial timeout
-    timeoutId = setTimeout(() => {
-      socket.removeEventListener('data', onData);
-      socket.removeEventListener('close', onClose);
-      resolve(data);
-    }, timeout);
-  });
-}
+// Longest status, header or chunk-size line accepted from a proxy
+const MAX_LINE_LENGTH = 16384;
 
 /**
- * Write data to socket
- * @param {Object} socket - Socket object
- * @param {string} data - Data to write
- * @returns {Promise<void>}
+ * Read a line (until CRLF)
+ * @param {SocketStream} stream - Connection to the proxy
+ * @returns {Promise<string>} Line without CRLF
  */
-function writeString(socket, data) {
-  return new Promise((resolve, reject) => {
-    const onError = (error) => {
-      socket.removeEventListener('error', onError);
-      reject(new Error(`Socket write error: ${error}`));
-    };
-    
-    socket.addEventListener('error', onError);
-    
-    try {
-      const encoder = new TextEncoder();
-      const bytes = encoder.encode(data);
-      socket.write(bytes);
-      socket.removeEventListener('error', onError);
-      resolve();
-    } catch (error) {
-      socket.removeEventListener('error', onError);
-      reject(error);
-    }
-  });
+async function readLine(stream) {
+  const line = await stream.readUntil('\r\n', MAX_LINE_LENGTH);
+  return new TextDecoder().decode(line.subarray(0, -2));
 }
 
 /**
@@ -206,12 +100,17 @@ export class HttpConnectProtocol {
    * @param {number} port - Target port (1-65535)
    * @param {Object} socket - Socket object for communication
    * @param {Object} [auth] - Authentication credentials
-   * @param {string} [auth.username] - Username for Basic authentication
-   * @param {string} [auth.password] - Password for Basic authentication
-   * @returns {Promise<Object>} Connection information
+   * @param {string} [auth.username] - Username; DOMAIN\\user for NTLM
+   * @param {string} [auth.password] - Password
+   * @param {Object} [options]
+   * @param {Function} [options.reconnect] - Returns a new socket to the proxy,
+   *   used when the proxy closes the connection after a 407
+   * @returns {Promise<Object>} Connection information; `socket` is the
+   *   SocketStream the tunnel continues on, which is over a new connection
+   *   if the proxy closed the first one after a 407
    * @throws {Error} For any protocol violations or connection errors
    */
-  async connect(address, port, socket, auth) {
+  async connect(address, port, socket, auth, options = {}) {
     this.socket = socket;
 
     try {
@@ -225,7 +124,7 @@ export class HttpConnectProtocol {
       }
 
       // Send HTTP CONNECT request
-      const result = await this._sendConnectRequest(socket, address, port, auth);
+      const result = await this._sendConnectRequest(SocketStream.from(socket), address, port, auth, options);
 
       return result;
     } catch (error) {
@@ -235,22 +134,86 @@ export class HttpConnectProtocol {
   }
 
   /**
-   * Send HTTP CONNECT request
+   * Send HTTP CONNECT request, answering proxy authentication challenges
    * @private
    */
-  async _sendConnectRequest(socket, address, port, auth) {
-    // Build CONNECT request
+  async _sendConnectRequest(stream, address, port, auth, options) {
     const target = `${address}:${port}`;
+    const hasCredentials = Boolean(auth && auth.username);
+
+    let authenticator = hasCredentials ? createAuthenticator({ scheme: 'basic' }, auth) : null;
+    let authorization = authenticator ? await authenticator.authorize() : null;
+
+    for (let round = 0; ; round++) {
+      await stream.write(new TextEncoder().encode(this._buildRequest(target, authorization)));
+      const response = await this._readResponse(stream);
+      const { statusCode, statusMessage, headers } = response;
+
+      if (statusCode === HTTP_STATUS.OK) {
+        // Anything after the headers is tunnelled data and stays in the stream
+        return {
+          address: address,
+          port: port,
+          statusCode,
+          statusMessage,
+          headers,
+          socket: stream
+        };
+      }
+
+      if (statusCode !== HTTP_STATUS.PROXY_AUTH_REQUIRED || !hasCredentials) {
+        const errorMsg = getStatusError(statusCode);
+        throw new Error(`HTTP CONNECT failed: ${errorMsg} (${statusCode} ${statusMessage})`);
+      }
+
+      if (round === MAX_AUTH_ROUNDS) {
+        throw new Error(`HTTP CONNECT failed: Proxy authentication did not complete after ${MAX_AUTH_ROUNDS} attempts`);
+      }
+
+      const challenges = parseChallenges(response.authenticate);
+      const challenge = selectChallenge(challenges);
+      if (!challenge) {
+        const offered = challenges.map(c => c.scheme).join(', ') || 'none';
+        throw new Error(`HTTP CONNECT failed: No supported proxy authentication scheme (offered: ${offered})`);
+      }
+
+      const reusable = await this._discardBody(stream, response);
+
+      if (authenticator.scheme !== challenge.scheme) {
+        authenticator = createAuthenticator(challenge, auth, { method: 'CONNECT', uri: target });
+      }
+      authorization = await authenticator.authorize(challenge);
+      if (!authorization) {
+        throw new Error(`HTTP CONNECT failed: Proxy rejected the credentials (${statusCode} ${statusMessage})`);
+      }
+
+      if (!reusable) {
+        // An NTLM response is only valid on the connection that got the challenge
+        if (authenticator.boundToConnection) {
+          throw new Error(`HTTP CONNECT failed: Proxy closed the connection during ${challenge.scheme.toUpperCase()} authentication`);
+        }
+        if (!options.reconnect) {
+          throw new Error('HTTP CONNECT failed: Proxy closed the connection during authentication');
+        }
+        stream = SocketStream.from(await options.reconnect());
+        this.socket = stream;
+      }
+    }
+  }
+
+  /**
+   * Build a CONNECT request
+   * @private
+   */
+  _buildRequest(target, authorization) {
     let request = `CONNECT ${target} HTTP/1.1\r\n`;
     request += `Host: ${target}\r\n`;
     
     // Add User-Agent header
     request += `User-Agent: ProxyChainClient/1.0\r\n`;
     
-    // Add Basic authentication if provided
-    if (auth && auth.username) {
-      const authString = encodeBasicAuth(auth.username, auth.password || '');
-      request += `Proxy-Authorization: Basic ${authString}\r\n`;
+    if (authorization) {
+      request += `Proxy-Authorization: ${authorization}\r\n`;
     }
     
     // Add other common headers
@@ -259,26 +222,28 @@ export class HttpConnectProtocol {
     
     // End headers
     request += `\r\n`;
+    return request;
+  }
 
-    // Send request
-    await writeString(socket, request);
-
+  /**
+   * Read the status line and headers of a response
+   * @private
+   */
+  async _readResponse(stream) {
     // Read status line
-    const statusLine = await readLine(socket);
+    const statusLine = await readLine(stream);
     
     // Parse status line: "HTTP/1.x XXX status message"
-    const statusMatch = statusLine.match(/^HTTP\/1\.[01] (\d{3}) (.*)$/);
+    const statusMatch = statusLine.match(/^HTTP\/(1\.[01]) (\d{3}) (.*)$/);
     if (!statusMatch) {
       throw new Error(`Invalid HTTP response: ${statusLine}`);
     }
 
-    const statusCode = parseInt(statusMatch[1], 10);
-    const statusMessage = statusMatch[2];
-
-    // Read headers until empty line
+    // Read headers until empty line; Proxy-Authenticate may repeat
     const headers = {};
+    const authenticate = [];
     while (true) {
-      const line = await readLine(socket);
+      const line = await readLine(stream);
       if (line === '') {
         break; // Empty line indicates end of headers
       }
@@ -288,27 +253,66 @@ export class HttpConnectProtocol {
         const name = line.substring(0, colonIndex).trim().toLowerCase();
         const value = line.substring(colonIndex + 1).trim();
         headers[name] = value;
+        if (name === 'proxy-authenticate') {
+          authenticate.push(value);
+        }
       }
     }
 
-    // Check if connection was successful
-    if (statusCode !== HTTP_STATUS.OK) {
-      const errorMsg = getStatusError(statusCode);
-      throw new Error(`HTTP CONNECT failed: ${errorMsg} (${statusCode} ${statusMessage})`);
-    }
-
-    // Read any remaining data (might be proxy greeting or error page)
-    const remainingData = await readRemainingData(socket, 1000);
-    
     return {
-      address: address,
-      port: port,
-      statusCode,
-      statusMessage,
+      httpVersion: statusMatch[1],
+      statusCode: parseInt(statusMatch[2], 10),
+      statusMessage: statusMatch[3],
       headers,
-      remainingData
+      authenticate
     };
   }
+
+  /**
+   * Skip the body of a 407 response
+   * @returns {Promise<boolean>} Whether the connection can carry the next request
+   * @private
+   */
+  async _discardBody(stream, response) {
+    const { headers } = response;
+    const connection = `${headers['proxy-connection'] || ''} ${headers['connection'] || ''}`.toLowerCase();
+    const keepAlive = response.httpVersion === '1.1'
+      ? !connection.includes('close')
+      : connection.includes('keep-alive');
+
+    if (!keepAlive || !stream.isConnected()) {
+      return false;
+    }
+
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+      while (true) {
+        const size = parseInt(await readLine(stream), 16);
+        if (Number.isNaN(size)) {
+          return false;
+        }
+        if (size === 0) {
+          while (await readLine(stream) !== '') {
+            // trailer fields
+          }
+          return true;
+        }
+        await stream.readExactly(size + 2);
+      }
+    }
+
+    if (headers['content-length'] === undefined) {
+      return false; // body runs until the proxy closes the connection
+    }
+
+    const length = parseInt(headers['content-length'], 10);
+    if (!(length >= 0) || length > MAX_DISCARDED_BODY) {
+      return false;
+    }
+    if (length > 0) {
+      await stream.readExactly(length);
+    }
+    return true;
+  }
 }
 
 export default HttpConnectProtocol;
\ No newline at end of file
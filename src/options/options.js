@@ -8,12 +8,68 @@ import {
   saveChain, 
   deleteChain, 
   validateChain, 
-  validateProxy 
+  validateHop,
+  listChainProxies,
+  importChains,
+  loadRules,
+  saveRules,
+  validateRule,
+  loadPacConfig,
+  savePacConfig,
+  clearPacConfig,
+  loadHealthConfig,
+  saveHealthConfig,
+  loadTestTargets,
+  saveTestTargets,
+  loadExitCheckEndpoint,
+  saveExitCheckEndpoint,
+  loadDohServer,
+  saveDohServer,
+  getSettings
 } from '../storage.js';
+import { PacScript, generatePac } from '../pac.js';
+import { healthKey } from '../health.js';
+import { parseTestTarget } from '../connectionTest.js';
+import { getProtocol, getProtocols } from '../protocols.js';
+import { escapeHtml, renderHealthBadge, renderSparkline, renderTestResults } from './render.js';
+import {
+  exportBundle,
+  exportUrlList,
+  exportProxychainsConf,
+  parseImport,
+  diffChains,
+  describeProxy,
+  describeAlternates,
+  describeMode
+} from '../chainIO.js';
+
+// Download file name and MIME type for each export format
+const EXPORT_FILES = {
+  json: { name: 'proxy-chains.json', type: 'application/json' },
+  urls: { name: 'proxy-chains.txt', type: 'text/plain' },
+  proxychains: { name: 'proxychains.conf', type: 'text/plain' }
+};
+
+// Placeholder text for each routing rule type
+const RULE_PATTERN_PLACEHOLDERS = {
+  host: '*.example.com',
+  regex: '^https://[^/]*\\.example\\.org/',
+  cidr: '10.0.0.0/8',
+  port: '8000-8999'
+};
+
+// Label of each hop selection policy (see HOP_SELECTION_POLICIES)
+const SELECTION_LABELS = {
+  failover: 'Try in order',
+  'round-robin': 'Round robin',
+  random: 'Random',
+  latency: 'Lowest latency first'
+};
 
 class ChainManager {
   constructor() {
     this.chains = [];
+    this.health = null;
     this.currentEditingChain = null;
     this.proxyIdCounter = 0;
     this.draggedElement = null;
@@ -34,6 +90,9 @@ class ChainManager {
     this.modalTitle = document.getElementById('modalTitle');
     this.chainEditorForm = document.getElementById('chainEditorForm');
     this.chainNameInput = document.getElementById('chainName');
+    this.chainModeSelect = document.getElementById('chainMode');
+    this.chainLengthInput = document.getElementById('chainLength');
+    this.chainDnsSelect = document.getElementById('chainDns');
     this.proxiesList = document.getElementById('proxiesList');
     this.addProxyBtn = document.getElementById('addProxyBtn');
     
@@ -50,6 +109,7 @@ class ChainManager {
     
     // Error messages
     this.chainNameError = document.getElementById('chainNameError');
+    this.chainModeError = document.getElementById('chainModeError');
     this.proxiesError = document.getElementById('proxiesError');
   }
 
@@ -59,6 +119,7 @@ class ChainManager {
     this.closeModalBtn.addEventListener('click', () => this.closeChainEditor());
     this.cancelBtn.addEventListener('click', () => this.closeChainEditor());
     this.addProxyBtn.addEventListener('click', () => this.addProxy());
+    this.chainModeSelect.addEventListener('change', () => this.updateChainModeFields());
     
     // Form submission
     this.chainEditorForm.addEventListener('submit', (e) => {
@@ -83,6 +144,22 @@ class ChainManager {
       }
     });
     
+    // Chain list buttons, which name their action; the chain ID comes from the item
+    this.chainsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) {
+        return;
+      }
+      const chainId = button.closest('.chain-item').dataset.chainId;
+      if (button.dataset.action === 'test') {
+        window.connectionTestManager.testChain(chainId);
+      } else if (button.dataset.action === 'edit') {
+        this.editChain(chainId);
+      } else if (button.dataset.action === 'delete') {
+        this.deleteChain(chainId);
+      }
+    });
+    
     // Clear errors on input
     this.chainNameInput.addEventListener('input', () => {
       this.clearError(this.chainNameError);
@@ -94,6 +171,11 @@ class ChainManager {
     try {
       this.chains = await loadChains();
       this.renderChains();
+      
+      // Keep the rule editor's chain choices in sync
+      if (window.ruleManager) {
+        await window.ruleManager.loadRules(this.chains);
+      }
     } catch (error) {
       this.showMessage('Failed to load proxy chains', 'error');
       console.error('Error loading chains:', error);
@@ -109,18 +191,23 @@ class ChainManager {
       this.emptyState.style.display = 'none';
       
       this.chainsList.innerHTML = this.chains.map(chain => `
-        <div class="chain-item" data-chain-id="${chain.id}">
+        <div class="chain-item" data-chain-id="${escapeHtml(chain.id)}">
           <div class="chain-info">
-            <div class="chain-name">${this.escapeHtml(chain.name)}</div>
+            <div class="chain-name">${escapeHtml(chain.name)}</div>
             <div class="chain-details">
-              ${chain.proxies.length} proxy server${chain.proxies.length !== 1 ? 's' : ''}
+              ${chain.proxies.length} proxy server${chain.proxies.length !== 1 ? 's' : ''}${chain.mode && chain.mode !== 'strict'
+                ? ` · ${escapeHtml(describeMode(chain))}` : ''}${chain.dns ? ` · ${chain.dns === 'doh' ? 'DoH' : 'local DNS'}` : ''}
             </div>
+            ${this.renderChainHealth(chain)}
           </div>
           <div class="chain-actions">
-            <button class="btn btn-small btn-secondary" onclick="chainManager.editChain('${chain.id}')">
+            <button class="btn btn-small btn-secondary" data-action="test">
+              Test
+            </button>
+            <button class="btn btn-small btn-secondary" data-action="edit">
               Edit
             </button>
-            <button class="btn btn-small btn-danger" onclick="chainManager.deleteChain('${chain.id}')">
+            <button class="btn btn-small btn-danger" data-action="delete">
               Delete
             </button>
           </div>
@@ -129,6 +216,34 @@ class ChainManager {
     }
   }
 
+  // Latest health check results, from the health monitor
+  setHealth(health) {
+    this.health = health;
+    this.renderChains();
+  }
+
+  // The chain's badge and sparkline, then a badge for each of its proxies
+  renderChainHealth(chain) {
+    if (!this.health || !this.health.checkedAt) {
+      return '';
+    }
+    
+    const chainHealth = this.health.chains[chain.id];
+    const hops = listChainProxies(chain).map(proxy => {
+      const proxyHealth = this.health.proxies[healthKey(proxy)];
+      return proxyHealth ? `
+        <span class="hop-health">${escapeHtml(`${proxy.address}:${proxy.port}`)} ${renderHealthBadge(proxyHealth.summary)}</span>
+      ` : '';
+    });
+    
+    return `
+      <div class="chain-health">
+        ${chainHealth ? renderHealthBadge(chainHealth.summary) + renderSparkline(chainHealth.samples) : ''}
+        ${hops.join('')}
+      </div>
+    `;
+  }
+
   openChainEditor(chainId = null) {
     this.currentEditingChain = chainId ? this.chains.find(c => c.id === chainId) : null;
     this.proxyIdCounter = 0;
@@ -143,6 +258,9 @@ class ChainManager {
     // Load chain data if editing
     if (this.currentEditingChain) {
       this.chainNameInput.value = this.currentEditingChain.name;
+      this.chainModeSelect.value = this.currentEditingChain.mode || 'strict';
+      this.chainLengthInput.value = this.currentEditingChain.chainLength || '';
+      this.chainDnsSelect.value = this.currentEditingChain.dns || 'remote';
       this.currentEditingChain.proxies.forEach(proxy => {
         this.addProxy(proxy);
       });
@@ -151,11 +269,17 @@ class ChainManager {
       this.addProxy();
       this.addProxy();
     }
+    this.updateChainModeFields();
     
     // Show modal
     this.chainEditorModal.classList.add('active');
   }
 
+  // Only random mode picks a number of proxies
+  updateChainModeFields() {
+    this.chainLengthInput.hidden = this.chainModeSelect.value !== 'random';
+  }
+
   closeChainEditor() {
     this.chainEditorModal.classList.remove('active');
     this.currentEditingChain = null;
@@ -168,10 +292,13 @@ class ChainManager {
     proxyItem.className = 'proxy-item';
     proxyItem.dataset.proxyId = proxyId;
     proxyItem.draggable = true;
+    const alternates = (proxyData && proxyData.alternates) || [];
+    const selection = (proxyData && proxyData.selection) || 'failover';
     
     proxyItem.innerHTML = `
       <div class="proxy-header">
         <div class="proxy-title">Proxy ${this.proxyIdCounter}</div>
+        ${this.renderCredentialsNote(proxyData)}
         <div class="proxy-actions">
           <button type="button" class="btn btn-small btn-secondary" onclick="chainManager.removeProxy('${proxyId}')">
             Remove
@@ -179,30 +306,7 @@ class ChainManager {
         </div>
       </div>
       <div class="proxy-form">
-        <div class="form-group">
-          <input type="text" placeholder="Address (IP or hostname)" data-field="address" 
-                 value="${proxyData ? this.escapeHtml(proxyData.address) : ''}" required>
-        </div>
-        <div class="form-group">
-          <input type="number" placeholder="Port" min="1" max="65535" data-field="port" 
-                 value="${proxyData ? proxyData.port : ''}" required>
-        </div>
-        <div class="form-group">
-          <select data-field="type" required>
-            <option value="">Select Type</option>
-            <option value="socks5" ${proxyData && proxyData.type === 'socks5' ? 'selected' : ''}>SOCKS5</option>
-            <option value="socks4" ${proxyData && proxyData.type === 'socks4' ? 'selected' : ''}>SOCKS4</option>
-            <option value="https" ${proxyData && proxyData.type === 'https' ? 'selected' : ''}>HTTPS</option>
-          </select>
-        </div>
-        <div class="form-group">
-          <input type="text" placeholder="Username (optional)" data-field="username" 
-                 value="${proxyData && proxyData.username ? this.escapeHtml(proxyData.username) : ''}">
-        </div>
-        <div class="form-group">
-          <input type="password" placeholder="Password (optional)" data-field="password" 
-                 value="${proxyData && proxyData.password ? proxyData.password : ''}">
-        </div>
+        ${this.renderProxyFields(proxyData)}
         <div class="proxy-reorder">
           <button type="button" class="reorder-btn" onclick="chainManager.moveProxyUp('${proxyId}')" title="Move Up">
             ↑
@@ -212,14 +316,183 @@ class ChainManager {
           </button>
         </div>
       </div>
+      <div class="proxy-alternates"></div>
+      <div class="proxy-alternates-footer">
+        <button type="button" class="btn btn-small btn-secondary" onclick="chainManager.addAlternate('${proxyId}')">
+          Add alternate
+        </button>
+        <select data-field="selection" title="Order in which this hop's proxies are tried">
+          ${Object.entries(SELECTION_LABELS).map(([value, label]) => `
+            <option value="${value}" ${selection === value ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </div>
     `;
     
+    this.initProxyForm(proxyItem, proxyData);
     this.proxiesList.appendChild(proxyItem);
+    alternates.forEach(alternate => this.addAlternate(proxyId, alternate));
     this.updateProxyNumbers();
     this.setupDragAndDrop(proxyItem);
     this.updateReorderButtons();
   }
 
+  // Alternate proxies the hop fails over to; they take no alternates of their own
+  addAlternate(proxyId, proxyData = null) {
+    const proxyItem = document.querySelector(`[data-proxy-id="${proxyId}"]`);
+    const alternateId = `proxy-${this.proxyIdCounter++}`;
+    const alternateItem = document.createElement('div');
+    alternateItem.className = 'alternate-item';
+    alternateItem.dataset.proxyId = alternateId;
+    
+    alternateItem.innerHTML = `
+      <div class="proxy-header">
+        <div class="proxy-title">Alternate</div>
+        ${this.renderCredentialsNote(proxyData)}
+        <div class="proxy-actions">
+          <button type="button" class="btn btn-small btn-secondary" onclick="chainManager.removeAlternate('${alternateId}')">
+            Remove
+          </button>
+        </div>
+      </div>
+      <div class="proxy-form">
+        ${this.renderProxyFields(proxyData)}
+      </div>
+    `;
+    
+    this.initProxyForm(alternateItem, proxyData);
+    proxyItem.querySelector('.proxy-alternates').appendChild(alternateItem);
+    this.updateAlternates(proxyItem);
+  }
+
+  removeAlternate(alternateId) {
+    const alternateItem = document.querySelector(`[data-proxy-id="${alternateId}"]`);
+    if (alternateItem) {
+      const proxyItem = alternateItem.closest('.proxy-item');
+      alternateItem.remove();
+      this.updateAlternates(proxyItem);
+    }
+  }
+
+  // Number a hop's alternates; the selection policy only matters once there are some
+  updateAlternates(proxyItem) {
+    const alternateItems = proxyItem.querySelectorAll('.alternate-item');
+    alternateItems.forEach((item, index) => {
+      item.querySelector('.proxy-title').textContent = `Alternate ${index + 1}`;
+    });
+    proxyItem.querySelector('[data-field="selection"]').hidden = alternateItems.length === 0;
+  }
+
+  // Offered when a proxy has saved credentials, which the form does not show
+  renderCredentialsNote(proxyData) {
+    const hasSavedCredentials = !!(proxyData && (proxyData.credentialId || proxyData.username || proxyData.password));
+    return hasSavedCredentials ? `
+      <label class="proxy-credentials-note" title="Leave username and password blank to keep the saved credentials">
+        <input type="checkbox" data-field="clearCredentials">
+        Remove saved credentials
+      </label>
+    ` : '';
+  }
+
+  // Inputs for one proxy: a hop's own or one of its alternates
+  renderProxyFields(proxyData) {
+    return `
+      <div class="form-group">
+        <input type="text" placeholder="Address (IP or hostname)" data-field="address" 
+               value="${proxyData ? escapeHtml(proxyData.address) : ''}" required>
+      </div>
+      <div class="form-group">
+        <input type="number" placeholder="Port" min="1" max="65535" data-field="port" 
+               value="${proxyData ? proxyData.port : ''}">
+      </div>
+      <div class="form-group">
+        <select data-field="type" required>
+          <option value="">Select Type</option>
+          ${getProtocols().map(protocol => `
+            <option value="${protocol.type}" ${proxyData && proxyData.type === protocol.type ? 'selected' : ''}>${escapeHtml(protocol.name)}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="form-group" data-credential-field>
+        <input type="text" data-field="username">
+      </div>
+      <div class="form-group" data-credential-field>
+        <input type="password" data-field="password"
+               autocomplete="new-password">
+      </div>
+      ${this.renderProtocolFields(proxyData)}
+      <div class="form-group">
+        <input type="text" placeholder="Exit IP, if not its address" data-field="egressIp"
+               title="Address this proxy's outbound connections come from, checked by Verify Exit"
+               value="${proxyData && proxyData.egressIp ? escapeHtml(proxyData.egressIp) : ''}">
+      </div>
+    `;
+  }
+
+  // Remember saved credentials and follow the type select of a rendered proxy form
+  initProxyForm(element, proxyData) {
+    // Saved credentials stay in the vault; the form only shows that they exist
+    const hasSavedCredentials = !!(proxyData && (proxyData.credentialId || proxyData.username || proxyData.password));
+    if (proxyData && proxyData.credentialId) {
+      element.dataset.credentialId = proxyData.credentialId;
+    }
+    element.dataset.savedCredentials = hasSavedCredentials;
+    if (proxyData && !proxyData.credentialId && (proxyData.username || proxyData.password)) {
+      // Chains saved before the vault existed; sealed into the vault on save
+      element.legacyCredentials = { username: proxyData.username, password: proxyData.password };
+    }
+
+    proxyFormField(element, 'type').addEventListener('change', () => this.updateProxyFields(element));
+    this.updateProxyFields(element);
+  }
+  // One input per protocol-specific field; a field shared by several protocols appears once
+  renderProtocolFields(proxyData) {
+    const seen = new Set();
+    return getProtocols().flatMap(protocol => protocol.fields).filter(field => {
+      if (seen.has(field.name)) {
+        return false;
+      }
+      seen.add(field.name);
+      return true;
+    }).map(field => {
+      const value = proxyData && proxyData[field.name] !== undefined ? proxyData[field.name] : '';
+      const text = field.kind === 'list' && Array.isArray(value) ? value.join(', ') : value;
+      return `
+        <div class="form-group" data-protocol-field="${escapeHtml(field.name)}">
+          <input type="text" placeholder="${escapeHtml(field.placeholder)}" data-field="${escapeHtml(field.name)}"
+                 ${field.maxLength ? `maxlength="${field.maxLength}"` : ''} value="${escapeHtml(String(text))}">
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Show the fields the selected protocol declares, and the credential inputs it uses.
+  // Protocols that name their own credentials (a Shadowsocks key) need them.
+  updateProxyFields(proxyItem) {
+    const protocol = getProtocol(proxyFormField(proxyItem, 'type').value);
+    const fieldNames = protocol ? protocol.fields.map(field => field.name) : [];
+    let credentials = { username: 'Username', password: 'Password' };
+    if (protocol && protocol.credentials) {
+      credentials = protocol.credentials;
+    } else if (protocol && protocol.capabilities.auth.length === 0) {
+      credentials = {};
+    }
+    const saved = proxyItem.dataset.savedCredentials === 'true';
+
+    proxyItem.querySelectorAll(':scope > .proxy-form [data-credential-field]').forEach(field => {
+      const input = field.querySelector('input');
+      const label = credentials[input.dataset.field];
+      field.hidden = !label;
+      if (label) {
+        input.placeholder = saved ? `${label} (saved)` : protocol && protocol.credentials ? label : `${label} (optional)`;
+      }
+    });
+    proxyItem.querySelectorAll(':scope > .proxy-form [data-protocol-field]').forEach(field => {
+      field.hidden = !fieldNames.includes(field.dataset.protocolField);
+    });
+    proxyFormField(proxyItem, 'port').placeholder = protocol ? `Port (${protocol.defaultPort})` : 'Port';
+  }
+
   removeProxy(proxyId) {
     const proxyItem = document.querySelector(`[data-proxy-id="${proxyId}"]`);
     if (proxyItem) {
@@ -254,7 +527,7 @@ class ChainManager {
   updateProxyNumbers() {
     const proxyItems = this.proxiesList.querySelectorAll('.proxy-item');
     proxyItems.forEach((item, index) => {
-      const titleElement = item.querySelector('.proxy-title');
+      const titleElement = item.querySelector(':scope > .proxy-header .proxy-title');
       titleElement.textContent = `Proxy ${index + 1}`;
     });
   }
@@ -309,20 +582,20 @@ class ChainManager {
     }
 
     try {
-      const chainData = this.getFormData();
+      let chainData = this.getFormData();
+      chainData.id = this.currentEditingChain ? this.currentEditingChain.id : this.generateId();
       
-      if (this.currentEditingChain) {
-        // Update existing chain
-        chainData.id = this.currentEditingChain.id;
-        await saveChain(chainData);
-        this.showMessage('Chain updated successfully!', 'success');
-      } else {
-        // Create new chain
-        chainData.id = this.generateId();
-        await saveChain(chainData);
-        this.showMessage('Chain created successfully!', 'success');
+      if (hasInlineCredentials([chainData])) {
+        if (!(await window.vaultManager.requireUnlocked())) {
+          this.showError(this.proxiesError, 'Create or unlock the credential vault to save proxy credentials');
+          return;
+        }
+        [chainData] = await sealCredentials([chainData]);
       }
       
+      await saveChain(chainData);
+      this.showMessage(this.currentEditingChain ? 'Chain updated successfully!' : 'Chain created successfully!', 'success');
+      
       this.closeChainEditor();
       await this.loadChains();
     } catch (error) {
@@ -352,23 +625,45 @@ class ChainManager {
       isValid = false;
     }
 
-    // Validate each proxy
+    // Validate each proxy and its alternates
     proxies.forEach((proxy, index) => {
-      const proxyValidation = validateProxy(proxy);
-      if (!proxyValidation.isValid) {
-        this.showError(this.proxiesError, `Proxy ${index + 1}: ${proxyValidation.error}`);
+      try {
+        validateHop(proxy);
+      } catch (error) {
+        this.showError(this.proxiesError, `Proxy ${index + 1}: ${error.message}`);
         isValid = false;
       }
     });
 
+    // Validate the number of proxies a random chain picks
+    const { chainLength } = this.getFormData();
+    if (chainLength !== undefined && !(Number.isInteger(chainLength) && chainLength >= 1 && chainLength <= proxies.length)) {
+      this.showError(this.chainModeError, `Proxies per connection must be between 1 and ${proxies.length}`);
+      this.chainLengthInput.classList.add('error');
+      isValid = false;
+    }
+
     return isValid;
   }
 
   getFormData() {
-    return {
+    const chain = {
       name: this.chainNameInput.value.trim(),
       proxies: this.getProxyData()
     };
+
+    const mode = this.chainModeSelect.value;
+    if (mode !== 'strict') {
+      chain.mode = mode;
+    }
+    if (mode === 'random' && this.chainLengthInput.value !== '') {
+      chain.chainLength = Number(this.chainLengthInput.value);
+    }
+    if (this.chainDnsSelect.value !== 'remote') {
+      chain.dns = this.chainDnsSelect.value;
+    }
+
+    return chain;
   }
 
   getProxyData() {
@@ -376,26 +671,68 @@ class ChainManager {
     const proxies = [];
 
     proxyItems.forEach(item => {
-      const address = item.querySelector('[data-field="address"]').value.trim();
-      const port = parseInt(item.querySelector('[data-field="port"]').value);
-      const type = item.querySelector('[data-field="type"]').value;
-      const username = item.querySelector('[data-field="username"]').value.trim();
-      const password = item.querySelector('[data-field="password"]').value;
-
-      if (address && port && type) {
-        proxies.push({
-          address,
-          port,
-          type,
-          username: username || undefined,
-          password: password || undefined
-        });
+      const proxy = this.readProxyForm(item);
+      if (proxy) {
+        const alternates = [...item.querySelectorAll('.alternate-item')]
+          .map(alternateItem => this.readProxyForm(alternateItem))
+          .filter(Boolean);
+        const selection = proxyFormField(item, 'selection').value;
+        if (alternates.length > 0) {
+          proxy.alternates = alternates;
+          if (selection !== 'failover') {
+            proxy.selection = selection;
+          }
+        }
+        proxies.push(proxy);
       }
     });
 
     return proxies;
   }
 
+  // Read one proxy form, or null while its address or type is missing
+  readProxyForm(item) {
+    const address = proxyFormField(item, 'address').value.trim();
+    const port = parseInt(proxyFormField(item, 'port').value);
+    const type = proxyFormField(item, 'type').value;
+    const username = proxyFormField(item, 'username').value.trim();
+    const password = proxyFormField(item, 'password').value;
+    const clearCredentials = proxyFormField(item, 'clearCredentials');
+    const protocol = getProtocol(type);
+
+    if (!address || !protocol) {
+      return null;
+    }
+
+    const proxy = { address, port: port || protocol.defaultPort, type };
+    const egressIp = proxyFormField(item, 'egressIp').value.trim();
+    if (egressIp) {
+      proxy.egressIp = egressIp;
+    }
+
+    for (const field of protocol.fields) {
+      const input = proxyFormField(item, field.name).value;
+      const value = field.kind === 'list' ? input.split(/[\s,]+/).filter(Boolean) : input.trim();
+      if (value.length > 0) {
+        proxy[field.name] = value;
+      }
+    }
+    
+    if (username || password) {
+      // New credentials; moved into the vault before saving
+      proxy.username = username || undefined;
+      proxy.password = password || undefined;
+    } else if (!(clearCredentials && clearCredentials.checked)) {
+      if (item.dataset.credentialId) {
+        proxy.credentialId = item.dataset.credentialId;
+      } else if (item.legacyCredentials) {
+        Object.assign(proxy, item.legacyCredentials);
+      }
+    }
+    
+    return proxy;
+  }
+
   editChain(chainId) {
     this.openChainEditor(chainId);
   }
@@ -440,6 +777,7 @@ class ChainManager {
 
   clearAllErrors() {
     this.clearError(this.chainNameError);
+    this.clearError(this.chainModeError);
     this.clearError(this.proxiesError);
     this.chainNameInput.classList.remove('error');
     
@@ -461,15 +799,1074 @@ class ChainManager {
   generateId() {
     return 'chain-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
   }
+}
+
+class RuleManager {
+  constructor() {
+    this.rules = [];
+    this.chains = [];
+    this.ruleIdCounter = 0;
+    this.draggedElement = null;
+    
+    this.initializeElements();
+    this.bindEvents();
+  }
+
+  initializeElements() {
+    this.rulesList = document.getElementById('rulesList');
+    this.rulesEmptyState = document.getElementById('rulesEmptyState');
+    this.rulesError = document.getElementById('rulesError');
+    this.addRuleBtn = document.getElementById('addRuleBtn');
+    this.saveRulesBtn = document.getElementById('saveRulesBtn');
+  }
+
+  bindEvents() {
+    this.addRuleBtn.addEventListener('click', () => this.addRule());
+    this.saveRulesBtn.addEventListener('click', () => this.saveRules());
+  }
+
+  async loadRules(chains) {
+    try {
+      this.chains = chains;
+      this.rules = await loadRules();
+      this.renderRules();
+    } catch (error) {
+      chainManager.showMessage('Failed to load routing rules', 'error');
+      console.error('Error loading rules:', error);
+    }
+  }
+
+  renderRules() {
+    this.rulesList.innerHTML = '';
+    this.ruleIdCounter = 0;
+    this.rules.forEach(rule => this.addRule(rule));
+    this.updateEmptyState();
+  }
+
+  addRule(ruleData = null) {
+    const rowId = `rule-row-${this.ruleIdCounter++}`;
+    const ruleItem = document.createElement('div');
+    ruleItem.className = 'rule-item';
+    ruleItem.dataset.rowId = rowId;
+    ruleItem.dataset.ruleId = ruleData ? ruleData.id : this.generateId();
+    ruleItem.draggable = true;
+    
+    const type = ruleData ? ruleData.type : 'host';
+    const action = ruleData ? ruleData.action : 'direct';
+    const enabled = ruleData ? ruleData.enabled !== false : true;
+    
+    const chainOptions = this.chains.map(chain => `
+      <option value="chain:${escapeHtml(chain.id)}" 
+              ${action === 'chain' && ruleData.chainId === chain.id ? 'selected' : ''}>
+        Chain: ${escapeHtml(chain.name)}
+      </option>
+    `).join('');
+    
+    ruleItem.innerHTML = `
+      <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+      <select data-field="type">
+        <option value="host" ${type === 'host' ? 'selected' : ''}>Host glob</option>
+        <option value="regex" ${type === 'regex' ? 'selected' : ''}>URL regex</option>
+        <option value="cidr" ${type === 'cidr' ? 'selected' : ''}>IP range (CIDR)</option>
+        <option value="port" ${type === 'port' ? 'selected' : ''}>Port</option>
+      </select>
+      <input type="text" data-field="pattern" placeholder="${escapeHtml(RULE_PATTERN_PLACEHOLDERS[type])}"
+             value="${ruleData ? escapeHtml(ruleData.pattern) : ''}">
+      <select data-field="action">
+        <option value="direct" ${action === 'direct' ? 'selected' : ''}>Direct</option>
+        <option value="block" ${action === 'block' ? 'selected' : ''}>Block</option>
+        ${chainOptions}
+      </select>
+      <label class="rule-enabled" title="Enabled">
+        <input type="checkbox" data-field="enabled" ${enabled ? 'checked' : ''}>
+      </label>
+      <button type="button" class="btn btn-small btn-secondary" onclick="ruleManager.removeRule('${rowId}')">
+        Remove
+      </button>
+    `;
+    
+    const typeSelect = ruleItem.querySelector('[data-field="type"]');
+    const patternInput = ruleItem.querySelector('[data-field="pattern"]');
+    typeSelect.addEventListener('change', () => {
+      patternInput.placeholder = RULE_PATTERN_PLACEHOLDERS[typeSelect.value];
+    });
+    patternInput.addEventListener('input', () => {
+      patternInput.classList.remove('error');
+      this.clearError();
+    });
+    
+    this.rulesList.appendChild(ruleItem);
+    this.setupDragAndDrop(ruleItem);
+    this.updateEmptyState();
+  }
+
+  removeRule(rowId) {
+    const ruleItem = this.rulesList.querySelector(`[data-row-id="${rowId}"]`);
+    if (ruleItem) {
+      ruleItem.remove();
+      this.updateEmptyState();
+    }
+  }
+
+  setupDragAndDrop(ruleItem) {
+    ruleItem.addEventListener('dragstart', (e) => {
+      this.draggedElement = ruleItem;
+      ruleItem.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    ruleItem.addEventListener('dragend', (e) => {
+      ruleItem.classList.remove('dragging');
+      this.draggedElement = null;
+    });
+
+    ruleItem.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      
+      if (this.draggedElement && this.draggedElement !== ruleItem) {
+        const rect = ruleItem.getBoundingClientRect();
+        const midpoint = rect.top + rect.height / 2;
+        
+        if (e.clientY < midpoint) {
+          this.rulesList.insertBefore(this.draggedElement, ruleItem);
+        } else {
+          this.rulesList.insertBefore(this.draggedElement, ruleItem.nextSibling);
+        }
+      }
+    });
+  }
+
+  updateEmptyState() {
+    const hasRules = this.rulesList.children.length > 0;
+    this.rulesList.style.display = hasRules ? 'grid' : 'none';
+    this.rulesEmptyState.style.display = hasRules ? 'none' : 'block';
+  }
+
+  getRuleData() {
+    const ruleItems = this.rulesList.querySelectorAll('.rule-item');
+    
+    return Array.from(ruleItems).map(item => {
+      const actionValue = item.querySelector('[data-field="action"]').value;
+      const rule = {
+        id: item.dataset.ruleId,
+        type: item.querySelector('[data-field="type"]').value,
+        pattern: item.querySelector('[data-field="pattern"]').value.trim(),
+        action: actionValue.startsWith('chain:') ? 'chain' : actionValue,
+        enabled: item.querySelector('[data-field="enabled"]').checked
+      };
+      
+      if (rule.action === 'chain') {
+        rule.chainId = actionValue.substring('chain:'.length);
+      }
+      
+      return rule;
+    });
+  }
+
+  async saveRules() {
+    this.clearError();
+    const rules = this.getRuleData();
+    const ruleItems = this.rulesList.querySelectorAll('.rule-item');
+    
+    for (let i = 0; i < rules.length; i++) {
+      try {
+        validateRule(rules[i]);
+      } catch (error) {
+        ruleItems[i].querySelector('[data-field="pattern"]').classList.add('error');
+        this.showError(`Rule ${i + 1}: ${error.message}`);
+        return;
+      }
+    }
+    
+    try {
+      this.rules = await saveRules(rules);
+      chainManager.showMessage('Routing rules saved successfully!', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      chainManager.showMessage('Failed to save routing rules', 'error');
+      console.error('Error saving rules:', error);
+    }
+  }
+
+  showError(message) {
+    this.rulesError.textContent = message;
+    this.rulesError.classList.add('visible');
+  }
+
+  clearError() {
+    this.rulesError.textContent = '';
+    this.rulesError.classList.remove('visible');
+  }
+
+  generateId() {
+    return 'rule-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+class VaultManager {
+  constructor() {
+    this.status = null;
+    this.changingPassphrase = false;
+    
+    this.initializeElements();
+    this.bindEvents();
+    this.refresh();
+  }
+
+  initializeElements() {
+    this.vaultStatus = document.getElementById('vaultStatus');
+    this.vaultForm = document.getElementById('vaultForm');
+    this.vaultPassphrase = document.getElementById('vaultPassphrase');
+    this.vaultSecondPassphrase = document.getElementById('vaultSecondPassphrase');
+    this.vaultSubmitBtn = document.getElementById('vaultSubmitBtn');
+    this.changePassphraseBtn = document.getElementById('changePassphraseBtn');
+    this.lockVaultBtn = document.getElementById('lockVaultBtn');
+    this.vaultError = document.getElementById('vaultError');
+  }
+
+  bindEvents() {
+    this.vaultForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    this.changePassphraseBtn.addEventListener('click', () => {
+      this.changingPassphrase = !this.changingPassphrase;
+      this.render();
+    });
+    this.lockVaultBtn.addEventListener('click', () => this.lock());
+  }
+
+  async refresh() {
+    try {
+      this.status = await sendBackgroundMessage({ action: 'getVaultStatus' });
+    } catch (error) {
+      this.status = null;
+      this.showError(error.message);
+    }
+    this.render();
+  }
+
+  async isUnlocked() {
+    await this.refresh();
+    return !!(this.status && this.status.unlocked);
+  }
+
+  // Check the vault is unlocked, pointing the user at the vault form if not
+  async requireUnlocked() {
+    if (await this.isUnlocked()) {
+      return true;
+    }
+    this.showError(this.status && this.status.initialized
+      ? 'Enter your master passphrase to unlock the vault'
+      : 'Choose a master passphrase to create the vault');
+    this.vaultPassphrase.focus();
+    return false;
+  }
+
+  render() {
+    const status = this.status || { initialized: false, unlocked: false, inlineCredentials: 0 };
+    const mode = !status.initialized ? 'create'
+      : !status.unlocked ? 'unlock'
+      : this.changingPassphrase ? 'change'
+      : 'unlocked';
+    
+    const messages = {
+      create: 'No vault yet. Choose a master passphrase of at least 8 characters to start saving proxy credentials.',
+      unlock: 'Locked. Enter your master passphrase to use chains with saved credentials.',
+      change: 'Enter your current and new master passphrase.',
+      unlocked: 'Unlocked for this browser session.'
+    };
+    
+    let message = messages[mode];
+    if (status.inlineCredentials > 0) {
+      message += ` ${status.inlineCredentials} proxy(ies) still store credentials unencrypted` +
+        (status.initialized ? '; open and save their chains to encrypt them.' : ' and will be encrypted when the vault is created.');
+    }
+    this.vaultStatus.textContent = message;
+    this.vaultStatus.classList.toggle('warning', status.inlineCredentials > 0);
+    
+    this.vaultForm.hidden = mode === 'unlocked';
+    this.vaultSecondPassphrase.hidden = mode === 'unlock';
+    this.vaultPassphrase.placeholder = mode === 'change' ? 'Current passphrase' : 'Master passphrase';
+    this.vaultSecondPassphrase.placeholder = mode === 'change' ? 'New passphrase' : 'Confirm passphrase';
+    this.vaultSubmitBtn.textContent = { create: 'Create Vault', unlock: 'Unlock', change: 'Change Passphrase' }[mode] || '';
+    this.changePassphraseBtn.hidden = !status.unlocked;
+    this.changePassphraseBtn.textContent = this.changingPassphrase ? 'Cancel' : 'Change Passphrase';
+    this.lockVaultBtn.hidden = !status.unlocked;
+  }
+
+  async submit() {
+    this.clearError();
+    const passphrase = this.vaultPassphrase.value;
+    const second = this.vaultSecondPassphrase.value;
+    const status = this.status || {};
+    
+    try {
+      if (!status.initialized) {
+        if (passphrase !== second) {
+          throw new Error('Passphrases do not match');
+        }
+        await sendBackgroundMessage({ action: 'createVault', passphrase });
+        chainManager.showMessage('Credential vault created', 'success');
+      } else if (!status.unlocked) {
+        await sendBackgroundMessage({ action: 'unlockVault', passphrase });
+        chainManager.showMessage('Credential vault unlocked', 'success');
+      } else {
+        await sendBackgroundMessage({ action: 'changeVaultPassphrase', currentPassphrase: passphrase, newPassphrase: second });
+        this.changingPassphrase = false;
+        chainManager.showMessage('Master passphrase changed', 'success');
+      }
+      
+      this.vaultPassphrase.value = '';
+      this.vaultSecondPassphrase.value = '';
+      await this.refresh();
+      await chainManager.loadChains();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async lock() {
+    this.clearError();
+    try {
+      await sendBackgroundMessage({ action: 'lockVault' });
+      this.changingPassphrase = false;
+      await this.refresh();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  showError(message) {
+    this.vaultError.textContent = message;
+    this.vaultError.classList.add('visible');
+  }
+
+  clearError() {
+    this.vaultError.textContent = '';
+    this.vaultError.classList.remove('visible');
+  }
+}
+
+class TransferManager {
+  constructor() {
+    this.pendingImport = null;
+    this.importFileName = '';
+    
+    this.initializeElements();
+    this.bindEvents();
+  }
+
+  initializeElements() {
+    this.exportFormat = document.getElementById('exportFormat');
+    this.exportChain = document.getElementById('exportChain');
+    this.exportChainsBtn = document.getElementById('exportChainsBtn');
+    this.importText = document.getElementById('importText');
+    this.importFileInput = document.getElementById('importFileInput');
+    this.importFileBtn = document.getElementById('importFileBtn');
+    this.previewImportBtn = document.getElementById('previewImportBtn');
+    this.transferError = document.getElementById('transferError');
+    
+    // Preview modal
+    this.importPreviewModal = document.getElementById('importPreviewModal');
+    this.importSummary = document.getElementById('importSummary');
+    this.importWarnings = document.getElementById('importWarnings');
+    this.importDiff = document.getElementById('importDiff');
+    this.importSettingsOption = document.getElementById('importSettingsOption');
+    this.importSettingsToggle = document.getElementById('importSettingsToggle');
+    this.importSettingsSummary = document.getElementById('importSettingsSummary');
+    this.confirmImportBtn = document.getElementById('confirmImportBtn');
+    this.cancelImportBtn = document.getElementById('cancelImportBtn');
+    this.closeImportPreviewBtn = document.getElementById('closeImportPreviewBtn');
+  }
+
+  bindEvents() {
+    this.exportFormat.addEventListener('change', () => this.updateExportChainSelect());
+    this.exportChainsBtn.addEventListener('click', () => this.exportChains());
+    this.importFileBtn.addEventListener('click', () => this.importFileInput.click());
+    this.importFileInput.addEventListener('change', () => this.readImportFile());
+    this.previewImportBtn.addEventListener('click', () => this.previewImport());
+    this.importText.addEventListener('input', () => {
+      this.importFileName = '';
+      this.clearError();
+    });
+    
+    this.confirmImportBtn.addEventListener('click', () => this.confirmImport());
+    this.cancelImportBtn.addEventListener('click', () => this.closePreview());
+    this.closeImportPreviewBtn.addEventListener('click', () => this.closePreview());
+    this.importPreviewModal.addEventListener('click', (e) => {
+      if (e.target === this.importPreviewModal) {
+        this.closePreview();
+      }
+    });
+  }
+
+  async updateExportChainSelect() {
+    const isProxychains = this.exportFormat.value === 'proxychains';
+    this.exportChain.hidden = !isProxychains;
+    if (!isProxychains) {
+      return;
+    }
+    
+    const chains = await loadChains();
+    this.exportChain.innerHTML = chains.map(chain => `
+      <option value="${escapeHtml(chain.id)}">${escapeHtml(chain.name)}</option>
+    `).join('');
+  }
+
+  async exportChains() {
+    this.clearError();
+    const format = this.exportFormat.value;
+    
+    try {
+      let chains = await loadChains();
+      if (chains.length === 0) {
+        throw new Error('There are no chains to export');
+      }
+      
+      // Exports carry the credentials themselves, not vault references
+      if (chains.some(chain => listChainProxies(chain).some(proxy => proxy.credentialId))) {
+        if (!(await window.vaultManager.requireUnlocked())) {
+          throw new Error('Unlock the credential vault to export chains with saved credentials');
+        }
+        chains = await sendBackgroundMessage({ action: 'revealCredentials', chains }).then(r => r.chains);
+      }
+      
+      let content;
+      if (format === 'json') {
+        content = exportBundle(chains, await getSettings());
+      } else if (format === 'urls') {
+        content = exportUrlList(chains);
+      } else {
+        const chain = chains.find(c => c.id === this.exportChain.value);
+        if (!chain) {
+          throw new Error('Select a chain to export');
+        }
+        content = exportProxychainsConf(chain);
+      }
+      
+      downloadFile(content, EXPORT_FILES[format].name, EXPORT_FILES[format].type);
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error exporting chains:', error);
+    }
+  }
+
+  async readImportFile() {
+    const file = this.importFileInput.files[0];
+    this.importFileInput.value = '';
+    if (!file) {
+      return;
+    }
+    
+    this.importText.value = await file.text();
+    this.importFileName = file.name;
+    this.clearError();
+    await this.previewImport();
+  }
+
+  async previewImport() {
+    this.clearError();
+    
+    try {
+      const parsed = parseImport(this.importText.value, {
+        name: this.importFileName.replace(/\.[^.]*$/, '') || undefined
+      });
+      // Compare against decrypted credentials when possible so unchanged chains stay unchanged
+      let existing = await loadChains();
+      if (await window.vaultManager.isUnlocked()) {
+        existing = (await sendBackgroundMessage({ action: 'revealCredentials', chains: existing })).chains;
+      }
+      const diff = diffChains(existing, parsed.chains);
+      this.pendingImport = { parsed, diff };
+      this.renderPreview();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  renderPreview() {
+    const { parsed, diff } = this.pendingImport;
+    
+    this.importSummary.textContent =
+      `${parsed.chains.length} chain${parsed.chains.length !== 1 ? 's' : ''} found: ` +
+      `${diff.added.length} new, ${diff.updated.length} changed, ${diff.unchanged.length} unchanged.`;
+    
+    this.importWarnings.innerHTML = parsed.warnings
+      .map(warning => `<li>${escapeHtml(warning)}</li>`)
+      .join('');
+    
+    const hopList = (chain) => chain.proxies
+      .map(proxy => {
+        const alternates = describeAlternates(proxy);
+        return `<li>${escapeHtml(describeProxy(proxy))}${alternates ? ` (alternates ${escapeHtml(alternates)})` : ''}</li>`;
+      })
+      .join('');
+    
+    this.importDiff.innerHTML = [
+      ...diff.added.map(chain => `
+        <div class="import-diff-item added">
+          <strong>New:</strong> ${escapeHtml(chain.name)}
+          <ul>${hopList(chain)}</ul>
+        </div>
+      `),
+      ...diff.updated.map(({ after, changes }) => `
+        <div class="import-diff-item updated">
+          <strong>Changed:</strong> ${escapeHtml(after.name)}
+          <ul>${changes.map(change => `<li>${escapeHtml(change)}</li>`).join('')}</ul>
+        </div>
+      `),
+      ...diff.unchanged.map(chain => `
+        <div class="import-diff-item unchanged">
+          Unchanged: ${escapeHtml(chain.name)}
+        </div>
+      `)
+    ].join('');
+    
+    const settings = parsed.settings;
+    this.importSettingsOption.hidden = !settings;
+    this.importSettingsToggle.checked = false;
+    if (settings) {
+      const active = settings.activeChainId
+        ? parsed.chains.find(c => c.id === settings.activeChainId)
+        : null;
+      this.importSettingsSummary.textContent =
+        `${settings.enabled ? 'enabled' : 'disabled'}` + (active ? `, active chain "${active.name}"` : '');
+    }
+    
+    this.confirmImportBtn.disabled = diff.added.length === 0 && diff.updated.length === 0 && !settings;
+    this.importPreviewModal.classList.add('active');
+  }
+
+  async confirmImport() {
+    if (!this.pendingImport) {
+      return;
+    }
+    
+    const { parsed, diff } = this.pendingImport;
+    let settings = null;
+    if (parsed.settings && this.importSettingsToggle.checked) {
+      const activeChainId = parsed.settings.activeChainId;
+      settings = {
+        enabled: parsed.settings.enabled,
+        activeChainId: activeChainId ? diff.idMap[activeChainId] : undefined
+      };
+    }
+    
+    try {
+      let chains = [...diff.added, ...diff.updated.map(entry => entry.after)];
+      if (hasInlineCredentials(chains)) {
+        if (!(await window.vaultManager.requireUnlocked())) {
+          throw new Error('Create or unlock the credential vault to import chains with credentials');
+        }
+        chains = await sealCredentials(chains);
+      }
+      
+      await importChains(chains, settings);
+      this.closePreview();
+      this.importText.value = '';
+      this.importFileName = '';
+      chainManager.showMessage('Chains imported successfully!', 'success');
+      await chainManager.loadChains();
+      await this.updateExportChainSelect();
+    } catch (error) {
+      this.closePreview();
+      this.showError(error.message);
+      chainManager.showMessage('Failed to import chains', 'error');
+      console.error('Error importing chains:', error);
+    }
+  }
+
+  closePreview() {
+    this.importPreviewModal.classList.remove('active');
+    this.pendingImport = null;
+  }
+
+  showError(message) {
+    this.transferError.textContent = message;
+    this.transferError.classList.add('visible');
+  }
+
+  clearError() {
+    this.transferError.textContent = '';
+    this.transferError.classList.remove('visible');
+  }
+}
+
+class PacManager {
+  constructor() {
+    this.pacConfig = null;
+    
+    this.initializeElements();
+    this.bindEvents();
+    this.loadPacConfig();
+  }
+
+  initializeElements() {
+    this.pacFileInput = document.getElementById('pacFileInput');
+    this.importPacBtn = document.getElementById('importPacBtn');
+    this.exportPacBtn = document.getElementById('exportPacBtn');
+    this.removePacBtn = document.getElementById('removePacBtn');
+    this.pacEnabledToggle = document.getElementById('pacEnabledToggle');
+    this.pacStatus = document.getElementById('pacStatus');
+    this.pacTestUrl = document.getElementById('pacTestUrl');
+    this.pacTestBtn = document.getElementById('pacTestBtn');
+    this.pacTestResult = document.getElementById('pacTestResult');
+    this.pacError = document.getElementById('pacError');
+  }
+
+  bindEvents() {
+    this.importPacBtn.addEventListener('click', () => this.pacFileInput.click());
+    this.pacFileInput.addEventListener('change', () => this.importPac());
+    this.exportPacBtn.addEventListener('click', () => this.exportPac());
+    this.removePacBtn.addEventListener('click', () => this.removePac());
+    this.pacEnabledToggle.addEventListener('change', () => this.setEnabled(this.pacEnabledToggle.checked));
+    this.pacTestBtn.addEventListener('click', () => this.testPac());
+  }
+
+  async loadPacConfig() {
+    try {
+      this.pacConfig = await loadPacConfig();
+      this.renderStatus();
+    } catch (error) {
+      chainManager.showMessage('Failed to load PAC script', 'error');
+      console.error('Error loading PAC script:', error);
+    }
+  }
+
+  renderStatus() {
+    const hasPac = this.pacConfig !== null;
+    this.pacEnabledToggle.disabled = !hasPac;
+    this.pacEnabledToggle.checked = hasPac && this.pacConfig.enabled;
+    this.removePacBtn.disabled = !hasPac;
+    this.pacTestBtn.disabled = !hasPac;
+    
+    if (!hasPac) {
+      this.pacStatus.textContent = 'No PAC script imported.';
+      return;
+    }
+    
+    const name = this.pacConfig.name || 'PAC script';
+    const updated = new Date(this.pacConfig.updatedAt).toLocaleString();
+    this.pacStatus.textContent = `${name} (${this.pacConfig.source.length} characters), imported ${updated}`;
+  }
+
+  async importPac() {
+    this.clearError();
+    const file = this.pacFileInput.files[0];
+    this.pacFileInput.value = '';
+    if (!file) {
+      return;
+    }
+    
+    try {
+      const source = await file.text();
+      this.pacConfig = await savePacConfig({
+        source,
+        enabled: true,
+        name: file.name,
+        updatedAt: Date.now()
+      });
+      this.renderStatus();
+      chainManager.showMessage('PAC script imported successfully!', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      chainManager.showMessage('Failed to import PAC script', 'error');
+      console.error('Error importing PAC script:', error);
+    }
+  }
+
+  async setEnabled(enabled) {
+    this.clearError();
+    
+    try {
+      this.pacConfig = await savePacConfig({ ...this.pacConfig, enabled });
+      this.renderStatus();
+    } catch (error) {
+      this.showError(error.message);
+      this.renderStatus();
+      console.error('Error updating PAC script:', error);
+    }
+  }
+
+  async removePac() {
+    this.clearError();
+    
+    try {
+      await clearPacConfig();
+      this.pacConfig = null;
+      this.pacTestResult.textContent = '';
+      this.renderStatus();
+      chainManager.showMessage('PAC script removed', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error removing PAC script:', error);
+    }
+  }
+
+  async exportPac() {
+    this.clearError();
+    
+    try {
+      const source = generatePac({
+        chains: await loadChains(),
+        settings: await getSettings(),
+        rules: await loadRules()
+      });
+      
+      downloadFile(source, 'proxy.pac', 'application/x-ns-proxy-autoconfig');
+    } catch (error) {
+      this.showError(error.message);
+      chainManager.showMessage('Failed to export PAC file', 'error');
+      console.error('Error exporting PAC file:', error);
+    }
+  }
+
+  async testPac() {
+    this.clearError();
+    this.pacTestResult.textContent = '';
+    
+    let url;
+    try {
+      url = new URL(this.pacTestUrl.value.trim());
+    } catch (error) {
+      this.showError('Enter a full URL, e.g. https://www.example.com/');
+      return;
+    }
+    
+    try {
+      // DNS helpers return null here; the background applies real lookups
+      const script = new PacScript(this.pacConfig.source);
+      const result = await script.findProxyForURL(url.href, url.hostname.replace(/^\[|\]$/g, ''));
+      this.pacTestResult.textContent = result;
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  showError(message) {
+    this.pacError.textContent = message;
+    this.pacError.classList.add('visible');
   }
+
+  clearError() {
+    this.pacError.textContent = '';
+    this.pacError.classList.remove('visible');
+  }
+}
+
+class HealthManager {
+  constructor() {
+    this.initializeElements();
+    this.bindEvents();
+    this.loadHealthConfig();
+    this.loadHealth();
+  }
+
+  initializeElements() {
+    this.healthEnabledToggle = document.getElementById('healthEnabledToggle');
+    this.healthInterval = document.getElementById('healthInterval');
+    this.healthTargetHost = document.getElementById('healthTargetHost');
+    this.healthTargetPort = document.getElementById('healthTargetPort');
+    this.saveHealthBtn = document.getElementById('saveHealthBtn');
+    this.checkHealthBtn = document.getElementById('checkHealthBtn');
+    this.healthStatus = document.getElementById('healthStatus');
+    this.healthError = document.getElementById('healthError');
+  }
+
+  bindEvents() {
+    this.saveHealthBtn.addEventListener('click', () => this.saveHealthConfig());
+    this.checkHealthBtn.addEventListener('click', () => this.checkNow());
+    
+    // The background worker stores the results of every scheduled run
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.proxyHealth) {
+        this.loadHealth();
+      }
+    });
+  }
+
+  async loadHealthConfig() {
+    try {
+      const config = await loadHealthConfig();
+      this.healthEnabledToggle.checked = config.enabled;
+      this.healthInterval.value = config.intervalMinutes;
+      this.healthTargetHost.value = config.targetHost;
+      this.healthTargetPort.value = config.targetPort;
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error loading health monitor settings:', error);
+    }
+  }
+
+  async saveHealthConfig() {
+    this.clearError();
+    
+    try {
+      await saveHealthConfig({
+        enabled: this.healthEnabledToggle.checked,
+        intervalMinutes: Number(this.healthInterval.value),
+        targetHost: this.healthTargetHost.value,
+        targetPort: Number(this.healthTargetPort.value)
+      });
+      chainManager.showMessage('Health monitor settings saved', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error saving health monitor settings:', error);
+    }
+  }
+
+  async loadHealth() {
+    try {
+      const { health } = await sendBackgroundMessage({ action: 'getHealth' });
+      this.renderHealth(health);
+    } catch (error) {
+      console.error('Error loading health history:', error);
+    }
+  }
+
+  async checkNow() {
+    this.clearError();
+    this.checkHealthBtn.disabled = true;
+    this.healthStatus.textContent = 'Checking proxies and chains...';
+    
+    try {
+      const { health } = await sendBackgroundMessage({ action: 'checkHealth' });
+      this.renderHealth(health);
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error running health check:', error);
+    } finally {
+      this.checkHealthBtn.disabled = false;
+    }
+  }
+
+  renderHealth(health) {
+    chainManager.setHealth(health);
+    
+    if (!health.checkedAt) {
+      this.healthStatus.textContent = 'Not checked yet.';
+      return;
+    }
+    
+    const proxies = Object.values(health.proxies);
+    const down = proxies.filter(entry => entry.summary.status === 'down').length;
+    this.healthStatus.textContent = `Last checked ${new Date(health.checkedAt).toLocaleString()}: ` +
+      `${proxies.length - down} of ${proxies.length} prox${proxies.length !== 1 ? 'ies' : 'y'} up.`;
+  }
+
+  showError(message) {
+    this.healthError.textContent = message;
+    this.healthError.classList.add('visible');
+  }
+
+  clearError() {
+    this.healthError.textContent = '';
+    this.healthError.classList.remove('visible');
+  }
+}
+
+class ConnectionTestManager {
+  constructor() {
+    this.initializeElements();
+    this.bindEvents();
+    this.loadTestSettings();
+  }
+
+  initializeElements() {
+    this.testSection = document.getElementById('testSection');
+    this.testTargets = document.getElementById('testTargets');
+    this.exitCheckEndpoint = document.getElementById('exitCheckEndpoint');
+    this.saveTestSettingsBtn = document.getElementById('saveTestSettingsBtn');
+    this.testStatus = document.getElementById('testStatus');
+    this.testResults = document.getElementById('testResults');
+    this.testError = document.getElementById('testError');
+  }
+
+  bindEvents() {
+    this.saveTestSettingsBtn.addEventListener('click', () => this.saveTestSettings());
+  }
+
+  // Targets as typed, one per line
+  readTargets() {
+    return this.testTargets.value.split('\n').map(target => target.trim()).filter(Boolean);
+  }
+
+  async loadTestSettings() {
+    try {
+      this.testTargets.value = (await loadTestTargets()).join('\n');
+      this.exitCheckEndpoint.value = await loadExitCheckEndpoint();
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error loading test settings:', error);
+    }
+  }
+
+  async saveTestSettings() {
+    this.clearError();
+    
+    try {
+      this.testTargets.value = (await saveTestTargets(this.readTargets())).join('\n');
+      this.exitCheckEndpoint.value = await saveExitCheckEndpoint(this.exitCheckEndpoint.value);
+      chainManager.showMessage('Test settings saved', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error saving test settings:', error);
+    }
+  }
+
+  // Test a chain against the targets as typed, saved or not
+  async testChain(chainId) {
+    const chain = chainManager.chains.find(c => c.id === chainId);
+    this.clearError();
+    this.testResults.innerHTML = '';
+    this.testSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    
+    try {
+      const targets = this.readTargets().map(target => parseTestTarget(target).target);
+      if (targets.length === 0) {
+        throw new Error('Enter at least one test target');
+      }
+      
+      this.testStatus.textContent = `Testing ${chain.name}...`;
+      const response = await chrome.runtime.sendMessage({ action: 'testConnection', chainId, targets });
+      if (!response.results) {
+        throw new Error(response.error);
+      }
+      
+      const passed = response.results.filter(result => result.success).length;
+      this.testStatus.textContent = `${chain.name}: ${passed} of ${response.results.length} ` +
+        `target${response.results.length !== 1 ? 's' : ''} answered.`;
+      this.testResults.innerHTML = renderTestResults(response.results);
+    } catch (error) {
+      this.testStatus.textContent = '';
+      this.showError(error.message);
+      console.error('Error testing chain:', error);
+    }
+  }
+
+  showError(message) {
+    this.testError.textContent = message;
+    this.testError.classList.add('visible');
+  }
+
+  clearError() {
+    this.testError.textContent = '';
+    this.testError.classList.remove('visible');
+  }
+}
+
+// Send a request to the background worker, which holds the unlocked vault key and the health history
+function sendBackgroundMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || !response.success) {
+        reject(new Error(response ? response.error : 'No response from background'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+class DohManager {
+  constructor() {
+    this.initializeElements();
+    this.bindEvents();
+    this.loadDohServer();
+  }
+
+  initializeElements() {
+    this.dohUrl = document.getElementById('dohUrl');
+    this.dohPins = document.getElementById('dohPins');
+    this.saveDohBtn = document.getElementById('saveDohBtn');
+    this.dohError = document.getElementById('dohError');
+  }
+
+  bindEvents() {
+    this.saveDohBtn.addEventListener('click', () => this.saveDohServer());
+  }
+
+  showServer(server) {
+    this.dohUrl.value = server ? server.url : '';
+    this.dohPins.value = server ? server.pins.join(', ') : '';
+  }
+
+  async loadDohServer() {
+    try {
+      this.showServer(await loadDohServer());
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error loading DoH server:', error);
+    }
+  }
+
+  async saveDohServer() {
+    this.clearError();
+    
+    try {
+      this.showServer(await saveDohServer({
+        url: this.dohUrl.value.trim(),
+        pins: this.dohPins.value.split(/[\s,]+/).filter(Boolean)
+      }));
+      chainManager.showMessage('DoH server saved', 'success');
+    } catch (error) {
+      this.showError(error.message);
+      console.error('Error saving DoH server:', error);
+    }
+  }
+
+  showError(message) {
+    this.dohError.textContent = message;
+    this.dohError.classList.add('visible');
+  }
+
+  clearError() {
+    this.dohError.textContent = '';
+    this.dohError.classList.remove('visible');
+  }
+}
+
+// Find an input of a proxy form, leaving out the forms of its alternates
+function proxyFormField(item, name) {
+  return item.querySelector(`:scope > .proxy-header [data-field="${name}"], :scope > .proxy-form [data-field="${name}"], ` +
+    `:scope > .proxy-alternates-footer [data-field="${name}"]`);
+}
+
+// Check whether any proxy carries a cleartext username or password
+function hasInlineCredentials(chains) {
+  return chains.some(chain => listChainProxies(chain).some(proxy => proxy.username || proxy.password));
+}
+
+// Move cleartext credentials into the vault, returning chains with credential references
+async function sealCredentials(chains) {
+  const response = await sendBackgroundMessage({ action: 'sealCredentials', chains });
+  return response.chains;
+}
+
+// Offer text content as a file download
+function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
-// Initialize the chain manager when DOM is ready
+// Initialize the vault, chain, rule, import/export, PAC, health, connection test and DoH managers when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+  window.vaultManager = new VaultManager();
+  window.ruleManager = new RuleManager();
   window.chainManager = new ChainManager();
+  window.transferManager = new TransferManager();
+  window.pacManager = new PacManager();
+  window.healthManager = new HealthManager();
+  window.connectionTestManager = new ConnectionTestManager();
+  window.dohManager = new DohManager();
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * HTML rendering shared by the options page and the popup
+ *
+ * Everything interpolated into markup goes through escapeHtml, which is safe
+ * for both element content and quoted attribute values.
+ */
+
+// How each kind of step is described
+const STEP_LABELS = {
+  direct: (proxy) => `Connect to ${proxy}`,
+  proxy_to_proxy: (proxy) => `${proxy} to next hop`,
+  proxy_to_target: (proxy) => `${proxy} to target`
+};
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} text - Converted to a string
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render an up/down badge for a history
+ * @param {Object} summary - From summarizeHealth
+ * @returns {string} HTML of a span with class 'health-badge' and 'up', 'down' or 'unknown'
+ */
+export function renderHealthBadge(summary) {
+  const label = summary.status === 'up' ? `up ${summary.latency}ms` : summary.status;
+  const details = summary.status === 'unknown'
+    ? 'Not checked yet'
+    : [
+        `Checked ${new Date(summary.checkedAt).toLocaleString()}`,
+        summary.error,
+        `${Math.round(summary.uptime * 100)}% up` + (summary.averageLatency !== null ? `, ${summary.averageLatency}ms on average` : '')
+      ].filter(Boolean).join('\n');
+
+  return `<span class="health-badge ${summary.status}" title="${escapeHtml(details)}">${escapeHtml(label)}</span>`;
+}
+
+/**
+ * Render a history as a latency sparkline
+ *
+ * Successful samples are joined by a line scaled to the slowest one; failed
+ * samples break the line and are marked in red along the bottom.
+ * @param {Object[]} samples - { ok, latency }, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width in pixels
+ * @param {number} [options.height] - Height in pixels
+ * @returns {string} SVG markup, empty without samples
+ */
+export function renderSparkline(samples = [], { width = 80, height = 18 } = {}) {
+  if (samples.length === 0) {
+    return '';
+  }
+
+  const slowest = Math.max(1, ...samples.filter(sample => sample.ok).map(sample => sample.latency));
+  const step = samples.length > 1 ? (width - 2) / (samples.length - 1) : 0;
+  const x = (index) => (1 + index * step).toFixed(1);
+  const y = (latency) => (height - 1 - (latency / slowest) * (height - 4)).toFixed(1);
+
+  let path = '';
+  let failures = '';
+  samples.forEach((sample, index) => {
+    if (sample.ok) {
+      const joined = index > 0 && samples[index - 1].ok;
+      path += `${joined ? 'L' : 'M'}${x(index)} ${y(sample.latency)}`;
+    } else {
+      failures += `<rect x="${(x(index) - 1).toFixed(1)}" y="${height - 3}" width="2" height="3" fill="#d93025"/>`;
+    }
+  });
+  // A lone sample between failures still needs a visible mark
+  path = path.replace(/M([\d.]+) ([\d.]+)(?=M|$)/g, (match, px, py) => `M${px} ${py}h0.5`);
+
+  return `<svg class="health-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">` +
+    (path ? `<path d="${path}" fill="none" stroke="#0060df" stroke-width="1.5" stroke-linecap="round"/>` : '') +
+    failures + '</svg>';
+}
+
+/**
+ * Render test results with the time each hop took
+ * @param {Object[]} results - From runConnectionTest
+ * @returns {string} HTML of a list with class 'test-results'; items have class 'passed' or 'failed'
+ */
+export function renderTestResults(results) {
+  const items = results.map(result => {
+    const outcome = result.success
+      ? `${result.response} (connected in ${result.connectTime}ms, answered in ${result.responseTime}ms)`
+      : result.error;
+    const hops = result.hops.map(hop => `
+      <li class="${hop.success ? '' : 'failed'}">
+        <span>${escapeHtml((STEP_LABELS[hop.type] || STEP_LABELS.proxy_to_target)(hop.proxy))}</span>
+        <span>${hop.duration}ms</span>
+      </li>`);
+
+    return `
+      <li class="test-result ${result.success ? 'passed' : 'failed'}">
+        <div class="test-target">${escapeHtml(result.target)}</div>
+        <div class="test-outcome">${escapeHtml(outcome)}</div>
+        ${hops.length > 0 ? `<ol class="test-hops">${hops.join('')}</ol>` : ''}
+      </li>`;
+  });
+
+  return `<ul class="test-results">${items.join('')}</ul>`;
+}
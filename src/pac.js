@@ -0,0 +1,2049 @@
+/**
+ * PAC (Proxy Auto-Config) support
+ *
+ * Imported PAC files are run by a small sandboxed interpreter rather than
+ * eval(): extension pages cannot use eval under Manifest V3, and a PAC file
+ * should never reach extension APIs anyway. The interpreter covers the
+ * JavaScript subset PAC files are written in (functions, var/let/const,
+ * if/for/while/switch, string/array/regex methods) plus the standard PAC
+ * helpers (dnsDomainIs, shExpMatch, isInNet, timeRange, ...). Execution is
+ * bounded by a step budget and a wall-clock limit, and memory by caps on the
+ * size of each string, array and object a script builds and on how much it
+ * allocates per call. Regular expressions run on the sandbox's own matcher
+ * (see pacRegExp.js), which draws on the same budget, as a native RegExp
+ * cannot be interrupted once it starts backtracking; shExpMatch needs no
+ * regex at all.
+ *
+ * The exporter turns the stored chains, routing rules and active chain into
+ * a standard PAC file for machines that do not run the extension.
+ */
+
+import { PacRegExp } from './pacRegExp.js';
+
+/**
+ * Default configuration values
+ */
+const DEFAULT_CONFIG = {
+  maxSteps: 100000,          // Interpreter steps per FindProxyForURL call
+  maxDuration: 1000,         // Wall-clock limit per call (ms)
+  maxStringLength: 1048576,  // Longest string a script can build (characters)
+  maxArrayLength: 100000,    // Longest array a script can build
+  maxObjectSize: 100000,     // Most properties on one object
+  maxAllocation: 33554432,   // Characters, elements and properties built per call
+  resolveHost: null,         // async (host) => IPv4 string or null
+  myIpAddress: '127.0.0.1'
+};
+
+const KEYWORDS = new Set([
+  'var', 'let', 'const', 'function', 'return', 'if', 'else', 'for', 'while',
+  'do', 'break', 'continue', 'switch', 'case', 'default', 'true', 'false',
+  'null', 'typeof', 'in', 'new', 'void'
+]);
+
+// Longest punctuators first so the lexer can match greedily
+const PUNCTUATORS = [
+  '>>>=', '===', '!==', '>>>', '<<=', '>>=',
+  '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '&=', '|=', '^=', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '.', '<', '>', '+', '-', '*', '/',
+  '%', '!', '=', '?', ':', '&', '|', '^', '~'
+];
+
+const BINARY_PRECEDENCE = {
+  '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, 'in': 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=', '>>>='
+]);
+
+// Methods a PAC script may call on built-in values
+const STRING_METHODS = new Set([
+  'charAt', 'charCodeAt', 'concat', 'endsWith', 'includes', 'indexOf',
+  'lastIndexOf', 'match', 'replace', 'search', 'slice', 'split', 'startsWith',
+  'substr', 'substring', 'toLowerCase', 'toUpperCase', 'trim', 'toString'
+]);
+const ARRAY_METHODS = new Set([
+  'concat', 'includes', 'indexOf', 'join', 'lastIndexOf', 'pop', 'push',
+  'reverse', 'shift', 'slice', 'unshift', 'toString'
+]);
+const REGEXP_MEMBERS = new Set(['test', 'exec', 'source', 'global', 'ignoreCase', 'lastIndex']);
+const DATE_METHODS = new Set([
+  'getDate', 'getDay', 'getFullYear', 'getHours', 'getMinutes', 'getMonth',
+  'getSeconds', 'getTime', 'getUTCDate', 'getUTCDay', 'getUTCFullYear',
+  'getUTCHours', 'getUTCMinutes', 'getUTCMonth', 'getUTCSeconds'
+]);
+const NUMBER_METHODS = new Set(['toFixed', 'toString']);
+// String methods that take a pattern, run with PacRegExp
+const REGEXP_STRING_METHODS = new Set(['match', 'replace', 'search', 'split']);
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// PAC result keywords mapped to proxy.onRequest ProxyInfo types
+const PAC_PROXY_TYPES = {
+  PROXY: 'http',
+  HTTP: 'http',
+  HTTPS: 'https',
+  SOCKS: 'socks4',
+  SOCKS4: 'socks4',
+  SOCKS5: 'socks'
+};
+
+// Chain proxy types mapped to PAC result keywords
+const PAC_KEYWORDS = {
+  http: 'PROXY',
+  https: 'HTTPS',
+  socks4: 'SOCKS',
+  socks4a: 'SOCKS',
+  socks5: 'SOCKS5'
+};
+
+/**
+ * Error raised for syntax and runtime errors inside a PAC script
+ */
+class PacError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PacError';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lexer
+// ---------------------------------------------------------------------------
+
+/**
+ * Split PAC source into tokens
+ * @param {string} source - Script source
+ * @returns {Object[]} Tokens with type, value, position and newline flag
+ * @throws {PacError} On unterminated strings, comments or regexes
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+  let newlineBefore = false;
+
+  // A '/' starts a regex literal unless it follows something that ends an operand
+  const regexAllowed = () => {
+    const last = tokens[tokens.length - 1];
+    if (!last) {
+      return true;
+    }
+    if (last.type === 'num' || last.type === 'str' || last.type === 'regex') {
+      return false;
+    }
+    if (last.type === 'name') {
+      return KEYWORDS.has(last.value) && !['true', 'false', 'null'].includes(last.value);
+    }
+    return ![')', ']', '}'].includes(last.value);
+  };
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, pos: start, newlineBefore });
+    newlineBefore = false;
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029') {
+      newlineBefore = true;
+      pos++;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (source.startsWith('//', pos)) {
+      while (pos < source.length && source[pos] !== '\n') {
+        pos++;
+      }
+      continue;
+    }
+
+    if (source.startsWith('/*', pos)) {
+      const end = source.indexOf('*/', pos + 2);
+      if (end === -1) {
+        throw new PacError(`Unterminated comment at ${pos}`);
+      }
+      if (/[\r\n]/.test(source.substring(pos, end))) {
+        newlineBefore = true;
+      }
+      pos = end + 2;
+      continue;
+    }
+
+    const start = pos;
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1]))) {
+      const match = source.substring(pos).match(/^(0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+      pos += match[0].length;
+      push('num', Number(match[0]), start);
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = source.substring(pos).match(/^[A-Za-z0-9_$]+/);
+      pos += match[0].length;
+      push('name', match[0], start);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      pos++;
+      while (source[pos] !== ch) {
+        if (pos >= source.length || source[pos] === '\n') {
+          throw new PacError(`Unterminated string at ${start}`);
+        }
+        if (source[pos] === '\\') {
+          pos++;
+          const escape = source[pos];
+          const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+          if (escape in simple) {
+            value += simple[escape];
+            pos++;
+          } else if (escape === 'x' || escape === 'u') {
+            const length = escape === 'x' ? 2 : 4;
+            const hex = source.substr(pos + 1, length);
+            if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+              throw new PacError(`Invalid escape sequence at ${pos}`);
+            }
+            value += String.fromCharCode(parseInt(hex, 16));
+            pos += length + 1;
+          } else if (escape === '\n') {
+            pos++;
+          } else {
+            value += escape;
+            pos++;
+          }
+        } else {
+          value += source[pos++];
+        }
+      }
+      pos++;
+      push('str', value, start);
+      continue;
+    }
+
+    if (ch === '/' && regexAllowed()) {
+      let inClass = false;
+      pos++;
+      while (inClass || source[pos] !== '/') {
+        if (pos >= source.length || source[pos] === '\n') {
+          throw new PacError(`Unterminated regular expression at ${start}`);
+        }
+        if (source[pos] === '\\') {
+          pos++;
+        } else if (source[pos] === '[') {
+          inClass = true;
+        } else if (source[pos] === ']') {
+          inClass = false;
+        }
+        pos++;
+      }
+      const body = source.substring(start + 1, pos);
+      pos++;
+      const flags = source.substring(pos).match(/^[a-z]*/)[0];
+      pos += flags.length;
+      push('regex', { body, flags }, start);
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+    if (!punctuator) {
+      throw new PacError(`Unexpected character '${ch}' at ${pos}`);
+    }
+    pos += punctuator.length;
+    push('punc', punctuator, start);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos, newlineBefore: true });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * Recursive descent parser producing a small ESTree-like AST
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  is(value, type = null) {
+    const token = this.token;
+    if (type === null) {
+      return (token.type === 'punc' || token.type === 'name') && token.value === value;
+    }
+    return token.type === type && (value === null || token.value === value);
+  }
+
+  next() {
+    const token = this.token;
+    if (token.type !== 'eof') {
+      this.index++;
+    }
+    return token;
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  expectName() {
+    const token = this.token;
+    if (token.type !== 'name' || KEYWORDS.has(token.value)) {
+      this.fail('Expected identifier');
+    }
+    this.next();
+    return token.value;
+  }
+
+  fail(message) {
+    const token = this.token;
+    const found = token.type === 'eof' ? 'end of script' : `'${token.type === 'regex' ? '/' + token.value.body + '/' : token.value}'`;
+    throw new PacError(`${message} but found ${found} at ${token.pos}`);
+  }
+
+  consumeSemicolon() {
+    if (this.is(';', 'punc')) {
+      this.next();
+    } else if (!this.is('}', 'punc') && this.token.type !== 'eof' && !this.token.newlineBefore) {
+      this.fail("Expected ';'");
+    }
+  }
+
+  parseProgram() {
+    const body = [];
+    while (this.token.type !== 'eof') {
+      body.push(this.parseStatement());
+    }
+    return { type: 'Program', body };
+  }
+
+  parseStatement() {
+    const token = this.token;
+
+    if (token.type === 'punc') {
+      if (token.value === '{') {
+        return this.parseBlock();
+      }
+      if (token.value === ';') {
+        this.next();
+        return { type: 'Empty' };
+      }
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'function':
+          return this.parseFunction(true);
+        case 'var':
+        case 'let':
+        case 'const': {
+          const declaration = this.parseVarDeclaration();
+          this.consumeSemicolon();
+          return declaration;
+        }
+        case 'if':
+          return this.parseIf();
+        case 'for':
+          return this.parseFor();
+        case 'while': {
+          this.next();
+          this.expect('(');
+          const test = this.parseExpression();
+          this.expect(')');
+          return { type: 'While', test, body: this.parseStatement() };
+        }
+        case 'do': {
+          this.next();
+          const body = this.parseStatement();
+          this.expect('while');
+          this.expect('(');
+          const test = this.parseExpression();
+          this.expect(')');
+          this.consumeSemicolon();
+          return { type: 'DoWhile', test, body };
+        }
+        case 'return': {
+          this.next();
+          let argument = null;
+          if (!this.is(';', 'punc') && !this.is('}', 'punc') && this.token.type !== 'eof' && !this.token.newlineBefore) {
+            argument = this.parseExpression();
+          }
+          this.consumeSemicolon();
+          return { type: 'Return', argument };
+        }
+        case 'break':
+        case 'continue':
+          this.next();
+          this.consumeSemicolon();
+          return { type: token.value === 'break' ? 'Break' : 'Continue' };
+        case 'switch':
+          return this.parseSwitch();
+      }
+    }
+
+    const expression = this.parseExpression();
+    this.consumeSemicolon();
+    return { type: 'ExpressionStatement', expression };
+  }
+
+  parseBlock() {
+    this.expect('{');
+    const body = [];
+    while (!this.is('}', 'punc')) {
+      if (this.token.type === 'eof') {
+        this.fail("Expected '}'");
+      }
+      body.push(this.parseStatement());
+    }
+    this.next();
+    return { type: 'Block', body };
+  }
+
+  parseFunction(isDeclaration) {
+    this.expect('function');
+    let name = null;
+    if (isDeclaration || (this.token.type === 'name' && !KEYWORDS.has(this.token.value))) {
+      name = this.expectName();
+    }
+
+    this.expect('(');
+    const params = [];
+    while (!this.is(')', 'punc')) {
+      params.push(this.expectName());
+      if (!this.is(')', 'punc')) {
+        this.expect(',');
+      }
+    }
+    this.next();
+
+    const body = this.parseBlock();
+    return { type: isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression', name, params, body };
+  }
+
+  parseVarDeclaration(allowIn = true) {
+    const kind = this.next().value;
+    const declarations = [];
+
+    do {
+      if (declarations.length > 0) {
+        this.next();
+      }
+      const name = this.expectName();
+      let init = null;
+      if (this.is('=', 'punc')) {
+        this.next();
+        init = this.parseAssignment(allowIn);
+      }
+      declarations.push({ name, init });
+    } while (this.is(',', 'punc'));
+
+    return { type: 'VarDeclaration', kind, declarations };
+  }
+
+  parseIf() {
+    this.next();
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    const consequent = this.parseStatement();
+    let alternate = null;
+    if (this.is('else', 'name')) {
+      this.next();
+      alternate = this.parseStatement();
+    }
+    return { type: 'If', test, consequent, alternate };
+  }
+
+  parseFor() {
+    this.next();
+    this.expect('(');
+
+    // for (var key in object) / for (key in object)
+    const declared = ['var', 'let', 'const'].includes(this.token.value) && this.token.type === 'name';
+    const nameToken = declared ? this.peek(1) : this.token;
+    const inToken = declared ? this.peek(2) : this.peek(1);
+    if (nameToken.type === 'name' && inToken.type === 'name' && inToken.value === 'in') {
+      const kind = declared ? this.next().value : null;
+      const name = this.expectName();
+      this.expect('in');
+      const object = this.parseExpression();
+      this.expect(')');
+      return { type: 'ForIn', kind, name, object, body: this.parseStatement() };
+    }
+
+    let init = null;
+    if (!this.is(';', 'punc')) {
+      init = declared ? this.parseVarDeclaration(false) : { type: 'ExpressionStatement', expression: this.parseExpression(false) };
+    }
+    this.expect(';');
+    const test = this.is(';', 'punc') ? null : this.parseExpression();
+    this.expect(';');
+    const update = this.is(')', 'punc') ? null : this.parseExpression();
+    this.expect(')');
+
+    return { type: 'For', init, test, update, body: this.parseStatement() };
+  }
+
+  parseSwitch() {
+    this.next();
+    this.expect('(');
+    const discriminant = this.parseExpression();
+    this.expect(')');
+    this.expect('{');
+
+    const cases = [];
+    while (!this.is('}', 'punc')) {
+      let test = null;
+      if (this.is('case', 'name')) {
+        this.next();
+        test = this.parseExpression();
+      } else {
+        this.expect('default');
+      }
+      this.expect(':');
+
+      const consequent = [];
+      while (!this.is('case', 'name') && !this.is('default', 'name') && !this.is('}', 'punc')) {
+        if (this.token.type === 'eof') {
+          this.fail("Expected '}'");
+        }
+        consequent.push(this.parseStatement());
+      }
+      cases.push({ test, consequent });
+    }
+    this.next();
+
+    return { type: 'Switch', discriminant, cases };
+  }
+
+  parseExpression(allowIn = true) {
+    const expression = this.parseAssignment(allowIn);
+    if (!this.is(',', 'punc')) {
+      return expression;
+    }
+
+    const expressions = [expression];
+    while (this.is(',', 'punc')) {
+      this.next();
+      expressions.push(this.parseAssignment(allowIn));
+    }
+    return { type: 'Sequence', expressions };
+  }
+
+  parseAssignment(allowIn = true) {
+    const left = this.parseConditional(allowIn);
+
+    if (this.token.type === 'punc' && ASSIGNMENT_OPERATORS.has(this.token.value)) {
+      if (left.type !== 'Identifier' && left.type !== 'Member') {
+        this.fail('Invalid assignment target');
+      }
+      const operator = this.next().value;
+      const right = this.parseAssignment(allowIn);
+      return { type: 'Assign', operator, left, right };
+    }
+
+    return left;
+  }
+
+  parseConditional(allowIn) {
+    const test = this.parseBinary(0, allowIn);
+    if (!this.is('?', 'punc')) {
+      return test;
+    }
+
+    this.next();
+    const consequent = this.parseAssignment();
+    this.expect(':');
+    const alternate = this.parseAssignment(allowIn);
+    return { type: 'Conditional', test, consequent, alternate };
+  }
+
+  parseBinary(minPrecedence, allowIn) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.token;
+      const isOperator = token.type === 'punc' || (token.type === 'name' && token.value === 'in' && allowIn);
+      const precedence = isOperator ? BINARY_PRECEDENCE[token.value] : undefined;
+
+      if (precedence === undefined || precedence <= minPrecedence) {
+        return left;
+      }
+
+      this.next();
+      const right = this.parseBinary(precedence, allowIn);
+      const type = token.value === '&&' || token.value === '||' ? 'Logical' : 'Binary';
+      left = { type, operator: token.value, left, right };
+    }
+  }
+
+  parseUnary() {
+    const token = this.token;
+
+    if ((token.type === 'punc' && ['!', '-', '+', '~'].includes(token.value)) ||
+        (token.type === 'name' && ['typeof', 'void'].includes(token.value))) {
+      this.next();
+      return { type: 'Unary', operator: token.value, argument: this.parseUnary() };
+    }
+
+    if (token.type === 'punc' && (token.value === '++' || token.value === '--')) {
+      this.next();
+      const argument = this.parseUnary();
+      if (argument.type !== 'Identifier' && argument.type !== 'Member') {
+        this.fail('Invalid update target');
+      }
+      return { type: 'Update', operator: token.value, prefix: true, argument };
+    }
+
+    const expression = this.parseCallMember();
+
+    if (this.token.type === 'punc' && (this.token.value === '++' || this.token.value === '--') && !this.token.newlineBefore) {
+      if (expression.type !== 'Identifier' && expression.type !== 'Member') {
+        this.fail('Invalid update target');
+      }
+      return { type: 'Update', operator: this.next().value, prefix: false, argument: expression };
+    }
+
+    return expression;
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.is(')', 'punc')) {
+      args.push(this.parseAssignment());
+      if (!this.is(')', 'punc')) {
+        this.expect(',');
+      }
+    }
+    this.next();
+    return args;
+  }
+
+  parseCallMember() {
+    let expression;
+
+    if (this.is('new', 'name')) {
+      this.next();
+      let callee = { type: 'Identifier', name: this.expectName() };
+      while (this.is('.', 'punc')) {
+        this.next();
+        callee = { type: 'Member', object: callee, property: { type: 'Literal', value: this.next().value } };
+      }
+      const args = this.is('(', 'punc') ? this.parseArguments() : [];
+      expression = { type: 'New', callee, arguments: args };
+    } else {
+      expression = this.parsePrimary();
+    }
+
+    for (;;) {
+      if (this.is('.', 'punc')) {
+        this.next();
+        const name = this.token;
+        if (name.type !== 'name') {
+          this.fail('Expected property name');
+        }
+        this.next();
+        expression = { type: 'Member', object: expression, property: { type: 'Literal', value: name.value } };
+      } else if (this.is('[', 'punc')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expect(']');
+        expression = { type: 'Member', object: expression, property };
+      } else if (this.is('(', 'punc')) {
+        expression = { type: 'Call', callee: expression, arguments: this.parseArguments() };
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.token;
+
+    switch (token.type) {
+      case 'num':
+      case 'str':
+        this.next();
+        return { type: 'Literal', value: token.value };
+
+      case 'regex':
+        this.next();
+        // Validate once at parse time so syntax errors surface on import
+        try {
+          new PacRegExp(token.value.body, token.value.flags);
+        } catch (error) {
+          throw new PacError(`Invalid regular expression at ${token.pos}: ${error.message}`);
+        }
+        return { type: 'RegExp', body: token.value.body, flags: token.value.flags };
+
+      case 'name':
+        switch (token.value) {
+          case 'true':
+          case 'false':
+            this.next();
+            return { type: 'Literal', value: token.value === 'true' };
+          case 'null':
+            this.next();
+            return { type: 'Literal', value: null };
+          case 'function':
+            return this.parseFunction(false);
+        }
+        if (KEYWORDS.has(token.value)) {
+          this.fail('Unexpected keyword');
+        }
+        this.next();
+        return { type: 'Identifier', name: token.value };
+
+      case 'punc':
+        if (token.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expect(')');
+          return expression;
+        }
+
+        if (token.value === '[') {
+          this.next();
+          const elements = [];
+          while (!this.is(']', 'punc')) {
+            elements.push(this.parseAssignment());
+            if (!this.is(']', 'punc')) {
+              this.expect(',');
+            }
+          }
+          this.next();
+          return { type: 'Array', elements };
+        }
+
+        if (token.value === '{') {
+          this.next();
+          const properties = [];
+          while (!this.is('}', 'punc')) {
+            const keyToken = this.next();
+            if (!['name', 'str', 'num'].includes(keyToken.type)) {
+              this.fail('Expected property key');
+            }
+            this.expect(':');
+            properties.push({ key: String(keyToken.value), value: this.parseAssignment() });
+            if (!this.is('}', 'punc')) {
+              this.expect(',');
+            }
+          }
+          this.next();
+          return { type: 'Object', properties };
+        }
+    }
+
+    this.fail('Unexpected token');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------
+
+// Completion signals for statements
+const NORMAL = { type: 'normal' };
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+
+/**
+ * Lexical scope
+ */
+class Scope {
+  constructor(parent = null, isFunction = false) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.vars = new Map();
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.vars.has(name)) {
+        return scope;
+      }
+    }
+    return null;
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction && scope.parent) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  global() {
+    let scope = this;
+    while (scope.parent) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+}
+
+/**
+ * User-defined function value
+ */
+class Closure {
+  constructor(node, scope) {
+    this.node = node;
+    this.scope = scope;
+  }
+}
+
+/**
+ * Collect var-declared names in a function body (not inside nested functions)
+ * @param {Object} node - AST node
+ * @param {Set<string>} names - Output set
+ */
+function collectVarNames(node, names) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') {
+    return;
+  }
+
+  if (node.type === 'VarDeclaration' && node.kind === 'var') {
+    node.declarations.forEach(d => names.add(d.name));
+  }
+
+  if (node.type === 'ForIn' && node.kind === 'var') {
+    names.add(node.name);
+  }
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => collectVarNames(child, names));
+    } else if (value && typeof value === 'object' && value.type) {
+      collectVarNames(value, names);
+    }
+  }
+}
+
+/**
+ * Tree-walking evaluator with a step budget
+ */
+class Interpreter {
+  constructor(globals, config) {
+    this.globalScope = new Scope(null, true);
+    this.config = config;
+    this.steps = 0;
+    this.deadline = 0;
+    this.allocated = 0;
+    // Properties of each script object, which has no other cheap count
+    this.objectSizes = new WeakMap();
+    // Arrays being joined, so a cycle joins as '' as in JavaScript
+    this.joining = new Set();
+    // Array methods handed out by getMember, which get their array arguments as is
+    this.arrayMethods = new WeakSet();
+    // Bound so regular expressions can charge their matching steps
+    this.tick = this.tick.bind(this);
+
+    for (const [name, value] of Object.entries(globals)) {
+      this.globalScope.vars.set(name, value);
+    }
+  }
+
+  tick() {
+    this.steps++;
+    if (this.steps > this.config.maxSteps) {
+      throw new PacError(`Script exceeded ${this.config.maxSteps} steps`);
+    }
+    if ((this.steps & 0xFF) === 0 && Date.now() > this.deadline) {
+      throw new PacError(`Script exceeded ${this.config.maxDuration}ms`);
+    }
+  }
+
+  resetBudget() {
+    this.steps = 0;
+    this.allocated = 0;
+    this.deadline = Date.now() + this.config.maxDuration;
+  }
+
+  /**
+   * Check the size of a string or array the script built and charge it to
+   * the call's allocation budget
+   * @returns {*} The value
+   */
+  allocate(value) {
+    if (typeof value === 'string') {
+      if (value.length > this.config.maxStringLength) {
+        throw new PacError(`Script built a string over ${this.config.maxStringLength} characters`);
+      }
+      this.charge(value.length);
+    } else if (Array.isArray(value)) {
+      this.checkArrayLength(value.length);
+      this.charge(value.length + 1);
+    }
+    return value;
+  }
+
+  charge(units) {
+    this.allocated += units;
+    if (this.allocated > this.config.maxAllocation) {
+      throw new PacError(`Script exceeded its allocation budget of ${this.config.maxAllocation}`);
+    }
+  }
+
+  checkArrayLength(length) {
+    if (length > this.config.maxArrayLength) {
+      throw new PacError(`Script built an array over ${this.config.maxArrayLength} elements`);
+    }
+  }
+
+  /**
+   * Array.prototype.join within the string length cap; native join would
+   * build the whole string before it could be checked
+   */
+  join(array, separator = ',') {
+    if (this.joining.has(array)) {
+      return '';
+    }
+
+    this.joining.add(array);
+    try {
+      let result = '';
+      for (let i = 0; i < array.length; i++) {
+        const item = array[i];
+        const text = (i > 0 ? separator : '') + (item === null || item === undefined ? '' : String(this.primitive(item)));
+        if (result.length + text.length > this.config.maxStringLength) {
+          throw new PacError(`Script built a string over ${this.config.maxStringLength} characters`);
+        }
+        result += text;
+      }
+      return result;
+    } finally {
+      this.joining.delete(array);
+    }
+  }
+
+  hoist(body, scope) {
+    const names = new Set();
+    body.forEach(statement => collectVarNames(statement, names));
+    for (const name of names) {
+      if (!scope.vars.has(name)) {
+        scope.vars.set(name, undefined);
+      }
+    }
+
+    for (const statement of body) {
+      if (statement.type === 'FunctionDeclaration') {
+        scope.vars.set(statement.name, new Closure(statement, scope));
+      }
+    }
+  }
+
+  async runProgram(program) {
+    this.resetBudget();
+    this.hoist(program.body, this.globalScope);
+    await this.execBlock(program.body, this.globalScope);
+  }
+
+  async execBlock(body, scope) {
+    for (const statement of body) {
+      const completion = await this.exec(statement, scope);
+      if (completion !== NORMAL) {
+        return completion;
+      }
+    }
+    return NORMAL;
+  }
+
+  async exec(node, scope) {
+    this.tick();
+
+    switch (node.type) {
+      case 'Empty':
+      case 'FunctionDeclaration':
+        return NORMAL;
+
+      case 'ExpressionStatement':
+        await this.evaluate(node.expression, scope);
+        return NORMAL;
+
+      case 'VarDeclaration':
+        for (const declaration of node.declarations) {
+          const value = declaration.init ? await this.evaluate(declaration.init, scope) : undefined;
+          if (node.kind === 'var') {
+            if (declaration.init) {
+              scope.functionScope().vars.set(declaration.name, value);
+            }
+          } else {
+            scope.vars.set(declaration.name, value);
+          }
+        }
+        return NORMAL;
+
+      case 'Block': {
+        const blockScope = new Scope(scope);
+        for (const statement of node.body) {
+          if (statement.type === 'FunctionDeclaration') {
+            blockScope.vars.set(statement.name, new Closure(statement, blockScope));
+          }
+        }
+        return this.execBlock(node.body, blockScope);
+      }
+
+      case 'If':
+        if (await this.evaluate(node.test, scope)) {
+          return this.exec(node.consequent, scope);
+        }
+        return node.alternate ? this.exec(node.alternate, scope) : NORMAL;
+
+      case 'While':
+        while (await this.evaluate(node.test, scope)) {
+          const completion = await this.exec(node.body, scope);
+          if (completion === BREAK) {
+            break;
+          }
+          if (completion.type === 'return') {
+            return completion;
+          }
+        }
+        return NORMAL;
+
+      case 'DoWhile':
+        do {
+          const completion = await this.exec(node.body, scope);
+          if (completion === BREAK) {
+            break;
+          }
+          if (completion.type === 'return') {
+            return completion;
+          }
+        } while (await this.evaluate(node.test, scope));
+        return NORMAL;
+
+      case 'For': {
+        const loopScope = new Scope(scope);
+        if (node.init) {
+          await this.exec(node.init, loopScope);
+        }
+        while (!node.test || await this.evaluate(node.test, loopScope)) {
+          const completion = await this.exec(node.body, loopScope);
+          if (completion === BREAK) {
+            break;
+          }
+          if (completion.type === 'return') {
+            return completion;
+          }
+          if (node.update) {
+            await this.evaluate(node.update, loopScope);
+          }
+        }
+        return NORMAL;
+      }
+
+      case 'ForIn': {
+        const object = await this.evaluate(node.object, scope);
+        let keys = [];
+        if (Array.isArray(object) || typeof object === 'string') {
+          keys = Array.from({ length: object.length }, (_, i) => String(i));
+        } else if (this.isSandboxObject(object)) {
+          keys = Object.keys(object);
+        }
+
+        const loopScope = new Scope(scope);
+        for (const key of keys) {
+          if (node.kind === 'let' || node.kind === 'const') {
+            loopScope.vars.set(node.name, key);
+          } else {
+            this.assignVariable(node.name, key, scope);
+          }
+          const completion = await this.exec(node.body, loopScope);
+          if (completion === BREAK) {
+            break;
+          }
+          if (completion.type === 'return') {
+            return completion;
+          }
+        }
+        return NORMAL;
+      }
+
+      case 'Switch': {
+        const discriminant = await this.evaluate(node.discriminant, scope);
+        const switchScope = new Scope(scope);
+
+        const runFrom = async (startIndex) => {
+          for (let i = startIndex; i < node.cases.length; i++) {
+            const completion = await this.execBlock(node.cases[i].consequent, switchScope);
+            if (completion === BREAK) {
+              return NORMAL;
+            }
+            if (completion !== NORMAL) {
+              return completion;
+            }
+          }
+          return NORMAL;
+        };
+
+        for (let i = 0; i < node.cases.length; i++) {
+          const test = node.cases[i].test;
+          if (test && (await this.evaluate(test, switchScope)) === discriminant) {
+            return runFrom(i);
+          }
+        }
+
+        const defaultIndex = node.cases.findIndex(c => c.test === null);
+        return defaultIndex !== -1 ? runFrom(defaultIndex) : NORMAL;
+      }
+
+      case 'Return':
+        return { type: 'return', value: node.argument ? await this.evaluate(node.argument, scope) : undefined };
+
+      case 'Break':
+        return BREAK;
+
+      case 'Continue':
+        return CONTINUE;
+
+      default:
+        throw new PacError(`Unsupported statement: ${node.type}`);
+    }
+  }
+
+  async evaluate(node, scope) {
+    this.tick();
+
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'RegExp':
+        return new PacRegExp(node.body, node.flags, this.tick);
+
+      case 'Identifier': {
+        const owner = scope.lookup(node.name);
+        if (!owner) {
+          throw new PacError(`${node.name} is not defined`);
+        }
+        return owner.vars.get(node.name);
+      }
+
+      case 'Array': {
+        const values = [];
+        for (const element of node.elements) {
+          values.push(await this.evaluate(element, scope));
+        }
+        return this.allocate(values);
+      }
+
+      case 'Object': {
+        const object = Object.create(null);
+        for (const property of node.properties) {
+          this.checkKey(property.key);
+          object[property.key] = await this.evaluate(property.value, scope);
+        }
+        const size = Object.keys(object).length;
+        this.objectSizes.set(object, size);
+        this.charge(size + 1);
+        return object;
+      }
+
+      case 'FunctionExpression':
+        return new Closure(node, scope);
+
+      case 'Sequence': {
+        let value;
+        for (const expression of node.expressions) {
+          value = await this.evaluate(expression, scope);
+        }
+        return value;
+      }
+
+      case 'Unary': {
+        if (node.operator === 'typeof') {
+          if (node.argument.type === 'Identifier' && !scope.lookup(node.argument.name)) {
+            return 'undefined';
+          }
+          const value = await this.evaluate(node.argument, scope);
+          return value instanceof Closure ? 'function' : typeof value;
+        }
+
+        const value = await this.evaluate(node.argument, scope);
+        switch (node.operator) {
+          case '!': return !value;
+          case '-': return -this.primitive(value);
+          case '+': return +this.primitive(value);
+          case '~': return ~this.primitive(value);
+          case 'void': return undefined;
+        }
+        break;
+      }
+
+      case 'Update': {
+        const oldValue = Number(this.primitive(await this.evaluate(node.argument, scope)));
+        const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+        await this.assign(node.argument, newValue, scope);
+        return node.prefix ? newValue : oldValue;
+      }
+
+      case 'Logical': {
+        const left = await this.evaluate(node.left, scope);
+        if (node.operator === '&&') {
+          return left ? this.evaluate(node.right, scope) : left;
+        }
+        return left ? left : this.evaluate(node.right, scope);
+      }
+
+      case 'Binary': {
+        const left = await this.evaluate(node.left, scope);
+        const right = await this.evaluate(node.right, scope);
+        return this.binary(node.operator, left, right);
+      }
+
+      case 'Conditional':
+        return (await this.evaluate(node.test, scope))
+          ? this.evaluate(node.consequent, scope)
+          : this.evaluate(node.alternate, scope);
+
+      case 'Assign': {
+        let value = await this.evaluate(node.right, scope);
+        if (node.operator !== '=') {
+          const current = await this.evaluate(node.left, scope);
+          value = this.binary(node.operator.slice(0, -1), current, value);
+        }
+        await this.assign(node.left, value, scope);
+        return value;
+      }
+
+      case 'Member': {
+        const object = await this.evaluate(node.object, scope);
+        const key = await this.evaluate(node.property, scope);
+        return this.getMember(object, key);
+      }
+
+      case 'Call': {
+        const args = [];
+        for (const argument of node.arguments) {
+          args.push(await this.evaluate(argument, scope));
+        }
+        const callee = await this.evaluate(node.callee, scope);
+        return this.call(callee, args);
+      }
+
+      case 'New': {
+        const constructor = await this.evaluate(node.callee, scope);
+        const args = [];
+        for (const argument of node.arguments) {
+          args.push(await this.evaluate(argument, scope));
+        }
+        if (typeof constructor !== 'function' || typeof constructor.construct !== 'function') {
+          throw new PacError('Only RegExp and Date can be constructed');
+        }
+        return constructor.construct(...args.map(arg => this.primitive(arg)));
+      }
+    }
+
+    throw new PacError(`Unsupported expression: ${node.type}`);
+  }
+
+  binary(operator, left, right) {
+    if (operator === 'in') {
+      const key = String(this.primitive(left));
+      if (Array.isArray(right)) {
+        return /^\d+$/.test(key) && Number(key) < right.length;
+      }
+      if (this.isSandboxObject(right)) {
+        return Object.prototype.hasOwnProperty.call(right, key);
+      }
+      throw new PacError("Right-hand side of 'in' must be an object");
+    }
+
+    // Identity comparisons work on any value; everything else on primitives
+    switch (operator) {
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '==': return this.looseEquals(left, right);
+      case '!=': return !this.looseEquals(left, right);
+    }
+
+    const a = this.primitive(left);
+    const b = this.primitive(right);
+    switch (operator) {
+      case '+': return this.allocate(a + b);
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return a / b;
+      case '%': return a % b;
+      case '<': return a < b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      case '>=': return a >= b;
+      case '&': return a & b;
+      case '|': return a | b;
+      case '^': return a ^ b;
+      case '<<': return a << b;
+      case '>>': return a >> b;
+      case '>>>': return a >>> b;
+    }
+    throw new PacError(`Unsupported operator: ${operator}`);
+  }
+
+  looseEquals(left, right) {
+    const isObject = value => value !== null && (typeof value === 'object' || typeof value === 'function');
+    if (isObject(left) || isObject(right)) {
+      return left === right;
+    }
+    return left == right; // eslint-disable-line eqeqeq
+  }
+
+  /**
+   * Convert a sandbox value to a primitive without invoking script-visible hooks
+   */
+  primitive(value) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      return value;
+    }
+    if (value instanceof Closure || typeof value === 'function') {
+      return 'function';
+    }
+    if (Array.isArray(value)) {
+      return this.join(value);
+    }
+    if (value instanceof PacRegExp) {
+      return value.toString();
+    }
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    return '[object Object]';
+  }
+
+  isSandboxObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null;
+  }
+
+  checkKey(key) {
+    if (FORBIDDEN_KEYS.has(key)) {
+      throw new PacError(`Access to '${key}' is not allowed`);
+    }
+  }
+
+  getMember(object, key) {
+    if (object === null || object === undefined) {
+      throw new PacError(`Cannot read property '${key}' of ${object}`);
+    }
+
+    key = String(this.primitive(key));
+    this.checkKey(key);
+
+    const bind = (target, name) => (...args) => target[name](...args);
+
+    if (typeof object === 'string') {
+      if (key === 'length' || /^\d+$/.test(key)) {
+        return object[key];
+      }
+      if (REGEXP_STRING_METHODS.has(key)) {
+        return (pattern, ...args) => this.stringPatternMethod(object, key, pattern, args);
+      }
+      return STRING_METHODS.has(key) ? bind(object, key) : undefined;
+    }
+
+    if (Array.isArray(object)) {
+      if (key === 'length' || /^\d+$/.test(key)) {
+        return object[key];
+      }
+      return ARRAY_METHODS.has(key) ? this.arrayMethod(object, key) : undefined;
+    }
+
+    if (object instanceof PacRegExp) {
+      if (!REGEXP_MEMBERS.has(key)) {
+        return undefined;
+      }
+      return typeof object[key] === 'function' ? bind(object, key) : object[key];
+    }
+
+    if (object instanceof Date) {
+      return DATE_METHODS.has(key) ? bind(object, key) : undefined;
+    }
+
+    if (typeof object === 'number') {
+      return NUMBER_METHODS.has(key) ? bind(object, key) : undefined;
+    }
+
+    if (this.isSandboxObject(object)) {
+      return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Bind an array method, keeping the arrays and strings it builds within
+   * the caps
+   */
+  arrayMethod(array, name) {
+    const method = (...args) => {
+      switch (name) {
+        case 'join':
+          return this.allocate(this.join(array, args[0] === undefined ? ',' : String(this.primitive(args[0]))));
+        case 'toString':
+          return this.allocate(this.join(array));
+        case 'concat':
+          this.checkArrayLength(args.reduce((total, arg) => total + (Array.isArray(arg) ? arg.length : 1), array.length));
+          return this.allocate(array.concat(...args));
+        case 'slice':
+          return this.allocate(array.slice(...args));
+      }
+
+      const result = array[name](...args);
+      this.checkArrayLength(array.length);
+      return result;
+    };
+    this.arrayMethods.add(method);
+    return method;
+  }
+
+  /**
+   * Run match, replace, search or split without native regular expressions
+   *
+   * match and search turn a string pattern into a regex, as JavaScript does;
+   * replace and split take it as plain text.
+   */
+  stringPatternMethod(string, method, pattern, args) {
+    if (pattern instanceof PacRegExp) {
+      return pattern[method](string, ...args);
+    }
+    if (method === 'match' || method === 'search') {
+      return new PacRegExp(pattern === undefined ? '' : String(this.primitive(pattern)), '', this.tick)[method](string);
+    }
+    return string[method](this.primitive(pattern), ...args.map(arg => this.primitive(arg)));
+  }
+
+  setMember(object, key, value) {
+    key = String(this.primitive(key));
+    this.checkKey(key);
+
+    if (Array.isArray(object) && /^\d+$/.test(key) && Number(key) < this.config.maxArrayLength) {
+      object[key] = value;
+      return;
+    }
+
+    if (this.isSandboxObject(object)) {
+      if (!Object.prototype.hasOwnProperty.call(object, key)) {
+        const size = (this.objectSizes.get(object) || 0) + 1;
+        if (size > this.config.maxObjectSize) {
+          throw new PacError(`Script built an object over ${this.config.maxObjectSize} properties`);
+        }
+        this.objectSizes.set(object, size);
+        this.charge(1);
+      }
+      object[key] = value;
+      return;
+    }
+
+    throw new PacError(`Cannot set property '${key}'`);
+  }
+
+  assignVariable(name, value, scope) {
+    const owner = scope.lookup(name) || scope.global();
+    owner.vars.set(name, value);
+  }
+
+  async assign(target, value, scope) {
+    if (target.type === 'Identifier') {
+      this.assignVariable(target.name, value, scope);
+      return;
+    }
+
+    const object = await this.evaluate(target.object, scope);
+    const key = await this.evaluate(target.property, scope);
+    this.setMember(object, key, value);
+  }
+
+  async call(callee, args) {
+    if (callee instanceof Closure) {
+      const { node, scope } = callee;
+      const callScope = new Scope(scope, true);
+      node.params.forEach((param, index) => callScope.vars.set(param, args[index]));
+
+      callScope.vars.set('arguments', args.slice());
+      this.hoist(node.body.body, callScope);
+
+      const completion = await this.execBlock(node.body.body, callScope);
+      return completion.type === 'return' ? completion.value : undefined;
+    }
+
+    if (typeof callee === 'function') {
+      // Script functions never cross into native code (e.g. replace callbacks)
+      if (args.some(arg => arg instanceof Closure || typeof arg === 'function')) {
+        throw new PacError('Functions cannot be passed to built-in methods');
+      }
+      if (this.arrayMethods.has(callee)) {
+        return callee(...args);
+      }
+      // Other built-ins would turn arrays into strings without the length cap
+      return this.allocate(await callee(...args.map(arg => (Array.isArray(arg) ? this.join(arg) : arg))));
+    }
+
+    throw new PacError('Value is not a function');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PAC helper functions
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an IPv4 address into an unsigned 32-bit number
+ * @param {string} address - Dotted quad
+ * @returns {number|null}
+ */
+function ipv4ToNumber(address) {
+  const match = String(address).match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!match) {
+    return null;
+  }
+  const parts = match.slice(1).map(Number);
+  if (parts.some(part => part > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+/**
+ * Match a whole string against a shell expression
+ *
+ * Backtracks only to the last '*', so the time taken is bounded by the
+ * product of the two lengths whatever the pattern.
+ * @param {string} text - String to test
+ * @param {string} pattern - Pattern with * and ? wildcards
+ * @returns {boolean}
+ */
+function shellExpressionMatch(text, pattern) {
+  let t = 0;
+  let p = 0;
+  let star = -1;
+  let starText = 0;
+  while (t < text.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+      t++;
+      p++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      starText = t;
+    } else if (star !== -1) {
+      p = star + 1;
+      t = ++starText;
+    } else {
+      return false;
+    }
+  }
+  while (pattern[p] === '*') {
+    p++;
+  }
+  return p === pattern.length;
+}
+
+/**
+ * Build the global bindings visible to PAC scripts
+ * @param {Object} config - PacScript configuration
+ * @param {Function} tick - Charges a step to the script's budget
+ * @returns {Object} Name to value map
+ */
+function createPacGlobals(config, tick) {
+  const resolve = async (host) => {
+    host = String(host);
+    if (ipv4ToNumber(host) !== null) {
+      return host;
+    }
+    if (!config.resolveHost) {
+      return null;
+    }
+    try {
+      return (await config.resolveHost(host)) || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const now = () => new Date();
+
+  const regExp = (pattern, flags) => new PacRegExp(pattern === undefined ? '' : String(pattern),
+    flags === undefined ? '' : String(flags), tick);
+  regExp.construct = regExp;
+
+  const dateConstructor = () => String(new Date());
+  dateConstructor.construct = (...args) => (args.length === 0 ? new Date() : new Date(...args));
+
+  const math = Object.create(null);
+  for (const name of ['abs', 'ceil', 'floor', 'max', 'min', 'round', 'random']) {
+    math[name] = (...args) => Math[name](...args);
+  }
+
+  return {
+    undefined: undefined,
+    NaN: NaN,
+    Infinity: Infinity,
+    parseInt: (value, radix) => parseInt(value, radix),
+    parseFloat: (value) => parseFloat(value),
+    isNaN: (value) => isNaN(value),
+    String: (value) => (value === undefined ? '' : String(value)),
+    Number: (value) => Number(value),
+    RegExp: regExp,
+    Date: dateConstructor,
+    Math: math,
+
+    alert: (message) => {
+      console.log('[PAC]', String(message));
+    },
+
+    isPlainHostName: (host) => !String(host).includes('.'),
+
+    dnsDomainIs: (host, domain) => {
+      host = String(host).toLowerCase();
+      domain = String(domain).toLowerCase();
+      return host.length >= domain.length && host.endsWith(domain);
+    },
+
+    localHostOrDomainIs: (host, hostdom) => {
+      host = String(host).toLowerCase();
+      hostdom = String(hostdom).toLowerCase();
+      if (host === hostdom) {
+        return true;
+      }
+      return !host.includes('.') && hostdom.startsWith(host + '.');
+    },
+
+    isResolvable: async (host) => (await resolve(host)) !== null,
+
+    isInNet: async (host, pattern, mask) => {
+      const address = ipv4ToNumber(await resolve(host));
+      const network = ipv4ToNumber(pattern);
+      const netmask = ipv4ToNumber(mask);
+      if (address === null || network === null || netmask === null) {
+        return false;
+      }
+      return ((address & netmask) >>> 0) === ((network & netmask) >>> 0);
+    },
+
+    dnsResolve: (host) => resolve(host),
+
+    convert_addr: (address) => ipv4ToNumber(address) || 0,
+
+    myIpAddress: () => config.myIpAddress,
+
+    dnsDomainLevels: (host) => String(host).split('.').length - 1,
+
+    shExpMatch: (str, shexp) => shellExpressionMatch(String(str), String(shexp)),
+
+    weekdayRange: (...args) => {
+      const isGMT = args[args.length - 1] === 'GMT';
+      if (isGMT) {
+        args.pop();
+      }
+      const date = now();
+      const today = isGMT ? date.getUTCDay() : date.getDay();
+      const start = WEEKDAYS.indexOf(String(args[0]).toUpperCase());
+      const end = args.length > 1 ? WEEKDAYS.indexOf(String(args[1]).toUpperCase()) : start;
+      if (start === -1 || end === -1) {
+        return false;
+      }
+      return start <= end ? (today >= start && today <= end) : (today >= start || today <= end);
+    },
+
+    dateRange: (...args) => {
+      const isGMT = args[args.length - 1] === 'GMT';
+      if (isGMT) {
+        args.pop();
+      }
+      if (args.length < 1) {
+        return false;
+      }
+
+      const date = now();
+      const current = isGMT
+        ? new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds())
+        : date;
+      const month = (value) => MONTHS.indexOf(String(value).toUpperCase());
+
+      if (args.length === 1) {
+        const value = parseInt(args[0], 10);
+        if (isNaN(value)) {
+          return current.getMonth() === month(args[0]);
+        }
+        return value < 32 ? current.getDate() === value : current.getFullYear() === value;
+      }
+
+      const year = current.getFullYear();
+      const from = new Date(year, 0, 1, 0, 0, 0);
+      const to = new Date(year, 11, 31, 23, 59, 59);
+      const half = args.length >> 1;
+      let adjustMonth = false;
+
+      const apply = (target, value, isStart) => {
+        const number = parseInt(value, 10);
+        if (isNaN(number)) {
+          target.setMonth(month(value));
+        } else if (number < 32) {
+          if (isStart) {
+            adjustMonth = args.length <= 2;
+          }
+          target.setDate(number);
+        } else {
+          target.setFullYear(number);
+        }
+      };
+
+      args.slice(0, half).forEach(value => apply(from, value, true));
+      args.slice(half).forEach(value => apply(to, value, false));
+
+      if (adjustMonth) {
+        from.setMonth(current.getMonth());
+        to.setMonth(current.getMonth());
+      }
+
+      return from <= current && current <= to;
+    },
+
+    timeRange: (...args) => {
+      const isGMT = args[args.length - 1] === 'GMT';
+      if (isGMT) {
+        args.pop();
+      }
+      const date = now();
+      const current = isGMT
+        ? new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds())
+        : date;
+      const hour = current.getHours();
+      const values = args.map(Number);
+
+      switch (values.length) {
+        case 1:
+          return hour === values[0];
+        case 2:
+          return values[0] <= hour && hour <= values[1];
+        case 4:
+        case 6: {
+          const middle = values.length >> 1;
+          const from = new Date(current);
+          const to = new Date(current);
+          from.setHours(values[0], values[1], values.length === 6 ? values[2] : 0);
+          to.setHours(values[middle], values[middle + 1], values.length === 6 ? values[5] : 59);
+          return from <= current && current <= to;
+        }
+        default:
+          return false;
+      }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compiled PAC script
+ */
+class PacScript {
+  /**
+   * Parse and initialize a PAC script
+   * @param {string} source - PAC file contents
+   * @param {Object} [config] - Configuration options
+   * @param {Function} [config.resolveHost] - async (host) => IPv4 string or null
+   * @param {string} [config.myIpAddress] - Value returned by myIpAddress()
+   * @param {number} [config.maxSteps] - Step budget per call
+   * @param {number} [config.maxDuration] - Time budget per call (ms)
+   * @param {number} [config.maxStringLength] - Longest string a script can build
+   * @param {number} [config.maxArrayLength] - Longest array a script can build
+   * @param {number} [config.maxObjectSize] - Most properties on one object
+   * @param {number} [config.maxAllocation] - Characters, elements and properties built per call
+   * @throws {PacError} If the script does not parse
+   */
+  constructor(source, config = {}) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new PacError('PAC script must be a non-empty string');
+    }
+
+    this.source = source;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.program = new Parser(source).parseProgram();
+    this.interpreter = null;
+  }
+
+  /**
+   * Run top-level code once and check that FindProxyForURL is defined
+   * @returns {Promise<PacScript>} This script
+   * @throws {PacError} If initialization fails
+   */
+  async initialize() {
+    if (!this.interpreter) {
+      const interpreter = new Interpreter(createPacGlobals(this.config, () => interpreter.tick()), this.config);
+      await interpreter.runProgram(this.program);
+
+      const entry = interpreter.globalScope.vars.get('FindProxyForURL');
+      if (!(entry instanceof Closure)) {
+        throw new PacError('PAC script does not define FindProxyForURL');
+      }
+      this.interpreter = interpreter;
+    }
+    return this;
+  }
+
+  /**
+   * Evaluate FindProxyForURL for a request
+   * @param {string} url - Full request URL
+   * @param {string} host - Request hostname
+   * @returns {Promise<string>} PAC result string, e.g. "PROXY a:8080; DIRECT"
+   * @throws {PacError} On runtime errors or budget exhaustion
+   */
+  async findProxyForURL(url, host) {
+    await this.initialize();
+
+    const interpreter = this.interpreter;
+    interpreter.resetBudget();
+    const result = await interpreter.call(interpreter.globalScope.vars.get('FindProxyForURL'), [url, host]);
+
+    if (typeof result !== 'string') {
+      throw new PacError(`FindProxyForURL returned ${typeof result}, expected a string`);
+    }
+    return result;
+  }
+}
+
+/**
+ * Parse a PAC result string into route entries
+ *
+ * Besides the standard DIRECT/PROXY/HTTP/HTTPS/SOCKS/SOCKS4/SOCKS5 entries,
+ * the extension-specific "CHAIN <chain id>" routes through a stored chain.
+ *
+ * @param {string} result - PAC result, e.g. "SOCKS5 a:1080; DIRECT"
+ * @returns {Object[]} Entries of { type: 'direct' }, { type: 'chain', chainId }
+ *   or { type, host, port } with a proxy.onRequest type
+ */
+function parsePacResult(result) {
+  const entries = [];
+
+  for (const part of String(result).split(';')) {
+    const text = part.trim();
+    if (!text) {
+      continue;
+    }
+
+    const [keyword, ...rest] = text.split(/\s+/);
+    const upper = keyword.toUpperCase();
+    const argument = rest.join(' ');
+
+    if (upper === 'DIRECT') {
+      entries.push({ type: 'direct' });
+      continue;
+    }
+
+    if (upper === 'CHAIN' && argument) {
+      entries.push({ type: 'chain', chainId: argument });
+      continue;
+    }
+
+    const type = PAC_PROXY_TYPES[upper];
+    const match = argument.match(/^\[?([^\]\s]+?)\]?:(\d{1,5})$/);
+    if (!type || !match) {
+      console.warn(`Ignoring unrecognized PAC result entry: ${text}`);
+      continue;
+    }
+
+    entries.push({ type, host: match[1], port: parseInt(match[2], 10) });
+  }
+
+  return entries;
+}
+
+/**
+ * Format a proxy as a PAC result entry
+ * @param {Proxy} proxy - Proxy configuration
+ * @returns {string} e.g. "SOCKS5 proxy.example.com:1080"
+ */
+function formatPacEntry(proxy) {
+  const keyword = PAC_KEYWORDS[proxy.type] || 'PROXY';
+  const host = proxy.address.includes(':') ? `[${proxy.address}]` : proxy.address;
+  return `${keyword} ${host}:${proxy.port}`;
+}
+
+/**
+ * Build the JavaScript condition for a routing rule
+ * @returns {string|null} Condition source, or null if the rule cannot be expressed
+ */
+function ruleCondition(rule) {
+  switch (rule.type) {
+    case 'host':
+      return `shExpMatch(host.toLowerCase(), ${JSON.stringify(rule.pattern.trim().toLowerCase())})`;
+
+    case 'regex':
+      return `RegExp(${JSON.stringify(rule.pattern)}).test(url)`;
+
+    case 'cidr': {
+      const [base, prefixText] = rule.pattern.trim().split('/');
+      if (ipv4ToNumber(base) === null) {
+        return null; // IPv6 ranges have no standard PAC helper
+      }
+      const prefix = prefixText === undefined ? 32 : parseInt(prefixText, 10);
+      const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+      const maskText = [24, 16, 8, 0].map(shift => (mask >>> shift) & 0xFF).join('.');
+      // Rules only match IP-literal hosts, so avoid isInNet's DNS lookup for names
+      return `(isIpLiteral(host) && isInNet(host, ${JSON.stringify(base)}, ${JSON.stringify(maskText)}))`;
+    }
+
+    case 'port': {
+      const checks = rule.pattern.split(',').map(entry => {
+        const [low, high] = entry.trim().split('-').map(value => parseInt(value, 10));
+        return high === undefined ? `port === ${low}` : `(port >= ${low} && port <= ${high})`;
+      });
+      return `(${checks.join(' || ')})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a standard PAC file from stored chains, rules and settings
+ *
+ * PAC can only describe a single hop, so each chain is exported as its first
+ * proxy, followed by that hop's alternates for the browser to fail over to;
+ * the remaining hops and any credentials require the extension.
+ *
+ * @param {Object} config - Data to export
+ * @param {ProxyChain[]} config.chains - All stored chains
+ * @param {Settings} config.settings - Extension settings (enabled, activeChainId)
+ * @param {RoutingRule[]} [config.rules] - Ordered routing rules
+ * @returns {string} PAC file source
+ */
+function generatePac({ chains, settings, rules = [] }) {
+  const chainEntries = {};
+  for (const chain of chains) {
+    if (chain.proxies && chain.proxies.length > 0) {
+      const [hop] = chain.proxies;
+      chainEntries[chain.id] = [hop, ...(hop.alternates || [])].map(formatPacEntry).join('; ');
+    }
+  }
+
+  const lines = [
+    '// Generated by Proxy Chain Manager on ' + new Date().toISOString(),
+    '//',
+    '// PAC files can only describe one proxy hop, so every chain below is',
+    '// represented by its first proxy and that proxy\'s alternates. Later hops',
+    '// and proxy credentials are not included and need the extension.',
+    '',
+    'var CHAINS = {'
+  ];
+
+  const chainIds = Object.keys(chainEntries);
+  chainIds.forEach((id, index) => {
+    const chain = chains.find(c => c.id === id);
+    const comma = index < chainIds.length - 1 ? ',' : '';
+    lines.push(`  // ${chain.name.replace(/[\r\n]+/g, ' ')} (${chain.proxies.length} hop${chain.proxies.length !== 1 ? 's' : ''})`);
+    lines.push(`  ${JSON.stringify(id)}: ${JSON.stringify(chainEntries[id])}${comma}`);
+  });
+
+  lines.push(
+    '};',
+    '',
+    'function isIpLiteral(host) {',
+    '  return /^\\d{1,3}(\\.\\d{1,3}){3}$/.test(host);',
+    '}',
+    '',
+    'function portOf(url) {',
+    '  var match = url.match(/^([a-z][a-z0-9+.-]*):\\/\\/(?:[^@\\/]*@)?(\\[[^\\]]*\\]|[^:\\/?#]*)(?::(\\d+))?/i);',
+    '  if (!match) {',
+    '    return 0;',
+    '  }',
+    '  if (match[3]) {',
+    '    return parseInt(match[3], 10);',
+    '  }',
+    '  var scheme = match[1].toLowerCase();',
+    '  return (scheme === "https" || scheme === "wss") ? 443 : (scheme === "ftp" ? 21 : 80);',
+    '}',
+    '',
+    'function FindProxyForURL(url, host) {',
+    '  var port = portOf(url);',
+    ''
+  );
+
+  const activeChainEntry = settings.enabled && settings.activeChainId ? chainEntries[settings.activeChainId] : null;
+
+  if (settings.enabled) {
+    for (const rule of rules) {
+      if (rule.enabled === false) {
+        continue;
+      }
+
+      const label = `${rule.type} ${rule.pattern} -> ${rule.action}`.replace(/[\r\n]+/g, ' ');
+      const condition = ruleCondition(rule);
+      if (!condition) {
+        lines.push(`  // Skipped rule (not expressible in PAC): ${label}`);
+        continue;
+      }
+
+      let result;
+      if (rule.action === 'direct') {
+        result = '"DIRECT"';
+      } else if (rule.action === 'block') {
+        result = '"PROXY 127.0.0.1:1"';
+      } else if (chainEntries[rule.chainId]) {
+        result = `CHAINS[${JSON.stringify(rule.chainId)}]`;
+      } else {
+        lines.push(`  // Skipped rule (chain not found): ${label}`);
+        continue;
+      }
+
+      lines.push(`  // ${label}`);
+      lines.push(`  if (${condition}) {`);
+      lines.push(`    return ${result};`);
+      lines.push('  }');
+      lines.push('');
+    }
+  }
+
+  if (activeChainEntry) {
+    lines.push('  // Active chain');
+    lines.push(`  return CHAINS[${JSON.stringify(settings.activeChainId)}];`);
+  } else {
+    lines.push('  return "DIRECT";');
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+export {
+  PacScript,
+  PacError,
+  parsePacResult,
+  generatePac
+};
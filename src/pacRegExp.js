@@ -0,0 +1,727 @@
+/**
+ * Regular expressions for the PAC sandbox
+ *
+ * PAC files come from remote URLs, and a native RegExp cannot be
+ * interrupted: /(a+)+$/ backtracks for minutes on a 30-character input and
+ * freezes the page running it. PAC scripts therefore get this backtracking
+ * matcher instead, which charges its work to the script's step budget. It
+ * covers the JavaScript syntax PAC files use: character classes, capturing,
+ * non-capturing and named groups, alternation, greedy and lazy quantifiers,
+ * anchors, word boundaries, lookahead and backreferences, with the g, i, m
+ * and s flags. Lookbehind and the u and y flags are not supported.
+ */
+
+const SUPPORTED_FLAGS = 'gims';
+
+const LINE_TERMINATORS = '\n\r\u2028\u2029';
+
+// Compiled patterns kept for reuse, as scripts create the same ones on every call
+const CACHE_SIZE = 256;
+const compiled = new Map();
+
+const isLineTerminator = (ch) => ch !== undefined && LINE_TERMINATORS.includes(ch);
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isWordChar = (ch) => ch !== undefined && /^[A-Za-z0-9_]$/.test(ch);
+const isSpace = (ch) => /^\s$/.test(ch);
+
+const CLASS_ESCAPES = {
+  d: isDigit,
+  D: (ch) => !isDigit(ch),
+  w: isWordChar,
+  W: (ch) => !isWordChar(ch),
+  s: isSpace,
+  S: (ch) => !isSpace(ch)
+};
+
+const CONTROL_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v' };
+
+/**
+ * Case-fold a character the way non-Unicode JavaScript regexes do
+ */
+function canonicalize(ch) {
+  const upper = ch.toUpperCase();
+  if (upper.length !== 1 || (ch.charCodeAt(0) >= 128 && upper.charCodeAt(0) < 128)) {
+    return ch;
+  }
+  return upper;
+}
+
+/**
+ * Find the capturing groups of a pattern, so that \N can tell a
+ * backreference from an octal escape before the group is reached
+ * @returns {string[]} Group names in order, null for unnamed groups
+ */
+function scanGroups(source) {
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = ch !== ']';
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      if (source[i + 1] !== '?') {
+        groups.push(null);
+      } else if (source[i + 2] === '<' && source[i + 3] !== '=' && source[i + 3] !== '!') {
+        const end = source.indexOf('>', i + 3);
+        groups.push(end === -1 ? null : source.substring(i + 3, end));
+      }
+    }
+  }
+  return groups;
+}
+
+/**
+ * Recursive-descent parser that compiles a pattern into matcher functions
+ *
+ * A matcher is (state, index, next) => boolean: it matches at index and
+ * calls next with the end index, trying its alternatives in order until
+ * next returns true. state holds the input, the capture offsets and the
+ * budget's tick function.
+ */
+class PatternParser {
+  constructor(source, flags) {
+    this.source = source;
+    this.pos = 0;
+    this.ignoreCase = flags.includes('i');
+    this.multiline = flags.includes('m');
+    this.dotAll = flags.includes('s');
+    this.groupNames = scanGroups(source);
+    this.groupCount = 0;
+  }
+
+  error(message) {
+    return new SyntaxError(`Invalid regular expression /${this.source}/: ${message}`);
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  eat(text) {
+    if (this.source.startsWith(text, this.pos)) {
+      this.pos += text.length;
+      return true;
+    }
+    return false;
+  }
+
+  parse() {
+    const match = this.disjunction();
+    if (this.pos < this.source.length) {
+      throw this.error('Unmatched \')\'');
+    }
+    return match;
+  }
+
+  disjunction() {
+    const alternatives = [this.alternative()];
+    while (this.eat('|')) {
+      alternatives.push(this.alternative());
+    }
+    if (alternatives.length === 1) {
+      return alternatives[0];
+    }
+    return (state, index, next) => {
+      for (const alternative of alternatives) {
+        state.tick();
+        if (alternative(state, index, next)) {
+          return true;
+        }
+      }
+      return false;
+    };
+  }
+
+  alternative() {
+    const terms = [];
+    while (this.pos < this.source.length && this.peek() !== '|' && this.peek() !== ')') {
+      terms.push(this.term());
+    }
+    if (terms.length === 0) {
+      return (state, index, next) => next(index);
+    }
+    return terms.reduceRight((rest, term) => (state, index, next) => term(state, index, end => rest(state, end, next)));
+  }
+
+  term() {
+    const assertion = this.assertion();
+    if (assertion) {
+      return assertion;
+    }
+
+    const firstGroup = this.groupCount;
+    const atom = this.atom();
+    const quantifier = this.quantifier();
+    if (!quantifier) {
+      return atom.match;
+    }
+    return repeat(atom, quantifier, firstGroup, this.groupCount);
+  }
+
+  assertion() {
+    const { multiline } = this;
+    if (this.eat('^')) {
+      return (state, index, next) =>
+        (index === 0 || (multiline && isLineTerminator(state.input[index - 1]))) && next(index);
+    }
+    if (this.eat('$')) {
+      return (state, index, next) =>
+        (index === state.input.length || (multiline && isLineTerminator(state.input[index]))) && next(index);
+    }
+    if (this.eat('\\b') || this.eat('\\B')) {
+      const boundary = this.source[this.pos - 1] === 'b';
+      return (state, index, next) =>
+        (isWordChar(state.input[index - 1]) !== isWordChar(state.input[index])) === boundary && next(index);
+    }
+    if (this.eat('(?<=') || this.eat('(?<!')) {
+      throw this.error('Lookbehind is not supported');
+    }
+    if (this.eat('(?=') || this.eat('(?!')) {
+      const negative = this.source[this.pos - 1] === '!';
+      const inner = this.group();
+      return (state, index, next) => {
+        const saved = state.captures.slice();
+        const found = inner(state, index, () => true);
+        if (found && !negative && next(index)) {
+          return true;
+        }
+        saved.forEach((value, i) => { state.captures[i] = value; });
+        return !found && negative && next(index);
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Parse the rest of a group up to and including its ')'
+   */
+  group() {
+    const inner = this.disjunction();
+    if (!this.eat(')')) {
+      throw this.error('Unterminated group');
+    }
+    return inner;
+  }
+
+  quantifier() {
+    let min;
+    let max;
+    if (this.eat('*')) {
+      [min, max] = [0, Infinity];
+    } else if (this.eat('+')) {
+      [min, max] = [1, Infinity];
+    } else if (this.eat('?')) {
+      [min, max] = [0, 1];
+    } else {
+      const braces = this.source.substring(this.pos).match(/^\{(\d+)(,(\d*))?\}/);
+      if (!braces) {
+        return null;
+      }
+      this.pos += braces[0].length;
+      min = Number(braces[1]);
+      max = braces[2] === undefined ? min : braces[3] === '' ? Infinity : Number(braces[3]);
+      if (max < min) {
+        throw this.error('numbers out of order in {} quantifier');
+      }
+    }
+    return { min, max, greedy: !this.eat('?') };
+  }
+
+  /**
+   * Parse an atom
+   * @returns {Object} { match, single }, single being a character test for
+   *   atoms that match exactly one character
+   */
+  atom() {
+    const ch = this.peek();
+
+    if (ch === '(') {
+      this.pos++;
+      if (this.eat('?:')) {
+        return { match: this.group(), single: null };
+      }
+      if (this.eat('?<')) {
+        const end = this.source.indexOf('>', this.pos);
+        if (end === -1 || !/^[A-Za-z_$][\w$]*$/.test(this.source.substring(this.pos, end))) {
+          throw this.error('Invalid capture group name');
+        }
+        this.pos = end + 1;
+      } else if (this.peek() === '?') {
+        throw this.error('Invalid group');
+      }
+      const number = ++this.groupCount;
+      const inner = this.group();
+      return {
+        match: (state, index, next) => inner(state, index, end => {
+          const { captures } = state;
+          const [start, previousEnd] = [captures[number * 2], captures[number * 2 + 1]];
+          [captures[number * 2], captures[number * 2 + 1]] = [index, end];
+          if (next(end)) {
+            return true;
+          }
+          [captures[number * 2], captures[number * 2 + 1]] = [start, previousEnd];
+          return false;
+        }),
+        single: null
+      };
+    }
+
+    if (ch === '*' || ch === '+' || ch === '?' || (ch === '{' && this.quantifierAhead())) {
+      throw this.error('Nothing to repeat');
+    }
+
+    this.pos++;
+    let test;
+    if (ch === '.') {
+      test = this.dotAll ? () => true : (c) => !isLineTerminator(c);
+    } else if (ch === '[') {
+      test = this.characterClass();
+    } else if (ch === '\\') {
+      const escape = this.escape(false);
+      if (escape.backreference) {
+        return { match: this.backreference(escape.backreference), single: null };
+      }
+      test = escape.test || this.literal(escape.char);
+    } else {
+      test = this.literal(ch);
+    }
+
+    return {
+      match: (state, index, next) => index < state.input.length && test(state.input[index]) && next(index + 1),
+      single: test
+    };
+  }
+
+  quantifierAhead() {
+    return /^\{\d+(,\d*)?\}/.test(this.source.substring(this.pos));
+  }
+
+  literal(ch) {
+    if (!this.ignoreCase) {
+      return (c) => c === ch;
+    }
+    const folded = canonicalize(ch);
+    return (c) => canonicalize(c) === folded;
+  }
+
+  backreference(number) {
+    const { ignoreCase } = this;
+    return (state, index, next) => {
+      const start = state.captures[number * 2];
+      const end = state.captures[number * 2 + 1];
+      if (start === undefined || end === undefined) {
+        return next(index);
+      }
+      const length = end - start;
+      if (index + length > state.input.length) {
+        return false;
+      }
+      for (let i = 0; i < length; i++) {
+        const [a, b] = [state.input[start + i], state.input[index + i]];
+        if (a !== b && (!ignoreCase || canonicalize(a) !== canonicalize(b))) {
+          return false;
+        }
+      }
+      return next(index + length);
+    };
+  }
+
+  /**
+   * Parse an escape after its backslash
+   * @returns {Object} { char }, { test } for class escapes, or { backreference }
+   */
+  escape(inClass) {
+    const ch = this.source[this.pos++];
+    if (ch === undefined) {
+      throw this.error('\\ at end of pattern');
+    }
+    if (CLASS_ESCAPES[ch]) {
+      return { test: CLASS_ESCAPES[ch] };
+    }
+    if (CONTROL_ESCAPES[ch]) {
+      return { char: CONTROL_ESCAPES[ch] };
+    }
+    if (ch === 'b' && inClass) {
+      return { char: '\b' };
+    }
+    if (ch === 'c' && /^[A-Za-z]$/.test(this.peek() || '')) {
+      return { char: String.fromCharCode(this.source.charCodeAt(this.pos++) % 32) };
+    }
+    if (ch === 'x' || ch === 'u') {
+      const digits = this.source.substring(this.pos, this.pos + (ch === 'x' ? 2 : 4));
+      if (digits.length === (ch === 'x' ? 2 : 4) && /^[\da-fA-F]+$/.test(digits)) {
+        this.pos += digits.length;
+        return { char: String.fromCharCode(parseInt(digits, 16)) };
+      }
+      return { char: ch };
+    }
+    if (ch === 'k' && this.groupNames.some(name => name !== null)) {
+      const name = this.source.substring(this.pos).match(/^<([^>]*)>/);
+      const number = name ? this.groupNames.indexOf(name[1]) + 1 : 0;
+      if (number === 0) {
+        throw this.error('Invalid named reference');
+      }
+      this.pos += name[0].length;
+      return { backreference: number };
+    }
+    if (isDigit(ch)) {
+      const digits = ch + this.source.substring(this.pos).match(/^\d*/)[0];
+      if (!inClass && ch !== '0' && Number(digits) <= this.groupNames.length) {
+        this.pos += digits.length - 1;
+        return { backreference: Number(digits) };
+      }
+      // Legacy octal escape, as browsers accept outside Unicode mode
+      const octal = (ch + this.source.substring(this.pos, this.pos + 2)).match(/^[0-7]{1,3}/);
+      if (!octal) {
+        return { char: ch };
+      }
+      const value = octal[0].length === 3 && octal[0][0] > '3' ? octal[0].substring(0, 2) : octal[0];
+      this.pos += value.length - 1;
+      return { char: String.fromCharCode(parseInt(value, 8)) };
+    }
+    return { char: ch };
+  }
+
+  /**
+   * Parse a character class after its '['
+   * @returns {Function} Character test
+   */
+  characterClass() {
+    const negated = this.eat('^');
+    const tests = [];
+
+    const classAtom = () => {
+      const ch = this.source[this.pos++];
+      return ch === '\\' ? this.escape(true) : { char: ch };
+    };
+
+    while (this.peek() !== ']') {
+      if (this.pos >= this.source.length) {
+        throw this.error('Unterminated character class');
+      }
+      const from = classAtom();
+      if (this.peek() === '-' && this.peek(1) !== ']' && this.peek(1) !== undefined) {
+        this.pos++;
+        const to = classAtom();
+        if (from.char !== undefined && to.char !== undefined) {
+          if (from.char > to.char) {
+            throw this.error('Range out of order in character class');
+          }
+          tests.push((c) => c >= from.char && c <= to.char);
+          continue;
+        }
+        // A range with a class escape at either end is taken literally
+        tests.push(from.test || ((c) => c === from.char), (c) => c === '-', to.test || ((c) => c === to.char));
+        continue;
+      }
+      tests.push(from.test || ((c) => c === from.char));
+    }
+    this.pos++;
+
+    const inClass = this.ignoreCase
+      ? (c) => tests.some(test => test(c) || test(c.toLowerCase()) || test(c.toUpperCase()))
+      : (c) => tests.some(test => test(c));
+    return negated ? (c) => !inClass(c) : inClass;
+  }
+}
+
+/**
+ * Build the matcher for a quantified atom
+ *
+ * Single-character atoms are repeated in a loop; others recurse once per
+ * repetition, clearing the captures inside the atom each time and stopping
+ * when an optional repetition matches the empty string.
+ */
+function repeat(atom, { min, max, greedy }, firstGroup, lastGroup) {
+  if (atom.single) {
+    const test = atom.single;
+    return (state, index, next) => {
+      const { input } = state;
+      let count = 0;
+      if (greedy) {
+        while (count < max && index + count < input.length && test(input[index + count])) {
+          count++;
+        }
+        for (; count >= min; count--) {
+          state.tick();
+          if (next(index + count)) {
+            return true;
+          }
+        }
+        return false;
+      }
+      for (;;) {
+        if (count >= min) {
+          state.tick();
+          if (next(index + count)) {
+            return true;
+          }
+        }
+        if (count >= max || index + count >= input.length || !test(input[index + count])) {
+          return false;
+        }
+        count++;
+      }
+    };
+  }
+
+  const [from, to] = [firstGroup * 2 + 2, lastGroup * 2 + 2];
+  const step = (state, index, count, next) => {
+    state.tick();
+    const once = () => {
+      const saved = state.captures.slice(from, to);
+      state.captures.fill(undefined, from, to);
+      const matched = atom.match(state, index, end =>
+        (end === index && count >= min) ? false : step(state, end, count + 1, next));
+      if (!matched) {
+        state.captures.splice(from, saved.length, ...saved);
+      }
+      return matched;
+    };
+    if (count < min) {
+      return once();
+    }
+    if (greedy) {
+      return (count < max && once()) || next(index);
+    }
+    return next(index) || (count < max && once());
+  };
+  return (state, index, next) => step(state, index, 0, next);
+}
+
+/**
+ * Compile a pattern, reusing an earlier compilation
+ */
+function compile(source, flags) {
+  const key = `${flags}/${source}`;
+  let program = compiled.get(key);
+  if (!program) {
+    const parser = new PatternParser(source, flags);
+    program = { match: parser.parse(), groups: parser.groupCount };
+    compiled.set(key, program);
+    if (compiled.size > CACHE_SIZE) {
+      compiled.delete(compiled.keys().next().value);
+    }
+  }
+  return program;
+}
+
+/**
+ * Regular expression whose matching is charged to a step budget
+ *
+ * Exposes the RegExp members PAC scripts use, plus the regex forms of the
+ * String methods (match, replace, search, split) with the string as their
+ * first argument.
+ */
+export class PacRegExp {
+  /**
+   * @param {string} source - Pattern
+   * @param {string} [flags] - Any of g, i, m and s
+   * @param {Function} [tick] - Called for each matching step; throws to stop the match
+   * @throws {SyntaxError} If the pattern or flags are invalid or unsupported
+   */
+  constructor(source, flags = '', tick = () => {}) {
+    if ([...flags].some((flag, i) => !SUPPORTED_FLAGS.includes(flag) || flags.indexOf(flag) !== i)) {
+      throw new SyntaxError(`Invalid or unsupported regular expression flags '${flags}'`);
+    }
+    this.source = source || '(?:)';
+    this.flags = flags;
+    this.global = flags.includes('g');
+    this.ignoreCase = flags.includes('i');
+    this.multiline = flags.includes('m');
+    this.lastIndex = 0;
+    this.program = compile(source, flags);
+    this.tick = tick;
+  }
+
+  toString() {
+    return `/${this.source}/${this.flags}`;
+  }
+
+  /**
+   * @param {string} input
+   * @returns {boolean} Whether the pattern matches, from lastIndex for global patterns
+   */
+  test(input) {
+    return this.exec(input) !== null;
+  }
+
+  /**
+   * @param {string} input
+   * @returns {Array|null} The match and its groups, undefined for groups that did not take part
+   */
+  exec(input) {
+    input = String(input);
+    const start = this.global ? this.lastIndex : 0;
+    const captures = start <= input.length ? this.find(input, start) : null;
+    if (this.global) {
+      this.lastIndex = captures ? captures[1] : 0;
+    }
+    return captures && this.groups(input, captures, 0);
+  }
+
+  /**
+   * String.prototype.match
+   */
+  match(input) {
+    input = String(input);
+    if (!this.global) {
+      return this.exec(input);
+    }
+    const matches = this.all(input).map(captures => input.substring(captures[0], captures[1]));
+    this.lastIndex = 0;
+    return matches.length > 0 ? matches : null;
+  }
+
+  /**
+   * String.prototype.replace with a replacement string ($$, $&, $`, $' and $n)
+   */
+  replace(input, replacement) {
+    input = String(input);
+    replacement = String(replacement);
+    let output = '';
+    let position = 0;
+    for (const captures of this.global ? this.all(input) : [this.find(input, 0)].filter(Boolean)) {
+      output += input.substring(position, captures[0]) + this.expand(replacement, input, captures);
+      position = captures[1];
+    }
+    if (this.global) {
+      this.lastIndex = 0;
+    }
+    return output + input.substring(position);
+  }
+
+  /**
+   * String.prototype.search
+   */
+  search(input) {
+    const captures = this.find(String(input), 0);
+    return captures ? captures[0] : -1;
+  }
+
+  /**
+   * String.prototype.split
+   */
+  split(input, limit) {
+    input = String(input);
+    const max = limit === undefined ? 2 ** 32 - 1 : limit >>> 0;
+    const parts = [];
+    if (max === 0) {
+      return parts;
+    }
+    if (input.length === 0) {
+      return this.matchAt(input, 0) ? parts : [input];
+    }
+
+    let position = 0;
+    for (let index = 0; index < input.length;) {
+      const captures = this.matchAt(input, index);
+      if (!captures || captures[1] === position) {
+        index++;
+        continue;
+      }
+      for (const part of [input.substring(position, index), ...this.groups(input, captures, 1)]) {
+        parts.push(part);
+        if (parts.length === max) {
+          return parts;
+        }
+      }
+      position = index = captures[1];
+    }
+    parts.push(input.substring(position));
+    return parts;
+  }
+
+  /**
+   * Every match of a global pattern, stepping past empty ones
+   * @private
+   */
+  all(input) {
+    const matches = [];
+    for (let start = 0; start <= input.length;) {
+      const captures = this.find(input, start);
+      if (!captures) {
+        break;
+      }
+      matches.push(captures);
+      start = captures[1] === captures[0] ? captures[1] + 1 : captures[1];
+    }
+    return matches;
+  }
+
+  /**
+   * First match at or after start
+   * @private
+   * @returns {Array|null} Capture offsets, [start, end] pairs for the match and each group
+   */
+  find(input, start) {
+    for (let index = start; index <= input.length; index++) {
+      this.tick();
+      const captures = this.matchAt(input, index);
+      if (captures) {
+        return captures;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match starting exactly at index
+   * @private
+   */
+  matchAt(input, index) {
+    const state = { input, captures: new Array((this.program.groups + 1) * 2), tick: this.tick };
+    state.captures[0] = index;
+    try {
+      return this.program.match(state, index, end => {
+        state.captures[1] = end;
+        return true;
+      }) ? state.captures : null;
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new Error(`Regular expression ${this} is too complex for an input of ${input.length} characters`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  groups(input, captures, first) {
+    const values = [];
+    for (let i = first; i <= this.program.groups; i++) {
+      const [start, end] = [captures[i * 2], captures[i * 2 + 1]];
+      values.push(start === undefined || end === undefined ? undefined : input.substring(start, end));
+    }
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  expand(replacement, input, captures) {
+    const groups = this.groups(input, captures, 0);
+    return replacement.replace(/\$([$&`']|\d\d?)/g, (token, reference) => {
+      switch (reference) {
+        case '$': return '$';
+        case '&': return groups[0];
+        case '`': return input.substring(0, captures[0]);
+        case '\'': return input.substring(captures[1]);
+      }
+      let number = Number(reference);
+      let rest = '';
+      if (reference.length === 2 && (number === 0 || number > this.program.groups)) {
+        [number, rest] = [Number(reference[0]), reference[1]];
+      }
+      if (number === 0 || number > this.program.groups) {
+        return token;
+      }
+      return (groups[number] ?? '') + rest;
+    });
+  }
+}
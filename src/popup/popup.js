@@ -4,18 +4,27 @@ import {
   getActiveChain, 
   setActiveChain,
   isExtensionEnabled, 
-  setExtensionEnabled 
+  setExtensionEnabled,
+  listChainProxies
 } from '../storage.js';
+import { healthKey } from '../health.js';
+import { renderHealthBadge, renderSparkline, renderTestResults } from '../options/render.js';
 
 document.addEventListener('DOMContentLoaded', async function() {
   const proxyToggle = document.getElementById('proxyToggle');
   const chainSelect = document.getElementById('chainSelect');
   const statusText = document.getElementById('statusText');
+  const healthSummary = document.getElementById('healthSummary');
+  const testResults = document.getElementById('testResults');
+  const exitStatus = document.getElementById('exitStatus');
   const optionsButton = document.getElementById('optionsButton');
   const testButton = document.getElementById('testButton');
+  const verifyExitButton = document.getElementById('verifyExitButton');
 
   let chains = [];
   let currentSettings = { enabled: false, activeChainId: null };
+  let health = null;
+  let exitCheck = null;
 
   try {
     // Load initial state
@@ -51,6 +60,15 @@ document.addEventListener('DOMContentLoaded', async function() {
       console.error('Failed to load initial state:', error);
       throw error;
     }
+    
+    // Health history is optional; the popup works without it
+    try {
+      const response = await sendMessage({ action: 'getHealth' });
+      health = response && response.success ? response.health : null;
+      updateHealth();
+    } catch (error) {
+      console.error('Failed to load health history:', error);
+    }
   }
 
   /**
@@ -113,6 +131,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     testButton.addEventListener('click', function() {
       testConnection();
     });
+
+    // Exit check handler
+    verifyExitButton.addEventListener('click', function() {
+      verifyExit();
+    });
   }
 
   /**
@@ -179,6 +202,72 @@ document.addEventListener('DOMContentLoaded', async function() {
         statusText.className = 'status-error';
       }
     }
+    updateExitStatus();
+    updateHealth();
+  }
+
+  /**
+   * Show the last exit check, while its chain is still the selected one
+   */
+  function updateExitStatus() {
+    if (!exitCheck || exitCheck.chainId !== currentSettings.activeChainId) {
+      exitStatus.hidden = true;
+      return;
+    }
+
+    const { result } = exitCheck;
+    exitStatus.className = `exit-status ${result.status}`;
+    exitStatus.replaceChildren();
+
+    const summary = document.createElement('p');
+    summary.className = 'exit-summary';
+    summary.textContent = `Exit ${result.exitIp} via hop ${result.exitHop}` +
+      (result.directIp ? ` · this device ${result.directIp}` : '');
+    exitStatus.appendChild(summary);
+
+    if (result.issues.length > 0) {
+      const list = document.createElement('ul');
+      for (const issue of result.issues) {
+        const item = document.createElement('li');
+        item.className = issue.severity;
+        item.textContent = issue.message;
+        list.appendChild(item);
+      }
+      exitStatus.appendChild(list);
+    }
+    exitStatus.hidden = false;
+  }
+
+  /**
+   * Show the latest health check of the selected chain and its proxies
+   */
+  function updateHealth() {
+    const chain = chains.find(c => c.id === currentSettings.activeChainId);
+    const chainHealth = chain && health ? health.chains[chain.id] : null;
+    if (!chainHealth) {
+      healthSummary.hidden = true;
+      return;
+    }
+
+    healthSummary.innerHTML = `
+      <div class="chain-health">
+        ${renderHealthBadge(chainHealth.summary)}
+        ${renderSparkline(chainHealth.samples, { width: 120 })}
+      </div>
+      <ul class="hop-health"></ul>
+    `;
+    const hopList = healthSummary.querySelector('.hop-health');
+    for (const proxy of listChainProxies(chain)) {
+      const proxyHealth = health.proxies[healthKey(proxy)];
+      if (!proxyHealth) {
+        continue;
+      }
+      const item = document.createElement('li');
+      item.textContent = `${proxy.address}:${proxy.port} `;
+      item.insertAdjacentHTML('beforeend', renderHealthBadge(proxyHealth.summary));
+      hopList.appendChild(item);
+    }
+    healthSummary.hidden = false;
   }
 
   /**
@@ -207,6 +296,7 @@ document.addEventListener('DOMContentLoaded', async function() {
 
     testButton.textContent = 'Testing...';
     testButton.disabled = true;
+    testResults.hidden = true;
 
     try {
       // Send test request to background script
@@ -215,6 +305,11 @@ document.addEventListener('DOMContentLoaded', async function() {
         chainId: currentSettings.activeChainId 
       });
 
+      if (response.results) {
+        testResults.innerHTML = renderTestResults(response.results);
+        testResults.hidden = false;
+      }
+
       if (response.success) {
         showNotification('Connection Test', 'Connection test completed successfully');
       } else {
@@ -229,6 +324,37 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   }
 
+  /**
+   * Check the active chain's exit address and leak conditions
+   */
+  async function verifyExit() {
+    if (!currentSettings.activeChainId) {
+      showError('No chain selected');
+      return;
+    }
+
+    verifyExitButton.textContent = 'Checking...';
+    verifyExitButton.disabled = true;
+
+    try {
+      const chainId = currentSettings.activeChainId;
+      const response = await sendMessage({ action: 'verifyExit', chainId });
+      if (!response.success) {
+        throw new Error(response.error || 'Unknown error');
+      }
+      exitCheck = { chainId, result: response.result };
+      updateExitStatus();
+    } catch (error) {
+      console.error('Exit check failed:', error);
+      exitCheck = null;
+      updateExitStatus();
+      showError(`Exit check failed: ${error.message}`);
+    } finally {
+      verifyExitButton.textContent = 'Verify Exit';
+      verifyExitButton.disabled = false;
+    }
+  }
+
   /**
    * Show error message in status
    */
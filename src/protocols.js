@@ -0,0 +1,348 @@
+/**
+ * Proxy protocol registry
+ *
+ * Each hop type is defined once, here: its type id, display name, the
+ * proxy fields it adds (with defaults and validation) and what it can do.
+ * The chain engine creates handlers from it, storage validates proxies
+ * against it and the options page builds its form from it, so a new hop
+ * type only needs a registerProtocol() call.
+ */
+
+import { SOCKS5Protocol } from './socks5.js';
+import { SOCKS4Protocol } from './socks4.js';
+import { HttpConnectProtocol } from './httpConnect.js';
+import { ShadowsocksProtocol, SHADOWSOCKS_METHODS } from './shadowsocks.js';
+import { SSHProtocol } from './ssh.js';
+import { WebSocketProtocol } from './websocket.js';
+import { isValidPin } from './x509.js';
+import { isValidFingerprint } from './sshKeys.js';
+
+/**
+ * @typedef {Object} ProtocolField
+ * @property {string} name - Proxy property holding the value
+ * @property {string} kind - 'text' (a string) or 'list' (an array of strings, comma or space separated in forms)
+ * @property {string} label - Short description, used in messages
+ * @property {string} placeholder - Form placeholder
+ * @property {number} [maxLength] - Form input length limit
+ * @property {boolean} [required] - Whether proxies of the type must set the field
+ * @property {Function} validate - (value) => void; throws an Error if the value is invalid
+ *
+ * @typedef {Object} ProtocolCapabilities
+ * @property {boolean} connect - Can open TCP connections (CONNECT)
+ * @property {boolean} bind - Can accept an inbound connection on the last hop (BIND)
+ * @property {boolean} udp - Can relay UDP datagrams on the last hop (UDP ASSOCIATE)
+ * @property {boolean} hostnames - Can be given hostnames as targets, resolved by the proxy
+ * @property {boolean} tls - The proxy is reached over TLS, negotiated before the handler runs
+ * @property {string[]} auth - Authentication schemes answered with the proxy's credentials;
+ *   empty when the protocol takes no username and password
+ *
+ * @typedef {Object} ProtocolDefinition
+ * @property {string} type - Type id stored in proxy.type (lowercase)
+ * @property {string} name - Display name
+ * @property {number} defaultPort - Port used when none is given
+ * @property {ProtocolField[]} fields - Fields beyond address, port and credentials
+ * @property {ProtocolCapabilities} capabilities
+ * @property {Object} [credentials] - Labels of the credential inputs the protocol uses, e.g.
+ *   { password: 'Key' }; by default username and password when capabilities.auth is not empty
+ * @property {Function} createHandler - (proxy) => handler with connect(), and bind() or associate() if capable
+ */
+
+const FIELD_KINDS = ['text', 'list'];
+const CAPABILITY_FLAGS = ['connect', 'bind', 'udp', 'hostnames', 'tls'];
+
+// Registered protocols by type, in registration order
+const protocols = new Map();
+
+/**
+ * Register a protocol, replacing any with the same type
+ * @param {ProtocolDefinition} definition
+ * @throws {Error} If the definition is malformed
+ */
+function registerProtocol(definition) {
+  if (!definition || typeof definition.type !== 'string' || !/^[a-z][a-z0-9+.-]*$/.test(definition.type)) {
+    throw new Error('Protocol type must be a lowercase identifier');
+  }
+  if (typeof definition.name !== 'string' || !definition.name) {
+    throw new Error('Protocol name must be a non-empty string');
+  }
+  if (!Number.isInteger(definition.defaultPort) || definition.defaultPort < 1 || definition.defaultPort > 65535) {
+    throw new Error('Protocol defaultPort must be an integer between 1 and 65535');
+  }
+  if (typeof definition.createHandler !== 'function') {
+    throw new Error('Protocol must have a createHandler function');
+  }
+
+  const capabilities = definition.capabilities;
+  if (!capabilities || CAPABILITY_FLAGS.some(flag => typeof capabilities[flag] !== 'boolean') ||
+      !Array.isArray(capabilities.auth)) {
+    throw new Error(`Protocol capabilities must set ${CAPABILITY_FLAGS.join(', ')} and auth`);
+  }
+
+  if (definition.credentials !== undefined && (typeof definition.credentials !== 'object' ||
+      Object.keys(definition.credentials).some(input => !['username', 'password'].includes(input)))) {
+    throw new Error('Protocol credentials may only label username and password');
+  }
+
+  if (!Array.isArray(definition.fields)) {
+    throw new Error('Protocol fields must be an array');
+  }
+  for (const field of definition.fields) {
+    if (!field || typeof field.name !== 'string' || !field.name || !FIELD_KINDS.includes(field.kind) ||
+        typeof field.validate !== 'function') {
+      throw new Error(`Protocol field must have a name, a kind (${FIELD_KINDS.join(', ')}) and a validate function`);
+    }
+  }
+
+  protocols.set(definition.type, definition);
+}
+
+/**
+ * Remove a registered protocol
+ * @param {string} type - Type id
+ * @returns {boolean} Whether a protocol was removed
+ */
+function unregisterProtocol(type) {
+  return protocols.delete(type);
+}
+
+/**
+ * Look up a registered protocol
+ * @param {string} type - Type id
+ * @returns {ProtocolDefinition|undefined}
+ */
+function getProtocol(type) {
+  return protocols.get(type);
+}
+
+/**
+ * List the registered protocols
+ * @returns {ProtocolDefinition[]} In registration order
+ */
+function getProtocols() {
+  return [...protocols.values()];
+}
+
+/**
+ * Validate the protocol-specific fields of a proxy
+ * A field set on a proxy whose protocol does not declare it is an error.
+ * @param {Object} proxy - Proxy with a registered type
+ * @throws {Error} If a field is invalid or not supported by the proxy's type
+ */
+function validateProtocolFields(proxy) {
+  const protocol = getProtocol(proxy.type);
+
+  for (const definition of getProtocols()) {
+    for (const field of definition.fields) {
+      if (proxy[field.name] === undefined) {
+        continue;
+      }
+
+      if (!protocol.fields.some(own => own.name === field.name)) {
+        const owners = getProtocols()
+          .filter(other => other.fields.some(own => own.name === field.name))
+          .map(other => other.name);
+        throw new Error(`Proxy ${field.name} is only supported for ${owners.join(' and ')} proxies`);
+      }
+    }
+  }
+
+  for (const field of protocol.fields) {
+    if (proxy[field.name] !== undefined) {
+      field.validate(proxy[field.name]);
+    } else if (field.required) {
+      throw new Error(`Proxy ${field.name} is required for ${protocol.name} proxies`);
+    }
+  }
+}
+
+/**
+ * Throw unless a list field holds an array of non-empty, distinct strings
+ * @private
+ */
+function validateList(name, value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`Proxy ${name} must be a non-empty array`);
+  }
+  if (value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`Proxy ${name} must be non-empty strings`);
+  }
+  if (new Set(value).size !== value.length) {
+    throw new Error(`Proxy ${name} must not repeat an entry`);
+  }
+}
+
+const HTTP_AUTH_SCHEMES = ['basic', 'digest', 'ntlm', 'negotiate'];
+
+registerProtocol({
+  type: 'socks5',
+  name: 'SOCKS5',
+  defaultPort: 1080,
+  fields: [{
+    name: 'authMethods',
+    kind: 'list',
+    label: 'auth methods',
+    placeholder: 'Auth methods in order (default: none, username-password)',
+    validate: (value) => validateList('authMethods', value)
+  }],
+  capabilities: { connect: true, bind: true, udp: true, hostnames: true, tls: false, auth: ['username-password'] },
+  createHandler: (proxy) => new SOCKS5Protocol({ authMethods: proxy.authMethods })
+});
+
+// SOCKS4 and SOCKS4a share the request format; only SOCKS4a servers take hostnames
+const SOCKS4_USERID_FIELD = {
+  name: 'userid',
+  kind: 'text',
+  label: 'user ID',
+  placeholder: 'User ID (optional)',
+  maxLength: 255,
+  validate: (value) => {
+    if (typeof value !== 'string') {
+      throw new Error('Proxy userid must be a string');
+    }
+    if (value.includes('\0')) {
+      throw new Error('Proxy userid must not contain NUL characters');
+    }
+    if (new TextEncoder().encode(value).length > 255) {
+      throw new Error('Proxy userid must be at most 255 bytes');
+    }
+  }
+};
+
+registerProtocol({
+  type: 'socks4',
+  name: 'SOCKS4',
+  defaultPort: 1080,
+  fields: [SOCKS4_USERID_FIELD],
+  capabilities: { connect: true, bind: true, udp: false, hostnames: false, tls: false, auth: [] },
+  createHandler: () => new SOCKS4Protocol({ socks4a: false })
+});
+
+registerProtocol({
+  type: 'socks4a',
+  name: 'SOCKS4a',
+  defaultPort: 1080,
+  fields: [SOCKS4_USERID_FIELD],
+  capabilities: { connect: true, bind: true, udp: false, hostnames: true, tls: false, auth: [] },
+  createHandler: () => new SOCKS4Protocol({ socks4a: true })
+});
+
+registerProtocol({
+  type: 'http',
+  name: 'HTTP',
+  defaultPort: 8080,
+  fields: [],
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: HTTP_AUTH_SCHEMES },
+  createHandler: () => new HttpConnectProtocol()
+});
+
+// Shared by the protocols reached over TLS
+const TLS_PINS_FIELD = {
+  name: 'tlsPins',
+  kind: 'list',
+  label: 'TLS pins',
+  placeholder: 'TLS key pins: sha256/... (leaf or CA, comma separated)',
+  validate: (value) => {
+    if (!Array.isArray(value)) {
+      throw new Error('Proxy tlsPins must be an array');
+    }
+    const invalid = value.find(pin => !isValidPin(pin));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid TLS pin: ${invalid} (expected sha256/<base64 SHA-256 of the public key>)`);
+    }
+  }
+};
+
+// HTTPS proxies speak the same CONNECT inside TLS
+registerProtocol({
+  type: 'https',
+  name: 'HTTPS',
+  defaultPort: 443,
+  fields: [TLS_PINS_FIELD],
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: true, auth: HTTP_AUTH_SCHEMES },
+  createHandler: () => new HttpConnectProtocol()
+});
+
+registerProtocol({
+  type: 'shadowsocks',
+  name: 'Shadowsocks',
+  defaultPort: 8388,
+  fields: [{
+    name: 'method',
+    kind: 'text',
+    label: 'cipher',
+    placeholder: `Cipher: ${SHADOWSOCKS_METHODS.join(' or ')}`,
+    required: true,
+    validate: (value) => {
+      if (!SHADOWSOCKS_METHODS.includes(value)) {
+        throw new Error(`Proxy method must be one of: ${SHADOWSOCKS_METHODS.join(', ')}`);
+      }
+    }
+  }],
+  // The key is kept in the credential vault like a password
+  credentials: { password: 'Key' },
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: ['pre-shared key'] },
+  createHandler: (proxy) => new ShadowsocksProtocol({ method: proxy.method })
+});
+
+// Port forwarding over an SSH login (direct-tcpip channels)
+registerProtocol({
+  type: 'ssh',
+  name: 'SSH',
+  defaultPort: 22,
+  fields: [{
+    name: 'hostKeys',
+    kind: 'list',
+    label: 'host keys',
+    placeholder: 'Host key fingerprints: SHA256:... (as printed by ssh-keygen -l)',
+    validate: (value) => {
+      validateList('hostKeys', value);
+      const invalid = value.find(fingerprint => !isValidFingerprint(fingerprint));
+      if (invalid !== undefined) {
+        throw new Error(`Invalid SSH host key fingerprint: ${invalid} (expected SHA256:<base64>)`);
+      }
+    }
+  }],
+  credentials: { username: 'Username', password: 'Password or OpenSSH private key' },
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: ['password', 'publickey'] },
+  createHandler: (proxy) => new SSHProtocol({ servername: proxy.address, hostKeys: proxy.hostKeys })
+});
+
+const WEBSOCKET_PATH_FIELD = {
+  name: 'path',
+  kind: 'text',
+  label: 'path',
+  placeholder: 'Path (default /), may use {host} and {port} of the next hop',
+  maxLength: 2048,
+  validate: (value) => {
+    if (typeof value !== 'string' || !/^\/[\x21-\x7E]*$/.test(value)) {
+      throw new Error('Proxy path must start with / and contain no spaces or control characters');
+    }
+  }
+};
+
+// TCP over WebSocket (websockify, wstunnel), for networks that only allow web traffic out
+registerProtocol({
+  type: 'ws',
+  name: 'WebSocket',
+  defaultPort: 80,
+  fields: [WEBSOCKET_PATH_FIELD],
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: ['basic'] },
+  createHandler: (proxy) => new WebSocketProtocol({ host: proxy.address, port: proxy.port, path: proxy.path })
+});
+
+registerProtocol({
+  type: 'wss',
+  name: 'WebSocket (TLS)',
+  defaultPort: 443,
+  fields: [WEBSOCKET_PATH_FIELD, TLS_PINS_FIELD],
+  capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: true, auth: ['basic'] },
+  createHandler: (proxy) => new WebSocketProtocol({ host: proxy.address, port: proxy.port, path: proxy.path, secure: true })
+});
+
+export {
+  registerProtocol,
+  unregisterProtocol,
+  getProtocol,
+  getProtocols,
+  validateProtocolFields
+};
@@ -0,0 +1,534 @@
+/**
+ * Local Chaining Relay
+ *
+ * Loopback listener that Firefox is pointed at by the proxy.onRequest handler.
+ * Firefox can only be configured with a single proxy hop, so every proxied
+ * connection is handed to this relay instead. The relay learns the target from
+ * the client's request, builds the complete chain with ProxyChainEngine and
+ * pipes bytes in both directions over the resulting socket.
+ *
+ * Accepted client protocols:
+ * - SOCKS5 CONNECT with username/password auth (username = chain ID,
+ *   password = relay session token)
+ * - HTTP CONNECT and absolute-form HTTP requests with the same credentials
+ *   in a Basic Proxy-Authorization header
+ *
+ * The session token keeps other local processes from borrowing the chains.
+ */
+
+import { TCPServer } from './socket.js';
+import { SocketStream } from './stream.js';
+
+const SOCKS5_VERSION = 0x05;
+const SOCKS5_COMMAND_CONNECT = 0x01;
+const SOCKS5_ADDRESS_TYPE_IPV4 = 0x01;
+const SOCKS5_ADDRESS_TYPE_DOMAIN = 0x03;
+const SOCKS5_ADDRESS_TYPE_IPV6 = 0x04;
+
+const AUTH_METHOD_USERNAME_PASSWORD = 0x02;
+const AUTH_METHOD_NO_ACCEPTABLE = 0xFF;
+const AUTH_VERSION = 0x01;
+
+// Reply codes sent back to the client (RFC 1928)
+const REPLY = {
+  SUCCESS: 0x00,
+  GENERAL_FAILURE: 0x01,
+  CONN_NOT_ALLOWED: 0x02,
+  COMMAND_NOT_SUPPORTED: 0x07,
+  ADDRESS_TYPE_NOT_SUPPORTED: 0x08
+};
+
+const HTTP_HEADER_END = new Uint8Array([0x0D, 0x0A, 0x0D, 0x0A]);
+const MAX_HTTP_HEADER_SIZE = 64 * 1024;
+
+/**
+ * Default configuration values
+ */
+const DEFAULT_CONFIG = {
+  host: '127.0.0.1',
+  port: 0,                   // 0 lets the OS pick a free port
+  handshakeTimeout: 10000    // Client must name its target within 10 seconds
+};
+
+/**
+ * Generate a random hex token
+ * @param {number} length - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+function generateToken(length = 16) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Format 16 address bytes as an IPv6 string
+ * @param {Uint8Array} bytes - Address bytes
+ * @returns {string} IPv6 address
+ */
+function bytesToIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+  return groups.join(':');
+}
+
+/**
+ * Chain Relay Class
+ * Accepts loopback connections and forwards each one over a proxy chain
+ */
+export class ChainRelay {
+  /**
+   * Create a new relay
+   * @param {ProxyChainEngine} engine - Engine used to build chains
+   * @param {Object} config - Configuration options
+   * @param {Function} config.resolveChain - async (chainId, host, port) => chain or null
+   * @param {Function} [config.onError] - Called with (chain, host, port, error) when a chain build fails
+   * @param {string} [config.host] - Loopback address to listen on
+   * @param {number} [config.port] - Port to listen on, 0 for any free port
+   * @param {number} [config.handshakeTimeout] - Max time for a client to name its target (ms)
+   */
+  constructor(engine, config = {}) {
+    if (typeof config.resolveChain !== 'function') {
+      throw new Error('Relay requires a resolveChain function');
+    }
+
+    this.engine = engine;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.server = null;
+    this.token = generateToken();
+    this.tunnels = new Set();
+  }
+
+  /**
+   * Port the relay is listening on, or null when stopped
+   * @returns {number|null}
+   */
+  get port() {
+    return this.server && this.server.listening ? this.server.port : null;
+  }
+
+  /**
+   * Check whether the relay is accepting connections
+   * @returns {boolean}
+   */
+  isListening() {
+    return this.port !== null;
+  }
+
+  /**
+   * Start listening on loopback
+   * @returns {Promise<number>} The bound port
+   */
+  async start() {
+    if (this.isListening()) {
+      return this.port;
+    }
+
+    this.server = new TCPServer();
+    this.server.addEventListener('connection', (client) => {
+      this._handleClient(client).catch(error => {
+        this.log(`Client handling failed: ${error.message}`);
+      });
+    });
+    this.server.addEventListener('error', (error) => {
+      this.log(`Server error: ${error.message}`);
+    });
+
+    const port = await this.server.listen(this.config.host, this.config.port);
+    this.log(`Listening on ${this.config.host}:${port}`);
+    return port;
+  }
+
+  /**
+   * Stop listening and tear down every open tunnel
+   */
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+
+    for (const tunnel of this.tunnels) {
+      tunnel.close();
+    }
+    this.tunnels.clear();
+
+    this.log('Relay stopped');
+  }
+
+  /**
+   * Proxy configuration Firefox should use to reach the relay for a chain
+   * @param {string} chainId - Chain the connection should be routed through
+   * @param {Object} [options]
+   * @param {boolean} [options.proxyDNS=true] - Whether Firefox sends hostnames to the relay;
+   *   when false it resolves them itself and sends addresses
+   * @returns {Object} proxy.onRequest ProxyInfo
+   */
+  getProxyInfo(chainId, options = {}) {
+    return {
+      type: 'socks',
+      host: this.config.host,
+      port: this.port,
+      username: chainId,
+      password: this.token,
+      proxyDNS: options.proxyDNS !== false
+    };
+  }
+
+  /**
+   * Dispatch a new client on its first byte
+   * @private
+   */
+  async _handleClient(socket) {
+    const client = new SocketStream(socket);
+    const timeoutId = setTimeout(() => {
+      client.destroy(new Error(`Client handshake timeout after ${this.config.handshakeTimeout}ms`));
+    }, this.config.handshakeTimeout);
+    // The timeout only covers the client naming its target; building the chain has the engine's deadlines
+    const targetParsed = () => clearTimeout(timeoutId);
+
+    try {
+      const firstByte = await client.readExactly(1);
+      client.unread(firstByte);
+
+      if (firstByte[0] === SOCKS5_VERSION) {
+        await this._handleSocks5(client, targetParsed);
+      } else {
+        await this._handleHttp(client, targetParsed);
+      }
+    } catch (error) {
+      client.close();
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Serve a SOCKS5 client
+   * @private
+   * @param {SocketStream} client - Accepted client connection
+   * @param {Function} targetParsed - Called once the client has named its target
+   */
+  async _handleSocks5(client, targetParsed) {
+    const [, methodCount] = await client.readExactly(2);
+    const methods = await client.readExactly(methodCount);
+
+    if (!methods.includes(AUTH_METHOD_USERNAME_PASSWORD)) {
+      await client.write(new Uint8Array([SOCKS5_VERSION, AUTH_METHOD_NO_ACCEPTABLE]));
+      throw new Error('SOCKS5 client did not offer username/password authentication');
+    }
+
+    await client.write(new Uint8Array([SOCKS5_VERSION, AUTH_METHOD_USERNAME_PASSWORD]));
+
+    // RFC 1929 sub-negotiation
+    const [authVersion, usernameLength] = await client.readExactly(2);
+    const username = new TextDecoder().decode(await client.readExactly(usernameLength));
+    const [passwordLength] = await client.readExactly(1);
+    const password = new TextDecoder().decode(await client.readExactly(passwordLength));
+
+    if (authVersion !== AUTH_VERSION || password !== this.token) {
+      await client.write(new Uint8Array([AUTH_VERSION, 0x01]));
+      throw new Error('SOCKS5 client failed relay authentication');
+    }
+
+    await client.write(new Uint8Array([AUTH_VERSION, 0x00]));
+
+    // Request: VER CMD RSV ATYP DST.ADDR DST.PORT
+    const [version, command, , addressType] = await client.readExactly(4);
+    if (version !== SOCKS5_VERSION) {
+      throw new Error(`Invalid SOCKS version in request: ${version}`);
+    }
+
+    let host;
+    switch (addressType) {
+      case SOCKS5_ADDRESS_TYPE_IPV4:
+        host = Array.from(await client.readExactly(4)).join('.');
+        break;
+      case SOCKS5_ADDRESS_TYPE_IPV6:
+        host = bytesToIPv6(await client.readExactly(16));
+        break;
+      case SOCKS5_ADDRESS_TYPE_DOMAIN: {
+        const [length] = await client.readExactly(1);
+        host = new TextDecoder().decode(await client.readExactly(length));
+        break;
+      }
+      default:
+        await this._sendSocks5Reply(client, REPLY.ADDRESS_TYPE_NOT_SUPPORTED);
+        throw new Error(`Unsupported address type from client: ${addressType}`);
+    }
+
+    const portBytes = await client.readExactly(2);
+    const port = (portBytes[0] << 8) | portBytes[1];
+
+    if (command !== SOCKS5_COMMAND_CONNECT) {
+      await this._sendSocks5Reply(client, REPLY.COMMAND_NOT_SUPPORTED);
+      throw new Error(`Unsupported SOCKS5 command from client: ${command}`);
+    }
+    targetParsed();
+
+    const upstream = await this._openUpstream(username, host, port, async (code) => {
+      await this._sendSocks5Reply(client, code);
+    });
+
+    await this._startTunnel(client, upstream, () => this._sendSocks5Reply(client, REPLY.SUCCESS));
+  }
+
+  /**
+   * Send a SOCKS5 reply with an all-zero bound address
+   * @private
+   */
+  _sendSocks5Reply(client, code) {
+    return client.write(new Uint8Array([
+      SOCKS5_VERSION, code, 0x00, SOCKS5_ADDRESS_TYPE_IPV4,
+      0, 0, 0, 0,
+      0, 0
+    ]));
+  }
+
+  /**
+   * Serve an HTTP proxy client
+   * @private
+   * @param {SocketStream} client - Accepted client connection
+   * @param {Function} targetParsed - Called once the client has named its target
+   */
+  async _handleHttp(client, targetParsed) {
+    const head = new TextDecoder().decode(await client.readUntil(HTTP_HEADER_END, MAX_HTTP_HEADER_SIZE));
+    const lines = head.split('\r\n');
+    const requestMatch = lines[0].match(/^([A-Z]+) (\S+) (HTTP\/1\.[01])$/);
+
+    if (!requestMatch) {
+      await client.write(new TextEncoder().encode('HTTP/1.1 400 Bad Request\r\n\r\n'));
+      throw new Error(`Invalid HTTP request line from client: ${lines[0]}`);
+    }
+
+    const [, method, requestTarget, httpVersion] = requestMatch;
+    const headers = lines.slice(1, -2);
+    const chainId = this._checkHttpCredentials(headers);
+
+    if (chainId === null) {
+      await client.write(new TextEncoder().encode(
+        'HTTP/1.1 407 Proxy Authentication Required\r\n' +
+        'Proxy-Authenticate: Basic realm="proxy-chain-relay"\r\n\r\n'
+      ));
+      throw new Error('HTTP client failed relay authentication');
+    }
+
+    const sendError = async () => {
+      await client.write(new TextEncoder().encode('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+    };
+
+    if (method === 'CONNECT') {
+      const separator = requestTarget.lastIndexOf(':');
+      const host = requestTarget.substring(0, separator).replace(/^\[|\]$/g, '');
+      const port = parseInt(requestTarget.substring(separator + 1), 10);
+
+      if (!host || !(port >= 1 && port <= 65535)) {
+        await client.write(new TextEncoder().encode('HTTP/1.1 400 Bad Request\r\n\r\n'));
+        throw new Error(`Invalid CONNECT target from client: ${requestTarget}`);
+      }
+      targetParsed();
+
+      const upstream = await this._openUpstream(chainId, host, port, sendError);
+      await this._startTunnel(client, upstream,
+        () => client.write(new TextEncoder().encode(`${httpVersion} 200 Connection established\r\n\r\n`)));
+      return;
+    }
+
+    // Absolute-form request: forward it in origin-form to the target. The
+    // request is sent with Connection: close so a kept-alive client cannot
+    // reuse this tunnel for a different host.
+    let url;
+    try {
+      url = new URL(requestTarget);
+    } catch (error) {
+      await client.write(new TextEncoder().encode('HTTP/1.1 400 Bad Request\r\n\r\n'));
+      throw new Error(`Invalid request target from client: ${requestTarget}`);
+    }
+
+    const port = parseInt(url.port, 10) || 80;
+    const forwardedHeaders = headers.filter(line => {
+      const name = line.substring(0, line.indexOf(':')).trim().toLowerCase();
+      return !['proxy-authorization', 'proxy-connection', 'connection'].includes(name);
+    });
+    const forwardedHead = [
+      `${method} ${url.pathname}${url.search} ${httpVersion}`,
+      ...forwardedHeaders,
+      'Connection: close',
+      '',
+      ''
+    ].join('\r\n');
+    targetParsed();
+
+    const upstream = await this._openUpstream(chainId, url.hostname.replace(/^\[|\]$/g, ''), port, sendError);
+    await this._startTunnel(client, upstream, () => upstream.write(new TextEncoder().encode(forwardedHead)));
+  }
+
+  /**
+   * Extract the chain ID from a Basic Proxy-Authorization header
+   * @private
+   * @returns {string|null} Chain ID, or null if credentials are missing or wrong
+   */
+  _checkHttpCredentials(headers) {
+    for (const line of headers) {
+      const match = line.match(/^proxy-authorization:\s*basic\s+(\S+)\s*$/i);
+      if (!match) {
+        continue;
+      }
+
+      try {
+        const decoded = atob(match[1]);
+        const separator = decoded.indexOf(':');
+        if (separator > 0 && decoded.substring(separator + 1) === this.token) {
+          return decoded.substring(0, separator);
+        }
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the chain for a client request
+   * @private
+   * @param {string} chainId - Chain selected by the client credentials
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   * @param {Function} sendFailure - Sends the protocol-specific failure reply
+   * @returns {Promise<Object>} Connected upstream socket
+   */
+  async _openUpstream(chainId, host, port, sendFailure) {
+    const chain = await this.config.resolveChain(chainId, host, port);
+
+    if (!chain) {
+      await sendFailure(REPLY.CONN_NOT_ALLOWED);
+      throw new Error(`No chain available for ${host}:${port}`);
+    }
+
+    try {
+      const result = await this.engine.buildChain(chain, host, port);
+      return result.socket;
+    } catch (error) {
+      if (this.config.onError) {
+        this.config.onError(chain, host, port, error);
+      }
+      await sendFailure(REPLY.GENERAL_FAILURE);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the first bytes of a built tunnel, then pipe it
+   *
+   * The chain is released if that write fails, e.g. because the client
+   * went away while the chain was being built.
+   * @private
+   * @param {SocketStream} client - Accepted client connection
+   * @param {SocketStream} upstream - Socket at the far end of the chain
+   * @param {Function} start - async () => void, writes the success reply or forwarded request
+   */
+  async _startTunnel(client, upstream, start) {
+    try {
+      await start();
+    } catch (error) {
+      this.engine.releaseConnection(upstream);
+      throw error;
+    }
+    this._pipe(client, upstream);
+  }
+
+  /**
+   * Pipe bytes between client and upstream until either side closes
+   *
+   * Each side is paused while a write to the other is in progress, so a
+   * fast sender is held back to the speed of the slower connection. When a
+   * side closes, the writes it still has queued towards the other side are
+   * finished before that one is closed too.
+   *
+   * @private
+   * @param {SocketStream} client - Accepted client connection
+   * @param {SocketStream} upstream - Socket at the far end of the chain
+   */
+  _pipe(client, upstream) {
+    let closed = false;
+
+    // Writes in progress towards each side
+    const writes = new Map([[client, new Set()], [upstream, new Set()]]);
+
+    const tunnel = {
+      close: () => {
+        if (closed) {
+          return;
+        }
+        closed = true;
+
+        client.removeEventListener('data', onClientData);
+        upstream.removeEventListener('data', onUpstreamData);
+        client.removeEventListener('closed', onClientClosed);
+        upstream.removeEventListener('closed', onUpstreamClosed);
+        client.removeEventListener('error', onError);
+        upstream.removeEventListener('error', onError);
+
+        client.close();
+        this.engine.releaseConnection(upstream);
+        this.tunnels.delete(tunnel);
+      }
+    };
+
+    const forward = (source, target, chunk) => {
+      source.pause();
+      const write = target.write(chunk);
+      const pending = writes.get(target);
+      pending.add(write);
+      write.then(() => source.resume(), onError).finally(() => pending.delete(write));
+    };
+    const drainThenClose = (target) => () => {
+      Promise.allSettled([...writes.get(target)]).then(tunnel.close);
+    };
+
+    const onClientData = (chunk) => forward(client, upstream, chunk);
+    const onUpstreamData = (chunk) => forward(upstream, client, chunk);
+    const onError = (error) => {
+      this.log(`Tunnel error: ${error.message || error}`);
+      tunnel.close();
+    };
+    const onClientClosed = drainThenClose(upstream);
+    const onUpstreamClosed = drainThenClose(client);
+
+    client.addEventListener('data', onClientData);
+    upstream.addEventListener('data', onUpstreamData);
+    client.addEventListener('closed', onClientClosed);
+    upstream.addEventListener('closed', onUpstreamClosed);
+    client.addEventListener('error', onError);
+    upstream.addEventListener('error', onError);
+
+    this.tunnels.add(tunnel);
+  }
+
+  /**
+   * Logging helper
+   * @private
+   */
+  log(message) {
+    if (this.engine.config.enableLogging) {
+      console.log(`[ChainRelay] ${new Date().toISOString()} - ${message}`);
+    }
+  }
+
+  /**
+   * Get relay statistics
+   * @returns {Object} Current relay statistics
+   */
+  getStats() {
+    return {
+      listening: this.isListening(),
+      port: this.port,
+      openTunnels: this.tunnels.size
+    };
+  }
+}
+
+export default ChainRelay;
@@ -0,0 +1,291 @@
+/**
+ * Routing rules engine
+ *
+ * Maps request URLs to a routing decision: a specific proxy chain, a direct
+ * connection, or a blocked request. Rules are kept as an ordered list and
+ * evaluated first-match-wins.
+ *
+ * Rule types:
+ * - host:  glob against the request hostname ('*' any run, '?' one character)
+ * - regex: regular expression against the full request URL
+ * - cidr:  IPv4/IPv6 range, matched against IP-literal hostnames only
+ *          (names are never resolved here, so lookups cannot leak)
+ * - port:  single ports and ranges, e.g. '443', '8000-8999', '80,443'
+ */
+
+const RULE_TYPES = ['host', 'regex', 'cidr', 'port'];
+const RULE_ACTIONS = ['chain', 'direct', 'block'];
+
+// Default ports for URL schemes the proxy handler sees
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'ws:': 80,
+  'https:': 443,
+  'wss:': 443,
+  'ftp:': 21
+};
+
+/**
+ * Compiled matchers, keyed by "type:pattern" so storage updates that keep a
+ * rule unchanged do not recompile it
+ */
+const matcherCache = new Map();
+
+/**
+ * Convert a host glob to an anchored, case-insensitive RegExp
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const escaped = glob
+    .trim()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Parse an IPv4 address into a 32-bit number
+ * @param {string} address - Dotted quad
+ * @returns {number|null} Address as unsigned integer, or null if invalid
+ */
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || parseInt(part, 10) > 255) {
+      return null;
+    }
+    value = value * 256 + parseInt(part, 10);
+  }
+  return value;
+}
+
+/**
+ * Parse an IPv6 address into a BigInt
+ * @param {string} address - IPv6 address, optionally with '::' compression
+ *   or a trailing dotted quad
+ * @returns {bigint|null} Address as 128-bit BigInt, or null if invalid
+ */
+function parseIPv6(address) {
+  let text = address.replace(/^\[|\]$/g, '');
+  if (!text.includes(':')) {
+    return null;
+  }
+
+  // Trailing embedded IPv4 (e.g. ::ffff:10.0.0.1)
+  const lastColon = text.lastIndexOf(':');
+  const tail = text.substring(lastColon + 1);
+  if (tail.includes('.')) {
+    const ipv4 = parseIPv4(tail);
+    if (ipv4 === null) {
+      return null;
+    }
+    text = text.substring(0, lastColon + 1) +
+      ((ipv4 >>> 16) & 0xFFFF).toString(16) + ':' + (ipv4 & 0xFFFF).toString(16);
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+
+  if ((halves.length === 1 && missing !== 0) || missing < 0) {
+    return null;
+  }
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+      return null;
+    }
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+/**
+ * Build a matcher for a CIDR range
+ * @param {string} pattern - e.g. '10.0.0.0/8' or 'fd00::/8'
+ * @returns {Function} (url) => boolean
+ * @throws {Error} If the range is invalid
+ */
+function compileCidr(pattern) {
+  const [base, prefixText] = pattern.trim().split('/');
+  const ipv4 = parseIPv4(base);
+
+  if (ipv4 !== null) {
+    const prefix = prefixText === undefined ? 32 : parseInt(prefixText, 10);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+      throw new Error(`Invalid IPv4 prefix length in '${pattern}'`);
+    }
+    const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+    const network = (ipv4 & mask) >>> 0;
+
+    return (url) => {
+      const host = parseIPv4(url.hostname);
+      return host !== null && ((host & mask) >>> 0) === network;
+    };
+  }
+
+  const ipv6 = parseIPv6(base);
+  if (ipv6 !== null) {
+    const prefix = prefixText === undefined ? 128 : parseInt(prefixText, 10);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > 128) {
+      throw new Error(`Invalid IPv6 prefix length in '${pattern}'`);
+    }
+    const shift = BigInt(128 - prefix);
+    const network = ipv6 >> shift;
+
+    return (url) => {
+      const host = parseIPv6(url.hostname);
+      return host !== null && (host >> shift) === network;
+    };
+  }
+
+  throw new Error(`Invalid CIDR range '${pattern}'`);
+}
+
+/**
+ * Build a matcher for a port list
+ * @param {string} pattern - Comma separated ports and ranges
+ * @returns {Function} (url) => boolean
+ * @throws {Error} If any entry is invalid
+ */
+function compilePorts(pattern) {
+  const ranges = pattern.split(',').map(entry => {
+    const match = entry.trim().match(/^(\d{1,5})(?:\s*-\s*(\d{1,5}))?$/);
+    if (!match) {
+      throw new Error(`Invalid port entry '${entry.trim()}'`);
+    }
+
+    const low = parseInt(match[1], 10);
+    const high = match[2] !== undefined ? parseInt(match[2], 10) : low;
+    if (low < 1 || high > 65535 || low > high) {
+      throw new Error(`Invalid port range '${entry.trim()}'`);
+    }
+    return [low, high];
+  });
+
+  return (url) => {
+    const port = getUrlPort(url);
+    return ranges.some(([low, high]) => port >= low && port <= high);
+  };
+}
+
+/**
+ * Compile a rule pattern into a matcher function
+ * @param {string} type - Rule type
+ * @param {string} pattern - Rule pattern
+ * @returns {Function} (url: URL) => boolean
+ * @throws {Error} If the type is unknown or the pattern is invalid
+ */
+function compilePattern(type, pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error('Rule pattern must be a non-empty string');
+  }
+
+  const key = `${type}:${pattern}`;
+  if (matcherCache.has(key)) {
+    return matcherCache.get(key);
+  }
+
+  let matcher;
+  switch (type) {
+    case 'host': {
+      const regex = globToRegExp(pattern);
+      matcher = (url) => regex.test(url.hostname);
+      break;
+    }
+
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+      matcher = (url) => regex.test(url.href);
+      break;
+    }
+
+    case 'cidr':
+      matcher = compileCidr(pattern);
+      break;
+
+    case 'port':
+      matcher = compilePorts(pattern);
+      break;
+
+    default:
+      throw new Error(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  matcherCache.set(key, matcher);
+  return matcher;
+}
+
+/**
+ * Get the effective port of a URL
+ * @param {URL} url - Parsed URL
+ * @returns {number} Explicit port or the scheme default
+ */
+function getUrlPort(url) {
+  return parseInt(url.port, 10) || DEFAULT_PORTS[url.protocol] || 0;
+}
+
+/**
+ * Find the first enabled rule matching a URL
+ * @param {RoutingRule[]} rules - Ordered rule list
+ * @param {string} url - Request URL
+ * @returns {RoutingRule|null} Matching rule, or null if none match
+ */
+function matchRule(rules, url) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  for (const rule of rules) {
+    if (rule.enabled === false) {
+      continue;
+    }
+
+    try {
+      if (compilePattern(rule.type, rule.pattern)(parsed)) {
+        return rule;
+      }
+    } catch (error) {
+      // Invalid rules are rejected on save; skip any that slipped through
+      console.error(`Skipping invalid routing rule ${rule.id}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+export {
+  RULE_TYPES,
+  RULE_ACTIONS,
+  compilePattern,
+  matchRule,
+  getUrlPort,
+  parseIPv4,
+  parseIPv6
+};
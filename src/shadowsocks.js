@@ -0,0 +1,371 @@
+/**
+ * Shadowsocks AEAD client (SIP004)
+ *
+ * A Shadowsocks hop has no handshake. The client derives a master key from
+ * the pre-shared password, and each direction of the connection starts with
+ * a random salt from which a per-session subkey is derived with HKDF-SHA1.
+ * The data is then sent as chunks:
+ *
+ *   [encrypted payload length][length tag][encrypted payload][payload tag]
+ *
+ * with a 12-byte little-endian counter as the nonce, incremented after each
+ * encryption. The first payload the client sends is the target address in
+ * SOCKS5 form (ATYP, address, port); the server connects and relays from
+ * there. A wrong key is only noticed when the server closes the connection.
+ *
+ * Supported ciphers: chacha20-ietf-poly1305 and aes-256-gcm.
+ */
+
+import { md5 } from './hash.js';
+import { chacha20Poly1305Seal, chacha20Poly1305Open } from './chacha20poly1305.js';
+import { encodeAddress } from './socks5.js';
+import { EventEmitter } from './events.js';
+
+const TAG_LENGTH = 16;
+const NONCE_LENGTH = 12;
+const MAX_PAYLOAD_LENGTH = 0x3FFF;
+const SUBKEY_INFO = new TextEncoder().encode('ss-subkey');
+
+/**
+ * Ciphers by name: key and salt sizes, and a factory for the AEAD
+ * operations under one subkey
+ */
+const CIPHERS = {
+  'chacha20-ietf-poly1305': {
+    keySize: 32,
+    saltSize: 32,
+    createCipher: async (subkey) => ({
+      seal: async (nonce, plaintext) => chacha20Poly1305Seal(subkey, nonce, plaintext),
+      open: async (nonce, sealed) => chacha20Poly1305Open(subkey, nonce, sealed)
+    })
+  },
+  'aes-256-gcm': {
+    keySize: 32,
+    saltSize: 32,
+    createCipher: async (subkey) => {
+      const key = await crypto.subtle.importKey('raw', subkey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+      return {
+        seal: async (nonce, plaintext) =>
+          new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, plaintext)),
+        open: async (nonce, sealed) => {
+          try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce }, key, sealed));
+          } catch (error) {
+            throw new Error('AES-GCM authentication failed');
+          }
+        }
+      };
+    }
+  }
+};
+
+/**
+ * Derive the master key from a password (OpenSSL EVP_BytesToKey with MD5)
+ * @param {string} password - Pre-shared password
+ * @param {number} keySize - Key length in bytes
+ * @returns {Uint8Array}
+ */
+function deriveMasterKey(password, keySize) {
+  const passwordBytes = new TextEncoder().encode(password);
+  const key = new Uint8Array(keySize);
+  let previous = new Uint8Array(0);
+
+  for (let offset = 0; offset < keySize; offset += previous.length) {
+    const input = new Uint8Array(previous.length + passwordBytes.length);
+    input.set(previous);
+    input.set(passwordBytes, previous.length);
+    previous = md5(input);
+    key.set(previous.subarray(0, keySize - offset), offset);
+  }
+
+  return key;
+}
+
+/**
+ * Derive a session subkey from the master key and a salt (HKDF-SHA1, info "ss-subkey")
+ * @param {Uint8Array} masterKey
+ * @param {Uint8Array} salt
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveSubkey(masterKey, salt) {
+  const keyMaterial = await crypto.subtle.importKey('raw', masterKey, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-1', salt, info: SUBKEY_INFO },
+    keyMaterial,
+    masterKey.length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Increment a little-endian nonce in place
+ * @param {Uint8Array} nonce
+ */
+function incrementNonce(nonce) {
+  for (let i = 0; i < nonce.length; i++) {
+    nonce[i] = (nonce[i] + 1) & 0xFF;
+    if (nonce[i] !== 0) {
+      return;
+    }
+  }
+}
+
+/**
+ * One direction of a session: the AEAD under its subkey and the running nonce
+ * @private
+ */
+async function createSession(cipherSpec, masterKey, salt) {
+  const cipher = await cipherSpec.createCipher(await deriveSubkey(masterKey, salt));
+  const nonce = new Uint8Array(NONCE_LENGTH);
+
+  return {
+    seal: async (plaintext) => {
+      const sealed = await cipher.seal(nonce, plaintext);
+      incrementNonce(nonce);
+      return sealed;
+    },
+    open: async (sealed) => {
+      const plaintext = await cipher.open(nonce, sealed);
+      incrementNonce(nonce);
+      return plaintext;
+    }
+  };
+}
+
+/**
+ * Socket that encrypts writes into Shadowsocks chunks and decrypts the
+ * server's chunks. Emits 'data', 'error' and 'closed' like TCPSocket.
+ */
+class ShadowsocksSocket extends EventEmitter {
+  /**
+   * @param {Object} socket - Connection to the Shadowsocks server
+   * @param {string} method - Cipher name
+   * @param {Uint8Array} masterKey - Key from deriveMasterKey()
+   */
+  constructor(socket, method, masterKey) {
+    super();
+    this.socket = socket;
+    this.method = method;
+    this.connected = true;
+
+    this._cipherSpec = CIPHERS[method];
+    this._masterKey = masterKey;
+    this._buffer = new Uint8Array(0);
+    this._payloadLength = null;
+    this._decryptor = null;
+
+    const salt = crypto.getRandomValues(new Uint8Array(this._cipherSpec.saltSize));
+    this._salt = salt;
+    this._writeQueue = createSession(this._cipherSpec, masterKey, salt).then((session) => {
+      this._encryptor = session;
+    });
+    this._writeQueue.catch(error => this._fail(error));
+    this._readQueue = Promise.resolve();
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._handleTransportClosed();
+    this._onError = (error) => this._emit('error', error);
+
+    socket.addEventListener('data', this._onData);
+    socket.addEventListener('closed', this._onClosed);
+    socket.addEventListener('error', this._onError);
+  }
+
+  /**
+   * Write data, encrypted as one or more chunks
+   * The first write is preceded by the salt.
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Socket not connected'));
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    const task = this._writeQueue.then(async () => {
+      const parts = [];
+      if (this._salt) {
+        parts.push(this._salt);
+        this._salt = null;
+      }
+
+      for (let offset = 0; offset < bytes.length; offset += MAX_PAYLOAD_LENGTH) {
+        const payload = bytes.subarray(offset, offset + MAX_PAYLOAD_LENGTH);
+        parts.push(await this._encryptor.seal(new Uint8Array([payload.length >> 8, payload.length & 0xFF])));
+        parts.push(await this._encryptor.seal(payload));
+      }
+
+      const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+      parts.reduce((offset, part) => {
+        output.set(part, offset);
+        return offset + part.length;
+      }, 0);
+      await this.socket.write(output);
+    });
+
+    this._writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+    this.socket.close();
+
+    this._emit('closed');
+  }
+
+  /**
+   * Close once the chunks received before the server's FIN are delivered
+   * @private
+   */
+  _handleTransportClosed() {
+    this._readQueue = this._readQueue.then(() => this.close());
+  }
+
+  /**
+   * Buffer received bytes and decrypt complete chunks in order
+   * @private
+   */
+  _receive(chunk) {
+    const buffer = new Uint8Array(this._buffer.length + chunk.length);
+    buffer.set(this._buffer);
+    buffer.set(new Uint8Array(chunk), this._buffer.length);
+    this._buffer = buffer;
+
+    this._readQueue = this._readQueue
+      .then(() => this._drain())
+      .catch(error => this._fail(new Error(`Shadowsocks decryption failed: ${error.message}`)));
+  }
+
+  /**
+   * @private
+   */
+  async _drain() {
+    if (!this._decryptor) {
+      if (this._buffer.length < this._cipherSpec.saltSize) {
+        return;
+      }
+      const salt = this._take(this._cipherSpec.saltSize);
+      this._decryptor = await createSession(this._cipherSpec, this._masterKey, salt);
+    }
+
+    while (this.connected) {
+      if (this._payloadLength === null) {
+        if (this._buffer.length < 2 + TAG_LENGTH) {
+          return;
+        }
+        const length = await this._decryptor.open(this._take(2 + TAG_LENGTH));
+        this._payloadLength = ((length[0] << 8) | length[1]) & MAX_PAYLOAD_LENGTH;
+      }
+
+      if (this._buffer.length < this._payloadLength + TAG_LENGTH) {
+        return;
+      }
+      const payload = await this._decryptor.open(this._take(this._payloadLength + TAG_LENGTH));
+      this._payloadLength = null;
+
+      if (this.connected && payload.length > 0) {
+        this._emit('data', payload);
+      }
+    }
+  }
+
+  /**
+   * Remove bytes from the front of the receive buffer
+   * @private
+   */
+  _take(length) {
+    const bytes = this._buffer.slice(0, length);
+    this._buffer = this._buffer.slice(length);
+    return bytes;
+  }
+
+  /**
+   * @private
+   */
+  _fail(error) {
+    if (this.connected) {
+      this._emit('error', error);
+      this.close();
+    }
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get socket information
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return {
+      ...this.socket.getInfo(),
+      connected: this.connected,
+      type: 'shadowsocks',
+      method: this.method
+    };
+  }
+}
+
+/**
+ * Shadowsocks protocol handler
+ */
+export class ShadowsocksProtocol {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.method] - Cipher name
+   */
+  constructor(options = {}) {
+    this.method = options.method;
+  }
+
+  /**
+   * Start a session and send the target address
+   *
+   * Resolves as soon as the address is sent: the server does not reply
+   * until the target does.
+   *
+   * @param {string} address - Target address
+   * @param {number} port - Target port
+   * @param {Object} socket - Connection to the Shadowsocks server
+   * @param {Object} [auth] - { password }: the pre-shared key
+   * @returns {Promise<{socket: ShadowsocksSocket}>} Socket to continue on
+   * @throws {Error} If the cipher is unknown, the key is missing or the address is invalid
+   */
+  async connect(address, port, socket, auth) {
+    const cipherSpec = CIPHERS[this.method];
+    if (!cipherSpec) {
+      throw new Error(`Unsupported Shadowsocks cipher: ${this.method}`);
+    }
+    if (!auth || !auth.password) {
+      throw new Error('Shadowsocks proxy has no key');
+    }
+
+    const { addressType, addressBytes } = encodeAddress(address);
+    const tunnel = new ShadowsocksSocket(socket, this.method, deriveMasterKey(auth.password, cipherSpec.keySize));
+    await tunnel.write(new Uint8Array([addressType, ...addressBytes, (port >> 8) & 0xFF, port & 0xFF]));
+
+    return { socket: tunnel };
+  }
+}
+
+const SHADOWSOCKS_METHODS = Object.keys(CIPHERS);
+
+export { ShadowsocksSocket, SHADOWSOCKS_METHODS, deriveMasterKey };
+export default ShadowsocksProtocol;
@@ -5,16 +5,65 @@
  * Currently implements a Chrome-compatible socket API that can be adapted for Firefox
  */
 
+import { EventEmitter } from './events.js';
+
+/**
+ * Result code reported by the sockets API when the peer closed the connection
+ */
+const SOCKET_RESULT_CONNECTION_CLOSED = -100;
+
+/**
+ * Get whichever TCP socket API the browser exposes
+ * @returns {Object|null} chrome.sockets.tcp, browser.sockets.tcp or null
+ */
+function getTcpSocketAPI() {
+  if (typeof chrome !== 'undefined' && chrome.sockets && chrome.sockets.tcp) {
+    return chrome.sockets.tcp;
+  }
+  if (typeof browser !== 'undefined' && browser.sockets && browser.sockets.tcp) {
+    return browser.sockets.tcp;
+  }
+  return null;
+}
+
 /**
  * Unified socket interface compatible with the protocol handlers
+ *
+ * Emits 'data' with Uint8Arrays, 'opened', 'error' and 'closed'.
  */
-export class TCPSocket {
+export class TCPSocket extends EventEmitter {
   constructor(address, port) {
+    super();
     this.address = address;
     this.port = port;
     this.connected = false;
-    this.eventListeners = new Map();
     this._socketId = null;
+    this._onReceive = null;
+    this._onReceiveError = null;
+  }
+
+  /**
+   * Wrap a socket accepted by a TCPServer
+   *
+   * Accepted sockets start paused, so the receive listeners are attached
+   * before the socket is unpaused and no early data is lost.
+   *
+   * @param {number} socketId - Client socket ID from the accept event
+   * @returns {TCPSocket} Connected socket
+   */
+  static fromAccepted(socketId) {
+    const socketAPI = getTcpSocketAPI();
+    if (!socketAPI) {
+      throw new Error('TCP socket API not available');
+    }
+
+    const socket = new TCPSocket(null, null);
+    socket._socketId = socketId;
+    socket.connected = true;
+    socket._attachReceiveListeners(socketAPI);
+    socketAPI.setPaused(socketId, false);
+
+    return socket;
   }
 
   /**
@@ -34,8 +83,7 @@ export class TCPSocket {
         // Firefox socket API  
         await this._connectFirefox();
       } else {
-        // Fallback to WebSocket if TCP sockets not available
-        await this._connectWebSocket();
+        throw new Error('TCP socket API not available');
       }
       
       this.connected = true;
@@ -77,20 +125,7 @@ export class TCPSocket {
               return;
             }
 
-            // Set up data receive handler
-            chrome.sockets.tcp.onReceive.addListener((info) => {
-              if (info.socketId === this._socketId) {
-                this._emit('data', info.data);
-              }
-            });
-
-            // Set up error handler
-            chrome.sockets.tcp.onReceiveError.addListener((info) => {
-              if (info.socketId === this._socketId) {
-                this._emit('error', new Error(`Socket error: ${info.resultCode}`));
-              }
-            });
-
+            this._attachReceiveListeners(chrome.sockets.tcp);
             resolve();
           }
         );
@@ -118,20 +153,7 @@ export class TCPSocket {
           this.port
         );
       }).then(() => {
-        // Set up data receive handler
-        browser.sockets.tcp.onReceive.addListener((info) => {
-          if (info.socketId === this._socketId) {
-            this._emit('data', info.data);
-          }
-        });
-
-        // Set up error handler
-        browser.sockets.tcp.onReceiveError.addListener((info) => {
-          if (info.socketId === this._socketId) {
-            this._emit('error', new Error(`Socket error: ${info.resultCode}`));
-          }
-        });
-
+        this._attachReceiveListeners(browser.sockets.tcp);
         resolve();
       }).catch(error => {
         reject(new Error(`Failed to connect: ${error.message}`));
@@ -140,52 +162,34 @@ export class TCPSocket {
   }
 
   /**
-   * Connect using WebSocket as fallback
+   * Wire the platform receive events for this socket to 'data', 'closed' and 'error'
    * @private
    */
-  async _connectWebSocket() {
-    return new Promise((resolve, reject) => {
-      // Check if WebSocket is available
-      if (typeof WebSocket === 'undefined') {
-        reject(new Error('WebSocket not available in this environment'));
-        return;
+  _attachReceiveListeners(socketAPI) {
+    // Set up data receive handler; the API delivers ArrayBuffers, listeners
+    // get Uint8Arrays like every other socket
+    this._onReceive = (info) => {
+      if (info.socketId === this._socketId) {
+        this._emit('data', new Uint8Array(info.data));
       }
-      
-      // Note: This is a very basic WebSocket fallback
-      // In practice, WebSocket connections to arbitrary TCP servers won't work
-      // This is just for development/testing purposes
-      
-      const wsUrl = `ws://${this.address}:${this.port}`;
-      this._webSocket = new WebSocket(wsUrl);
-
-      this._webSocket.binaryType = 'arraybuffer';
-
-      this._webSocket.onopen = () => {
-        this.connected = true;
-        this._emit('opened');
-        resolve();
-      };
+    };
 
-      this._webSocket.onmessage = (event) => {
-        if (event.data instanceof ArrayBuffer) {
-          this._emit('data', new Uint8Array(event.data));
-        } else {
-          // Convert string to bytes
-          const encoder = new TextEncoder();
-          this._emit('data', encoder.encode(event.data));
-        }
-      };
+    // Set up error handler; a peer that closes the connection is reported as
+    // NET_ERR_CONNECTION_CLOSED (-100) rather than as a real error
+    this._onReceiveError = (info) => {
+      if (info.socketId !== this._socketId) {
+        return;
+      }
 
-      this._webSocket.onerror = (error) => {
-        this._emit('error', new Error(`WebSocket error: ${error}`));
-        reject(error);
-      };
+      if (info.resultCode === SOCKET_RESULT_CONNECTION_CLOSED) {
+        this.close();
+      } else {
+        this._emit('error', new Error(`Socket error: ${info.resultCode}`));
+      }
+    };
 
-      this._webSocket.onclose = () => {
-        this.connected = false;
-        this._emit('closed');
-      };
-    });
+    socketAPI.onReceive.addListener(this._onReceive);
+    socketAPI.onReceiveError.addListener(this._onReceiveError);
   }
 
   /**
@@ -199,14 +203,7 @@ export class TCPSocket {
     }
 
     try {
-      if (this._webSocket) {
-        // WebSocket fallback
-        if (typeof data === 'string') {
-          this._webSocket.send(data);
-        } else {
-          this._webSocket.send(data.buffer);
-        }
-      } else if (this._socketId !== null) {
+      if (this._socketId !== null) {
         // TCP socket
         const socketAPI = chrome?.sockets?.tcp || browser?.sockets?.tcp;
         
@@ -235,65 +232,50 @@ export class TCPSocket {
    * Close the socket connection
    */
   close() {
-    if (this.connected) {
-      this.connected = false;
-      
-      if (this._webSocket) {
-        this._webSocket.close();
-        this._webSocket = null;
-      } else if (this._socketId !== null) {
-        const socketAPI = chrome?.sockets?.tcp || browser?.sockets?.tcp;
-        if (socketAPI) {
-          socketAPI.close(this._socketId);
+    const wasConnected = this.connected;
+    this.connected = false;
+
+    // Also releases a socket whose connect is still pending
+    if (this._socketId !== null) {
+      const socketAPI = getTcpSocketAPI();
+      if (socketAPI) {
+        if (this._onReceive) {
+          socketAPI.onReceive.removeListener(this._onReceive);
+          socketAPI.onReceiveError.removeListener(this._onReceiveError);
         }
-        this._socketId = null;
+        socketAPI.close(this._socketId);
       }
-      
+      this._socketId = null;
+      this._onReceive = null;
+      this._onReceiveError = null;
+    }
+
+    if (wasConnected) {
       this._emit('closed');
     }
   }
 
   /**
-   * Add event listener
-   * @param {string} event - Event name ('data', 'error', 'opened', 'closed')
-   * @param {Function} handler - Event handler function
+   * Stop receiving until resume(); the peer is held back by TCP flow control
    */
-  addEventListener(event, handler) {
-    if (!this.eventListeners.has(event)) {
-      this.eventListeners.set(event, []);
-    }
-    this.eventListeners.get(event).push(handler);
+  pause() {
+    this._setPaused(true);
   }
 
   /**
-   * Remove event listener
-   * @param {string} event - Event name
-   * @param {Function} handler - Event handler function
+   * Receive again after pause()
    */
-  removeEventListener(event, handler) {
-    const listeners = this.eventListeners.get(event);
-    if (listeners) {
-      const index = listeners.indexOf(handler);
-      if (index > -1) {
-        listeners.splice(index, 1);
-      }
-    }
+  resume() {
+    this._setPaused(false);
   }
 
   /**
-   * Emit event to all listeners
    * @private
    */
-  _emit(event, ...args) {
-    const listeners = this.eventListeners.get(event);
-    if (listeners) {
-      listeners.forEach(handler => {
-        try {
-          handler(...args);
-        } catch (error) {
-          console.error(`Error in ${event} event handler:`, error);
-        }
-      });
+  _setPaused(paused) {
+    const socketAPI = getTcpSocketAPI();
+    if (socketAPI && this._socketId !== null) {
+      socketAPI.setPaused(this._socketId, paused);
     }
   }
 
@@ -315,11 +297,326 @@ export class TCPSocket {
       port: this.port,
       connected: this.connected,
       socketId: this._socketId,
-      type: this._webSocket ? 'websocket' : 'tcp'
+      type: 'tcp'
     };
   }
 }
 
+/**
+ * Listening TCP socket for loopback services such as the chain relay
+ *
+ * Emits 'connection' with a connected TCPSocket for every accepted client.
+ */
+export class TCPServer extends EventEmitter {
+  constructor() {
+    super();
+    this.address = null;
+    this.port = null;
+    this.listening = false;
+    this._socketId = null;
+    this._onAccept = null;
+    this._onAcceptError = null;
+  }
+
+  /**
+   * Start listening for connections
+   * @param {string} address - Local address to bind (e.g. '127.0.0.1')
+   * @param {number} [port=0] - Local port, 0 picks a free port
+   * @param {number} [backlog=64] - Pending connection queue length
+   * @returns {Promise<number>} The port actually bound
+   */
+  async listen(address, port = 0, backlog = 64) {
+    if (this.listening) {
+      throw new Error('Server is already listening');
+    }
+
+    if (typeof chrome !== 'undefined' && chrome.sockets && chrome.sockets.tcpServer) {
+      await this._listenChrome(chrome.sockets.tcpServer, address, port, backlog);
+    } else if (typeof browser !== 'undefined' && browser.sockets && browser.sockets.tcpServer) {
+      await this._listenFirefox(browser.sockets.tcpServer, address, port, backlog);
+    } else {
+      throw new Error('TCP server socket API not available');
+    }
+
+    this._attachAcceptListeners(this._serverAPI());
+    this.listening = true;
+
+    return this.port;
+  }
+
+  /**
+   * Listen using Chrome TCP server socket API
+   * @private
+   */
+  _listenChrome(serverAPI, address, port, backlog) {
+    return new Promise((resolve, reject) => {
+      serverAPI.create({ persistent: false, name: `relay-${Date.now()}` }, (createInfo) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Failed to create server socket: ${chrome.runtime.lastError.message}`));
+          return;
+        }
+
+        this._socketId = createInfo.socketId;
+
+        serverAPI.listen(this._socketId, address, port, backlog, (result) => {
+          if (chrome.runtime.lastError || result < 0) {
+            const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : result;
+            serverAPI.close(this._socketId);
+            this._socketId = null;
+            reject(new Error(`Failed to listen on ${address}:${port}: ${reason}`));
+            return;
+          }
+
+          serverAPI.getInfo(this._socketId, (info) => {
+            this.address = info.localAddress || address;
+            this.port = info.localPort;
+            resolve();
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Listen using Firefox TCP server socket API
+   * @private
+   */
+  async _listenFirefox(serverAPI, address, port, backlog) {
+    try {
+      const createInfo = await serverAPI.create({ persistent: false, name: `relay-${Date.now()}` });
+      this._socketId = createInfo.socketId;
+
+      const result = await serverAPI.listen(this._socketId, address, port, backlog);
+      if (result < 0) {
+        throw new Error(`result code ${result}`);
+      }
+
+      const info = await serverAPI.getInfo(this._socketId);
+      this.address = info.localAddress || address;
+      this.port = info.localPort;
+    } catch (error) {
+      if (this._socketId !== null) {
+        serverAPI.close(this._socketId);
+        this._socketId = null;
+      }
+      throw new Error(`Failed to listen on ${address}:${port}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wire accept events for this server socket
+   * @private
+   */
+  _attachAcceptListeners(serverAPI) {
+    this._onAccept = (info) => {
+      if (info.socketId !== this._socketId) {
+        return;
+      }
+
+      try {
+        this._emit('connection', TCPSocket.fromAccepted(info.clientSocketId));
+      } catch (error) {
+        this._emit('error', error);
+      }
+    };
+
+    this._onAcceptError = (info) => {
+      if (info.socketId === this._socketId) {
+        this._emit('error', new Error(`Accept error: ${info.resultCode}`));
+      }
+    };
+
+    serverAPI.onAccept.addListener(this._onAccept);
+    serverAPI.onAcceptError.addListener(this._onAcceptError);
+  }
+
+  /**
+   * Get whichever TCP server API the browser exposes
+   * @private
+   */
+  _serverAPI() {
+    return (typeof chrome !== 'undefined' && chrome.sockets && chrome.sockets.tcpServer)
+      || (typeof browser !== 'undefined' && browser.sockets && browser.sockets.tcpServer)
+      || null;
+  }
+
+  /**
+   * Stop listening; already accepted sockets are left open
+   */
+  close() {
+    if (!this.listening) {
+      return;
+    }
+
+    const serverAPI = this._serverAPI();
+    if (serverAPI) {
+      serverAPI.onAccept.removeListener(this._onAccept);
+      serverAPI.onAcceptError.removeListener(this._onAcceptError);
+      serverAPI.close(this._socketId);
+    }
+
+    this._socketId = null;
+    this.listening = false;
+    this._emit('closed');
+  }
+}
+
+/**
+ * Get whichever UDP socket API the browser exposes
+ * @returns {Object|null} chrome.sockets.udp, browser.sockets.udp or null
+ */
+function getUdpSocketAPI() {
+  if (typeof chrome !== 'undefined' && chrome.sockets && chrome.sockets.udp) {
+    return chrome.sockets.udp;
+  }
+  if (typeof browser !== 'undefined' && browser.sockets && browser.sockets.udp) {
+    return browser.sockets.udp;
+  }
+  return null;
+}
+
+/**
+ * Datagram socket, used for SOCKS5 UDP associations
+ *
+ * Emits 'message' with (Uint8Array, { address, port }) for every datagram
+ * received, plus 'error' and 'closed'.
+ */
+export class UDPSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.address = null;
+    this.port = null;
+    this.bound = false;
+    this._socketId = null;
+    this._onReceive = null;
+    this._onReceiveError = null;
+  }
+
+  /**
+   * Bind to a local address
+   * @param {string} [address='0.0.0.0'] - Local address
+   * @param {number} [port=0] - Local port, 0 picks a free port
+   * @returns {Promise<number>} The port actually bound
+   */
+  async bind(address = '0.0.0.0', port = 0) {
+    if (this.bound) {
+      throw new Error('Socket is already bound');
+    }
+
+    const socketAPI = getUdpSocketAPI();
+    if (!socketAPI) {
+      throw new Error('UDP socket API not available');
+    }
+
+    try {
+      const createInfo = await this._call(socketAPI, 'create', { persistent: false, name: `udp-${Date.now()}` });
+      this._socketId = createInfo.socketId;
+
+      const result = await this._call(socketAPI, 'bind', this._socketId, address, port);
+      if (result < 0) {
+        throw new Error(`result code ${result}`);
+      }
+
+      const info = await this._call(socketAPI, 'getInfo', this._socketId);
+      this.address = info.localAddress || address;
+      this.port = info.localPort;
+    } catch (error) {
+      if (this._socketId !== null) {
+        socketAPI.close(this._socketId);
+        this._socketId = null;
+      }
+      throw new Error(`Failed to bind UDP socket on ${address}:${port}: ${error.message}`);
+    }
+
+    this._attachReceiveListeners(socketAPI);
+    this.bound = true;
+
+    return this.port;
+  }
+
+  /**
+   * Send a datagram
+   * @param {Uint8Array} data - Datagram payload
+   * @param {string} address - Remote address
+   * @param {number} port - Remote port
+   * @returns {Promise<void>}
+   */
+  async send(data, address, port) {
+    if (!this.bound) {
+      throw new Error('Socket not bound');
+    }
+
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    const sendInfo = await this._call(getUdpSocketAPI(), 'send', this._socketId, buffer, address, port);
+    if (sendInfo.resultCode < 0) {
+      throw new Error(`Send failed: ${sendInfo.resultCode}`);
+    }
+  }
+
+  /**
+   * Close the socket
+   */
+  close() {
+    if (!this.bound) {
+      return;
+    }
+
+    const socketAPI = getUdpSocketAPI();
+    if (socketAPI) {
+      socketAPI.onReceive.removeListener(this._onReceive);
+      socketAPI.onReceiveError.removeListener(this._onReceiveError);
+      socketAPI.close(this._socketId);
+    }
+
+    this._socketId = null;
+    this.bound = false;
+    this._emit('closed');
+  }
+
+  /**
+   * Call a socket API method in either callback (chrome) or promise (browser) style
+   * @private
+   */
+  _call(socketAPI, method, ...args) {
+    if (typeof chrome !== 'undefined' && chrome.sockets && socketAPI === chrome.sockets.udp) {
+      return new Promise((resolve, reject) => {
+        socketAPI[method](...args, (result) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve(result);
+          }
+        });
+      });
+    }
+    return socketAPI[method](...args);
+  }
+
+  /**
+   * Wire the platform receive events for this socket to 'message' and 'error'
+   * @private
+   */
+  _attachReceiveListeners(socketAPI) {
+    this._onReceive = (info) => {
+      if (info.socketId === this._socketId) {
+        this._emit('message', new Uint8Array(info.data), {
+          address: info.remoteAddress,
+          port: info.remotePort
+        });
+      }
+    };
+
+    this._onReceiveError = (info) => {
+      if (info.socketId === this._socketId) {
+        this._emit('error', new Error(`Socket error: ${info.resultCode}`));
+      }
+    };
+
+    socketAPI.onReceive.addListener(this._onReceive);
+    socketAPI.onReceiveError.addListener(this._onReceiveError);
+  }
+}
+
 /**
  * Create a new TCP socket connection
  * @param {string} address - Remote address
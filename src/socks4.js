@@ -2,14 +2,24 @@
  * SOCKS4 Protocol Client Implementation
  * 
  * Implements SOCKS4 protocol (RFC 1928 predecessor) for proxy connections
- * Supports basic SOCKS4 and SOCKS4a (with hostname resolution)
+ * Supports basic SOCKS4 and SOCKS4a (with hostname resolution). Plain
+ * SOCKS4 servers only take IPv4 addresses, so a handler created without
+ * SOCKS4a refuses hostnames rather than sending a request the server may
+ * not understand.
+ *
+ * Both CONNECT and BIND are supported. A BIND request gets two replies: the
+ * first gives the address the server listens on, the second arrives once the
+ * expected peer has connected.
  */
 
+import { SocketStream } from './stream.js';
+
 /**
  * SOCKS4 Protocol Constants
  */
 const SOCKS4_VERSION = 0x04;
 const SOCKS4_COMMAND_CONNECT = 0x01;
+const SOCKS4_COMMAND_BIND = 0x02;
 
 // Response codes
 const SOCKS4_RESPONSE = {
@@ -65,83 +75,28 @@ function ipv4ToBytes(ipv4) {
   return new Uint8Array(parts.map(part => parseInt(part, 10)));
 }
 
-/**
- * Read exact number of bytes from socket
- * @param {Object} socket - Socket object
- * @param {number} length - Number of bytes to read
- * @returns {Promise<Uint8Array>} Read bytes
- */
-function readBytes(socket, length) {
-  return new Promise((resolve, reject) => {
-    let buffer = new Uint8Array(length);
-    let received = 0;
-    
-    const onData = (data) => {
-      const chunk = new Uint8Array(data);
-      const remaining = length - received;
-      const toCopy = Math.min(chunk.length, remaining);
-      
-      buffer.set(chunk.subarray(0, toCopy), received);
-      received += toCopy;
-      
-      if (received >= length) {
-        socket.removeEventListener('data', onData);
-        resolve(buffer);
-      }
-    };
-    
-    const onError = (error) => {
-      socket.removeEventListener('data', onData);
-      reject(new Error(`Socket read error: ${error}`));
-    };
-    
-    socket.addEventListener('data', onData);
-    socket.addEventListener('error', onError);
-  });
-}
-
-/**
- * Write bytes to socket
- * @param {Object} socket - Socket object
- * @param {Uint8Array} data - Data to write
- * @returns {Promise<void>}
- */
-function writeBytes(socket, data) {
-  return new Promise((resolve, reject) => {
-    const onError = (error) => {
-      socket.removeEventListener('error', onError);
-      reject(new Error(`Socket write error: ${error}`));
-    };
-    
-    socket.addEventListener('error', onError);
-    
-    try {
-      socket.write(data);
-      socket.removeEventListener('error', onError);
-      resolve();
-    } catch (error) {
-      socket.removeEventListener('error', onError);
-      reject(error);
-    }
-  });
-}
-
 /**
  * SOCKS4 Protocol Client
  */
 export class SOCKS4Protocol {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.socks4a=true] - Whether hostnames may be sent with the SOCKS4a extension
+   */
+  constructor(options = {}) {
     this.socket = null;
+    this.socks4a = options.socks4a !== false;
   }
 
   /**
    * Establish SOCKS4 connection to target
-   * @param {string} address - Target address (IPv4 or hostname for SOCKS4a)
+   * @param {string} address - Target address: IPv4, or with SOCKS4a a hostname the server resolves
    * @param {number} port - Target port (1-65535)
    * @param {Object} socket - Socket object for communication
    * @param {Object} [auth] - SOCKS4 auth (userid only)
    * @param {string} [auth.userid] - User ID for SOCKS4 identification
-   * @returns {Promise<Object>} Bind address and port information
+   * @returns {Promise<Object>} Bind address and port information, plus
+   *   `socket` when the given socket is not already a SocketStream
    * @throws {Error} For any protocol violations or connection errors
    */
   async connect(address, port, socket, auth) {
@@ -157,18 +112,102 @@ export class SOCKS4Protocol {
         throw new Error('Invalid target port: must be 1-65535');
       }
 
+      // The request has room for IPv4 only; a hostname would be sent to the server as one
+      if (address.includes(':')) {
+        throw new Error(`SOCKS4 cannot connect to IPv6 address ${address}`);
+      }
+
+      this._checkHostname(address);
+
       // SOCKS4a support: if address is not IPv4, use SOCKS4a extension
-      const isIPv4Addr = isIPv4(address);
-      const isSOCKS4a = !isIPv4Addr;
+      const isSOCKS4a = !isIPv4(address);
 
       if (isSOCKS4a) {
         console.log(`Using SOCKS4a for hostname resolution: ${address}`);
       }
 
       // Send SOCKS4 connect request
-      const result = await this._sendConnectRequest(socket, address, port, auth?.userid, isSOCKS4a);
+      const stream = SocketStream.from(socket);
+      await this._sendRequest(stream, SOCKS4_COMMAND_CONNECT, address, port, auth?.userid, isSOCKS4a);
+      const reply = await this._readReply(stream, 'connection');
+
+      const result = {
+        address: reply.address,
+        port: reply.port,
+        version: 4,
+        isSOCKS4a
+      };
+      return stream === socket ? result : { ...result, socket: stream };
+    } catch (error) {
+      this.socket = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the server to accept one inbound connection for the client
+   * 
+   * Resolves after the first reply with the address the server listens on.
+   * The second reply is read straight away so it cannot be missed; its
+   * promise resolves with the peer's address once the peer has connected,
+   * after which the socket carries the peer's data.
+   * 
+   * @param {Object} socket - Connection, already at the SOCKS4 server
+   * @param {Object} [auth] - SOCKS4 auth (userid only)
+   * @param {string} [auth.userid] - User ID for SOCKS4 identification
+   * @param {Object} expectedPeer - { address, port } of the peer expected to connect
+   * @param {Object} [options]
+   * @param {string} [options.proxyAddress] - Used when the server replies with 0.0.0.0
+   * @returns {Promise<{address: string, port: number, accepted: Promise<{address: string, port: number}>, socket?: Object}>}
+   *   socket is set as for connect()
+   * @throws {Error} If the server refuses the BIND
+   */
+  async bind(socket, auth, expectedPeer, options = {}) {
+    this.socket = socket;
+
+    try {
+      const { address: peerAddress, port: peerPort = 0 } = expectedPeer;
+
+      if (!peerAddress || typeof peerAddress !== 'string') {
+        throw new Error('Invalid peer address');
+      }
+
+      if (typeof peerPort !== 'number' || peerPort < 0 || peerPort > 65535) {
+        throw new Error('Invalid peer port: must be 0-65535');
+      }
 
-      return result;
+      this._checkHostname(peerAddress);
+
+      const stream = SocketStream.from(socket);
+      await this._sendRequest(stream, SOCKS4_COMMAND_BIND, peerAddress, peerPort, auth?.userid, !isIPv4(peerAddress));
+      const listening = await this._readReply(stream, 'BIND');
+
+      // INADDR_ANY means the server's own address
+      let address = listening.address;
+      if (address === '0.0.0.0') {
+        if (!options.proxyAddress) {
+          throw new Error('BIND address is unspecified and no proxy address is known');
+        }
+        address = options.proxyAddress;
+      }
+
+      const accepted = new Promise((resolve, reject) => {
+        const onClosed = () => {
+          reject(new Error('Connection closed before the inbound peer connected'));
+        };
+        stream.addEventListener('closed', onClosed);
+
+        this._readReply(stream, 'BIND').then((peer) => {
+          stream.removeEventListener('closed', onClosed);
+          resolve(peer);
+        }, (error) => {
+          stream.removeEventListener('closed', onClosed);
+          reject(error);
+        });
+      });
+
+      const result = { address, port: listening.port, accepted };
+      return stream === socket ? result : { ...result, socket: stream };
     } catch (error) {
       this.socket = null;
       throw error;
@@ -176,15 +215,25 @@ export class SOCKS4Protocol {
   }
 
   /**
-   * Send SOCKS4 CONNECT request
+   * Refuse a hostname when the server does not take SOCKS4a requests
+   * @private
+   */
+  _checkHostname(address) {
+    if (!this.socks4a && !isIPv4(address)) {
+      throw new Error(`Plain SOCKS4 cannot connect to hostname ${address}; use a SOCKS4a proxy or resolve it first`);
+    }
+  }
+
+  /**
+   * Send a SOCKS4 request
    * @private
    */
-  async _sendConnectRequest(socket, address, port, userid = '', isSOCKS4a = false) {
+  async _sendRequest(stream, command, address, port, userid = '', isSOCKS4a = false) {
     // Build SOCKS4 request packet
-    const request = new Uint8Array(9); // Minimum size
+    const request = new Uint8Array(8); // Fixed header, USERID follows
     
-    request[0] = SOCKS4_VERSION;           // SOCKS version
-    request[1] = SOCKS4_COMMAND_CONNECT;   // Command: CONNECT
+    request[0] = SOCKS4_VERSION;          // SOCKS version
+    request[1] = command;                 // Command: CONNECT or BIND
     request[2] = (port >> 8) & 0xFF;      // Port high byte
     request[3] = port & 0xFF;             // Port low byte
 
@@ -220,10 +269,16 @@ export class SOCKS4Protocol {
     const requestPacket = new Uint8Array(requestArray);
 
     // Send request
-    await writeBytes(socket, requestPacket);
+    await stream.write(requestPacket);
+  }
 
+  /**
+   * Read a SOCKS4 reply
+   * @private
+   */
+  async _readReply(stream, commandName) {
     // Read response (8 bytes for SOCKS4)
-    const response = await readBytes(socket, 8);
+    const response = await stream.readExactly(8);
 
     // Parse response
     const responseVersion = response[0];
@@ -238,14 +293,12 @@ export class SOCKS4Protocol {
 
     if (responseCode !== SOCKS4_RESPONSE.GRANTED) {
       const errorMsg = getResponseError(responseCode);
-      throw new Error(`SOCKS4 connection failed: ${errorMsg} (code: 0x${responseCode.toString(16)})`);
+      throw new Error(`SOCKS4 ${commandName} failed: ${errorMsg} (code: 0x${responseCode.toString(16)})`);
     }
 
     return {
       address: bindAddress,
-      port: bindPort,
-      version: 4,
-      isSOCKS4a
+      port: bindPort
     };
   }
 }
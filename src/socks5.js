@@ -9,24 +9,58 @@
  * 3. If auth required, perform authentication handshake
  * 4. Client sends CONNECT request with target address and port
  * 5. Server responds with success/failure
+ *
+ * UDP ASSOCIATE (RFC 1928 Section 7) replaces step 4 with an ASSOCIATE
+ * request. The server answers with the address of its UDP relay; datagrams
+ * sent there carry a small request header naming their destination, and the
+ * association lasts as long as the TCP control connection.
+ *
+ * BIND (RFC 1928 Section 4) also replaces step 4. The server sends two
+ * replies: the first gives the address it listens on for the inbound
+ * connection, the second arrives once the expected peer has connected.
+ *
+ * Authentication methods (step 3) come from a registry. NO_AUTH and
+ * USERNAME_PASSWORD are built in; others, such as GSSAPI (see gssapi.js) or
+ * vendor methods in 0x80-0xFE, are added with registerAuthMethod(). Each
+ * proxy can list the methods to offer, in preference order.
  */
 
+import { SocketStream } from './stream.js';
+import { EventEmitter } from './events.js';
+
 /**
  * SOCKS5 Protocol Constants
  */
 const SOCKS5_VERSION = 0x05;
 const SOCKS5_COMMAND_CONNECT = 0x01;
+const SOCKS5_COMMAND_BIND = 0x02;
+const SOCKS5_COMMAND_UDP_ASSOCIATE = 0x03;
 const SOCKS5_ADDRESS_TYPE_IPV4 = 0x01;
 const SOCKS5_ADDRESS_TYPE_DOMAIN = 0x03;
 const SOCKS5_ADDRESS_TYPE_IPV6 = 0x04;
 
+const COMMAND_NAMES = {
+  [SOCKS5_COMMAND_CONNECT]: 'CONNECT',
+  [SOCKS5_COMMAND_BIND]: 'BIND',
+  [SOCKS5_COMMAND_UDP_ASSOCIATE]: 'UDP ASSOCIATE'
+};
+
+// UDP request header (RFC 1928 Section 7)
+const UDP_FRAGMENT_END = 0x80;
+const UDP_FRAGMENT_POSITION = 0x7F;
+const UDP_REASSEMBLY_TIMEOUT = 5000;
+
 // Authentication methods (RFC 1928)
 const AUTH_METHOD = {
   NO_AUTH: 0x00,
+  GSSAPI: 0x01,
   USERNAME_PASSWORD: 0x02,
   NO_ACCEPTABLE: 0xFF
 };
 
+// Offered when a proxy does not list its methods
+const DEFAULT_AUTH_METHODS = ['none', 'username-password'];
+
 // Response codes (RFC 1928)
 const RESPONSE_CODE = {
   SUCCESS: 0x00,
@@ -116,24 +150,31 @@ function ipv4ToBytes(ipv4) {
 
 /**
  * Converts IPv6 string to 16 bytes
- * @param {string} ipv6 - IPv6 address string
+ * @param {string} ipv6 - IPv6 address string, '::' shorthand allowed
  * @returns {Uint8Array} 16-byte array
  * @throws {Error} If IPv6 address is invalid
  */
 function ipv6ToBytes(ipv6) {
-  // Simple IPv6 parser - handles basic cases
-  const parts = ipv6.split(':').filter(part => part.length > 0);
-  
-  if (parts.length > 8) {
+  const halves = ipv6.split('::');
+  if (halves.length > 2) {
+    throw new Error('Invalid IPv6 address');
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+
+  if (halves.length === 1 ? missing !== 0 : missing < 1) {
     throw new Error('Invalid IPv6 address');
   }
 
+  const parts = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
   const bytes = new Uint8Array(16);
   let byteIndex = 0;
 
   for (const part of parts) {
     const value = parseInt(part, 16);
-    if (isNaN(value) || value > 0xFFFF) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(part) || isNaN(value)) {
       throw new Error('Invalid IPv6 address part');
     }
     bytes[byteIndex++] = (value >> 8) & 0xFF;
@@ -144,65 +185,513 @@ function ipv6ToBytes(ipv6) {
 }
 
 /**
- * Reads a specific number of bytes from socket
- * @param {Object} socket - Socket object with data event handling
- * @param {number} length - Number of bytes to read
- * @returns {Promise<Uint8Array>} The bytes read
+ * Encodes an address as ATYP plus DST.ADDR bytes
+ * @param {string} address - Hostname, IPv4 or IPv6 address
+ * @returns {{addressType: number, addressBytes: Uint8Array}}
+ * @throws {Error} If the address cannot be encoded
+ */
+function encodeAddress(address) {
+  const addressType = getAddressType(address);
+  let addressBytes;
+
+  if (addressType === SOCKS5_ADDRESS_TYPE_IPV4) {
+    try {
+      addressBytes = ipv4ToBytes(address);
+    } catch (error) {
+      throw new Error(`Invalid IPv4 address: ${error.message}`);
+    }
+  } else if (addressType === SOCKS5_ADDRESS_TYPE_IPV6) {
+    try {
+      addressBytes = ipv6ToBytes(address);
+    } catch (error) {
+      throw new Error(`Invalid IPv6 address: ${error.message}`);
+    }
+  } else {
+    // Domain name
+    const domainBytes = new TextEncoder().encode(address);
+    if (domainBytes.length > 255) {
+      throw new Error('Domain name exceeds maximum length of 255');
+    }
+    addressBytes = new Uint8Array([domainBytes.length, ...domainBytes]);
+  }
+
+  return { addressType, addressBytes };
+}
+
+/**
+ * Decodes an address field as sent by the server
+ * @param {number} addressType - ATYP value
+ * @param {Uint8Array} bytes - Address bytes (without the domain length byte)
+ * @returns {string} Address string
  */
-function readBytes(socket, length) {
-  return new Promise((resolve, reject) => {
-    let data = new Uint8Array();
-
-    const handleData = (chunk) => {
-      const newData = new Uint8Array(data.length + chunk.length);
-      newData.set(data);
-      newData.set(new Uint8Array(chunk), data.length);
-      data = newData;
-
-      if (data.length >= length) {
-        socket.removeEventListener('data', handleData);
-        socket.removeEventListener('error', handleError);
-        resolve(data.slice(0, length));
+function decodeAddress(addressType, bytes) {
+  if (addressType === SOCKS5_ADDRESS_TYPE_IPV4) {
+    return Array.from(bytes).join('.');
+  }
+
+  if (addressType === SOCKS5_ADDRESS_TYPE_IPV6) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+
+    // Collapse the longest run of two or more zero groups (RFC 5952)
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < groups.length; i++) {
+      let length = 0;
+      while (groups[i + length] === '0') {
+        length++;
       }
-    };
+      if (length > bestLength) {
+        bestStart = i;
+        bestLength = length;
+      }
+    }
 
-    const handleError = (error) => {
-      socket.removeEventListener('data', handleData);
-      socket.removeEventListener('error', handleError);
-      reject(new Error(`Socket error while reading bytes: ${error.message}`));
-    };
+    if (bestStart === -1) {
+      return groups.join(':');
+    }
+    return groups.slice(0, bestStart).join(':') + '::' + groups.slice(bestStart + bestLength).join(':');
+  }
 
-    socket.addEventListener('data', handleData);
-    socket.addEventListener('error', handleError);
+  return new TextDecoder().decode(bytes);
+}
 
-    // Timeout handling should be provided by outer wrapper
-  });
+/**
+ * Checks whether an address is the IPv4 or IPv6 wildcard
+ * @param {string} address - Address to check
+ * @returns {boolean}
+ */
+function isUnspecifiedAddress(address) {
+  return address === '0.0.0.0' || /^[0:]+$/.test(address);
 }
 
 /**
- * Writes bytes to socket
- * @param {Object} socket - Socket object with write method
- * @param {Uint8Array} data - Data to write
- * @returns {Promise<void>}
+ * Compares two IP addresses, ignoring IPv6 formatting differences
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean}
  */
-function writeBytes(socket, data) {
-  return new Promise((resolve, reject) => {
+function sameAddress(a, b) {
+  if (isIPv6(a) && isIPv6(b)) {
     try {
-      socket.write(data);
-      resolve();
+      const other = ipv6ToBytes(b);
+      return ipv6ToBytes(a).every((byte, i) => byte === other[i]);
     } catch (error) {
-      reject(new Error(`Socket write error: ${error.message}`));
+      return false;
+    }
+  }
+  return a === b;
+}
+
+/**
+ * Registered authentication methods, by method code
+ */
+const authMethods = new Map();
+
+/**
+ * Register a SOCKS5 authentication method, replacing any with the same code
+ *
+ * The handler runs the method's sub-negotiation after the server selects it.
+ * It gets a channel whose read(length) and write(bytes) go to the
+ * connection's SocketStream, which is also its socket. Methods that protect later
+ * traffic (GSSAPI integrity or confidentiality) return a socket-like object
+ * that encapsulates it, and the connection continues over that.
+ *
+ * @param {Object} method
+ * @param {number} method.code - Method code sent in the greeting (0x00-0xFE)
+ * @param {string} method.name - Name used in a proxy's authMethods list
+ * @param {Function} [method.isAvailable] - (auth) => boolean; whether to offer the method
+ * @param {Function} method.authenticate - async (channel, auth) => socket|undefined
+ * @throws {Error} If the method is malformed
+ */
+function registerAuthMethod(method) {
+  if (!method || !Number.isInteger(method.code) || method.code < 0 || method.code >= AUTH_METHOD.NO_ACCEPTABLE) {
+    throw new Error('Authentication method code must be an integer from 0x00 to 0xFE');
+  }
+  if (typeof method.name !== 'string' || !method.name) {
+    throw new Error('Authentication method name must be a non-empty string');
+  }
+  if (typeof method.authenticate !== 'function') {
+    throw new Error('Authentication method must have an authenticate function');
+  }
+
+  for (const [code, existing] of authMethods) {
+    if (existing.name === method.name && code !== method.code) {
+      throw new Error(`Authentication method name '${method.name}' is already used by method ${code}`);
     }
-  });
+  }
+
+  authMethods.set(method.code, method);
+}
+
+/**
+ * Remove a registered authentication method
+ * @param {number|string} method - Method code or name
+ * @returns {boolean} Whether a method was removed
+ */
+function unregisterAuthMethod(method) {
+  const registered = getAuthMethod(method);
+  return registered ? authMethods.delete(registered.code) : false;
+}
+
+/**
+ * Look up a registered authentication method
+ * @param {number|string} method - Method code or name
+ * @returns {Object|undefined}
+ */
+function getAuthMethod(method) {
+  if (typeof method === 'number') {
+    return authMethods.get(method);
+  }
+  return [...authMethods.values()].find(registered => registered.name === method);
+}
+
+/**
+ * Wraps a payload in the UDP request header
+ * 
+ * RFC 1928 Section 7 (Procedure for UDP-based clients):
+ * +----+------+------+----------+----------+----------+
+ * |RSV | FRAG | ATYP | DST.ADDR | DST.PORT |   DATA   |
+ * +----+------+------+----------+----------+----------+
+ * | 2  |  1   |  1   | Variable |    2     | Variable |
+ * +----+------+------+----------+----------+----------+
+ * 
+ * @param {Uint8Array} data - Payload
+ * @param {string} address - Destination address (hostname, IPv4, or IPv6)
+ * @param {number} port - Destination port
+ * @param {number} [fragment=0] - FRAG field, 0 for a standalone datagram
+ * @returns {Uint8Array} Datagram to send to the relay
+ * @throws {Error} If the destination is invalid
+ */
+function encapsulateUdpDatagram(data, address, port, fragment = 0) {
+  if (!address || typeof address !== 'string') {
+    throw new Error('Invalid address: must be a non-empty string');
+  }
+
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('Invalid port: must be an integer between 1 and 65535');
+  }
+
+  const { addressType, addressBytes } = encodeAddress(address);
+  const payload = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const headerLength = 4 + addressBytes.length + 2;
+
+  const packet = new Uint8Array(headerLength + payload.length);
+  packet[2] = fragment;
+  packet[3] = addressType;
+  packet.set(addressBytes, 4);
+  packet[4 + addressBytes.length] = (port >> 8) & 0xFF;
+  packet[5 + addressBytes.length] = port & 0xFF;
+  packet.set(payload, headerLength);
+
+  return packet;
+}
+
+/**
+ * Splits a datagram from the relay into its header fields and payload
+ * @param {Uint8Array} packet - Datagram received from the relay
+ * @returns {{fragment: number, address: string, port: number, data: Uint8Array}}
+ * @throws {Error} If the header is malformed
+ */
+function decapsulateUdpDatagram(packet) {
+  const bytes = packet instanceof Uint8Array ? packet : new Uint8Array(packet);
+
+  if (bytes.length < 4 || bytes[0] !== 0x00 || bytes[1] !== 0x00) {
+    throw new Error('Invalid UDP request header');
+  }
+
+  const addressType = bytes[3];
+  let offset = 4;
+  let addressLength;
+
+  switch (addressType) {
+    case SOCKS5_ADDRESS_TYPE_IPV4:
+      addressLength = 4;
+      break;
+    case SOCKS5_ADDRESS_TYPE_IPV6:
+      addressLength = 16;
+      break;
+    case SOCKS5_ADDRESS_TYPE_DOMAIN:
+      if (bytes.length < 5) {
+        throw new Error('Truncated UDP request header');
+      }
+      addressLength = bytes[offset++];
+      break;
+    default:
+      throw new Error(`Unsupported address type in UDP header: ${addressType}`);
+  }
+
+  if (bytes.length < offset + addressLength + 2) {
+    throw new Error('Truncated UDP request header');
+  }
+
+  const address = decodeAddress(addressType, bytes.subarray(offset, offset + addressLength));
+  offset += addressLength;
+  const port = (bytes[offset] << 8) | bytes[offset + 1];
+
+  return {
+    fragment: bytes[2],
+    address,
+    port,
+    data: bytes.slice(offset + 2)
+  };
 }
 
+/**
+ * SOCKS5UdpAssociation class - Datagram interface to a SOCKS5 UDP relay
+ * 
+ * Emits 'datagram' with { data, address, port } for every payload received
+ * from the relay, and 'closed' once when the association ends. Closing the
+ * association closes the control connection, and the control connection
+ * closing ends the association, as RFC 1928 requires.
+ * 
+ * Fragmented datagrams (FRAG != 0) are dropped unless the fragment policy is
+ * 'reassemble'; reassembly keeps one queue, restarted whenever a fragment
+ * arrives out of order or for another destination, and discarded when the
+ * reassembly timer expires.
+ */
+class SOCKS5UdpAssociation extends EventEmitter {
+  /**
+   * @param {Object} controlSocket - TCP connection that holds the association open
+   * @param {Object} udpSocket - Bound datagram socket
+   * @param {string} relayAddress - Address of the server's UDP relay
+   * @param {number} relayPort - Port of the server's UDP relay
+   * @param {Object} [options]
+   * @param {string} [options.fragmentPolicy='drop'] - 'drop' or 'reassemble'
+   * @param {number} [options.reassemblyTimeout=5000] - Reassembly timer in ms
+   */
+  constructor(controlSocket, udpSocket, relayAddress, relayPort, options = {}) {
+    super();
+    const fragmentPolicy = options.fragmentPolicy || 'drop';
+    if (fragmentPolicy !== 'drop' && fragmentPolicy !== 'reassemble') {
+      throw new Error(`Invalid fragment policy: ${fragmentPolicy}`);
+    }
+
+    this.controlSocket = controlSocket;
+    this.udpSocket = udpSocket;
+    this.relayAddress = relayAddress;
+    this.relayPort = relayPort;
+    this.fragmentPolicy = fragmentPolicy;
+    this.reassemblyTimeout = options.reassemblyTimeout || UDP_REASSEMBLY_TIMEOUT;
+    this.closed = false;
+    this.droppedDatagrams = 0;
+    this._reassembly = null;
+
+    this._onMessage = (data, remote) => this._handleMessage(data, remote);
+    this._onControlClosed = () => this.close();
+
+    this.udpSocket.addEventListener('message', this._onMessage);
+    this.controlSocket.addEventListener('closed', this._onControlClosed);
+  }
+
+  /**
+   * Send a payload to a destination through the relay
+   * @param {Uint8Array} data - Payload
+   * @param {string} address - Destination address
+   * @param {number} port - Destination port
+   * @returns {Promise<void>}
+   * @throws {Error} If the association is closed or the destination is invalid
+   */
+  async send(data, address, port) {
+    if (this.closed) {
+      throw new Error('UDP association is closed');
+    }
+
+    const packet = encapsulateUdpDatagram(data, address, port);
+    await this.udpSocket.send(packet, this.relayAddress, this.relayPort);
+  }
+
+  /**
+   * End the association and close both sockets
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    this._resetReassembly();
+    this.udpSocket.removeEventListener('message', this._onMessage);
+    this.controlSocket.removeEventListener('closed', this._onControlClosed);
+    this.udpSocket.close();
+    this.controlSocket.close();
+
+    this._emit('closed');
+  }
+
+  /**
+   * Handle a datagram arriving on the UDP socket
+   * @private
+   */
+  _handleMessage(data, remote) {
+    // Only the relay may deliver datagrams into the association
+    if (remote.port !== this.relayPort ||
+        ((isIPv4(this.relayAddress) || isIPv6(this.relayAddress)) &&
+          !sameAddress(remote.address, this.relayAddress))) {
+      this.droppedDatagrams++;
+      return;
+    }
+
+    let datagram;
+    try {
+      datagram = decapsulateUdpDatagram(data);
+    } catch (error) {
+      this.droppedDatagrams++;
+      this._emit('error', error);
+      return;
+    }
+
+    if (datagram.fragment === 0) {
+      this._resetReassembly();
+      this._emit('datagram', { data: datagram.data, address: datagram.address, port: datagram.port });
+      return;
+    }
+
+    if (this.fragmentPolicy === 'drop') {
+      this.droppedDatagrams++;
+      return;
+    }
+
+    this._reassemble(datagram);
+  }
+
+  /**
+   * Add a fragment to the reassembly queue, emitting the datagram once complete
+   * @private
+   */
+  _reassemble(datagram) {
+    const position = datagram.fragment & UDP_FRAGMENT_POSITION;
+    const queue = this._reassembly;
+
+    // Fragments must arrive in order and for a single destination
+    if (queue && (position <= queue.position ||
+        queue.address !== datagram.address || queue.port !== datagram.port)) {
+      this.droppedDatagrams++;
+      this._resetReassembly();
+    }
+
+    if (!this._reassembly) {
+      this._reassembly = {
+        address: datagram.address,
+        port: datagram.port,
+        position: 0,
+        chunks: [],
+        timer: setTimeout(() => {
+          this.droppedDatagrams++;
+          this._resetReassembly();
+        }, this.reassemblyTimeout)
+      };
+    }
+
+    this._reassembly.position = position;
+    this._reassembly.chunks.push(datagram.data);
+
+    if (datagram.fragment & UDP_FRAGMENT_END) {
+      const { chunks, address, port } = this._reassembly;
+      this._resetReassembly();
+
+      const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+      }
+
+      this._emit('datagram', { data, address, port });
+    }
+  }
+
+  /**
+   * Discard the reassembly queue and its timer
+   * @private
+   */
+  _resetReassembly() {
+    if (this._reassembly) {
+      clearTimeout(this._reassembly.timer);
+      this._reassembly = null;
+    }
+  }
+}
+
+/**
+ * Username/password sub-negotiation (RFC 1929)
+ * @param {Object} channel - { read(length), write(bytes) }
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<void>}
+ * @throws {Error} If authentication fails or credentials are invalid
+ */
+async function passwordSubnegotiation(channel, username, password) {
+  if (!username || typeof username !== 'string') {
+    throw new Error('Invalid username: must be a non-empty string');
+  }
+
+  if (!password || typeof password !== 'string') {
+    throw new Error('Invalid password: must be a non-empty string');
+  }
+
+  if (username.length > AUTH_MAX_USERNAME_LENGTH) {
+    throw new Error(`Username exceeds maximum length of ${AUTH_MAX_USERNAME_LENGTH}`);
+  }
+
+  if (password.length > AUTH_MAX_PASSWORD_LENGTH) {
+    throw new Error(`Password exceeds maximum length of ${AUTH_MAX_PASSWORD_LENGTH}`);
+  }
+
+  // Build authentication request
+  const usernameBytes = new TextEncoder().encode(username);
+  const passwordBytes = new TextEncoder().encode(password);
+
+  const authRequest = new Uint8Array([
+    AUTH_VERSION,
+    usernameBytes.length,
+    ...usernameBytes,
+    passwordBytes.length,
+    ...passwordBytes
+  ]);
+
+  await channel.write(authRequest);
+
+  // Read authentication response (2 bytes: version + status)
+  const response = await channel.read(2);
+
+  if (response[0] !== AUTH_VERSION) {
+    throw new Error(`Invalid authentication response version: ${response[0]}`);
+  }
+
+  if (response[1] !== 0x00) {
+    throw new Error('Authentication failed: invalid username or password');
+  }
+}
+
+registerAuthMethod({
+  code: AUTH_METHOD.NO_AUTH,
+  name: 'none',
+  authenticate: async () => {}
+});
+
+registerAuthMethod({
+  code: AUTH_METHOD.USERNAME_PASSWORD,
+  name: 'username-password',
+  isAvailable: (auth) => Boolean(auth && auth.username && auth.password),
+  authenticate: (channel, auth) => passwordSubnegotiation(channel, auth.username, auth.password)
+});
+
 /**
  * SOCKS5Protocol class - Handles SOCKS5 protocol negotiation and connection
  */
 class SOCKS5Protocol {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string|number>} [options.authMethods] - Method names or codes
+   *   to offer, most preferred first (default: none, username-password)
+   */
+  constructor(options = {}) {
     this.socket = null;
     this.authenticated = false;
+    this.authMethods = options.authMethods || DEFAULT_AUTH_METHODS;
   }
 
   /**
@@ -217,26 +706,22 @@ class SOCKS5Protocol {
    * +----+----------+----------+
    * 
    * @param {Object} socket - Socket to send greeting through
-   * @param {boolean} requiresAuth - Whether authentication is required
+   * @param {number[]} methods - Method codes to offer, most preferred first
    * @returns {Promise<number>} Selected authentication method
    * @throws {Error} If server rejects all methods or sends invalid response
    */
-  async sendGreeting(socket, requiresAuth) {
-    const methods = [AUTH_METHOD.NO_AUTH];
-    if (requiresAuth) {
-      methods.push(AUTH_METHOD.USERNAME_PASSWORD);
-    }
-
+  async sendGreeting(socket, methods) {
     const greeting = new Uint8Array([
       SOCKS5_VERSION,
       methods.length,
       ...methods
     ]);
 
-    await writeBytes(socket, greeting);
+    const stream = SocketStream.from(socket);
+    await stream.write(greeting);
 
     // Read server response (2 bytes: version + selected method)
-    const response = await readBytes(socket, 2);
+    const response = await stream.readExactly(2);
 
     if (response[0] !== SOCKS5_VERSION) {
       throw new Error(`Invalid SOCKS version in greeting response: ${response[0]}`);
@@ -248,7 +733,7 @@ class SOCKS5Protocol {
       throw new Error('Server rejected all authentication methods');
     }
 
-    if (selectedMethod !== AUTH_METHOD.NO_AUTH && selectedMethod !== AUTH_METHOD.USERNAME_PASSWORD) {
+    if (!methods.includes(selectedMethod)) {
       throw new Error(`Unsupported authentication method selected: ${selectedMethod}`);
     }
 
@@ -279,120 +764,101 @@ class SOCKS5Protocol {
    * @throws {Error} If authentication fails or credentials are invalid
    */
   async authenticateWithPassword(socket, username, password) {
-    if (!username || typeof username !== 'string') {
-      throw new Error('Invalid username: must be a non-empty string');
-    }
+    const stream = SocketStream.from(socket);
+    await passwordSubnegotiation({
+      read: (length) => stream.readExactly(length),
+      write: (data) => stream.write(data)
+    }, username, password);
 
-    if (!password || typeof password !== 'string') {
-      throw new Error('Invalid password: must be a non-empty string');
-    }
-
-    if (username.length > AUTH_MAX_USERNAME_LENGTH) {
-      throw new Error(`Username exceeds maximum length of ${AUTH_MAX_USERNAME_LENGTH}`);
-    }
-
-    if (password.length > AUTH_MAX_PASSWORD_LENGTH) {
-      throw new Error(`Password exceeds maximum length of ${AUTH_MAX_PASSWORD_LENGTH}`);
-    }
-
-    // Build authentication request
-    const usernameBytes = new TextEncoder().encode(username);
-    const passwordBytes = new TextEncoder().encode(password);
-
-    const authRequest = new Uint8Array([
-      AUTH_VERSION,
-      usernameBytes.length,
-      ...usernameBytes,
-      passwordBytes.length,
-      ...passwordBytes
-    ]);
-
-    await writeBytes(socket, authRequest);
-
-    // Read authentication response (2 bytes: version + status)
-    const response = await readBytes(socket, 2);
-
-    if (response[0] !== AUTH_VERSION) {
-      throw new Error(`Invalid authentication response version: ${response[0]}`);
-    }
+    this.authenticated = true;
+  }
 
-    if (response[1] !== 0x00) {
-      throw new Error('Authentication failed: invalid username or password');
+  /**
+   * Sends CONNECT request to establish tunnel to target
+   * 
+   * @param {Object} socket - Socket for sending request
+   * @param {string} address - Target address (hostname, IPv4, or IPv6)
+   * @param {number} port - Target port
+   * @returns {Promise<Object>} Response with bound address and port information
+   * @throws {Error} If connection fails or server responds with error
+   */
+  async sendConnectRequest(socket, address, port) {
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error('Invalid port: must be an integer between 1 and 65535');
     }
 
-    this.authenticated = true;
+    return this.sendRequest(socket, SOCKS5_COMMAND_CONNECT, address, port);
   }
 
   /**
-   * Sends CONNECT request to establish tunnel to target
+   * Sends a request and reads the server's reply
    * 
-   * RFC 1928 Section 6 (Requests):
+   * RFC 1928 Section 4 (Requests):
    * +----+-----+-------+------+----------+----------+
    * |VER | CMD |  RSV  | ATYP | DST.ADDR | DST.PORT |
    * +----+-----+-------+------+----------+----------+
    * | 1  |  1  | X'00' |  1   | Variable |    2     |
    * +----+-----+-------+------+----------+----------+
    * 
+   * RFC 1928 Section 6 (Replies):
+   * +----+-----+-------+------+----------+----------+
+   * |VER | REP |  RSV  | ATYP | BND.ADDR | BND.PORT |
+   * +----+-----+-------+------+----------+----------+
+   * | 1  |  1  | X'00' |  1   | Variable |    2     |
+   * +----+-----+-------+------+----------+----------+
+   * 
    * @param {Object} socket - Socket for sending request
-   * @param {string} address - Target address (hostname, IPv4, or IPv6)
-   * @param {number} port - Target port
-   * @returns {Promise<Object>} Response with address and port information
-   * @throws {Error} If connection fails or server responds with error
+   * @param {number} command - SOCKS5 command code
+   * @param {string} address - DST.ADDR (hostname, IPv4, or IPv6)
+   * @param {number} port - DST.PORT
+   * @returns {Promise<Object>} Reply with addressType, bound address and port
+   * @throws {Error} If the request is invalid or the server responds with an error
    */
-  async sendConnectRequest(socket, address, port) {
+  async sendRequest(socket, command, address, port) {
     if (!address || typeof address !== 'string') {
       throw new Error('Invalid address: must be a non-empty string');
     }
 
-    if (!Number.isInteger(port) || port < 1 || port > 65535) {
-      throw new Error('Invalid port: must be an integer between 1 and 65535');
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error('Invalid port: must be an integer between 0 and 65535');
     }
 
-    const addressType = getAddressType(address);
-    let addressBytes;
+    const { addressType, addressBytes } = encodeAddress(address);
 
-    if (addressType === SOCKS5_ADDRESS_TYPE_IPV4) {
-      try {
-        addressBytes = ipv4ToBytes(address);
-      } catch (error) {
-        throw new Error(`Invalid IPv4 address: ${error.message}`);
-      }
-    } else if (addressType === SOCKS5_ADDRESS_TYPE_IPV6) {
-      try {
-        addressBytes = ipv6ToBytes(address);
-      } catch (error) {
-        throw new Error(`Invalid IPv6 address: ${error.message}`);
-      }
-    } else {
-      // Domain name
-      const domainBytes = new TextEncoder().encode(address);
-      if (domainBytes.length > 255) {
-        throw new Error('Domain name exceeds maximum length of 255');
-      }
-      addressBytes = new Uint8Array([domainBytes.length, ...domainBytes]);
-    }
-
-    // Build CONNECT request
-    const connectRequest = new Uint8Array([
+    // Build request header
+    const requestHeader = new Uint8Array([
       SOCKS5_VERSION,
-      SOCKS5_COMMAND_CONNECT,
+      command,
       0x00, // Reserved
       addressType
     ]);
 
     // Combine request parts
-    const request = new Uint8Array(connectRequest.length + addressBytes.length + 2);
-    request.set(connectRequest);
-    request.set(addressBytes, connectRequest.length);
+    const request = new Uint8Array(requestHeader.length + addressBytes.length + 2);
+    request.set(requestHeader);
+    request.set(addressBytes, requestHeader.length);
 
     // Add port (network byte order - big endian)
-    request[connectRequest.length + addressBytes.length] = (port >> 8) & 0xFF;
-    request[connectRequest.length + addressBytes.length + 1] = port & 0xFF;
+    request[requestHeader.length + addressBytes.length] = (port >> 8) & 0xFF;
+    request[requestHeader.length + addressBytes.length + 1] = port & 0xFF;
 
-    await writeBytes(socket, request);
+    await SocketStream.from(socket).write(request);
+
+    return this.readReply(socket, COMMAND_NAMES[command] || `Command ${command}`);
+  }
+
+  /**
+   * Reads a reply to a request
+   * @param {Object} socket - Socket to read from
+   * @param {string} commandName - Command name used in error messages
+   * @returns {Promise<Object>} Reply with addressType, bound address and port
+   * @throws {Error} If the server responds with an error or an invalid reply
+   */
+  async readReply(socket, commandName) {
+    const stream = SocketStream.from(socket);
 
     // Read response header (at least 4 bytes: version + response + reserved + address type)
-    const headerResponse = await readBytes(socket, 4);
+    const headerResponse = await stream.readExactly(4);
 
     if (headerResponse[0] !== SOCKS5_VERSION) {
       throw new Error(`Invalid response version: ${headerResponse[0]}`);
@@ -400,7 +866,7 @@ class SOCKS5Protocol {
 
     const responseCode = headerResponse[1];
     if (responseCode !== RESPONSE_CODE.SUCCESS) {
-      throw new Error(`CONNECT request failed: ${getResponseError(responseCode)} (code: ${responseCode})`);
+      throw new Error(`${commandName} request failed: ${getResponseError(responseCode)} (code: ${responseCode})`);
     }
 
     if (headerResponse[2] !== 0x00) {
@@ -419,7 +885,7 @@ class SOCKS5Protocol {
         addressLength = 16;
         break;
       case SOCKS5_ADDRESS_TYPE_DOMAIN:
-        const domainLengthByte = await readBytes(socket, 1);
+        const domainLengthByte = await stream.readExactly(1);
         addressLength = domainLengthByte[0];
         break;
       default:
@@ -427,13 +893,13 @@ class SOCKS5Protocol {
     }
 
     // Read address and port (2 bytes for port)
-    const addressAndPort = await readBytes(socket, addressLength + 2);
+    const addressAndPort = await stream.readExactly(addressLength + 2);
 
     const bindPort = (addressAndPort[addressLength] << 8) | addressAndPort[addressLength + 1];
 
     return {
       addressType: responseAddressType,
-      address: address,
+      address: decodeAddress(responseAddressType, addressAndPort.subarray(0, addressLength)),
       port: bindPort
     };
   }
@@ -454,7 +920,9 @@ class SOCKS5Protocol {
    * @param {Object} [auth] - Optional authentication credentials
    * @param {string} [auth.username] - Username for authentication
    * @param {string} [auth.password] - Password for authentication
-   * @returns {Promise<Object>} Bind address and port information
+   * @returns {Promise<Object>} Bind address and port information, plus `socket`
+   *   when the connection continues on a different socket: the SocketStream
+   *   over a raw socket, or one that encapsulates traffic
    * @throws {Error} For any protocol violations, auth failures, or connection errors
    * 
    * @example
@@ -473,22 +941,152 @@ class SOCKS5Protocol {
     this.socket = socket;
 
     try {
-      // Step 1: Send greeting and get authentication method
-      const requiresAuth = !!(auth && (auth.username || auth.password));
-      const selectedMethod = await this.sendGreeting(socket, requiresAuth);
-
-      // Step 2: Perform authentication if needed
-      if (selectedMethod === AUTH_METHOD.USERNAME_PASSWORD) {
-        if (!auth || !auth.username || !auth.password) {
-          throw new Error('Server requires authentication but no credentials provided');
+      const tunnel = await this.negotiate(socket, auth);
+
+      // Step 3: Send CONNECT request
+      const result = await this.sendConnectRequest(tunnel, address, port);
+
+      return tunnel === socket ? result : { ...result, socket: tunnel };
+    } catch (error) {
+      this.socket = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Performs the greeting and the sub-negotiation of the selected method
+   * @param {Object} socket - Socket for communication
+   * @param {Object} [auth] - Optional { username, password }
+   * @returns {Promise<SocketStream>} Stream to continue on: the connection's
+   *   own, or one over a socket that encapsulates traffic for methods with
+   *   per-message protection
+   * @throws {Error} If the server rejects the methods or the credentials
+   */
+  async negotiate(socket, auth) {
+    // Step 1: Offer the configured methods that can be used with these credentials
+    const methods = this.authMethods.map((name) => {
+      const method = getAuthMethod(name);
+      if (!method) {
+        throw new Error(`Unknown SOCKS5 authentication method: ${name}`);
+      }
+      return method;
+    }).filter(method => !method.isAvailable || method.isAvailable(auth));
+
+    if (methods.length === 0) {
+      throw new Error('None of the configured SOCKS5 authentication methods can be used with the given credentials');
+    }
+
+    const stream = SocketStream.from(socket);
+    const selectedMethod = await this.sendGreeting(stream, methods.map(method => method.code));
+
+    // Step 2: Run the selected method's sub-negotiation
+    const channel = {
+      socket: stream,
+      read: (length) => stream.readExactly(length),
+      write: (data) => stream.write(data)
+    };
+    const tunnel = await methods.find(method => method.code === selectedMethod).authenticate(channel, auth);
+
+    this.authenticated = selectedMethod !== AUTH_METHOD.NO_AUTH;
+    return tunnel ? SocketStream.from(tunnel) : stream;
+  }
+
+  /**
+   * Asks the server to accept one inbound connection for the client
+   * 
+   * Resolves after the first reply with the address the server listens on.
+   * The second reply is read straight away so it cannot be missed; its
+   * promise resolves with the peer's address once the peer has connected,
+   * after which the socket carries the peer's data.
+   * 
+   * @param {Object} socket - Connection, already at the SOCKS5 server
+   * @param {Object} [auth] - Optional { username, password }
+   * @param {Object} expectedPeer - { address, port } of the peer expected to connect; port may be 0
+   * @param {Object} [options]
+   * @param {string} [options.proxyAddress] - Used when the server reports a wildcard address
+   * @returns {Promise<{address: string, port: number, accepted: Promise<{address: string, port: number}>, socket?: Object}>}
+   *   socket is set when the connection continues on a different socket, as for connect()
+   * @throws {Error} If negotiation fails or the server refuses the BIND
+   */
+  async bind(socket, auth, expectedPeer, options = {}) {
+    this.socket = socket;
+
+    try {
+      const tunnel = await this.negotiate(socket, auth);
+
+      const listening = await this.sendRequest(tunnel, SOCKS5_COMMAND_BIND, expectedPeer.address, expectedPeer.port || 0);
+
+      let address = listening.address;
+      if (isUnspecifiedAddress(address)) {
+        if (!options.proxyAddress) {
+          throw new Error('BIND address is unspecified and no proxy address is known');
         }
-        await this.authenticateWithPassword(socket, auth.username, auth.password);
+        address = options.proxyAddress;
       }
 
-      // Step 3: Send CONNECT request
-      const result = await this.sendConnectRequest(socket, address, port);
+      const accepted = new Promise((resolve, reject) => {
+        const handleClosed = () => {
+          reject(new Error('Connection closed before the inbound peer connected'));
+        };
+        tunnel.addEventListener('closed', handleClosed);
+
+        this.readReply(tunnel, 'BIND').then((peer) => {
+          tunnel.removeEventListener('closed', handleClosed);
+          resolve({ address: peer.address, port: peer.port });
+        }, (error) => {
+          tunnel.removeEventListener('closed', handleClosed);
+          reject(error);
+        });
+      });
+
+      const result = { address, port: listening.port, accepted };
+      return tunnel === socket ? result : { ...result, socket: tunnel };
+    } catch (error) {
+      this.socket = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Sets up a UDP association through the given socket
+   * 
+   * The client address in the request is left as all zeros because the
+   * address the relay will see is not known in advance (it is the client's
+   * public address, not that of the previous hop in a chain).
+   * 
+   * @param {Object} socket - Control connection, already at the SOCKS5 server
+   * @param {Object} [auth] - Optional { username, password }
+   * @param {Object} udpSocket - Bound datagram socket used to reach the relay
+   * @param {Object} [options]
+   * @param {string} [options.proxyAddress] - Used when the relay reports a wildcard address
+   * @param {string} [options.fragmentPolicy='drop'] - 'drop' or 'reassemble'
+   * @param {number} [options.reassemblyTimeout=5000] - Reassembly timer in ms
+   * @returns {Promise<SOCKS5UdpAssociation>} The association
+   * @throws {Error} If negotiation fails or the server refuses the association
+   */
+  async associate(socket, auth, udpSocket, options = {}) {
+    this.socket = socket;
 
-      return result;
+    try {
+      const stream = SocketStream.from(socket);
+      const tunnel = await this.negotiate(stream, auth);
+      if (tunnel !== stream) {
+        // Datagrams would need the same encapsulation, which the association does not do
+        throw new Error('UDP ASSOCIATE is not supported with an encapsulating authentication method');
+      }
+
+      const reply = await this.sendRequest(stream, SOCKS5_COMMAND_UDP_ASSOCIATE, '0.0.0.0', 0);
+
+      // Servers bound to every interface report the wildcard address
+      let relayAddress = reply.address;
+      if (isUnspecifiedAddress(relayAddress)) {
+        if (!options.proxyAddress) {
+          throw new Error('UDP relay address is unspecified and no proxy address is known');
+        }
+        relayAddress = options.proxyAddress;
+      }
+
+      return new SOCKS5UdpAssociation(stream, udpSocket, relayAddress, reply.port, options);
     } catch (error) {
       this.socket = null;
       throw error;
@@ -496,4 +1094,14 @@ class SOCKS5Protocol {
   }
 }
 
-export { SOCKS5Protocol };
+export {
+  AUTH_METHOD,
+  SOCKS5Protocol,
+  registerAuthMethod,
+  unregisterAuthMethod,
+  getAuthMethod,
+  SOCKS5UdpAssociation,
+  encodeAddress,
+  encapsulateUdpDatagram,
+  decapsulateUdpDatagram
+};
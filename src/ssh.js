@@ -0,0 +1,1001 @@
+/**
+ * SSH tunnel hop
+ *
+ * An SSH server can forward TCP connections for its users (the
+ * `ssh -W host:port` or `ssh -J` jump host feature), which makes any SSH
+ * account usable as a chain hop. This module runs the client side of the
+ * SSH transport (RFC 4253) and user authentication (RFC 4252) over any
+ * socket-like object and opens a single direct-tcpip channel (RFC 4254
+ * Section 7.2) to the next hop or target:
+ *
+ * - Key exchange: curve25519-sha256 (where WebCrypto has X25519), ecdh-sha2-nistp256
+ * - Host keys: ssh-ed25519, ecdsa-sha2-nistp256/384/521, rsa-sha2-512, rsa-sha2-256
+ * - Ciphers: aes256-gcm@openssh.com, aes128-gcm@openssh.com
+ * - Authentication: password (also answering keyboard-interactive prompts)
+ *   or publickey with an OpenSSH private key given in place of the password
+ *
+ * The server's host key is checked against the proxy's trusted fingerprints
+ * (SHA256:..., as printed by `ssh-keygen -lf` or `ssh-keyscan host | ssh-keygen -lf -`).
+ *
+ * SSHSocket has the same interface as TCPSocket, so the other protocol
+ * handlers and later hops run over the channel unchanged.
+ */
+
+import {
+  EMPTY,
+  SshReader,
+  encodeUint32,
+  encodeString,
+  encodeMpint,
+  encodeNameList,
+  computeFingerprint,
+  verifySignature,
+  isPrivateKey,
+  parsePrivateKey
+} from './sshKeys.js';
+import { concat } from './bytes.js';
+import { EventEmitter } from './events.js';
+
+/**
+ * SSH Protocol Constants
+ */
+const CLIENT_VERSION = 'SSH-2.0-ProxyChain_1.0';
+const MAX_PACKET_LENGTH = 256 * 1024;
+const MAX_VERSION_LINE_LENGTH = 8192;
+const AEAD_TAG_LENGTH = 16;
+const LOCAL_WINDOW_SIZE = 1024 * 1024;
+const LOCAL_MAX_PACKET_SIZE = 32768;
+const DISCONNECT_BY_APPLICATION = 11;
+
+const MSG = {
+  DISCONNECT: 1,
+  IGNORE: 2,
+  UNIMPLEMENTED: 3,
+  DEBUG: 4,
+  SERVICE_REQUEST: 5,
+  SERVICE_ACCEPT: 6,
+  EXT_INFO: 7,
+  KEXINIT: 20,
+  NEWKEYS: 21,
+  KEX_ECDH_INIT: 30,
+  KEX_ECDH_REPLY: 31,
+  USERAUTH_REQUEST: 50,
+  USERAUTH_FAILURE: 51,
+  USERAUTH_SUCCESS: 52,
+  USERAUTH_BANNER: 53,
+  // Password change request, or a keyboard-interactive prompt
+  USERAUTH_INFO_REQUEST: 60,
+  USERAUTH_INFO_RESPONSE: 61,
+  GLOBAL_REQUEST: 80,
+  REQUEST_FAILURE: 82,
+  CHANNEL_OPEN: 90,
+  CHANNEL_OPEN_CONFIRMATION: 91,
+  CHANNEL_OPEN_FAILURE: 92,
+  CHANNEL_WINDOW_ADJUST: 93,
+  CHANNEL_DATA: 94,
+  CHANNEL_EXTENDED_DATA: 95,
+  CHANNEL_EOF: 96,
+  CHANNEL_CLOSE: 97,
+  CHANNEL_REQUEST: 98,
+  CHANNEL_FAILURE: 100
+};
+
+const CHANNEL_OPEN_FAILURES = {
+  1: 'administratively prohibited',
+  2: 'connect failed',
+  3: 'unknown channel type',
+  4: 'resource shortage'
+};
+
+/**
+ * Key exchange methods: the WebCrypto key agreement behind each, all with SHA-256
+ */
+const KEX_METHODS = {
+  'curve25519-sha256': { params: { name: 'X25519' }, bits: 256 },
+  'curve25519-sha256@libssh.org': { params: { name: 'X25519' }, bits: 256 },
+  'ecdh-sha2-nistp256': { params: { name: 'ECDH', namedCurve: 'P-256' }, bits: 256 }
+};
+
+const HOST_KEY_ALGORITHMS = [
+  'ssh-ed25519',
+  'ecdsa-sha2-nistp256',
+  'ecdsa-sha2-nistp384',
+  'ecdsa-sha2-nistp521',
+  'rsa-sha2-512',
+  'rsa-sha2-256'
+];
+
+// AES-GCM ciphers by name, with their key sizes (RFC 5647 as done by OpenSSH)
+const CIPHERS = {
+  'aes256-gcm@openssh.com': 32,
+  'aes128-gcm@openssh.com': 16
+};
+
+// Ignored with AEAD ciphers, but the list must not be empty
+const MACS = ['hmac-sha2-256'];
+
+const STRICT_KEX_CLIENT = 'kex-strict-c-v00@openssh.com';
+const STRICT_KEX_SERVER = 'kex-strict-s-v00@openssh.com';
+
+let x25519Support = null;
+
+/**
+ * Check once whether WebCrypto implements X25519
+ * @returns {Promise<boolean>}
+ */
+function supportsX25519() {
+  if (!x25519Support) {
+    x25519Support = crypto.subtle.generateKey({ name: 'X25519' }, false, ['deriveBits'])
+      .then(() => true, () => false);
+  }
+  return x25519Support;
+}
+
+/**
+ * Pick the first client algorithm the server also lists (RFC 4253 Section 7.1)
+ * @private
+ */
+function chooseAlgorithm(kind, client, server) {
+  const chosen = client.find(name => server.includes(name));
+  if (!chosen) {
+    throw new Error(`No common ${kind} algorithm (server offers ${server.join(', ') || 'none'})`);
+  }
+  return chosen;
+}
+
+/**
+ * Advance the invocation counter in the last 8 bytes of a GCM nonce
+ * @private
+ */
+function incrementNonce(nonce) {
+  for (let i = nonce.length - 1; i >= 4; i--) {
+    nonce[i] = (nonce[i] + 1) & 0xFF;
+    if (nonce[i] !== 0) {
+      return;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+async function sha256(data) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Direct-tcpip channel through an SSH server, with the TCPSocket interface
+ */
+export class SSHSocket extends EventEmitter {
+  /**
+   * @param {Object} socket - Connected socket reaching the SSH server
+   * @param {Object} options
+   * @param {string} options.servername - Host the server is addressed by, for messages
+   * @param {string[]} [options.hostKeys] - Trusted host key fingerprints ('SHA256:...')
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.servername = options.servername;
+    this.hostKeys = options.hostKeys || [];
+    this.connected = false;
+    this.serverVersion = null;
+    this.hostKeyFingerprint = null;
+    this.algorithms = null;
+
+    this._incoming = EMPTY;
+    this._readState = null;
+    this._writeState = null;
+    this._readSequence = 0;
+    this._writeSequence = 0;
+    this._writeQueue = Promise.resolve();
+    this._channelWrites = Promise.resolve();
+    this._dataWaiter = null;
+    this._windowWaiter = null;
+    this._sessionId = null;
+    this._strictKex = false;
+    this._kexPending = null;
+    this._remoteChannel = null;
+    this._remoteWindow = 0;
+    this._remoteMaxPacket = 0;
+    this._localWindow = LOCAL_WINDOW_SIZE;
+    this._closed = false;
+    this._transportClosed = false;
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._handleTransportClosed();
+    this._onError = (error) => this._handleTransportError(error);
+  }
+
+  /**
+   * Exchange keys, check the host key and log in
+   * @param {Object} auth - { username, password }; the password may be an OpenSSH private key
+   * @returns {Promise<void>}
+   * @throws {Error} If the handshake, host key check or authentication fails
+   */
+  async handshake(auth) {
+    this.socket.addEventListener('data', this._onData);
+    this.socket.addEventListener('closed', this._onClosed);
+    this.socket.addEventListener('error', this._onError);
+
+    try {
+      if (!auth || !auth.username || !auth.password) {
+        throw new Error('SSH proxy needs a username and a password or private key');
+      }
+      const privateKey = isPrivateKey(auth.password) ? await parsePrivateKey(auth.password) : null;
+
+      await this.socket.write(`${CLIENT_VERSION}\r\n`);
+      this.serverVersion = await this._readVersion();
+      await this._keyExchange(null);
+      await this._authenticate(auth.username, privateKey || auth.password);
+    } catch (error) {
+      this._abandon();
+      throw new Error(`SSH handshake with ${this.servername} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open the direct-tcpip channel; the socket is connected once it resolves
+   * @param {string} address - Host the server should connect to
+   * @param {number} port - Port the server should connect to
+   * @returns {Promise<void>}
+   * @throws {Error} If the server refuses or cannot make the connection
+   */
+  async openChannel(address, port) {
+    try {
+      await this._writePacket(concat(
+        [MSG.CHANNEL_OPEN],
+        encodeString('direct-tcpip'),
+        encodeUint32(0),
+        encodeUint32(LOCAL_WINDOW_SIZE),
+        encodeUint32(LOCAL_MAX_PACKET_SIZE),
+        encodeString(address),
+        encodeUint32(port),
+        // Originator; nothing meaningful to report from a browser
+        encodeString('127.0.0.1'),
+        encodeUint32(0)
+      ));
+
+      const reply = await this._readMessage();
+      const reader = new SshReader(reply.subarray(1));
+
+      if (reply[0] === MSG.CHANNEL_OPEN_FAILURE) {
+        reader.uint32();
+        const reason = reader.uint32();
+        const description = reader.text();
+        throw new Error(`SSH server could not open a channel to ${address}:${port}: ` +
+          (description || CHANNEL_OPEN_FAILURES[reason] || `reason ${reason}`));
+      }
+      if (reply[0] !== MSG.CHANNEL_OPEN_CONFIRMATION) {
+        throw new Error(`Unexpected SSH message ${reply[0]} in reply to channel open`);
+      }
+
+      reader.uint32();
+      this._remoteChannel = reader.uint32();
+      this._remoteWindow = reader.uint32();
+      this._remoteMaxPacket = Math.min(reader.uint32(), LOCAL_MAX_PACKET_SIZE);
+    } catch (error) {
+      this._abandon();
+      throw error;
+    }
+
+    this.connected = true;
+    this._emit('opened');
+    this._pump();
+  }
+
+  /**
+   * Write data to the channel, within the server's window
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Socket not connected'));
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    const task = this._channelWrites.then(async () => {
+      let offset = 0;
+      while (offset < bytes.length) {
+        while (this._remoteWindow === 0 || this._kexPending) {
+          await (this._kexPending || this._waitForWindow());
+          if (!this.connected) {
+            throw new Error('Socket not connected');
+          }
+        }
+
+        const size = Math.min(bytes.length - offset, this._remoteWindow, this._remoteMaxPacket);
+        this._remoteWindow -= size;
+        await this._writePacket(concat([MSG.CHANNEL_DATA], encodeUint32(this._remoteChannel),
+          encodeString(bytes.subarray(offset, offset + size))));
+        offset += size;
+      }
+    });
+
+    this._channelWrites = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Disconnect from the server and close the underlying socket
+   */
+  close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._rejectWaiter(new Error('Socket closed'));
+    this._releaseWindowWaiter();
+
+    const finish = () => {
+      this._detach();
+      this.socket.close();
+    };
+
+    // Nothing but key exchange messages may be sent during a key exchange
+    if (wasConnected && !this._transportClosed && !this._kexPending) {
+      this._writePacket(concat([MSG.DISCONNECT], encodeUint32(DISCONNECT_BY_APPLICATION),
+        encodeString(''), encodeString(''))).then(finish, finish);
+    } else {
+      finish();
+    }
+
+    this._emit('closed');
+  }
+
+  /**
+   * Read the server's identification string, skipping any lines before it
+   * @private
+   */
+  async _readVersion() {
+    for (;;) {
+      const end = this._incoming.indexOf(0x0A);
+      if (end === -1) {
+        if (this._incoming.length > MAX_VERSION_LINE_LENGTH) {
+          throw new Error('Server did not identify itself as SSH');
+        }
+        await this._waitForData();
+        continue;
+      }
+
+      const line = new TextDecoder().decode(this._incoming.subarray(0, end)).replace(/\r$/, '');
+      this._incoming = this._incoming.slice(end + 1);
+
+      if (line.startsWith('SSH-')) {
+        if (!/^SSH-(2\.0|1\.99)-/.test(line)) {
+          throw new Error(`Unsupported SSH protocol version: ${line}`);
+        }
+        return line;
+      }
+    }
+  }
+
+  /**
+   * Build our KEXINIT payload
+   * @private
+   */
+  async _buildKexinit() {
+    const kex = Object.keys(KEX_METHODS);
+    const methods = (await supportsX25519()) ? kex : kex.filter(name => KEX_METHODS[name].params.name !== 'X25519');
+    const ciphers = Object.keys(CIPHERS);
+
+    return concat(
+      [MSG.KEXINIT],
+      crypto.getRandomValues(new Uint8Array(16)),
+      // Strict key exchange (the Terrapin fix) is only negotiated in the first exchange
+      encodeNameList(this._sessionId ? methods : [...methods, STRICT_KEX_CLIENT]),
+      encodeNameList(HOST_KEY_ALGORITHMS),
+      encodeNameList(ciphers),
+      encodeNameList(ciphers),
+      encodeNameList(MACS),
+      encodeNameList(MACS),
+      encodeNameList(['none']),
+      encodeNameList(['none']),
+      encodeNameList([]),
+      encodeNameList([]),
+      [0],
+      encodeUint32(0)
+    );
+  }
+
+  /**
+   * Run a key exchange (RFC 4253 Sections 7-8, RFC 5656 Section 4)
+   * @param {Uint8Array|null} serverKexinit - The server's KEXINIT when it started a re-exchange
+   * @private
+   */
+  async _keyExchange(serverKexinit) {
+    let release;
+    this._kexPending = new Promise(resolve => {
+      release = resolve;
+    });
+
+    try {
+      const clientKexinit = await this._buildKexinit();
+      await this._writePacket(clientKexinit);
+
+      const initial = !this._sessionId;
+      if (!serverKexinit) {
+        serverKexinit = await this._expectMessage(MSG.KEXINIT);
+      }
+
+      const offer = new SshReader(serverKexinit.subarray(17));
+      const serverKex = offer.nameList();
+      const serverHostKeys = offer.nameList();
+      const serverCiphersOut = offer.nameList();
+      const serverCiphersIn = offer.nameList();
+      offer.nameList();
+      offer.nameList();
+      const serverCompressionOut = offer.nameList();
+      const serverCompressionIn = offer.nameList();
+      offer.nameList();
+      offer.nameList();
+      const guessFollows = offer.boolean();
+
+      const clientKex = new SshReader(clientKexinit.subarray(17)).nameList();
+      const algorithms = {
+        kex: chooseAlgorithm('key exchange', clientKex.filter(name => KEX_METHODS[name]), serverKex),
+        hostKey: chooseAlgorithm('host key', HOST_KEY_ALGORITHMS, serverHostKeys),
+        cipherOut: chooseAlgorithm('cipher', Object.keys(CIPHERS), serverCiphersOut),
+        cipherIn: chooseAlgorithm('cipher', Object.keys(CIPHERS), serverCiphersIn)
+      };
+      chooseAlgorithm('compression', ['none'], serverCompressionOut);
+      chooseAlgorithm('compression', ['none'], serverCompressionIn);
+
+      if (initial) {
+        this._strictKex = serverKex.includes(STRICT_KEX_SERVER);
+      }
+
+      // A guessed key exchange packet is dropped unless the server guessed our choice
+      if (guessFollows && (serverKex[0] !== algorithms.kex || serverHostKeys[0] !== algorithms.hostKey)) {
+        await this._readPacket();
+      }
+
+      const method = KEX_METHODS[algorithms.kex];
+      const keyPair = await crypto.subtle.generateKey(method.params, false, ['deriveBits']);
+      const clientPublic = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+      await this._writePacket(concat([MSG.KEX_ECDH_INIT], encodeString(clientPublic)));
+
+      const reply = new SshReader((await this._expectMessage(MSG.KEX_ECDH_REPLY)).subarray(1));
+      const hostKey = reply.string();
+      const serverPublic = reply.string();
+      const signature = reply.string();
+
+      const serverKey = await crypto.subtle.importKey('raw', serverPublic, method.params, false, []);
+      const secret = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: method.params.name, public: serverKey }, keyPair.privateKey, method.bits));
+      const sharedSecret = encodeMpint(secret);
+
+      const exchangeHash = await sha256(concat(
+        encodeString(CLIENT_VERSION),
+        encodeString(this.serverVersion),
+        encodeString(clientKexinit),
+        encodeString(serverKexinit),
+        encodeString(hostKey),
+        encodeString(clientPublic),
+        encodeString(serverPublic),
+        sharedSecret
+      ));
+
+      await this._verifyHostKey(hostKey, algorithms.hostKey, signature, exchangeHash);
+      this._sessionId = this._sessionId || exchangeHash;
+
+      const writeState = await this._createCipherState(sharedSecret, exchangeHash, 'A', 'C', CIPHERS[algorithms.cipherOut]);
+      const readState = await this._createCipherState(sharedSecret, exchangeHash, 'B', 'D', CIPHERS[algorithms.cipherIn]);
+
+      await this._writePacket(new Uint8Array([MSG.NEWKEYS]), writeState);
+      await this._expectMessage(MSG.NEWKEYS);
+      this._readState = readState;
+      if (this._strictKex) {
+        this._readSequence = 0;
+      }
+
+      this.algorithms = algorithms;
+    } finally {
+      this._kexPending = null;
+      release();
+    }
+  }
+
+  /**
+   * Check the host key against the trusted fingerprints and its signature of the exchange
+   * @private
+   */
+  async _verifyHostKey(hostKey, algorithm, signature, exchangeHash) {
+    const fingerprint = await computeFingerprint(hostKey);
+
+    // A re-exchange must not switch to a different host key
+    if (this.hostKeyFingerprint && fingerprint !== this.hostKeyFingerprint) {
+      throw new Error('Host key changed during key re-exchange');
+    }
+    if (!this.hostKeys.includes(fingerprint)) {
+      throw new Error(`Host key for ${this.servername} is not trusted (server key ${fingerprint})`);
+    }
+    if (!(await verifySignature(hostKey, algorithm, signature, exchangeHash))) {
+      throw new Error('Host key signature is invalid');
+    }
+
+    this.hostKeyFingerprint = fingerprint;
+  }
+
+  /**
+   * Derive the key and nonce of one direction (RFC 4253 Section 7.2)
+   * @private
+   */
+  async _createCipherState(sharedSecret, exchangeHash, nonceLetter, keyLetter, keySize) {
+    const derive = async (letter, length) => {
+      let output = await sha256(concat(sharedSecret, exchangeHash, [letter.charCodeAt(0)], this._sessionId));
+      while (output.length < length) {
+        output = concat(output, await sha256(concat(sharedSecret, exchangeHash, output)));
+      }
+      return output.slice(0, length);
+    };
+
+    return {
+      key: await crypto.subtle.importKey('raw', await derive(keyLetter, keySize), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      nonce: await derive(nonceLetter, 12)
+    };
+  }
+
+  /**
+   * Log in as the user with a password or a private key (RFC 4252)
+   * @param {string} username
+   * @param {string|Object} credential - Password, or a key from parsePrivateKey()
+   * @private
+   */
+  async _authenticate(username, credential) {
+    await this._writePacket(concat([MSG.SERVICE_REQUEST], encodeString('ssh-userauth')));
+    await this._expectMessage(MSG.SERVICE_ACCEPT);
+
+    const request = (method, ...fields) => concat([MSG.USERAUTH_REQUEST], encodeString(username),
+      encodeString('ssh-connection'), encodeString(method), ...fields);
+
+    let result;
+    if (typeof credential === 'object') {
+      const fields = [[1], encodeString(credential.algorithm), encodeString(credential.publicKey)];
+      const signature = await credential.sign(concat(encodeString(this._sessionId), request('publickey', ...fields)));
+      await this._writePacket(request('publickey', ...fields, encodeString(signature)));
+      result = await this._readAuthResult();
+    } else {
+      await this._writePacket(request('password', [0], encodeString(credential)));
+      result = await this._readAuthResult();
+      if (result.prompt) {
+        throw new Error(`Password of ${username} has expired`);
+      }
+
+      // Servers with only keyboard-interactive enabled still take the password as the answer
+      if (!result.success && result.methods.includes('keyboard-interactive')) {
+        await this._writePacket(request('keyboard-interactive', encodeString(''), encodeString('')));
+        result = await this._answerPrompts(credential);
+      }
+    }
+
+    if (!result.success) {
+      throw new Error(`Authentication as ${username} failed (server accepts: ${result.methods.join(', ') || 'nothing'})`);
+    }
+  }
+
+  /**
+   * Answer keyboard-interactive prompts with the password, once (RFC 4256)
+   * @private
+   */
+  async _answerPrompts(password) {
+    let answered = false;
+    for (;;) {
+      const result = await this._readAuthResult();
+      if (!result.prompt) {
+        return result;
+      }
+
+      const reader = new SshReader(result.prompt.subarray(1));
+      reader.text(); // name
+      reader.text(); // instruction
+      reader.text(); // language
+      const count = reader.uint32();
+      if (count > 0 && answered) {
+        return { success: false, methods: ['keyboard-interactive'] };
+      }
+      answered = answered || count > 0;
+
+      const responses = [];
+      for (let i = 0; i < count; i++) {
+        responses.push(encodeString(password));
+      }
+      await this._writePacket(concat([MSG.USERAUTH_INFO_RESPONSE], encodeUint32(count), ...responses));
+    }
+  }
+
+  /**
+   * Read the outcome of an authentication request
+   * @returns {Promise<{success: boolean, methods?: string[], prompt?: Uint8Array}>}
+   * @private
+   */
+  async _readAuthResult() {
+    for (;;) {
+      const message = await this._readMessage();
+      switch (message[0]) {
+        case MSG.USERAUTH_SUCCESS:
+          return { success: true };
+        case MSG.USERAUTH_FAILURE:
+          return { success: false, methods: new SshReader(message.subarray(1)).nameList() };
+        case MSG.USERAUTH_INFO_REQUEST:
+          return { success: false, prompt: message };
+        case MSG.USERAUTH_BANNER:
+          continue;
+        default:
+          throw new Error(`Unexpected SSH message ${message[0]} during authentication`);
+      }
+    }
+  }
+
+  /**
+   * Read the next message, which must be of the given type
+   * During the first key exchange in strict mode nothing else may arrive.
+   * @private
+   */
+  async _expectMessage(type) {
+    const message = this._strictKex && !this._readState ? await this._readPacket() : await this._readMessage();
+    if (message[0] === MSG.DISCONNECT) {
+      this._throwDisconnect(message);
+    }
+    if (message[0] !== type) {
+      throw new Error(`Expected SSH message ${type}, got ${message[0]}`);
+    }
+    return message;
+  }
+
+  /**
+   * Read the next message, handling transport-level messages on the way
+   * @private
+   */
+  async _readMessage() {
+    for (;;) {
+      const message = await this._readPacket();
+      switch (message[0]) {
+        case MSG.IGNORE:
+        case MSG.DEBUG:
+        case MSG.EXT_INFO:
+          continue;
+        case MSG.DISCONNECT:
+          this._throwDisconnect(message);
+          break;
+        case MSG.UNIMPLEMENTED:
+          throw new Error('SSH server did not understand a request');
+        case MSG.GLOBAL_REQUEST: {
+          // Keepalives and host key announcements; none are supported
+          const reader = new SshReader(message.subarray(1));
+          reader.string();
+          if (reader.boolean()) {
+            await this._writePacket(new Uint8Array([MSG.REQUEST_FAILURE]));
+          }
+          continue;
+        }
+        default:
+          return message;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _throwDisconnect(message) {
+    const reader = new SshReader(message.subarray(1));
+    const reason = reader.uint32();
+    const description = reader.text();
+    throw new Error(`SSH server disconnected: ${description || `reason ${reason}`}`);
+  }
+
+  /**
+   * Read and decrypt the next packet (RFC 4253 Section 6)
+   * @returns {Promise<Uint8Array>} The payload
+   * @private
+   */
+  async _readPacket() {
+    while (this._incoming.length < 4) {
+      await this._waitForData();
+    }
+
+    const length = new SshReader(this._incoming).uint32();
+    const state = this._readState;
+    if (length < 5 || length > MAX_PACKET_LENGTH || (state && length % 16 !== 0)) {
+      throw new Error('Invalid SSH packet length');
+    }
+
+    const total = 4 + length + (state ? AEAD_TAG_LENGTH : 0);
+    while (this._incoming.length < total) {
+      await this._waitForData();
+    }
+    const packet = this._incoming.slice(0, total);
+    this._incoming = this._incoming.slice(total);
+
+    let body = packet.subarray(4);
+    if (state) {
+      try {
+        body = new Uint8Array(await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: state.nonce, additionalData: packet.subarray(0, 4), tagLength: 128 },
+          state.key,
+          body
+        ));
+      } catch (error) {
+        throw new Error('SSH packet authentication failed');
+      }
+      incrementNonce(state.nonce);
+    }
+    this._readSequence = (this._readSequence + 1) >>> 0;
+
+    const paddingLength = body[0];
+    if (paddingLength < 4 || paddingLength + 1 >= body.length) {
+      throw new Error('Malformed SSH packet');
+    }
+    return body.subarray(1, body.length - paddingLength);
+  }
+
+  /**
+   * Queue a packet for sending, encrypted when keys are in place
+   * @param {Uint8Array} payload - Message
+   * @param {Object} [nextState] - Keys to switch to after sending (NEWKEYS)
+   * @private
+   */
+  _writePacket(payload, nextState = null) {
+    const task = this._writeQueue.then(async () => {
+      const state = this._writeState;
+
+      // The length field is left out of the padding calculation with AES-GCM
+      const blockSize = state ? 16 : 8;
+      let paddingLength = blockSize - ((state ? 1 : 5) + payload.length) % blockSize;
+      if (paddingLength < 4) {
+        paddingLength += blockSize;
+      }
+
+      const header = encodeUint32(1 + payload.length + paddingLength);
+      const body = concat([paddingLength], payload, crypto.getRandomValues(new Uint8Array(paddingLength)));
+
+      if (state) {
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv: state.nonce, additionalData: header, tagLength: 128 },
+          state.key,
+          body
+        ));
+        incrementNonce(state.nonce);
+        await this.socket.write(concat(header, ciphertext));
+      } else {
+        await this.socket.write(concat(header, body));
+      }
+      this._writeSequence = (this._writeSequence + 1) >>> 0;
+
+      if (nextState) {
+        this._writeState = nextState;
+        if (this._strictKex) {
+          this._writeSequence = 0;
+        }
+      }
+    });
+
+    this._writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Deliver channel data until the channel or connection ends
+   * @private
+   */
+  async _pump() {
+    try {
+      while (!this._closed) {
+        const message = await this._readMessage();
+        const reader = new SshReader(message.subarray(1));
+
+        switch (message[0]) {
+          case MSG.CHANNEL_DATA: {
+            reader.uint32();
+            const data = reader.string();
+            await this._consumeWindow(data.length);
+            if (data.length > 0) {
+              this._emit('data', data.slice());
+            }
+            break;
+          }
+          case MSG.CHANNEL_EXTENDED_DATA:
+            reader.uint32();
+            reader.uint32();
+            await this._consumeWindow(reader.string().length);
+            break;
+          case MSG.CHANNEL_WINDOW_ADJUST:
+            reader.uint32();
+            this._remoteWindow = Math.min(this._remoteWindow + reader.uint32(), 0xFFFFFFFF);
+            this._releaseWindowWaiter();
+            break;
+          case MSG.CHANNEL_EOF:
+            break; // the close follows once the target is done
+          case MSG.CHANNEL_CLOSE:
+            this.close();
+            return;
+          case MSG.CHANNEL_REQUEST:
+            reader.uint32();
+            reader.string();
+            if (reader.boolean()) {
+              await this._writePacket(concat([MSG.CHANNEL_FAILURE], encodeUint32(this._remoteChannel)));
+            }
+            break;
+          case MSG.KEXINIT:
+            await this._keyExchange(message);
+            break;
+          default:
+            await this._writePacket(concat([MSG.UNIMPLEMENTED], encodeUint32((this._readSequence - 1) >>> 0)));
+        }
+      }
+    } catch (error) {
+      if (!this._closed) {
+        this._emit('error', error);
+        this.close();
+      }
+    }
+  }
+
+  /**
+   * Account for received data and reopen the window once half of it is used
+   * @private
+   */
+  async _consumeWindow(length) {
+    this._localWindow -= length;
+    if (this._localWindow < LOCAL_WINDOW_SIZE / 2) {
+      const increment = LOCAL_WINDOW_SIZE - this._localWindow;
+      this._localWindow = LOCAL_WINDOW_SIZE;
+      await this._writePacket(concat([MSG.CHANNEL_WINDOW_ADJUST], encodeUint32(this._remoteChannel),
+        encodeUint32(increment)));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _waitForWindow() {
+    return new Promise(resolve => {
+      this._windowWaiter = resolve;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _releaseWindowWaiter() {
+    if (this._windowWaiter) {
+      const waiter = this._windowWaiter;
+      this._windowWaiter = null;
+      waiter();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _receive(chunk) {
+    this._incoming = concat(this._incoming, new Uint8Array(chunk));
+    if (this._dataWaiter) {
+      const waiter = this._dataWaiter;
+      this._dataWaiter = null;
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _waitForData() {
+    if (this._closed || this._transportClosed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this._dataWaiter = { resolve, reject };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _rejectWaiter(error) {
+    if (this._dataWaiter) {
+      const waiter = this._dataWaiter;
+      this._dataWaiter = null;
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportClosed() {
+    this._transportClosed = true;
+    this._rejectWaiter(new Error('Connection closed'));
+    this.close();
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportError(error) {
+    this._rejectWaiter(error);
+    if (this.connected) {
+      this._emit('error', error);
+    }
+  }
+
+  /**
+   * Give up before the channel is open, leaving the underlying socket to the caller
+   * @private
+   */
+  _abandon() {
+    this._detach();
+    this._closed = true;
+  }
+
+  /**
+   * Stop listening to the underlying socket
+   * @private
+   */
+  _detach() {
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get socket information
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return {
+      ...this.socket.getInfo(),
+      connected: this.connected,
+      type: 'ssh',
+      serverVersion: this.serverVersion,
+      hostKey: this.hostKeyFingerprint,
+      cipher: this.algorithms && this.algorithms.cipherOut
+    };
+  }
+}
+
+/**
+ * SSH protocol handler
+ */
+export class SSHProtocol {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.servername] - Address of the SSH server, for messages
+   * @param {string[]} [options.hostKeys] - Trusted host key fingerprints
+   */
+  constructor(options = {}) {
+    this.servername = options.servername;
+    this.hostKeys = options.hostKeys || [];
+  }
+
+  /**
+   * Log in to the SSH server and open a channel to the target
+   * @param {string} address - Target address
+   * @param {number} port - Target port
+   * @param {Object} socket - Connection to the SSH server
+   * @param {Object} [auth] - { username, password }; the password may be an OpenSSH private key
+   * @returns {Promise<{socket: SSHSocket}>} Socket to continue on
+   * @throws {Error} If the handshake, authentication or channel open fails
+   */
+  async connect(address, port, socket, auth) {
+    const tunnel = new SSHSocket(socket, { servername: this.servername, hostKeys: this.hostKeys });
+    await tunnel.handshake(auth);
+    await tunnel.openChannel(address, port);
+    return { socket: tunnel };
+  }
+}
+
+export default SSHProtocol;
@@ -3,14 +3,54 @@
  * Handles all CRUD operations with browser storage and data validation
  */
 
+import { RULE_TYPES, RULE_ACTIONS, compilePattern } from './rules.js';
+import { PacScript } from './pac.js';
+import { getProtocol, getProtocols, validateProtocolFields } from './protocols.js';
+import { parseTestTarget } from './connectionTest.js';
+import { isValidPin } from './x509.js';
+
 // Storage keys
 const STORAGE_KEYS = {
   CHAINS: 'proxyChains',
   SETTINGS: 'extensionSettings',
+  RULES: 'routingRules',
+  PAC: 'pacScript',
+  HEALTH: 'healthMonitor',
+  TEST_TARGETS: 'testTargets',
+  EXIT_CHECK: 'exitCheckEndpoint',
+  DOH: 'dohServer',
   SCHEMA_VERSION: 'storageSchemaVersion'
 };
 
-const CURRENT_SCHEMA_VERSION = 1;
+const CURRENT_SCHEMA_VERSION = 3;
+
+// How the engine picks among a hop's proxy and its alternates
+const HOP_SELECTION_POLICIES = ['failover', 'round-robin', 'random', 'latency'];
+
+// Health monitor settings until the user changes them; probing is opt-in
+const DEFAULT_HEALTH_CONFIG = {
+  enabled: false,
+  intervalMinutes: 15,
+  targetHost: 'example.com',
+  targetPort: 443
+};
+
+// Where connection tests go until the user picks their own targets
+const DEFAULT_TEST_TARGETS = ['http://example.com/'];
+
+// IP echo endpoint the exit check fetches; answers with the caller's address as plain text
+const DEFAULT_EXIT_CHECK_ENDPOINT = 'http://api.ipify.org/';
+
+// Which of a chain's hops a connection goes through (proxychains' strict_chain, dynamic_chain, random_chain)
+const CHAIN_MODES = ['strict', 'dynamic', 'random'];
+
+// Where a chain's hostnames are resolved: by the proxies ('remote'), on this device ('local'),
+// or by the DoH server through the chain ('doh')
+const DNS_POLICIES = ['remote', 'local', 'doh'];
+
+// Chain IDs as generated ('chain-<time>-<random>'), or hand-written ones in the same alphabet; they are
+// placed in the options page's markup, and imported bundles keep theirs
+const CHAIN_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
 
 /**
  * Data structure definitions for JSDoc type hints
@@ -18,18 +58,56 @@ const CURRENT_SCHEMA_VERSION = 1;
  * @typedef {Object} Proxy
  * @property {string} address - Proxy server address (IP or hostname)
  * @property {number} port - Proxy server port
- * @property {string} type - Proxy type ('http', 'https', 'socks4', 'socks5')
- * @property {string} [username] - Optional username for authentication
- * @property {string} [password] - Optional password for authentication
+ * @property {string} type - Proxy type, a registered protocol ('http', 'https', 'socks4', 'socks4a', 'socks5', 'shadowsocks', 'ssh', 'ws', 'wss')
+ * @property {string} [credentialId] - Credential vault entry holding the username and password
+ * @property {string} [userid] - SOCKS4 and SOCKS4a user ID sent in CONNECT and BIND requests
+ * @property {string[]} [tlsPins] - HTTPS and WSS proxy public key pins ('sha256/<base64>'), leaf or CA
+ * @property {string[]} [authMethods] - SOCKS5 authentication methods to offer, in preference order
+ * @property {string} [method] - Shadowsocks cipher; the key is the proxy's password
+ * @property {string[]} [hostKeys] - SSH server host key fingerprints ('SHA256:<base64>')
+ * @property {string} [path] - WebSocket request path; {host} and {port} stand for the next hop
+ * @property {string} [egressIp] - Address the proxy's outbound connections come from, when it is
+ *   not the proxy's own; checked by the exit check
+ * @property {string} [username] - Inline username; only in imports and chains saved before the vault
+ * @property {string} [password] - Inline password; only in imports and chains saved before the vault
+ * @property {Proxy[]} [alternates] - Hops only: proxies tried in place of this one when it fails
+ * @property {string} [selection] - Hops only: order in which the proxy and its alternates are tried
+ *   ('failover', 'round-robin', 'random', 'latency'); defaults to 'failover'
  * 
  * @typedef {Object} ProxyChain
  * @property {string} id - Unique identifier for the chain
  * @property {string} name - Human-readable name for the chain
- * @property {Proxy[]} proxies - Array of proxy configurations
+ * @property {Proxy[]} proxies - Array of proxy configurations, one per hop
+ * @property {string} [mode] - 'strict' (every hop in order, the default), 'dynamic' (every
+ *   hop in order, skipping dead ones) or 'random' (hops picked at random for each connection)
+ * @property {number} [chainLength] - Random mode only: hops per connection; defaults to all of them
+ * @property {string} [dns] - 'remote' (hostnames go through the chain, the default), 'local'
+ *   (resolved on this device) or 'doh' (resolved by the DoH server through the chain); under
+ *   the last two the hops are given addresses
  * 
  * @typedef {Object} Settings
  * @property {boolean} enabled - Whether the extension is enabled globally
  * @property {string|null} activeChainId - ID of the currently active chain
+ * 
+ * @typedef {Object} RoutingRule
+ * @property {string} id - Unique identifier for the rule
+ * @property {string} type - Match type ('host', 'regex', 'cidr', 'port')
+ * @property {string} pattern - Host glob, URL regex, CIDR range or port list
+ * @property {string} action - Routing decision ('chain', 'direct', 'block')
+ * @property {string} [chainId] - Chain to route through when action is 'chain'
+ * @property {boolean} [enabled] - Set to false to skip the rule without deleting it
+ * 
+ * @typedef {Object} PacConfig
+ * @property {string} source - Imported PAC file contents
+ * @property {boolean} enabled - Whether onRequest consults the PAC script
+ * @property {string} [name] - Original file name, for display
+ * @property {number} updatedAt - Import time (ms since epoch)
+ * 
+ * @typedef {Object} HealthConfig
+ * @property {boolean} enabled - Whether the background worker probes proxies and chains
+ * @property {number} intervalMinutes - Minutes between probe runs
+ * @property {string} targetHost - Host every chain is built to when it is probed
+ * @property {number} targetPort - Port on targetHost
  */
 
 /**
@@ -64,6 +142,13 @@ async function initializeStorage() {
       });
     }
 
+    const { routingRules } = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+    if (!routingRules) {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.RULES]: []
+      });
+    }
+
     await chrome.storage.local.set({
       [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION
     });
@@ -100,6 +185,36 @@ async function migrateStorage(fromVersion, toVersion) {
         });
       }
     }
+
+    if (fromVersion < 2) {
+      // Migration to version 2: Add empty routing rule list
+      const { routingRules } = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+      if (!Array.isArray(routingRules)) {
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.RULES]: []
+        });
+      }
+    }
+
+    if (fromVersion < 3) {
+      // Migration to version 3: 'socks4' became plain SOCKS4, which cannot take
+      // hostnames; existing hops keep sending them with SOCKS4a
+      const { proxyChains } = await chrome.storage.local.get(STORAGE_KEYS.CHAINS);
+      if (Array.isArray(proxyChains)) {
+        for (const chain of proxyChains) {
+          for (const hop of chain?.proxies || []) {
+            for (const proxy of [hop, ...(hop?.alternates || [])]) {
+              if (proxy?.type === 'socks4') {
+                proxy.type = 'socks4a';
+              }
+            }
+          }
+        }
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.CHAINS]: proxyChains
+        });
+      }
+    }
   } catch (error) {
     console.error('Migration failed:', error);
     throw new Error(`Storage migration failed: ${error.message}`);
@@ -125,8 +240,8 @@ function validateProxy(proxy) {
     throw new Error('Proxy port must be an integer between 1 and 65535');
   }
 
-  const validTypes = ['http', 'https', 'socks4', 'socks5'];
-  if (typeof proxy.type !== 'string' || !validTypes.includes(proxy.type)) {
+  if (typeof proxy.type !== 'string' || !getProtocol(proxy.type)) {
+    const validTypes = getProtocols().map(protocol => protocol.type);
     throw new Error(`Proxy type must be one of: ${validTypes.join(', ')}`);
   }
 
@@ -138,9 +253,82 @@ function validateProxy(proxy) {
     throw new Error('Proxy password must be a string');
   }
 
+  if (proxy.credentialId !== undefined && (typeof proxy.credentialId !== 'string' || !proxy.credentialId.trim())) {
+    throw new Error('Proxy credentialId must be a non-empty string');
+  }
+
+  if (proxy.egressIp !== undefined &&
+      (typeof proxy.egressIp !== 'string' || !/^(?:\d{1,3}\.){3}\d{1,3}$|^[\da-f]*:[\da-f:.]*$/i.test(proxy.egressIp))) {
+    throw new Error('Proxy egressIp must be an IPv4 or IPv6 address');
+  }
+
+  validateProtocolFields(proxy);
+
+  return true;
+}
+
+/**
+ * Validate a hop of a chain: a proxy and its alternates
+ * @param {Proxy} hop - Hop to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If the proxy or one of its alternates is invalid
+ */
+function validateHop(hop) {
+  validateProxy(hop);
+
+  if (hop.selection !== undefined && !HOP_SELECTION_POLICIES.includes(hop.selection)) {
+    throw new Error(`Proxy selection must be one of: ${HOP_SELECTION_POLICIES.join(', ')}`);
+  }
+
+  if (hop.alternates === undefined) {
+    return true;
+  }
+
+  if (!Array.isArray(hop.alternates)) {
+    throw new Error('Proxy alternates must be an array');
+  }
+
+  hop.alternates.forEach((alternate, index) => {
+    try {
+      validateProxy(alternate);
+      if (alternate.alternates !== undefined || alternate.selection !== undefined) {
+        throw new Error('Alternates cannot have alternates of their own');
+      }
+    } catch (error) {
+      throw new Error(`Alternate ${index + 1}: ${error.message}`);
+    }
+  });
+
   return true;
 }
 
+/**
+ * List every proxy of a chain: each hop followed by its alternates
+ * @param {ProxyChain} chain - Chain to list
+ * @returns {Proxy[]} Proxies in hop order
+ */
+function listChainProxies(chain) {
+  return chain.proxies.flatMap(hop => [hop, ...(hop.alternates || [])]);
+}
+
+/**
+ * Ensure a chain carries no cleartext credentials
+ * Credentials must be moved into the vault and referenced by credentialId
+ * before a chain is written to storage.
+ * @param {ProxyChain} chain - Chain to check
+ * @throws {Error} If any proxy has an inline username or password
+ */
+function assertNoInlineCredentials(chain) {
+  chain.proxies.forEach((hop, index) => {
+    [hop, ...(hop.alternates || [])].forEach((proxy, position) => {
+      if (proxy.username || proxy.password) {
+        const name = position === 0 ? `Proxy ${index + 1}` : `Proxy ${index + 1}, alternate ${position}`;
+        throw new Error(`${name}: credentials must be stored in the credential vault`);
+      }
+    });
+  });
+}
+
 /**
  * Validate proxy chain structure
  * @param {ProxyChain} chain - Chain object to validate
@@ -156,6 +344,10 @@ function validateChain(chain) {
     throw new Error('Chain id must be a non-empty string');
   }
 
+  if (!CHAIN_ID_PATTERN.test(chain.id)) {
+    throw new Error('Chain id may only contain letters, digits, \'-\' and \'_\' (at most 100)');
+  }
+
   if (typeof chain.name !== 'string' || !chain.name.trim()) {
     throw new Error('Chain name must be a non-empty string');
   }
@@ -168,8 +360,66 @@ function validateChain(chain) {
     throw new Error('Chain must contain at least one proxy');
   }
 
-  for (const proxy of chain.proxies) {
-    validateProxy(proxy);
+  chain.proxies.forEach((hop, index) => {
+    try {
+      validateHop(hop);
+    } catch (error) {
+      throw new Error(`Proxy ${index + 1}: ${error.message}`);
+    }
+  });
+
+  if (chain.mode !== undefined && !CHAIN_MODES.includes(chain.mode)) {
+    throw new Error(`Chain mode must be one of: ${CHAIN_MODES.join(', ')}`);
+  }
+
+  if (chain.dns !== undefined && !DNS_POLICIES.includes(chain.dns)) {
+    throw new Error(`Chain DNS policy must be one of: ${DNS_POLICIES.join(', ')}`);
+  }
+
+  if (chain.chainLength !== undefined) {
+    if (chain.mode !== 'random') {
+      throw new Error('Chain length only applies to random mode');
+    }
+    if (!Number.isInteger(chain.chainLength) || chain.chainLength < 1 || chain.chainLength > chain.proxies.length) {
+      throw new Error(`Chain length must be an integer between 1 and ${chain.proxies.length}`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate routing rule structure
+ * @param {RoutingRule} rule - Rule object to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If rule is invalid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+
+  if (typeof rule.id !== 'string' || !rule.id.trim()) {
+    throw new Error('Rule id must be a non-empty string');
+  }
+
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new Error(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  // Throws with a descriptive message for malformed globs, regexes, ranges and ports
+  compilePattern(rule.type, rule.pattern);
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule action must be one of: ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  if (rule.action === 'chain' && (typeof rule.chainId !== 'string' || !rule.chainId.trim())) {
+    throw new Error('Rule chainId must be a non-empty string when action is chain');
+  }
+
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    throw new Error('Rule enabled must be a boolean');
   }
 
   return true;
@@ -199,6 +449,7 @@ async function loadChains() {
 async function saveChain(chain) {
   try {
     validateChain(chain);
+    assertNoInlineCredentials(chain);
 
     const chains = await loadChains();
     const existingIndex = chains.findIndex(c => c.id === chain.id);
@@ -250,6 +501,15 @@ async function deleteChain(chainId) {
       await setSettings(settings);
     }
 
+    // Drop routing rules that pointed at the deleted chain
+    const rules = await loadRules();
+    const remainingRules = rules.filter(r => !(r.action === 'chain' && r.chainId === chainId));
+    if (remainingRules.length !== rules.length) {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.RULES]: remainingRules
+      });
+    }
+
     return true;
   } catch (error) {
     console.error('Failed to delete chain:', error);
@@ -257,6 +517,59 @@ async function deleteChain(chainId) {
   }
 }
 
+/**
+ * Add or replace several chains at once
+ * Every chain is validated before anything is written, so a bad import
+ * leaves storage untouched.
+ * @param {ProxyChain[]} chains - Chains to add, replacing stored chains with the same ID
+ * @param {Settings} [settings] - Settings to apply afterwards; missing fields keep their current value
+ * @returns {Promise<ProxyChain[]>} All stored chains after the import
+ * @throws {Error} If any chain or the settings are invalid, or storage write fails
+ */
+async function importChains(chains, settings = null) {
+  try {
+    if (!Array.isArray(chains)) {
+      throw new Error('Chains must be an array');
+    }
+
+    chains.forEach((chain, index) => {
+      try {
+        validateChain(chain);
+        assertNoInlineCredentials(chain);
+      } catch (error) {
+        throw new Error(`Chain ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const stored = await loadChains();
+    for (const chain of chains) {
+      const existingIndex = stored.findIndex(c => c.id === chain.id);
+      if (existingIndex >= 0) {
+        stored[existingIndex] = chain;
+      } else {
+        stored.push(chain);
+      }
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.CHAINS]: stored
+    });
+
+    if (settings) {
+      const current = await getSettings();
+      await setSettings({
+        enabled: typeof settings.enabled === 'boolean' ? settings.enabled : current.enabled,
+        activeChainId: settings.activeChainId !== undefined ? settings.activeChainId : current.activeChainId
+      });
+    }
+
+    return stored;
+  } catch (error) {
+    console.error('Failed to import chains:', error);
+    throw new Error(`Failed to import chains: ${error.message}`);
+  }
+}
+
 /**
  * Find a chain by ID
  * @param {string} chainId - ID of the chain to find
@@ -277,6 +590,325 @@ async function findChainById(chainId) {
   }
 }
 
+/**
+ * Load the ordered routing rule list from storage
+ * @returns {Promise<RoutingRule[]>} Rules in evaluation order
+ * @throws {Error} If storage read fails
+ */
+async function loadRules() {
+  try {
+    const { routingRules } = await chrome.storage.local.get(STORAGE_KEYS.RULES);
+    return routingRules || [];
+  } catch (error) {
+    console.error('Failed to load rules:', error);
+    throw new Error(`Failed to load routing rules: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the routing rule list
+ * Order is significant: the first matching rule wins.
+ * @param {RoutingRule[]} rules - Rules in evaluation order
+ * @returns {Promise<RoutingRule[]>} The saved rules
+ * @throws {Error} If any rule is invalid, references an unknown chain, or storage write fails
+ */
+async function saveRules(rules) {
+  try {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+
+    const chains = await loadChains();
+    const ids = new Set();
+
+    rules.forEach((rule, index) => {
+      try {
+        validateRule(rule);
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+
+      if (ids.has(rule.id)) {
+        throw new Error(`Rule ${index + 1}: duplicate id '${rule.id}'`);
+      }
+      ids.add(rule.id);
+
+      if (rule.action === 'chain' && !chains.some(c => c.id === rule.chainId)) {
+        throw new Error(`Rule ${index + 1}: chain with ID '${rule.chainId}' not found`);
+      }
+    });
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.RULES]: rules
+    });
+
+    return rules;
+  } catch (error) {
+    console.error('Failed to save rules:', error);
+    throw new Error(`Failed to save routing rules: ${error.message}`);
+  }
+}
+
+/**
+ * Load the imported PAC script configuration
+ * @returns {Promise<PacConfig|null>} The PAC configuration, or null if none imported
+ * @throws {Error} If storage read fails
+ */
+async function loadPacConfig() {
+  try {
+    const { pacScript } = await chrome.storage.local.get(STORAGE_KEYS.PAC);
+    return pacScript || null;
+  } catch (error) {
+    console.error('Failed to load PAC script:', error);
+    throw new Error(`Failed to load PAC script: ${error.message}`);
+  }
+}
+
+/**
+ * Save an imported PAC script
+ * The script is parsed before saving so syntax errors surface on import.
+ * @param {PacConfig} pacConfig - PAC configuration to save
+ * @returns {Promise<PacConfig>} The saved configuration
+ * @throws {Error} If the script does not parse or storage write fails
+ */
+async function savePacConfig(pacConfig) {
+  try {
+    if (!pacConfig || typeof pacConfig !== 'object') {
+      throw new Error('PAC configuration must be an object');
+    }
+
+    if (typeof pacConfig.enabled !== 'boolean') {
+      throw new Error('PAC enabled must be a boolean');
+    }
+
+    await new PacScript(pacConfig.source).initialize();
+
+    const saved = {
+      source: pacConfig.source,
+      enabled: pacConfig.enabled,
+      name: pacConfig.name || '',
+      updatedAt: pacConfig.updatedAt || Date.now()
+    };
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.PAC]: saved
+    });
+
+    return saved;
+  } catch (error) {
+    console.error('Failed to save PAC script:', error);
+    throw new Error(`Failed to save PAC script: ${error.message}`);
+  }
+}
+
+/**
+ * Remove the imported PAC script
+ * @returns {Promise<void>}
+ * @throws {Error} If storage operation fails
+ */
+async function clearPacConfig() {
+  try {
+    await chrome.storage.local.remove(STORAGE_KEYS.PAC);
+  } catch (error) {
+    console.error('Failed to clear PAC script:', error);
+    throw new Error(`Failed to clear PAC script: ${error.message}`);
+  }
+}
+
+/**
+ * Load the health monitor settings
+ * @returns {Promise<HealthConfig>} Saved settings, or the defaults
+ * @throws {Error} If storage read fails
+ */
+async function loadHealthConfig() {
+  try {
+    const { healthMonitor } = await chrome.storage.local.get(STORAGE_KEYS.HEALTH);
+    return { ...DEFAULT_HEALTH_CONFIG, ...healthMonitor };
+  } catch (error) {
+    console.error('Failed to load health monitor settings:', error);
+    throw new Error(`Failed to load health monitor settings: ${error.message}`);
+  }
+}
+
+/**
+ * Save the health monitor settings
+ * @param {HealthConfig} healthConfig - Settings to save
+ * @returns {Promise<HealthConfig>} The saved settings
+ * @throws {Error} If the settings are invalid or storage write fails
+ */
+async function saveHealthConfig(healthConfig) {
+  try {
+    if (!healthConfig || typeof healthConfig !== 'object') {
+      throw new Error('Health monitor settings must be an object');
+    }
+
+    if (typeof healthConfig.enabled !== 'boolean') {
+      throw new Error('Health monitor enabled must be a boolean');
+    }
+
+    if (!Number.isInteger(healthConfig.intervalMinutes) || healthConfig.intervalMinutes < 1 || healthConfig.intervalMinutes > 1440) {
+      throw new Error('Health check interval must be between 1 and 1440 minutes');
+    }
+
+    if (typeof healthConfig.targetHost !== 'string' || !healthConfig.targetHost.trim()) {
+      throw new Error('Health check target host must be a non-empty string');
+    }
+
+    if (!Number.isInteger(healthConfig.targetPort) || healthConfig.targetPort < 1 || healthConfig.targetPort > 65535) {
+      throw new Error('Health check target port must be an integer between 1 and 65535');
+    }
+
+    const saved = {
+      enabled: healthConfig.enabled,
+      intervalMinutes: healthConfig.intervalMinutes,
+      targetHost: healthConfig.targetHost.trim(),
+      targetPort: healthConfig.targetPort
+    };
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.HEALTH]: saved
+    });
+
+    return saved;
+  } catch (error) {
+    console.error('Failed to save health monitor settings:', error);
+    throw new Error(`Failed to save health monitor settings: ${error.message}`);
+  }
+}
+
+/**
+ * Load the connection test targets
+ * @returns {Promise<string[]>} Targets, host:port or http(s) URLs (see connectionTest.js)
+ * @throws {Error} If storage read fails
+ */
+async function loadTestTargets() {
+  try {
+    const { testTargets } = await chrome.storage.local.get(STORAGE_KEYS.TEST_TARGETS);
+    return testTargets || [...DEFAULT_TEST_TARGETS];
+  } catch (error) {
+    console.error('Failed to load test targets:', error);
+    throw new Error(`Failed to load test targets: ${error.message}`);
+  }
+}
+
+/**
+ * Save the connection test targets
+ * @param {string[]} targets - host:port or http(s) URLs
+ * @returns {Promise<string[]>} The saved targets, normalized
+ * @throws {Error} If a target is invalid or storage write fails
+ */
+async function saveTestTargets(targets) {
+  try {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('At least one test target is required');
+    }
+
+    const saved = targets.map(target => parseTestTarget(target).target);
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.TEST_TARGETS]: saved
+    });
+
+    return saved;
+  } catch (error) {
+    console.error('Failed to save test targets:', error);
+    throw new Error(`Failed to save test targets: ${error.message}`);
+  }
+}
+
+/**
+ * Load the IP echo endpoint of the exit check
+ * @returns {Promise<string>} http:// URL
+ * @throws {Error} If storage read fails
+ */
+async function loadExitCheckEndpoint() {
+  try {
+    const { exitCheckEndpoint } = await chrome.storage.local.get(STORAGE_KEYS.EXIT_CHECK);
+    return exitCheckEndpoint || DEFAULT_EXIT_CHECK_ENDPOINT;
+  } catch (error) {
+    console.error('Failed to load exit check endpoint:', error);
+    throw new Error(`Failed to load exit check endpoint: ${error.message}`);
+  }
+}
+
+/**
+ * Save the IP echo endpoint of the exit check
+ * @param {string} endpoint - http:// URL answering with the caller's address
+ * @returns {Promise<string>} The saved URL, normalized
+ * @throws {Error} If the URL is invalid or storage write fails
+ */
+async function saveExitCheckEndpoint(endpoint) {
+  try {
+    const target = parseTestTarget(endpoint);
+    if (target.type !== 'http') {
+      throw new Error('IP echo endpoint must be an http:// URL');
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.EXIT_CHECK]: target.target
+    });
+
+    return target.target;
+  } catch (error) {
+    console.error('Failed to save exit check endpoint:', error);
+    throw new Error(`Failed to save exit check endpoint: ${error.message}`);
+  }
+}
+
+/**
+ * Load the DNS-over-HTTPS server that chains resolve hostnames with
+ * @returns {Promise<Object|null>} { url, pins }, or null when none is set
+ * @throws {Error} If storage read fails
+ */
+async function loadDohServer() {
+  try {
+    const { dohServer } = await chrome.storage.local.get(STORAGE_KEYS.DOH);
+    return dohServer || null;
+  } catch (error) {
+    console.error('Failed to load DoH server:', error);
+    throw new Error(`Failed to load DoH server: ${error.message}`);
+  }
+}
+
+/**
+ * Save the DNS-over-HTTPS server
+ * @param {Object|null} server - { url, pins }: an https:// URL with the public key pins
+ *   of its certificate chain, or an http:// one; null or an empty URL removes it
+ * @returns {Promise<Object|null>} The saved server, URL normalized
+ * @throws {Error} If the server is invalid or storage write fails
+ */
+async function saveDohServer(server) {
+  try {
+    if (!server || !server.url) {
+      await chrome.storage.local.remove(STORAGE_KEYS.DOH);
+      return null;
+    }
+
+    const target = parseTestTarget(server.url);
+    if (target.type === 'tcp') {
+      throw new Error('DoH server must be an http:// or https:// URL');
+    }
+    const pins = server.pins || [];
+    const invalid = pins.find(pin => !isValidPin(pin));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid TLS pin: ${invalid} (expected sha256/<base64 SHA-256 of the public key>)`);
+    }
+    if (target.type === 'https' && pins.length === 0) {
+      throw new Error('An https:// DoH server needs the TLS pin of its key or CA');
+    }
+
+    const saved = { url: target.target, pins };
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.DOH]: saved
+    });
+
+    return saved;
+  } catch (error) {
+    console.error('Failed to save DoH server:', error);
+    throw new Error(`Failed to save DoH server: ${error.message}`);
+  }
+}
+
 /**
  * Get extension settings
  * @returns {Promise<Settings>} Current settings
@@ -432,6 +1064,25 @@ export {
   saveChain,
   deleteChain,
   findChainById,
+  importChains,
+  // Routing rule operations
+  loadRules,
+  saveRules,
+  // PAC script operations
+  loadPacConfig,
+  savePacConfig,
+  clearPacConfig,
+  // Health monitor operations
+  loadHealthConfig,
+  saveHealthConfig,
+  // Connection test operations
+  loadTestTargets,
+  saveTestTargets,
+  loadExitCheckEndpoint,
+  saveExitCheckEndpoint,
+  // DNS-over-HTTPS operations
+  loadDohServer,
+  saveDohServer,
   // Settings operations
   getSettings,
   setSettings,
@@ -442,6 +1093,12 @@ export {
   isExtensionEnabled,
   setExtensionEnabled,
   // Validation helpers
+  HOP_SELECTION_POLICIES,
+  CHAIN_MODES,
+  DNS_POLICIES,
   validateProxy,
-  validateChain
+  validateHop,
+  validateChain,
+  listChainProxies,
+  validateRule
 };
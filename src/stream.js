@@ -0,0 +1,474 @@
+/**
+ * Buffered byte stream between hops
+ *
+ * Every hop of a chain is carried over a SocketStream, whether the layer
+ * below is a raw TCP socket or a tunnel (TLS, SSH channel, WebSocket, ...).
+ * Protocol handlers read their replies with readExactly() and readUntil();
+ * bytes they do not consume stay buffered and go to the next reader, or to
+ * 'data' listeners once someone listens, so data that arrives in the same
+ * chunk as a reply is never dropped between hops.
+ *
+ * The stream is itself a socket (write, close, isConnected, getInfo and the
+ * 'data', 'error', 'opened', 'closed' events), so it can be handed to the
+ * next handler or wrapped by a tunnel like any other socket.
+ */
+
+import { EventEmitter } from './events.js';
+
+/**
+ * Buffered bytes at which the transport is paused, if it can be
+ */
+const DEFAULT_HIGH_WATER_MARK = 256 * 1024;
+
+/**
+ * Stream created for each socket, so helpers that call SocketStream.from()
+ * on the same socket share one buffer
+ */
+const streams = new WeakMap();
+
+/**
+ * Find a byte sequence in a buffer
+ * @param {Uint8Array} buffer - Buffer to search
+ * @param {Uint8Array} sequence - Bytes to find
+ * @param {number} [start=0] - Index to start searching from
+ * @returns {number} Index of the first match, or -1
+ */
+function indexOfBytes(buffer, sequence, start = 0) {
+  outer:
+  for (let i = start; i <= buffer.length - sequence.length; i++) {
+    for (let j = 0; j < sequence.length; j++) {
+      if (buffer[i + j] !== sequence[j]) {
+        continue outer;
+      }
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Buffered reader and ordered writer over a socket
+ *
+ * Data is delivered in one of two ways. While a read is pending, incoming
+ * bytes only go to the reader. Otherwise they are emitted as 'data' events
+ * if anyone listens and the stream is not paused, and buffered if not.
+ * 'closed' is emitted once the peer has closed and every buffered byte has
+ * been delivered.
+ */
+export class SocketStream extends EventEmitter {
+  /**
+   * @param {Object} socket - Socket or tunnel to read from and write to
+   * @param {Object} [options]
+   * @param {number} [options.highWaterMark] - Buffered bytes at which the
+   *   transport is paused (only transports with pause()/resume())
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+    this.connected = true;
+
+    this._chunks = [];
+    this._buffered = 0;
+    this._waiters = [];
+    this._reading = 0;
+    this._paused = false;
+    this._transportPaused = false;
+    this._flushTimer = null;
+    this._ended = false;
+    this._error = null;
+    this._closeEmitted = false;
+    this._writeQueue = Promise.resolve();
+    this._writableEnded = false;
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._peerClosed();
+    this._onError = (error) => {
+      this._error = error;
+      this._wake();
+      this._emit('error', error);
+    };
+
+    socket.addEventListener('data', this._onData);
+    socket.addEventListener('closed', this._onClosed);
+    socket.addEventListener('error', this._onError);
+
+    streams.set(socket, this);
+  }
+
+  /**
+   * Get the stream for a socket, creating it on first use
+   * @param {Object} socket - Socket, tunnel or SocketStream
+   * @returns {SocketStream}
+   */
+  static from(socket) {
+    if (socket instanceof SocketStream) {
+      return socket;
+    }
+    return streams.get(socket) || new SocketStream(socket);
+  }
+
+  /**
+   * Number of bytes received but not yet read or emitted
+   * @returns {number}
+   */
+  get buffered() {
+    return this._buffered;
+  }
+
+  /**
+   * Read whatever is buffered, waiting for data if there is none
+   * @returns {Promise<Uint8Array|null>} Data, or null once the peer has closed
+   * @throws {Error} If the socket fails
+   */
+  async read() {
+    await this._waitFor(() => this._buffered > 0 || this._ended, 'reading');
+    return this._buffered > 0 ? this._take(this._buffered) : null;
+  }
+
+  /**
+   * Read exactly length bytes
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Uint8Array>}
+   * @throws {Error} If the connection closes or fails first
+   */
+  async readExactly(length) {
+    await this._waitFor(() => this._buffered >= length,
+      () => `reading ${length} bytes (${this._buffered} received)`);
+    return this._take(length);
+  }
+
+  /**
+   * Read up to and including a delimiter
+   * @param {Uint8Array|string} delimiter - Byte sequence ending the read
+   * @param {number} maxLength - Maximum bytes to buffer before giving up
+   * @returns {Promise<Uint8Array>} Bytes including the delimiter
+   * @throws {Error} If the delimiter does not arrive within maxLength bytes,
+   *   or the connection closes or fails first
+   */
+  async readUntil(delimiter, maxLength) {
+    const sequence = typeof delimiter === 'string' ? new TextEncoder().encode(delimiter) : delimiter;
+    let searched = 0;
+    let index = -1;
+
+    await this._waitFor(() => {
+      const buffer = this._peek();
+      index = indexOfBytes(buffer, sequence, searched);
+      if (index === -1) {
+        if (buffer.length > maxLength) {
+          throw new Error(`No delimiter within ${maxLength} bytes`);
+        }
+        searched = Math.max(0, buffer.length - sequence.length + 1);
+      }
+      return index !== -1;
+    }, 'waiting for a delimiter');
+
+    return this._take(index + sequence.length);
+  }
+
+  /**
+   * Put bytes back in front of the buffer, to be read again
+   * @param {Uint8Array} data - Bytes to push back
+   */
+  unread(data) {
+    if (data.length === 0) {
+      return;
+    }
+    this._chunks.unshift(new Uint8Array(data));
+    this._buffered += data.length;
+    this._wake();
+    this._scheduleFlush();
+  }
+
+  /**
+   * Write data after any writes still in progress
+   *
+   * Resolves once the transport has taken the data, so a writer that waits
+   * for each write goes no faster than the connection.
+   *
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Socket not connected'));
+    }
+    if (this._writableEnded) {
+      return Promise.reject(new Error('Write after end'));
+    }
+
+    const task = this._writeQueue.then(() => this.socket.write(data));
+    this._writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Finish writing but keep reading (half-close)
+   *
+   * Transports with an end() method are told once pending writes are done;
+   * on others no more data is sent and the connection stays open until the
+   * peer closes it. If the peer has already finished, the stream closes.
+   *
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (this._writableEnded) {
+      return;
+    }
+    this._writableEnded = true;
+
+    await this._writeQueue;
+    if (typeof this.socket.end === 'function') {
+      await this.socket.end();
+    }
+
+    if (this._ended) {
+      this.close();
+    }
+  }
+
+  /**
+   * Stop emitting 'data' events; incoming data is buffered
+   */
+  pause() {
+    this._paused = true;
+  }
+
+  /**
+   * Emit buffered data and continue emitting 'data' events
+   */
+  resume() {
+    this._paused = false;
+    this._flush();
+  }
+
+  /**
+   * Close the stream and the socket below it
+   */
+  close() {
+    if (!this.connected && this._closeEmitted) {
+      return;
+    }
+
+    this.connected = false;
+    this._chunks = [];
+    this._buffered = 0;
+    clearTimeout(this._flushTimer);
+    this._detach();
+    this.socket.close();
+    this._wake();
+    this._emitClosed();
+  }
+
+  /**
+   * Close the stream, failing pending and later reads with an error
+   * @param {Error} error - Error for the readers
+   */
+  destroy(error) {
+    this._error = error;
+    this.close();
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name ('data', 'error', 'opened', 'closed')
+   * @param {Function} handler - Event handler function
+   */
+  addEventListener(event, handler) {
+    super.addEventListener(event, handler);
+
+    // Hand over whatever earlier readers left behind
+    if (event === 'data') {
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected && (typeof this.socket.isConnected !== 'function' || this.socket.isConnected());
+  }
+
+  /**
+   * Get socket information from the transport
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return typeof this.socket.getInfo === 'function' ? this.socket.getInfo() : {};
+  }
+
+  /**
+   * @private
+   */
+  _receive(chunk) {
+    const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    if (data.length === 0) {
+      return;
+    }
+
+    if (this._buffered === 0 && this._isFlowing()) {
+      this._emit('data', data);
+      return;
+    }
+
+    this._chunks.push(data);
+    this._buffered += data.length;
+    this._wake();
+    this._flush();
+    this._updateTransport();
+  }
+
+  /**
+   * @private
+   */
+  _peerClosed() {
+    this._ended = true;
+    this._detach();
+    this._wake();
+    this._flush();
+  }
+
+  /**
+   * Whether incoming data goes straight to 'data' listeners
+   * @private
+   */
+  _isFlowing() {
+    const listeners = this.eventListeners.get('data');
+    return !this._paused && this._reading === 0 && Boolean(listeners && listeners.length);
+  }
+
+  /**
+   * Emit buffered data, then 'closed' if the peer has finished
+   * @private
+   */
+  _flush() {
+    if (this._buffered > 0 && this._isFlowing()) {
+      this._emit('data', this._take(this._buffered));
+    }
+    if (this._ended && this._buffered === 0 && this._reading === 0) {
+      this.connected = false;
+      this._emitClosed();
+    }
+  }
+
+  /**
+   * Flush after the current reader has had a chance to issue its next read
+   * @private
+   */
+  _scheduleFlush() {
+    if (this._flushTimer === null) {
+      this._flushTimer = setTimeout(() => {
+        this._flushTimer = null;
+        this._flush();
+      }, 0);
+    }
+  }
+
+  /**
+   * Wait until condition() holds, failing if the connection cannot make it hold
+   * @private
+   * @param {Function} condition - Checked whenever data arrives
+   * @param {string|Function} activity - Description for the error message
+   */
+  async _waitFor(condition, activity) {
+    this._reading++;
+    try {
+      while (!condition()) {
+        if (this._error) {
+          throw this._error;
+        }
+        if (this._ended || !this.connected) {
+          const description = typeof activity === 'function' ? activity() : activity;
+          throw new Error(`Connection closed while ${description}`);
+        }
+        await new Promise(resolve => this._waiters.push(resolve));
+      }
+    } finally {
+      this._reading--;
+      if (this._reading === 0 && (this._buffered > 0 || this._ended)) {
+        this._scheduleFlush();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _wake() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Join the buffered chunks into one, without consuming them
+   * @private
+   */
+  _peek() {
+    if (this._chunks.length > 1) {
+      const joined = new Uint8Array(this._buffered);
+      let offset = 0;
+      for (const chunk of this._chunks) {
+        joined.set(chunk, offset);
+        offset += chunk.length;
+      }
+      this._chunks = [joined];
+    }
+    return this._chunks[0] || new Uint8Array(0);
+  }
+
+  /**
+   * Remove and return the first length buffered bytes
+   * @private
+   */
+  _take(length) {
+    const buffer = this._peek();
+    const result = buffer.slice(0, length);
+    this._chunks = length < buffer.length ? [buffer.subarray(length)] : [];
+    this._buffered -= length;
+    this._updateTransport();
+    return result;
+  }
+
+  /**
+   * Pause the transport while too much is buffered
+   * @private
+   */
+  _updateTransport() {
+    const pause = this._buffered >= this.highWaterMark;
+    if (pause === this._transportPaused) {
+      return;
+    }
+    if (pause ? typeof this.socket.pause === 'function' : typeof this.socket.resume === 'function') {
+      this._transportPaused = pause;
+      if (pause) {
+        this.socket.pause();
+      } else {
+        this.socket.resume();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _detach() {
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+  }
+
+  /**
+   * @private
+   */
+  _emitClosed() {
+    if (!this._closeEmitted) {
+      this._closeEmitted = true;
+      this._emit('closed');
+    }
+  }
+}
+
+export default SocketStream;
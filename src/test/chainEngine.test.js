@@ -5,7 +5,11 @@
  * and can be used for manual testing during development
  */
 
-import { ProxyChainEngine } from '../chainEngine.js';
+import { ProxyChainEngine, TimeoutError, classifyError } from '../chainEngine.js';
+import { registerProtocol, unregisterProtocol } from '../protocols.js';
+import { SocketStream } from '../stream.js';
+import { SOCKS4Protocol } from '../socks4.js';
+import { check } from './helpers.js';
 
 /**
  * Test proxy chain configurations
@@ -168,6 +172,391 @@ async function testProtocolHandlers() {
   }
 }
 
+/**
+ * Test step deadlines and cancellation against a proxy that never answers
+ */
+async function testTimeouts() {
+  console.log('\n=== Testing Timeouts ===');
+  let failures = 0;
+
+  // Stand-in proxy: accepts the connection, reads the request, never replies
+  const sockets = [];
+  registerProtocol({
+    type: 'silent',
+    name: 'Silent',
+    defaultPort: 9000,
+    fields: [],
+    capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: [] },
+    createHandler: () => ({
+      connect: async (address, port, socket) => {
+        await SocketStream.from(socket).readExactly(2);
+        return { success: true };
+      }
+    })
+  });
+
+  const engine = new ProxyChainEngine({ connectionTimeout: 50, totalTimeout: 1000, enableLogging: false, maxRetries: 0 });
+  engine._createDirectConnection = async () => {
+    const socket = {
+      closed: false,
+      addEventListener() {},
+      removeEventListener() {},
+      async write() {},
+      close() {
+        this.closed = true;
+      }
+    };
+    sockets.push(socket);
+    return new SocketStream(socket);
+  };
+
+  const chain = { id: 'silent', name: 'Silent', proxies: [{ address: '192.0.2.1', port: 9000, type: 'silent' }] };
+
+  try {
+    const started = Date.now();
+    try {
+      await engine.buildChain(chain, 'target.test', 80);
+      failures += check('A silent hop times out', false);
+    } catch (error) {
+      const failed = error.connectionInfo.steps[error.connectionInfo.steps.length - 1];
+      failures += check(`A silent hop times out (${error.message})`, error instanceof TimeoutError && Date.now() - started < 500);
+      failures += check('The timed-out step is reported', failed.step === 1 && failed.type === 'proxy_to_target' &&
+        !failed.success && failed.timedOut);
+      failures += check('The partial socket is closed', sockets[0].closed && engine.getStats().activeConnections === 0);
+    }
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('Cancelled by caller')), 10);
+    try {
+      await engine.buildChain(chain, 'target.test', 80, { signal: controller.signal });
+      failures += check('A build can be cancelled', false);
+    } catch (error) {
+      failures += check(`A build can be cancelled (${error.message})`, !(error instanceof TimeoutError) &&
+        error.cause.message === 'Cancelled by caller' && sockets[1].closed);
+    }
+  } finally {
+    unregisterProtocol('silent');
+  }
+
+  return failures;
+}
+
+/**
+ * Test that retries start over on a fresh connection and follow the policy
+ */
+async function testRetries() {
+  console.log('\n=== Testing Retries ===');
+  let failures = 0;
+
+  failures += check('Errors are classified', [
+    classifyError(new Error('Authentication failed: invalid username or password')),
+    classifyError(new Error('CONNECT request failed: Connection refused (code: 5)')),
+    classifyError(new Error('Connection closed while reading 2 bytes (0 received)')),
+    classifyError(new TimeoutError('Step timed out')),
+    classifyError(new Error('Invalid response version: 4'))
+  ].join() === 'auth,refused,network,timeout,protocol');
+
+  // Stand-in proxy: drops the first connection mid-reply, answers the second
+  const sockets = [];
+  const used = [];
+  registerProtocol({
+    type: 'flaky',
+    name: 'Flaky',
+    defaultPort: 9000,
+    fields: [],
+    capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: [] },
+    createHandler: (proxy) => ({
+      connect: async (address, port, socket) => {
+        used.push(socket);
+        if (proxy.reject) {
+          throw new Error('Authentication failed: invalid username or password');
+        }
+        if (used.length === 1) {
+          throw new Error('Connection closed while reading 2 bytes (1 received)');
+        }
+        return { success: true };
+      }
+    })
+  });
+
+  const engine = new ProxyChainEngine({ enableLogging: false, retryDelay: 5, retryJitter: 0.5 });
+  engine._createDirectConnection = async () => {
+    const socket = {
+      closed: false,
+      addEventListener() {},
+      removeEventListener() {},
+      async write() {},
+      close() {
+        this.closed = true;
+      }
+    };
+    sockets.push(socket);
+    return new SocketStream(socket);
+  };
+
+  try {
+    const proxy = { address: '192.0.2.1', port: 9000, type: 'flaky' };
+    const result = await engine.buildChain({ id: 'flaky', name: 'Flaky', proxies: [proxy] }, 'target.test', 80);
+    const step = result.connectionInfo.steps[1];
+    failures += check('A dropped connection is retried on a new one',
+      used.length === 2 && used[1] !== used[0] && sockets[0].closed && !sockets[1].closed);
+    failures += check('The failed attempt is recorded', step.success && step.attempts.length === 1 &&
+      step.attempts[0].errorClass === 'network' && step.attempts[0].delay >= 2 && step.attempts[0].delay <= 5);
+    engine.releaseConnection(result.socket);
+
+    used.length = 0;
+    try {
+      await engine.buildChain({ id: 'flaky', name: 'Flaky', proxies: [{ ...proxy, reject: true }] }, 'target.test', 80);
+      failures += check('Authentication failures are not retried', false);
+    } catch (error) {
+      const step = error.connectionInfo.steps[1];
+      failures += check(`Authentication failures are not retried (${error.message})`,
+        used.length === 1 && step.attempts.length === 1 && step.attempts[0].delay === null);
+    }
+  } finally {
+    unregisterProtocol('flaky');
+  }
+
+  return failures;
+}
+
+// Stand-in proxies for failover and chain mode tests: 192.0.2.66 is down, the rest are up
+const dead = { address: '192.0.2.66', port: 9000, type: 'picky' };
+const alive = (n) => ({ address: `192.0.2.${n}`, port: 9000, type: 'picky' });
+
+/**
+ * Register the stand-in protocol and create an engine that reaches the stand-in proxies
+ */
+function createPickyEngine() {
+  registerProtocol({
+    type: 'picky',
+    name: 'Picky',
+    defaultPort: 9000,
+    fields: [],
+    capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: [] },
+    createHandler: () => ({
+      connect: async (address) => {
+        if (address === dead.address) {
+          throw new Error('CONNECT request failed: Connection refused (code: 5)');
+        }
+        return { success: true };
+      }
+    })
+  });
+
+  const engine = new ProxyChainEngine({ enableLogging: false, retryDelay: 5 });
+  engine._createDirectConnection = async (proxy) => {
+    if (proxy.address === dead.address) {
+      throw new Error(`Failed to connect to ${proxy.address}:${proxy.port}: Connection refused`);
+    }
+    return new SocketStream({ addEventListener() {}, removeEventListener() {}, async write() {}, close() {} });
+  };
+  return engine;
+}
+
+/**
+ * Test failover to a hop's alternates
+ */
+async function testFailover() {
+  console.log('\n=== Testing Failover ===');
+  let failures = 0;
+  const engine = createPickyEngine();
+
+  try {
+    const result = await engine.buildChain({ id: 'failover', name: 'Failover', proxies: [
+      { ...dead, alternates: [alive(1)] },
+      { ...dead, alternates: [alive(2)] }
+    ] }, 'target.test', 80);
+    const { steps, failovers } = result.connectionInfo;
+    failures += check('Dead proxies are replaced by their alternates',
+      steps.map(step => step.candidate).join() === '1,1,1' && steps[2].proxy.address === '192.0.2.2');
+    failures += check('Replaced candidates are listed', failovers.map(f => `${f.hop}:${f.errorClass}`).join() === '1:network,2:refused');
+    engine.releaseConnection(result.socket);
+
+    const hop = { ...alive(1), selection: 'round-robin', alternates: [alive(2), alive(3)] };
+    const chain = { id: 'rotating', proxies: [hop] };
+    const firsts = [0, 1, 2, 3].map(() => engine._orderCandidates(chain, hop, 0)[0].index);
+    failures += check('Round robin starts one candidate further each time', firsts.join() === '0,1,2,0');
+  } catch (error) {
+    failures += check(`Failover builds succeed (${error.message})`, false);
+  } finally {
+    unregisterProtocol('picky');
+  }
+
+  return failures;
+}
+
+/**
+ * Test that dynamic chains skip dead hops and random chains pick their hops
+ */
+async function testChainModes() {
+  console.log('\n=== Testing Chain Modes ===');
+  let failures = 0;
+  const engine = createPickyEngine();
+
+  try {
+    const result = await engine.buildChain({ id: 'dynamic', name: 'Dynamic', mode: 'dynamic',
+      proxies: [dead, alive(1), dead, alive(2)] }, 'target.test', 80);
+    const { hops, skipped, steps } = result.connectionInfo;
+    failures += check('Dynamic chains skip dead hops in order', hops.join() === '2,4' &&
+      steps[steps.length - 1].proxy.address === '192.0.2.2');
+    failures += check('Skipped hops are listed', skipped.map(s => `${s.hop}:${s.errorClass}`).join() === '1:network,3:refused');
+    engine.releaseConnection(result.socket);
+
+    try {
+      await engine.buildChain({ id: 'strict', name: 'Strict', proxies: [alive(1), dead, alive(2)] }, 'target.test', 80);
+      failures += check('Strict chains fail at a dead hop', false);
+    } catch (error) {
+      failures += check(`Strict chains fail at a dead hop (${error.message})`, error.connectionInfo.skipped.length === 0);
+    }
+
+    const pool = { id: 'random', name: 'Random', mode: 'random', chainLength: 2, proxies: [1, 2, 3, 4].map(alive) };
+    const routes = new Set();
+    for (let i = 0; i < 20; i++) {
+      const { socket, connectionInfo } = await engine.buildChain(pool, 'target.test', 80);
+      routes.add(connectionInfo.hops.join());
+      engine.releaseConnection(socket);
+    }
+    failures += check(`Random chains vary their hops (${routes.size} routes)`,
+      routes.size > 1 && [...routes].every(route => route.split(',').length === 2));
+  } catch (error) {
+    failures += check(`Chain mode builds succeed (${error.message})`, false);
+  } finally {
+    unregisterProtocol('picky');
+  }
+
+  return failures;
+}
+
+/**
+ * Test which hops are given hostnames under each DNS policy
+ */
+async function testDnsPolicy() {
+  console.log('\n=== Testing DNS Policy ===');
+  let failures = 0;
+
+  // Stand-in proxy that records the address it is asked for
+  const asked = [];
+  const lookups = [];
+  registerProtocol({
+    type: 'named',
+    name: 'named',
+    defaultPort: 9000,
+    fields: [],
+    capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: [] },
+    createHandler: () => ({
+      connect: async (address) => {
+        asked.push(address);
+        return { success: true };
+      }
+    })
+  });
+
+  const hostResolver = async (hostname) => {
+    lookups.push(hostname);
+    return hostname === 'target.test' ? ['2001:db8::80', '198.51.100.80'] : ['198.51.100.2'];
+  };
+  // Stand-in DoH resolver; answers null, as without a server, until one is set
+  let dohServer = null;
+  const dohResolver = async (hostname) => {
+    lookups.push(`doh:${hostname}`);
+    return dohServer && ['203.0.113.80'];
+  };
+  const engine = new ProxyChainEngine({ enableLogging: false, hostResolver, dohResolver });
+  const unresolved = new ProxyChainEngine({ enableLogging: false });
+  // Socket that answers SOCKS4 requests and records their target, so the real SOCKS4 handlers can run
+  const socks4Server = () => {
+    const listeners = new Map();
+    return {
+      addEventListener(event, handler) { listeners.set(event, handler); },
+      removeEventListener() {},
+      async write(data) {
+        // VN CD DSTPORT DSTIP USERID NUL, then the hostname for a SOCKS4a address 0.0.0.x
+        const request = new Uint8Array(data);
+        const strings = new TextDecoder().decode(request.subarray(8)).split('\0');
+        asked.push(request[4] === 0 && request[5] === 0 && request[6] === 0 ? strings[1] : request.subarray(4, 8).join('.'));
+        setTimeout(() => listeners.get('data')?.(new Uint8Array([0, 0x5A, 0, 0, 0, 0, 0, 0])));
+      },
+      close() {}
+    };
+  };
+  for (const instance of [engine, unresolved]) {
+    instance._createDirectConnection = async () => new SocketStream(socks4Server());
+  }
+
+  const named = { address: 'hop.test', port: 9000, type: 'named' };
+  const socks4 = { address: 'hop.test', port: 1080, type: 'socks4' };
+  const socks4a = { ...socks4, type: 'socks4a' };
+  const build = async (proxies, dns) => {
+    asked.length = 0;
+    lookups.length = 0;
+    const { socket, connectionInfo } = await engine.buildChain({ id: 'dns', name: 'DNS', dns, proxies }, 'target.test', 80);
+    engine.releaseConnection(socket);
+    return connectionInfo;
+  };
+
+  try {
+    const remote = await build([named, named]);
+    failures += check('Remote policy gives the hops hostnames',
+      asked.join() === 'hop.test,target.test' && lookups.length === 0 && remote.dns === 'remote');
+
+    const local = await build([named, named], 'local');
+    failures += check('Local policy gives the hops addresses, IPv4 first',
+      asked.join() === '198.51.100.2,198.51.100.80' && local.steps[2].resolved === '198.51.100.80' && !local.steps[0].resolved);
+
+    await build([named, socks4]);
+    failures += check('A plain SOCKS4 hop gets an address, locally without a DoH server',
+      asked.join() === 'hop.test,198.51.100.80' && lookups.join() === 'doh:target.test,target.test');
+
+    await build([named, socks4a]);
+    failures += check('Remote policy gives a SOCKS4a hop the hostname', asked.join() === 'hop.test,target.test' && lookups.length === 0);
+
+    await build([named, socks4a], 'local');
+    failures += check('Local policy gives a SOCKS4a hop an address', asked.join() === '198.51.100.2,198.51.100.80');
+
+    await build([socks4, named]);
+    failures += check('A plain SOCKS4 hop gets the next hop as an address',
+      asked.join() === '198.51.100.2,target.test' && lookups.join() === 'doh:hop.test,hop.test');
+
+    dohServer = 'doh.test';
+    await build([named, socks4]);
+    failures += check('A plain SOCKS4 hop gets an address over DoH', asked.join() === 'hop.test,203.0.113.80');
+
+    await build([named, named], 'doh');
+    failures += check('DoH policy resolves every name over DoH',
+      asked.join() === '203.0.113.80,203.0.113.80' && lookups.join() === 'doh:hop.test,doh:target.test');
+
+    dohServer = null;
+    try {
+      await build([named], 'doh');
+      failures += check('DoH policy needs a DoH server', false);
+    } catch (error) {
+      failures += check(`DoH policy needs a DoH server (${error.message})`, /no DNS-over-HTTPS server/.test(error.message) &&
+        !lookups.includes('target.test'));
+    }
+
+    try {
+      await unresolved.buildChain({ id: 'dns', name: 'DNS', dns: 'local', proxies: [named] }, 'target.test', 80);
+      failures += check('Local policy needs a host resolver', false);
+    } catch (error) {
+      failures += check(`Local policy needs a host resolver (${error.message})`, /no host resolver/.test(error.message));
+    }
+  } catch (error) {
+    failures += check(`DNS policy builds succeed (${error.message})`, false);
+  } finally {
+    unregisterProtocol('named');
+  }
+
+  try {
+    await new SOCKS4Protocol({ socks4a: false }).connect('target.test', 80, socks4Server());
+    failures += check('Plain SOCKS4 refuses hostnames', false);
+  } catch (error) {
+    failures += check(`Plain SOCKS4 refuses hostnames (${error.message})`, /Plain SOCKS4 cannot connect/.test(error.message));
+  }
+
+  return failures;
+}
+
 /**
  * Run all tests
  */
@@ -175,17 +564,23 @@ async function runTests() {
   try {
     await testChainEngine();
     await testProtocolHandlers();
-    console.log('\n=== Test completed ===');
+    const failures = await testTimeouts() + await testRetries() + await testFailover() + await testChainModes() +
+      await testDnsPolicy();
+    console.log(`\n=== Test completed: ${failures} failure(s) in timeout, retry, failover, chain mode and DNS policy tests ===`);
+    return failures;
   } catch (error) {
     console.error('Test suite failed:', error);
+    return 1;
   }
 }
 
 // Export for use in other modules
-export { testChainEngine, testProtocolHandlers, runTests };
+export { testChainEngine, testProtocolHandlers, testTimeouts, testRetries, testFailover, testChainModes, testDnsPolicy, runTests };
 
 // Run tests if this script is executed directly
 if (typeof window === 'undefined' && typeof global !== 'undefined') {
   // Node.js environment
-  runTests().catch(console.error);
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
 }
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Test script for end-to-end connection tests
+ *
+ * Builds chains with a stand-in engine whose sockets answer like the
+ * target would, so no proxies or servers are needed
+ */
+
+import { parseTestTarget, runConnectionTest, hopTimings } from '../connectionTest.js';
+import { renderTestResults } from '../options/render.js';
+import { check, createFakeSocket } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Stand-in engine: a two-hop build whose tunnel answers with reply(data)
+ */
+function createFakeEngine(reply) {
+  return {
+    released: [],
+    async buildChain(chain, targetAddress, targetPort) {
+      this.target = `${targetAddress}:${targetPort}`;
+      const proxy = (port) => ({ type: 'socks5', address: 'proxy.test', port });
+      return {
+        socket: createFakeSocket({ reply }),
+        connectionInfo: {
+          startTime: 1000,
+          hops: [1, 3],
+          steps: [
+            { step: 1, type: 'direct', proxy: proxy(1), candidate: 0, success: true, timestamp: 1010 },
+            { step: 1, type: 'proxy_to_proxy', proxy: proxy(1), candidate: 0, success: true, timestamp: 1030 },
+            { step: 2, type: 'proxy_to_target', proxy: proxy(3), candidate: 1, success: true, timestamp: 1060 }
+          ]
+        }
+      };
+    },
+    releaseConnection(socket) {
+      this.released.push(socket);
+    }
+  };
+}
+
+/**
+ * Test target parsing
+ */
+async function testTargets() {
+  console.log('=== Testing Test Targets ===');
+  let failures = 0;
+
+  const http = parseTestTarget(' http://example.com:8080/status?full=1 ');
+  failures += check('HTTP URL keeps port, path and Host header',
+    http.type === 'http' && http.host === 'example.com' && http.port === 8080 &&
+    http.path === '/status?full=1' && http.hostHeader === 'example.com:8080');
+
+  const https = parseTestTarget('https://[2001:db8::1]/');
+  failures += check('HTTPS URL defaults to 443 and unwraps IPv6', https.type === 'https' && https.host === '2001:db8::1' && https.port === 443);
+
+  const tcp = parseTestTarget('[::1]:7');
+  failures += check('host:port targets accept IPv6', tcp.type === 'tcp' && tcp.host === '::1' && tcp.port === 7);
+
+  for (const invalid of ['example.com', 'ftp://example.com/', 'example.com:70000', '']) {
+    try {
+      parseTestTarget(invalid);
+      failures += check(`Rejects '${invalid}'`, false);
+    } catch (error) {
+      failures += check(`Rejects '${invalid}' (${error.message})`, true);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Test requests, replies and hop timing
+ */
+async function testRuns() {
+  console.log('\n=== Testing Connection Tests ===');
+  let failures = 0;
+
+  const web = createFakeEngine(() => encode('HTTP/1.1 204 No Content\r\nContent-Length: 0\r\n\r\n'));
+  const result = await runConnectionTest(web, {}, 'http://example.com/ping');
+  const request = decode(result.success ? web.released[0].sent[0] : new Uint8Array());
+  failures += check('HTTP target gets a GET and its status', result.success && result.response === 'HTTP 204 No Content' &&
+    request.startsWith('GET /ping HTTP/1.1\r\nHost: example.com\r\n') && web.target === 'example.com:80');
+  failures += check('Tunnel is released after the test', web.released.length === 1);
+  failures += check('Hops are timed from the previous step',
+    result.hops.map(hop => `${hop.hop}:${hop.duration}`).join() === '1:10,1:20,3:30');
+
+  // A TLS server's answer starts with a handshake record holding a ServerHello
+  const tls = createFakeEngine(data => data[0] === 22 && data[5] === 1 ? new Uint8Array([22, 3, 3, 0, 4, 2, 0, 0, 0]) : null);
+  const secure = await runConnectionTest(tls, {}, 'https://example.com/');
+  failures += check('HTTPS target answers a ClientHello with a ServerHello', secure.success && secure.response === 'TLS ServerHello');
+  const hello = tls.released[0].sent[0];
+  failures += check('ClientHello names the server', decode(hello).includes('example.com'));
+
+  const echo = await runConnectionTest(createFakeEngine(data => data), {}, '127.0.0.1:7');
+  failures += check('host:port target accepts any reply', echo.success && /^\d+ bytes$/.test(echo.response));
+
+  const wrong = await runConnectionTest(createFakeEngine(() => encode('SSH-2.0-OpenSSH\r\n')), {}, 'https://example.com/');
+  failures += check('Non-TLS reply fails an HTTPS target', !wrong.success && /ServerHello/.test(wrong.error));
+
+  const silent = await runConnectionTest(createFakeEngine(() => null), {}, 'http://example.com/', { timeout: 20 });
+  failures += check(`Silent target times out (${silent.error})`, !silent.success && /No response/.test(silent.error));
+
+  const down = {
+    async buildChain() {
+      const error = new Error('Chain connection failed at step 1: refused');
+      error.connectionInfo = { startTime: 0, hops: [1], steps: [{ step: 1, type: 'direct', proxy: { type: 'http', address: 'a', port: 1 }, success: false, timestamp: 5 }] };
+      throw error;
+    }
+  };
+  const failed = await runConnectionTest(down, {}, 'http://example.com/');
+  failures += check('Failed build keeps the failing step', !failed.success && failed.hops.length === 1 && !failed.hops[0].success);
+  failures += check('No steps without connection info', hopTimings(null).length === 0);
+
+  const rendered = renderTestResults([{ ...failed, target: 'http://<b>.test/' }]);
+  failures += check('Rendered results are escaped', rendered.includes('&#60;b&#62;') && !rendered.includes('<b>') &&
+    rendered.includes('class="test-result failed"'));
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testTargets() + await testRuns();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testTargets, testRuns, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
@@ -0,0 +1,226 @@
+/**
+ * Test script for the DNS-over-HTTPS resolver
+ *
+ * Queries go through a stand-in engine whose tunnel answers like a DoH
+ * stub server, from a table of records, so no proxies or servers are needed
+ */
+
+import { RECORD_TYPES, encodeQuery, parseResponse, DohResolver } from '../doh.js';
+import { check } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Encode a DNS response to a query: records are [name, type, ttl, data]
+ * answers, soa is an authority record's [ttl, minimum]
+ */
+function buildResponse(query, { rcode = 0, records = [], soa = null }) {
+  const name = (text) => text.split('.').flatMap(label => [label.length, ...encode(label)]).concat(0);
+  const u16 = (value) => [value >> 8, value & 0xff];
+  const u32 = (value) => [...u16(value >>> 16), ...u16(value & 0xffff)];
+  const question = Array.from(query.subarray(12));
+
+  const rdata = (type, data) => type === RECORD_TYPES.A ? data.split('.').map(Number)
+    : type === RECORD_TYPES.AAAA ? data.split(':').flatMap(group => u16(parseInt(group, 16)))
+    : name(data);
+  const answers = records.flatMap(([owner, type, ttl, data]) => {
+    const bytes = rdata(type, data);
+    return [...name(owner), ...u16(type), ...u16(1), ...u32(ttl), ...u16(bytes.length), ...bytes];
+  });
+  // The SOA's owner points back at the question's name
+  const authority = soa ? (() => {
+    const bytes = [...name('ns.test'), ...name('admin.test'), ...u32(1), ...u32(2), ...u32(3), ...u32(4), ...u32(soa[1])];
+    return [0xc0, 12, ...u16(RECORD_TYPES.SOA), ...u16(1), ...u32(soa[0]), ...u16(bytes.length), ...bytes];
+  })() : [];
+
+  return new Uint8Array([...u16(0), ...u16(0x8180 | rcode), ...u16(1), ...u16(records.length), ...u16(soa ? 1 : 0), ...u16(0),
+    ...question, ...answers, ...authority]);
+}
+
+/**
+ * Stand-in engine: each chain's tunnel answers a DoH GET from zone,
+ * a map of "name type" to response options for buildResponse. onBuild,
+ * if set, is called as each chain is built
+ */
+function createFakeEngine(zone) {
+  return {
+    built: [],
+    queries: [],
+    released: 0,
+    async buildChain(chain, host, port, options = {}) {
+      this.built.push({ chain, target: `${host}:${port}`, signal: options.signal });
+      this.onBuild?.();
+      const engine = this;
+      const listeners = {};
+      const emit = (event, ...args) => (listeners[event] || []).forEach(handler => handler(...args));
+      return {
+        socket: {
+          addEventListener(event, handler) {
+            (listeners[event] = listeners[event] || []).push(handler);
+          },
+          removeEventListener(event, handler) {
+            listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+          },
+          async write(data) {
+            const request = decode(typeof data === 'string' ? encode(data) : data);
+            const dns = request.match(/[?&]dns=([\w-]+)/)[1].replace(/-/g, '+').replace(/_/g, '/');
+            const query = Uint8Array.from(atob(dns), char => char.charCodeAt(0));
+            const qname = [];
+            for (let offset = 12; query[offset]; offset += query[offset] + 1) {
+              qname.push(decode(query.subarray(offset + 1, offset + 1 + query[offset])));
+            }
+            const type = query[query.length - 3];
+            engine.queries.push(`${qname.join('.')} ${type}`);
+
+            const body = buildResponse(query, zone[`${qname.join('.')} ${type}`] || { rcode: 2 });
+            const head = encode(`HTTP/1.1 200 OK\r\nContent-Type: application/dns-message\r\nContent-Length: ${body.length}\r\n\r\n`);
+            setTimeout(() => emit('data', new Uint8Array([...head, ...body])), 1);
+          },
+          pause() {},
+          resume() {},
+          destroy() {},
+          close() {}
+        },
+        connectionInfo: {}
+      };
+    },
+    releaseConnection() {
+      this.released++;
+    }
+  };
+}
+
+/**
+ * Test the wire format
+ */
+async function testMessages() {
+  console.log('=== Testing DNS Messages ===');
+  let failures = 0;
+
+  const query = encodeQuery('www.Example.test.', RECORD_TYPES.AAAA);
+  failures += check('Query has ID 0, RD set and one question',
+    Array.from(query.subarray(0, 6)).join() === '0,0,1,0,0,1' && decode(query.subarray(13, 16)) === 'www' &&
+    query[query.length - 3] === RECORD_TYPES.AAAA && query[query.length - 1] === 1);
+
+  const response = parseResponse(buildResponse(encodeQuery('www.example.test', RECORD_TYPES.A), {
+    records: [['www.example.test', RECORD_TYPES.CNAME, 300, 'edge.example.test'], ['edge.example.test', RECORD_TYPES.A, 60, '192.0.2.7']]
+  }));
+  failures += check('CNAME and A records are read',
+    response.rcode === 0 && response.answers.map(answer => `${answer.type}:${answer.data}:${answer.ttl}`).join() ===
+    '5:edge.example.test:300,1:192.0.2.7:60');
+
+  const negative = parseResponse(buildResponse(encodeQuery('none.test', RECORD_TYPES.A), { rcode: 3, soa: [900, 120] }));
+  failures += check('Negative answers take their TTL from the SOA', negative.rcode === 3 && negative.negativeTtl === 120);
+
+  for (const [label, message] of [['Truncated', new Uint8Array([0, 0, 0x81])], ['Query', encodeQuery('a.test', 1)]]) {
+    try {
+      parseResponse(message);
+      failures += check(`${label} message is rejected`, false);
+    } catch (error) {
+      failures += check(`${label} message is rejected (${error.message})`, true);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Test lookups through the chain and the cache
+ */
+async function testResolver() {
+  console.log('\n=== Testing DoH Resolver ===');
+  let failures = 0;
+
+  const zone = {
+    'www.example.test 1': { records: [['www.example.test', RECORD_TYPES.A, 30, '192.0.2.7']] },
+    'v6.example.test 1': { soa: [300, 300] },
+    'v6.example.test 28': { records: [['v6.example.test', RECORD_TYPES.AAAA, 600, '2001:db8:0:0:0:0:0:7']] },
+    'none.example.test 1': { rcode: 3, soa: [300, 30] },
+    'mail.example.test 1': { records: [['mail.example.test', RECORD_TYPES.A, 30, '192.0.2.25']] }
+  };
+  const engine = createFakeEngine(zone);
+  let server = { url: 'http://doh.test/dns-query', pins: [] };
+  const resolver = new DohResolver(engine, { loadServer: async () => server });
+  const chain = { id: 'exit', proxies: [] };
+
+  const [first, shared] = await Promise.all([resolver.resolve('WWW.example.test', chain), resolver.resolve('www.example.test', chain)]);
+  failures += check('A record is resolved through the chain', first.join() === '192.0.2.7' &&
+    engine.built[0].target === 'doh.test:80' && engine.built[0].chain.dns === 'local' && engine.released === 1);
+  failures += check('Concurrent lookups share one query', shared.join() === '192.0.2.7' && engine.queries.length === 1);
+
+  await resolver.resolve('www.example.test', chain);
+  failures += check('Answers are cached', engine.queries.length === 1);
+  resolver.cache.get('www.example.test').expires = Date.now() - 1;
+  await resolver.resolve('www.example.test', chain);
+  failures += check('Expired answers are asked again', engine.queries.length === 2);
+
+  const v6 = await resolver.resolve('v6.example.test', chain);
+  failures += check('AAAA is asked when there is no A record', v6.join() === '2001:db8:0:0:0:0:0:7' &&
+    engine.queries.slice(-2).join() === 'v6.example.test 1,v6.example.test 28');
+
+  const none = await resolver.resolve('none.example.test', chain);
+  const cachedFor = resolver.cache.get('none.example.test').expires - Date.now();
+  failures += check('Missing names are empty and cached for the SOA minimum',
+    none.length === 0 && engine.queries.slice(-1)[0] === 'none.example.test 1' && cachedFor > 25000 && cachedFor <= 30000);
+
+  try {
+    await resolver.resolve('broken.example.test', chain);
+    failures += check('Server failures are errors', false);
+  } catch (error) {
+    failures += check(`Server failures are errors (${error.message})`, /SERVFAIL/.test(error.message));
+  }
+
+  // Callers join the lookups before the caller that gives up aborts
+  const builds = engine.built.length;
+  const controller = new AbortController();
+  engine.onBuild = () => setTimeout(() => controller.abort(new Error('gave up')));
+  const [abandoned, waiting, elsewhere] = await Promise.allSettled([
+    resolver.resolve('mail.example.test', chain, { signal: controller.signal }),
+    resolver.resolve('mail.example.test', chain),
+    resolver.resolve('mail.example.test', { id: 'other', proxies: [] })
+  ]);
+  engine.onBuild = null;
+  failures += check('Lookups are only shared through the same chain',
+    engine.built.slice(builds).map(build => build.chain.id).join() === 'exit,other');
+  failures += check('A caller giving up does not fail the others sharing its lookup',
+    abandoned.reason?.message === 'gave up' && waiting.value?.join() === '192.0.2.25' &&
+    elsewhere.value?.join() === '192.0.2.25' && !engine.built[builds].signal.aborted);
+
+  resolver.clear();
+  const lone = new AbortController();
+  engine.onBuild = () => setTimeout(() => lone.abort(new Error('gave up')));
+  await resolver.resolve('mail.example.test', chain, { signal: lone.signal }).catch(() => {});
+  engine.onBuild = null;
+  failures += check('A lookup every caller gave up on is cancelled',
+    engine.built.slice(-1)[0].signal.aborted && resolver.pending.size === 0);
+
+  server = { url: 'http://other.test/dns-query', pins: [] };
+  await resolver.resolve('www.example.test', chain);
+  failures += check('A new server starts with an empty cache', engine.built.slice(-1)[0].target === 'other.test:80');
+
+  server = null;
+  failures += check('Without a server there is no answer', await resolver.resolve('www.example.test', chain) === null);
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testMessages() + await testResolver();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testMessages, testResolver, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
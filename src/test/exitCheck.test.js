@@ -0,0 +1,156 @@
+/**
+ * Test script for the exit address and leak check
+ *
+ * The chain is built by a stand-in engine whose tunnel answers like an IP
+ * echo endpoint. The direct fetch fails outside the extension, as it has
+ * no socket API there.
+ */
+
+import { extractIp, assessLeaks, checkExit } from '../exitCheck.js';
+import { check } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+/**
+ * Stand-in engine: builds the given route, whose last hop answers with exitIp
+ */
+function createFakeEngine(route, exitIp) {
+  return {
+    released: 0,
+    async buildChain() {
+      const listeners = {};
+      const socket = {
+        addEventListener(event, handler) {
+          (listeners[event] = listeners[event] || []).push(handler);
+        },
+        removeEventListener(event, handler) {
+          listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+        },
+        async write() {
+          const reply = `HTTP/1.1 200 OK\r\nContent-Length: ${exitIp.length}\r\n\r\n${exitIp}`;
+          setTimeout(() => (listeners.data || []).forEach(handler => handler(encode(reply))), 1);
+        },
+        pause() {},
+        resume() {},
+        close() {}
+      };
+
+      const steps = [{ step: 1, type: 'direct', proxy: route[0], success: true, timestamp: 1 }];
+      route.forEach((proxy, index) => steps.push({
+        step: index + 1,
+        type: index < route.length - 1 ? 'proxy_to_proxy' : 'proxy_to_target',
+        proxy,
+        success: true,
+        timestamp: 2 + index
+      }));
+      return { socket, connectionInfo: { startTime: 0, hops: route.map((proxy, index) => index + 1), steps } };
+    },
+    releaseConnection() {
+      this.released++;
+    }
+  };
+}
+
+const proxy = (address, extra = {}) => ({ type: 'socks5', address, port: 1080, ...extra });
+const privacy = { webRTCIPHandlingPolicy: 'disable_non_proxied_udp', peerConnectionEnabled: true, networkPredictionEnabled: false };
+
+/**
+ * Test reading echo responses and browser leak conditions
+ */
+async function testLeakConditions() {
+  console.log('=== Testing Leak Conditions ===');
+  let failures = 0;
+
+  failures += check('Plain text address', extractIp('203.0.113.7\n') === '203.0.113.7');
+  failures += check('JSON address', extractIp('{"ip":"2001:DB8::7"}') === '2001:db8::7');
+  failures += check('Address inside a page', extractIp('<p>Your IP: 198.51.100.20</p>') === '198.51.100.20');
+  try {
+    extractIp('<html>rate limited</html>');
+    failures += check('Body without an address is rejected', false);
+  } catch (error) {
+    failures += check(`Body without an address is rejected (${error.message})`, true);
+  }
+
+  const chain = { proxies: [proxy('198.51.100.1')] };
+  failures += check('Proxied WebRTC policy raises nothing', assessLeaks(chain, privacy).length === 0);
+  failures += check('Default WebRTC policy is a leak',
+    assessLeaks(chain, { ...privacy, webRTCIPHandlingPolicy: 'default' }).some(issue => issue.kind === 'webrtc' && issue.severity === 'leak'));
+  failures += check('Disabled WebRTC cannot leak',
+    assessLeaks(chain, { ...privacy, webRTCIPHandlingPolicy: 'default', peerConnectionEnabled: false }).length === 0);
+  failures += check('Network prediction is a DNS warning',
+    assessLeaks(chain, { ...privacy, networkPredictionEnabled: true }).map(issue => `${issue.kind}:${issue.severity}`).join() === 'dns:warning');
+  failures += check('Unreadable settings are a warning', assessLeaks(chain, null).map(issue => issue.severity).join() === 'warning');
+  failures += check('Local DNS policy is a DNS warning',
+    assessLeaks({ ...chain, dns: 'local' }, privacy).map(issue => `${issue.kind}:${issue.severity}`).join() === 'dns:warning');
+
+  const dnsIssues = (hops, extra = {}, doh = false) =>
+    assessLeaks({ proxies: hops, ...extra }, privacy, doh).map(issue => `${issue.kind}:${issue.severity}`).join();
+  const socks4 = (address) => proxy(address, { type: 'socks4' });
+  failures += check('A last hop that cannot take hostnames is a DNS leak', dnsIssues([proxy('198.51.100.1'), socks4('198.51.100.2')]) === 'dns:leak');
+  failures += check('A hop that cannot take hostnames leaks the next hop\'s name',
+    dnsIssues([socks4('198.51.100.1'), proxy('next.test')]) === 'dns:leak' &&
+    dnsIssues([socks4('198.51.100.1'), proxy('198.51.100.2')]) === '');
+  failures += check('Outside strict mode any hop may be last', dnsIssues([socks4('198.51.100.1'), proxy('198.51.100.2')], { mode: 'dynamic' }) === 'dns:leak');
+  failures += check('A DoH server or the doh policy keeps names off this device',
+    dnsIssues([socks4('198.51.100.1')], {}, true) === '' && dnsIssues([socks4('198.51.100.1')], { dns: 'doh' }) === '');
+  failures += check('SOCKS4a hops take hostnames', dnsIssues([proxy('198.51.100.1', { type: 'socks4a' })]) === '');
+
+  return failures;
+}
+
+/**
+ * Test comparing the exit address with the hops' egress
+ */
+async function testExitCheck() {
+  console.log('\n=== Testing Exit Check ===');
+  let failures = 0;
+  const endpoint = 'http://ip.example/';
+  const summarize = (result) => result.issues.filter(issue => issue.kind === 'exit' && !/Direct/.test(issue.message))
+    .map(issue => issue.severity).join() || 'none';
+
+  const route = [proxy('198.51.100.1'), proxy('proxy2.example', { egressIp: '203.0.113.9' })];
+  const engine = createFakeEngine(route, '203.0.113.9');
+  const ok = await checkExit(engine, { proxies: route }, { endpoint, privacy });
+  failures += check('Exit through the last hop\'s egress passes',
+    ok.exitIp === '203.0.113.9' && ok.exitHop === 2 && ok.matchedHop === 2 && summarize(ok) === 'none' && engine.released === 1);
+  failures += check('Unavailable direct fetch is only a warning', ok.directIp === null && !!ok.directError && ok.status === 'warning');
+
+  const resolved = await checkExit(createFakeEngine([proxy('exit.example')], '192.0.2.4'), { proxies: [proxy('exit.example')] },
+    { endpoint, privacy, resolve: async () => ['192.0.2.4'] });
+  failures += check('Hop hostnames are resolved for the comparison', resolved.matchedHop === 1);
+
+  const early = await checkExit(createFakeEngine(route, '198.51.100.1'), { proxies: route }, { endpoint, privacy });
+  failures += check('Exit from an earlier hop is a leak', early.matchedHop === 1 && summarize(early) === 'leak' && early.status === 'leak');
+
+  const unknown = await checkExit(createFakeEngine(route, '192.0.2.200'), { proxies: route }, { endpoint, privacy });
+  failures += check('Unknown exit address is a warning', unknown.matchedHop === null && summarize(unknown) === 'warning');
+
+  try {
+    await checkExit(engine, { proxies: route }, { endpoint: 'https://ip.example/' });
+    failures += check('HTTPS endpoints are refused', false);
+  } catch (error) {
+    failures += check(`HTTPS endpoints are refused (${error.message})`, true);
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testLeakConditions() + await testExitCheck();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testLeakConditions, testExitCheck, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
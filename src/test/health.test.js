@@ -0,0 +1,136 @@
+/**
+ * Test script for the health monitor
+ *
+ * Probes through a stand-in engine and keeps history in memory, so no
+ * proxies are needed
+ */
+
+import { HealthMonitor, healthKey, summarizeHealth } from '../health.js';
+import { renderSparkline } from '../options/render.js';
+import { check, createMemoryStorage } from './helpers.js';
+
+/**
+ * Stand-in engine: proxies listed in `down` refuse, everything else answers in 10ms
+ */
+function createFakeEngine(down = new Set()) {
+  return {
+    built: [],
+    released: 0,
+    async probeProxy(proxy) {
+      if (down.has(proxy.address)) {
+        throw new Error('Connection refused');
+      }
+      return 10;
+    },
+    async buildChain(chain, targetHost, targetPort) {
+      this.built.push(`${chain.id}->${targetHost}:${targetPort}`);
+      if (chain.proxies.some(proxy => down.has(proxy.address))) {
+        throw new Error('Step 1 failed');
+      }
+      return { socket: {}, connectionInfo: { totalDuration: 25 } };
+    },
+    releaseConnection() {
+      this.released++;
+    }
+  };
+}
+
+const proxy = (address) => ({ type: 'socks5', address, port: 1080 });
+const config = { targetHost: 'example.com', targetPort: 443 };
+
+/**
+ * Test probing, rolling history and pruning
+ */
+async function testMonitor() {
+  console.log('=== Testing Health Monitor ===');
+  let failures = 0;
+
+  const storage = createMemoryStorage();
+  const engine = createFakeEngine(new Set(['b.test']));
+  const locked = new Set(['private']);
+  const monitor = new HealthMonitor(engine, {
+    storage,
+    historyLength: 3,
+    canProbeChain: async (chain) => !locked.has(chain.id)
+  });
+
+  const chains = [
+    { id: 'main', proxies: [proxy('a.test'), { ...proxy('c.test'), alternates: [proxy('b.test')] }] },
+    { id: 'private', proxies: [proxy('a.test')] }
+  ];
+
+  let health = await monitor.run(chains, config);
+  failures += check('Every proxy is probed once, alternates included',
+    Object.keys(health.proxies).sort().join() === 'socks5://a.test:1080,socks5://b.test:1080,socks5://c.test:1080');
+  failures += check('Dead proxy is reported down with its error',
+    health.proxies[healthKey(proxy('b.test'))].summary.status === 'down' &&
+    health.proxies[healthKey(proxy('b.test'))].summary.error === 'Connection refused');
+  failures += check('Chain is built to the target and released',
+    engine.built.join() === 'main->example.com:443' && engine.released === 1 &&
+    health.chains.main.summary.latency === 25);
+  failures += check('Chain that cannot be probed has no history', !health.chains.private);
+
+  locked.clear();
+  await monitor.run(chains, config);
+  locked.add('private');
+  for (let i = 0; i < 3; i++) {
+    health = await monitor.run(chains, config);
+  }
+  failures += check('History is capped at historyLength', health.proxies[healthKey(proxy('a.test'))].samples.length === 3);
+  failures += check('Skipped chain keeps its earlier history', health.chains.private.samples.length === 1);
+
+  health = await monitor.run([chains[1]], config);
+  failures += check('Removed proxies and chains lose their history',
+    Object.keys(health.proxies).join() === 'socks5://a.test:1080' && !health.chains.main);
+
+  const [first, second] = await Promise.all([monitor.run(chains, config), monitor.run(chains, config)]);
+  failures += check('Concurrent runs share one probe', first === second);
+
+  return failures;
+}
+
+/**
+ * Test summaries and sparklines
+ */
+async function testRendering() {
+  console.log('\n=== Testing Health Rendering ===');
+  let failures = 0;
+
+  const samples = [
+    { timestamp: 1, ok: true, latency: 40 },
+    { timestamp: 2, ok: false, latency: null, error: 'timed out' },
+    { timestamp: 3, ok: true, latency: 20 }
+  ];
+  const summary = summarizeHealth(samples);
+  failures += check('Summary follows the last sample',
+    summary.status === 'up' && summary.latency === 20 && summary.checkedAt === 3);
+  failures += check('Summary averages successful samples', summary.averageLatency === 30 && Math.abs(summary.uptime - 2 / 3) < 1e-9);
+  failures += check('Empty history is unknown', summarizeHealth([]).status === 'unknown');
+
+  const svg = renderSparkline(samples);
+  failures += check('Failures break the line and are marked',
+    (svg.match(/M/g) || []).length === 2 && (svg.match(/<rect/g) || []).length === 1);
+  failures += check('No samples render nothing', renderSparkline([]) === '');
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testMonitor() + await testRendering();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testMonitor, testRendering, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
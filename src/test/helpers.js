@@ -0,0 +1,96 @@
+/**
+ * Fixtures shared by the test scripts
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Record a check result
+ * @param {string} label - What was checked
+ * @param {boolean} passed
+ * @returns {number} 1 on failure, so results can be summed
+ */
+export function check(label, passed) {
+  if (passed) {
+    console.log(`✅ ${label}`);
+    return 0;
+  }
+  console.error(`❌ ${label}`);
+  return 1;
+}
+
+/**
+ * Stand-in connection: records writes and delivers events
+ *
+ * Writes are kept in `sent` as Uint8Arrays and datagrams as
+ * { data, address, port }; emit(event, ...args) delivers an event as if it
+ * came from the peer.
+ * @param {Object} [options]
+ * @param {Function} [options.reply] - (data) => bytes answering a write, or null for none
+ * @param {number} [options.writeDelay] - Milliseconds each write takes
+ * @returns {Object}
+ */
+export function createFakeSocket(options = {}) {
+  const listeners = {};
+  return {
+    sent: [],
+    paused: false,
+    closed: false,
+    addEventListener(event, handler) {
+      (listeners[event] = listeners[event] || []).push(handler);
+    },
+    removeEventListener(event, handler) {
+      listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+    },
+    emit(event, ...args) {
+      (listeners[event] || []).slice().forEach(handler => handler(...args));
+    },
+    async write(data) {
+      data = typeof data === 'string' ? encoder.encode(data) : data;
+      if (options.writeDelay) {
+        await new Promise(resolve => setTimeout(resolve, options.writeDelay));
+      }
+      this.sent.push(data);
+      const answer = options.reply && options.reply(data);
+      if (answer) {
+        setTimeout(() => this.emit('data', answer), 1);
+      }
+    },
+    async send(data, address, port) {
+      this.sent.push({ data, address, port });
+    },
+    pause() {
+      this.paused = true;
+    },
+    resume() {
+      this.paused = false;
+    },
+    close() {
+      this.closed = true;
+      this.emit('closed');
+    },
+    getInfo() {
+      return {};
+    }
+  };
+}
+
+/**
+ * Minimal stand-in for a chrome.storage area
+ * @returns {Object} get, set and remove over `data`
+ */
+export function createMemoryStorage() {
+  const data = {};
+  return {
+    data,
+    async get(key) {
+      return { [key]: data[key] };
+    },
+    async set(items) {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Test script for HTTP proxy authentication
+ *
+ * Checks challenge parsing and the published Digest and NTLMv2 test vectors
+ */
+
+import {
+  parseChallenges,
+  selectChallenge,
+  computeDigestResponse,
+  computeNtlmV2Response
+} from '../httpAuth.js';
+import { md4, md5, hmacMd5 } from '../hash.js';
+import { check } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = (text) => Uint8Array.from(text.match(/../g), byte => parseInt(byte, 16));
+
+/**
+ * Test MD4, MD5 and HMAC-MD5 against RFC 1320, 1321 and 2202 vectors
+ */
+function testHashes() {
+  console.log('=== Testing Hashes ===');
+  let failures = 0;
+
+  failures += check('MD4("abc")', hex(md4(encode('abc'))) === 'a448017aaf21d8525fc10ae87aa6729d');
+  failures += check('MD5("abc")', hex(md5(encode('abc'))) === '900150983cd24fb0d6963f7d28e17f72');
+  failures += check('MD5 of a two-block message',
+    hex(md5(encode('1234567890'.repeat(8)))) === '57edf4a22be3c955ac49da2e2107b67a');
+  failures += check('HMAC-MD5', hex(hmacMd5(new Uint8Array(16).fill(0x0B), encode('Hi There'))) ===
+    '9294727a3638bb1c13f48ef8158bfc9d');
+
+  return failures;
+}
+
+/**
+ * Test Proxy-Authenticate parsing and scheme selection
+ */
+function testChallenges() {
+  console.log('\n=== Testing Challenges ===');
+  let failures = 0;
+
+  const challenges = parseChallenges([
+    'Digest realm="corp", nonce="n1", qop="auth,auth-int", algorithm=MD5, Basic realm="a \\"quoted\\" realm"',
+    'Digest realm="corp", nonce="n2", algorithm=SHA-256',
+    'NTLM TlRMTVNTUAACAAAA=='
+  ]);
+
+  failures += check('Several challenges per header are split',
+    challenges.map(c => c.scheme).join() === 'digest,basic,digest,ntlm');
+  failures += check('Quoted parameters are unescaped', challenges[1].params.realm === 'a "quoted" realm');
+  failures += check('token68 is kept', challenges[3].token68 === 'TlRMTVNTUAACAAAA==');
+
+  failures += check('NTLM is preferred', selectChallenge(challenges).scheme === 'ntlm');
+  failures += check('SHA-256 Digest beats MD5 Digest',
+    selectChallenge(challenges.slice(0, 3)).params.nonce === 'n2');
+  failures += check('auth-int only Digest is skipped',
+    selectChallenge(parseChallenges(['Digest realm="r", nonce="n", qop="auth-int"'])) === null);
+
+  return failures;
+}
+
+/**
+ * Test Digest (RFC 7616 Section 3.9.1) and NTLMv2 (MS-NLMP Section 4.2.4) vectors
+ */
+async function testResponses() {
+  console.log('\n=== Testing Responses ===');
+  let failures = 0;
+
+  const digest = {
+    username: 'Mufasa',
+    password: 'Circle of Life',
+    realm: 'http-auth@example.org',
+    nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+    cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ',
+    nc: '00000001',
+    qop: 'auth',
+    method: 'GET',
+    uri: '/dir/index.html'
+  };
+  failures += check('Digest MD5', await computeDigestResponse({ ...digest, algorithm: 'MD5' }) ===
+    '8ca523f5e9506fed4657c9700eebdbec');
+  failures += check('Digest SHA-256', await computeDigestResponse({ ...digest, algorithm: 'SHA-256' }) ===
+    '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1');
+
+  const { ntResponse, lmResponse } = computeNtlmV2Response({
+    username: 'User',
+    domain: 'Domain',
+    password: 'Password',
+    serverChallenge: fromHex('0123456789abcdef'),
+    clientChallenge: new Uint8Array(8).fill(0xAA),
+    timestamp: new Uint8Array(8),
+    targetInfo: fromHex('02000c0044006f006d00610069006e0001000c0053006500720076006500720000000000')
+  });
+  failures += check('NTLMv2 proof', hex(ntResponse.subarray(0, 16)) === '68cd0ab851e51c96aabc927bebef6a1c');
+  failures += check('LMv2 response', hex(lmResponse) === '86c35097ac9cec102554764a57cccc19aaaaaaaaaaaaaaaa');
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testHashes() + testChallenges() + await testResponses();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testHashes, testChallenges, testResponses, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
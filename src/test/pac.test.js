@@ -0,0 +1,224 @@
+/**
+ * Test script for the PAC evaluator and exporter
+ *
+ * Runs a representative PAC file through the sandboxed interpreter, checks
+ * result parsing, and round-trips an exported PAC file
+ */
+
+import { PacScript, parsePacResult, generatePac } from '../pac.js';
+
+/**
+ * PAC file using the common helpers and language features
+ */
+const samplePac = `
+var bypass = ["localhost", "intranet"];
+
+function FindProxyForURL(url, host) {
+  if (isPlainHostName(host) || bypass.indexOf(host) !== -1) {
+    return "DIRECT";
+  }
+  if (dnsDomainIs(host, ".example.com")) {
+    return "SOCKS5 socks.example.com:1080; DIRECT";
+  }
+  if (isInNet(host, "10.0.0.0", "255.0.0.0")) {
+    return "DIRECT";
+  }
+  if (shExpMatch(url, "*/secure/*")) {
+    return "CHAIN chain-1";
+  }
+  return "PROXY proxy.example.com:3128";
+}
+`;
+
+/**
+ * Expected FindProxyForURL results per [url, host]
+ */
+const expectedResults = [
+  ['http://intranet/', 'intranet', 'DIRECT'],
+  ['https://www.example.com/', 'www.example.com', 'SOCKS5 socks.example.com:1080; DIRECT'],
+  ['http://10.1.2.3/', '10.1.2.3', 'DIRECT'],
+  ['https://site.test/secure/page', 'site.test', 'CHAIN chain-1'],
+  ['https://site.test/', 'site.test', 'PROXY proxy.example.com:3128']
+];
+
+/**
+ * Test script evaluation
+ */
+async function testEvaluation() {
+  console.log('=== Testing PAC Evaluation ===');
+  let failures = 0;
+  const script = new PacScript(samplePac);
+
+  for (const [url, host, expected] of expectedResults) {
+    const actual = await script.findProxyForURL(url, host);
+
+    if (actual === expected) {
+      console.log(`✅ ${url} -> ${actual}`);
+    } else {
+      console.error(`❌ ${url}: expected '${expected}', got '${actual}'`);
+      failures++;
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Test that scripts cannot escape the sandbox or run forever
+ */
+async function testSandbox() {
+  console.log('\n=== Testing PAC Sandbox ===');
+  let failures = 0;
+
+  const hostile = {
+    'infinite loop': 'function FindProxyForURL(url, host) { while (true) {} }',
+    'constructor access': 'function FindProxyForURL(url, host) { return "".constructor; }',
+    'undefined global': 'function FindProxyForURL(url, host) { return chrome.runtime.id; }',
+    'missing entry point': 'function notThePacEntryPoint() {}',
+    // Native regexes backtrack on these for minutes and cannot be interrupted
+    'catastrophic regex': 'function FindProxyForURL(url, host) { return /(a+)+$/.test("aaaaaaaaaaaaaaaaaaaaaaaaaaaa!") ? "DIRECT" : ""; }',
+    'catastrophic RegExp()': 'function FindProxyForURL(url, host) { return RegExp("(a|aa)*b").exec("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa") ? "DIRECT" : ""; }',
+    'catastrophic match pattern': 'function FindProxyForURL(url, host) { return "aaaaaaaaaaaaaaaaaaaaaaaaaaaa!".match("^(a*)*$") ? "DIRECT" : ""; }'
+  };
+
+  for (const [label, source] of Object.entries(hostile)) {
+    const started = Date.now();
+    try {
+      await new PacScript(source).findProxyForURL('http://a.test/', 'a.test');
+      console.error(`❌ ${label} was allowed`);
+      failures++;
+    } catch (error) {
+      if (Date.now() - started < 5000) {
+        console.log(`✅ ${label} rejected: ${error.message}`);
+      } else {
+        console.error(`❌ ${label} took ${Date.now() - started}ms to reject`);
+        failures++;
+      }
+    }
+  }
+
+  // Regular expressions still behave like JavaScript's
+  const regexPac = new PacScript(`function FindProxyForURL(url, host) {
+    var parts = /^(\\w+):\\/\\/([^\\/:]+)/.exec(url);
+    return [parts[1], host.replace(/^www\\.(.*)$/i, "$1"), "a1b22c".split(/\\d+/).join("|"),
+      url.match(/o/g).length, url.search("f[aeiou]"), shExpMatch(url, "*://*.test/*"),
+      shExpMatch(url + "aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa", "*a*a*a*a*a*a*a*a*a*a*a*a*b")].join(" ");
+  }`);
+  const regexResult = await regexPac.findProxyForURL('https://WWW.foo.test/docs', 'WWW.foo.test');
+  if (regexResult === 'https foo.test a|b|c 3 12 true false') {
+    console.log(`✅ Regex methods: ${regexResult}`);
+  } else {
+    console.error(`❌ Regex methods: got '${regexResult}'`);
+    failures++;
+  }
+
+  // Scripts that build large values stop at the memory caps long before the step budget
+  const greedy = {
+    'string doubling': ['var s = "x"; while (true) { s = s + s; }', {}, /string over/],
+    'joining nested arrays': ['var a = []; for (var i = 0; i < 20; i++) { a.push("xxxxxxxxxxxxxxxxxxxx"); } var b = [a, a];' +
+      ' while (true) { b = [b, b]; b.join(); }', {}, /string over/],
+    'array doubling': ['var a = [1]; while (true) { a = a.concat(a); }', {}, /array over/],
+    'growing an array': ['var a = []; while (true) { a.push(1, 2, 3, 4); }', { maxArrayLength: 1000 }, /array over/],
+    'object properties': ['var o = {}; for (var i = 0; ; i++) { o["k" + i] = i; }', { maxObjectSize: 1000 }, /object over/],
+    'copies of a string': ['var s = "x"; for (var i = 0; i < 16; i++) { s = s + s; } var kept = [];' +
+      ' while (true) { kept.push(s.toUpperCase()); }', {}, /allocation budget/]
+  };
+
+  for (const [label, [body, config, expected]] of Object.entries(greedy)) {
+    try {
+      await new PacScript(`function FindProxyForURL(url, host) { ${body} }`, config).findProxyForURL('http://a.test/', 'a.test');
+      console.error(`❌ ${label} was allowed`);
+      failures++;
+    } catch (error) {
+      if (expected.test(error.message)) {
+        console.log(`✅ ${label} rejected: ${error.message}`);
+      } else {
+        console.error(`❌ ${label} rejected for another reason: ${error.message}`);
+        failures++;
+      }
+    }
+  }
+
+  const joinPac = new PacScript(`function FindProxyForURL(url, host) {
+    var a = [1, null, [2, 3]];
+    a.push(a);
+    return a.join("-") + " " + String([4, [5, 6]]) + " " + [7, 8];
+  }`);
+  const joinResult = await joinPac.findProxyForURL('http://a.test/', 'a.test');
+  if (joinResult === '1--2,3- 4,5,6 7,8') {
+    console.log(`✅ Arrays still join like JavaScript's: ${joinResult}`);
+  } else {
+    console.error(`❌ Arrays join like JavaScript's: got '${joinResult}'`);
+    failures++;
+  }
+
+  return failures;
+}
+
+/**
+ * Test result parsing and exporter round trip
+ */
+async function testResultsAndExport() {
+  console.log('\n=== Testing PAC Results and Export ===');
+  let failures = 0;
+
+  const entries = parsePacResult('PROXY a.test:8080; SOCKS5 [::1]:1080; DIRECT; CHAIN chain-1');
+  const types = entries.map(entry => entry.type).join(',');
+  if (types === 'http,socks,direct,chain' && entries[1].host === '::1') {
+    console.log(`✅ Parsed result entries: ${types}`);
+  } else {
+    console.error(`❌ Unexpected parsed entries: ${JSON.stringify(entries)}`);
+    failures++;
+  }
+
+  const pac = generatePac({
+    chains: [
+      { id: 'chain-1', name: 'Main', proxies: [{ type: 'socks5', address: 'first.test', port: 1080 }, { type: 'http', address: 'second.test', port: 8080 }] },
+      { id: 'chain-2', name: 'Dev', proxies: [{ type: 'http', address: 'dev.test', port: 3128 }] }
+    ],
+    settings: { enabled: true, activeChainId: 'chain-1' },
+    rules: [
+      { id: 'r1', type: 'host', pattern: '*.corp', action: 'direct' },
+      { id: 'r2', type: 'port', pattern: '8000-8999', action: 'chain', chainId: 'chain-2' }
+    ]
+  });
+
+  const exported = new PacScript(pac);
+  const roundTrip = [
+    ['http://app.corp/', 'app.corp', 'DIRECT'],
+    ['http://dev.site:8080/', 'dev.site', 'PROXY dev.test:3128'],
+    ['https://other.site/', 'other.site', 'SOCKS5 first.test:1080']
+  ];
+
+  for (const [url, host, expected] of roundTrip) {
+    const actual = await exported.findProxyForURL(url, host);
+    if (actual === expected) {
+      console.log(`✅ Exported PAC: ${url} -> ${actual}`);
+    } else {
+      console.error(`❌ Exported PAC: ${url}: expected '${expected}', got '${actual}'`);
+      failures++;
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testEvaluation() + await testSandbox() + await testResultsAndExport();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testEvaluation, testSandbox, testResultsAndExport, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
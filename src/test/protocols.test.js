@@ -0,0 +1,137 @@
+/**
+ * Test script for the protocol registry
+ *
+ * Checks the built-in definitions and that a registered protocol is
+ * accepted by proxy validation and the chain engine
+ */
+
+import {
+  registerProtocol,
+  unregisterProtocol,
+  getProtocol,
+  getProtocols
+} from '../protocols.js';
+import { validateProxy } from '../storage.js';
+import { ProxyChainEngine } from '../chainEngine.js';
+import { check } from './helpers.js';
+
+/**
+ * Expect validateProxy to reject a proxy
+ */
+function rejects(label, proxy) {
+  try {
+    validateProxy(proxy);
+    return check(label, false);
+  } catch (error) {
+    return check(`${label} (${error.message})`, true);
+  }
+}
+
+/**
+ * Test the built-in protocols and their field validation
+ */
+function testBuiltins() {
+  console.log('=== Testing Built-in Protocols ===');
+  let failures = 0;
+
+  failures += check('Built-in types are registered',
+    getProtocols().map(protocol => protocol.type).join() === 'socks5,socks4,socks4a,http,https,shadowsocks,ssh,ws,wss');
+  failures += check('Only SOCKS5 relays UDP',
+    getProtocols().filter(protocol => protocol.capabilities.udp).map(protocol => protocol.type).join() === 'socks5');
+  failures += check('Only plain SOCKS4 cannot take hostnames',
+    getProtocols().filter(protocol => !protocol.capabilities.hostnames).map(protocol => protocol.type).join() === 'socks4');
+
+  failures += check('Protocol fields are accepted on their own type',
+    validateProxy({ address: 'a.test', port: 1080, type: 'socks4', userid: 'ident' }));
+  failures += rejects('Protocol fields are rejected on other types',
+    { address: 'a.test', port: 1080, type: 'socks5', userid: 'ident' });
+  failures += rejects('Protocol fields are validated',
+    { address: 'a.test', port: 443, type: 'https', tlsPins: ['sha256/abc'] });
+  failures += rejects('Unknown types are rejected', { address: 'a.test', port: 1, type: 'gopher' });
+
+  return failures;
+}
+
+/**
+ * Test that a registered protocol drives validation and the engine
+ */
+async function testRegistration() {
+  console.log('\n=== Testing Registration ===');
+  let failures = 0;
+
+  try {
+    registerProtocol({ type: 'Bad Type', name: 'Bad', defaultPort: 1, fields: [], createHandler: () => ({}) });
+    failures += check('Malformed definitions are rejected', false);
+  } catch (error) {
+    failures += check(`Malformed definitions are rejected (${error.message})`, true);
+  }
+
+  const connected = [];
+  registerProtocol({
+    type: 'test',
+    name: 'Test',
+    defaultPort: 9000,
+    fields: [{
+      name: 'token',
+      kind: 'text',
+      label: 'token',
+      placeholder: 'Token',
+      validate: (value) => {
+        if (!/^[a-z]+$/.test(value)) {
+          throw new Error('Proxy token must be lowercase letters');
+        }
+      }
+    }],
+    capabilities: { connect: true, bind: false, udp: false, hostnames: true, tls: false, auth: [] },
+    createHandler: (proxy) => ({
+      connect: async (address, port) => {
+        connected.push(`${proxy.token}:${address}:${port}`);
+        return { success: true };
+      }
+    })
+  });
+
+  try {
+    failures += check('Registered protocol is listed', getProtocol('test').name === 'Test');
+    failures += check('Registered fields are validated',
+      validateProxy({ address: 'a.test', port: 9000, type: 'test', token: 'abc' }));
+    failures += rejects('Registered field validation runs',
+      { address: 'a.test', port: 9000, type: 'test', token: 'ABC' });
+
+    const engine = new ProxyChainEngine({ enableLogging: false });
+    const proxy = { address: 'a.test', port: 9000, type: 'test', token: 'abc' };
+    await engine._connectThroughProxy({}, proxy, 'target.test', 80);
+    failures += check('Engine creates handlers from the registry', connected.join() === 'abc:target.test:80');
+
+    try {
+      await engine.bindThroughChain({ proxies: [proxy] }, { address: '192.0.2.1', port: 0 });
+      failures += check('Capabilities are enforced', false);
+    } catch (error) {
+      failures += check(`Capabilities are enforced (${error.message})`, true);
+    }
+  } finally {
+    unregisterProtocol('test');
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testBuiltins() + await testRegistration();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testBuiltins, testRegistration, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
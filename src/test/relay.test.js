@@ -0,0 +1,162 @@
+/**
+ * Test script for ChainRelay
+ *
+ * Hands the relay stand-in client sockets and a stand-in engine, so no
+ * listening socket or proxy server is needed
+ */
+
+import { ChainRelay } from '../relay.js';
+import { SocketStream } from '../stream.js';
+import { concat } from '../bytes.js';
+import { check, createFakeSocket } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Stand-in client connection whose writes take a while and are refused
+ * once it is closed, like a TCPSocket
+ */
+function createSlowSocket() {
+  const socket = createFakeSocket({ writeDelay: 5 });
+  const write = socket.write;
+  socket.write = async function (data) {
+    if (this.closed) {
+      throw new Error('Socket not connected');
+    }
+    await write.call(this, data);
+  };
+  return socket;
+}
+
+/**
+ * Stand-in engine that hands out one upstream connection
+ */
+function createEngine(upstream) {
+  return {
+    config: {},
+    released: [],
+    async buildChain() {
+      return { socket: upstream };
+    },
+    releaseConnection(socket) {
+      this.released.push(socket);
+      socket.close();
+    }
+  };
+}
+
+/**
+ * SOCKS5 greeting, authentication and CONNECT request for example.com:80
+ */
+function socks5Request(chainId, token) {
+  const host = encode('example.com');
+  return concat(
+    [0x05, 0x01, 0x02],
+    [0x01, chainId.length], encode(chainId), [token.length], encode(token),
+    [0x05, 0x01, 0x00, 0x03, host.length], host, [0x00, 0x50]
+  );
+}
+
+/**
+ * Test that data sent just before a FIN reaches the other side
+ */
+async function testCloseAfterData() {
+  console.log('=== Testing Close After Data ===');
+  let failures = 0;
+
+  // Upstream sends the response, then FINs
+  const upstreamSocket = createFakeSocket();
+  const upstream = SocketStream.from(upstreamSocket);
+  const engine = createEngine(upstream);
+  const relay = new ChainRelay(engine, { resolveChain: async () => ({ id: 'chain' }) });
+
+  const clientSocket = createSlowSocket();
+  const handling = relay._handleClient(clientSocket);
+  clientSocket.emit('data', socks5Request('chain', relay.token));
+  await handling;
+  failures += check('SOCKS5 client gets a success reply', clientSocket.sent.length === 3 && clientSocket.sent[2][1] === 0x00);
+  failures += check('Tunnel is open', relay.getStats().openTunnels === 1);
+
+  clientSocket.sent.length = 0;
+  upstreamSocket.emit('data', encode('HTTP/1.1 200 OK\r\n\r\n'));
+  upstreamSocket.emit('data', encode('last bytes'));
+  upstreamSocket.emit('closed');
+  await wait(50);
+
+  failures += check('Response before the upstream FIN reaches the client',
+    decode(concat(...clientSocket.sent)) === 'HTTP/1.1 200 OK\r\n\r\nlast bytes');
+  failures += check('Client is closed after the response', clientSocket.closed);
+  failures += check('Upstream is released', engine.released.length === 1 && engine.released[0] === upstream);
+  failures += check('Tunnel is gone', relay.getStats().openTunnels === 0);
+
+  // Client sends a request body, then FINs
+  const upstreamSocket2 = createSlowSocket();
+  const upstream2 = SocketStream.from(upstreamSocket2);
+  const engine2 = createEngine(upstream2);
+  const relay2 = new ChainRelay(engine2, { resolveChain: async () => ({ id: 'chain' }) });
+
+  const clientSocket2 = createFakeSocket();
+  const handling2 = relay2._handleClient(clientSocket2);
+  clientSocket2.emit('data', socks5Request('chain', relay2.token));
+  await handling2;
+
+  clientSocket2.emit('data', encode('request '));
+  clientSocket2.emit('data', encode('body'));
+  clientSocket2.emit('closed');
+  await wait(50);
+
+  failures += check('Request before the client FIN reaches upstream', decode(concat(...upstreamSocket2.sent)) === 'request body');
+  failures += check('Upstream is released after the request', engine2.released.length === 1 && upstreamSocket2.closed);
+  failures += check('Second tunnel is gone', relay2.getStats().openTunnels === 0);
+
+  return failures;
+}
+
+/**
+ * Test that an error tears the tunnel down at once
+ */
+async function testErrorClose() {
+  console.log('\n=== Testing Error Close ===');
+  let failures = 0;
+
+  const upstreamSocket = createFakeSocket();
+  const upstream = SocketStream.from(upstreamSocket);
+  const engine = createEngine(upstream);
+  const relay = new ChainRelay(engine, { resolveChain: async () => ({ id: 'chain' }) });
+
+  const clientSocket = createSlowSocket();
+  const handling = relay._handleClient(clientSocket);
+  clientSocket.emit('data', socks5Request('chain', relay.token));
+  await handling;
+
+  upstreamSocket.emit('error', new Error('Connection reset'));
+  await wait(10);
+
+  failures += check('Client is closed on upstream error', clientSocket.closed);
+  failures += check('Upstream is released on error', engine.released.length === 1);
+  failures += check('Tunnel is gone after error', relay.getStats().openTunnels === 0);
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testCloseAfterData() + await testErrorClose();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testCloseAfterData, testErrorClose, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
@@ -0,0 +1,106 @@
+/**
+ * Test script for the routing rules engine
+ *
+ * Checks first-match-wins evaluation for every rule type and that
+ * malformed patterns are rejected
+ */
+
+import { matchRule, compilePattern } from '../rules.js';
+
+/**
+ * Ordered rule list exercising every rule type
+ */
+const testRules = [
+  { id: 'corp', type: 'host', pattern: '*.internal.corp', action: 'direct' },
+  { id: 'private-v4', type: 'cidr', pattern: '10.0.0.0/8', action: 'block' },
+  { id: 'private-v6', type: 'cidr', pattern: 'fd00::/8', action: 'block' },
+  { id: 'dev-ports', type: 'port', pattern: '8000-8999, 22', action: 'chain', chainId: 'chain-dev' },
+  { id: 'example', type: 'regex', pattern: '^https://[^/]*\\.example\\.org/', action: 'chain', chainId: 'chain-1' },
+  { id: 'disabled', type: 'host', pattern: 'disabled.test', action: 'block', enabled: false }
+];
+
+/**
+ * Expected matching rule ID per URL (null = no rule matches)
+ */
+const expectedMatches = {
+  'http://app.internal.corp/': 'corp',
+  'http://10.2.3.4/': 'private-v4',
+  'http://11.2.3.4/': null,
+  'http://[fd12::1]/': 'private-v6',
+  'http://[fe80::1]/': null,
+  'http://dev.test:8080/': 'dev-ports',
+  'https://www.example.org/path': 'example',
+  'http://disabled.test/': null,
+  'https://other.test/': null
+};
+
+/**
+ * Test rule evaluation
+ */
+function testMatching() {
+  console.log('=== Testing Rule Matching ===');
+  let failures = 0;
+
+  for (const [url, expected] of Object.entries(expectedMatches)) {
+    const rule = matchRule(testRules, url);
+    const actual = rule ? rule.id : null;
+
+    if (actual === expected) {
+      console.log(`✅ ${url} -> ${actual}`);
+    } else {
+      console.error(`❌ ${url}: expected ${expected}, got ${actual}`);
+      failures++;
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Test that invalid patterns are rejected
+ */
+function testInvalidPatterns() {
+  console.log('\n=== Testing Invalid Patterns ===');
+  let failures = 0;
+
+  const invalid = [
+    ['cidr', '10.0.0/8'],
+    ['cidr', '10.0.0.0/33'],
+    ['port', '0'],
+    ['port', '9000-8000'],
+    ['regex', '('],
+    ['host', '']
+  ];
+
+  for (const [type, pattern] of invalid) {
+    try {
+      compilePattern(type, pattern);
+      console.error(`❌ ${type} '${pattern}' was accepted`);
+      failures++;
+    } catch (error) {
+      console.log(`✅ ${type} '${pattern}' rejected: ${error.message}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testMatching() + testInvalidPatterns();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testMatching, testInvalidPatterns, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
@@ -0,0 +1,116 @@
+/**
+ * Test script for the Shadowsocks AEAD client
+ *
+ * Checks the ChaCha20-Poly1305 test vector, key derivation, and a session
+ * between two ShadowsocksSockets over stand-in connections
+ */
+
+import { chacha20Poly1305Seal, chacha20Poly1305Open } from '../chacha20poly1305.js';
+import { ShadowsocksSocket, ShadowsocksProtocol, deriveMasterKey } from '../shadowsocks.js';
+import { check, createFakeSocket } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = (text) => Uint8Array.from(text.match(/../g), byte => parseInt(byte, 16));
+
+/**
+ * Test ChaCha20-Poly1305 (RFC 8439 Section 2.8.2) and EVP_BytesToKey
+ */
+function testPrimitives() {
+  console.log('=== Testing Primitives ===');
+  let failures = 0;
+
+  const key = fromHex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+  const nonce = fromHex('070000004041424344454647');
+  const aad = fromHex('50515253c0c1c2c3c4c5c6c7');
+  const plaintext = encode('Ladies and Gentlemen of the class of \'99: If I could offer you only one tip for the future, sunscreen would be it.');
+
+  const sealed = chacha20Poly1305Seal(key, nonce, plaintext, aad);
+  failures += check('ChaCha20-Poly1305 tag', hex(sealed.subarray(plaintext.length)) === '1ae10b594f09e26a7e902ecbd0600691');
+  failures += check('ChaCha20-Poly1305 round trip',
+    hex(chacha20Poly1305Open(key, nonce, sealed, aad)) === hex(plaintext));
+
+  sealed[0] ^= 1;
+  try {
+    chacha20Poly1305Open(key, nonce, sealed, aad);
+    failures += check('Tampered ciphertext is rejected', false);
+  } catch (error) {
+    failures += check(`Tampered ciphertext is rejected (${error.message})`, true);
+  }
+
+  failures += check('Master key from password', hex(deriveMasterKey('secret', 32)) ===
+    '5ebe2294ecd0e0f08eab7690d2a6ee6926ae5cc854e36b6bdfca366848dea6bb');
+
+  return failures;
+}
+
+/**
+ * Test a session: the client's output is fed to a second socket standing
+ * in for the server, which decrypts it with the same key
+ */
+async function testSession() {
+  console.log('\n=== Testing Session ===');
+  let failures = 0;
+
+  for (const method of ['chacha20-ietf-poly1305', 'aes-256-gcm']) {
+    const clientTransport = createFakeSocket();
+    const { socket: client } = await new ShadowsocksProtocol({ method })
+      .connect('example.com', 443, clientTransport, { password: 'secret' });
+    await client.write(new Uint8Array(20000).fill(7));
+
+    const serverTransport = createFakeSocket();
+    const server = new ShadowsocksSocket(serverTransport, method, deriveMasterKey('secret', 32));
+    const received = [];
+    let receivedBeforeClose = null;
+    server.addEventListener('data', data => received.push(data));
+    server.addEventListener('closed', () => { receivedBeforeClose = received.length; });
+
+    // Deliver the client's bytes in small pieces to exercise buffering, with
+    // the FIN right behind the last piece
+    for (const part of clientTransport.sent) {
+      for (let offset = 0; offset < part.length; offset += 1000) {
+        serverTransport.emit('data', part.subarray(offset, offset + 1000));
+      }
+    }
+    serverTransport.emit('closed');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const header = received[0];
+    failures += check(`${method}: first payload is the target address`,
+      hex(header) === '030b' + hex(encode('example.com')) + '01bb');
+    failures += check(`${method}: data split into chunks of at most 0x3FFF bytes`,
+      received.slice(1).map(chunk => chunk.length).join() === '16383,3617' &&
+      received.slice(1).every(chunk => chunk.every(byte => byte === 7)));
+    failures += check(`${method}: chunks that arrive with the FIN are delivered before 'closed'`,
+      receivedBeforeClose === 3 && !server.connected);
+  }
+
+  try {
+    await new ShadowsocksProtocol({ method: 'rc4-md5' }).connect('example.com', 443, createFakeSocket(), { password: 'x' });
+    failures += check('Unknown cipher is rejected', false);
+  } catch (error) {
+    failures += check(`Unknown cipher is rejected (${error.message})`, true);
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testPrimitives() + await testSession();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testPrimitives, testSession, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
@@ -0,0 +1,217 @@
+/**
+ * Test script for SOCKS5 authentication methods, BIND and UDP associations
+ *
+ * Drives the protocol with stand-in sockets, so no server is needed
+ */
+
+import {
+  SOCKS5Protocol,
+  SOCKS5UdpAssociation,
+  encapsulateUdpDatagram,
+  decapsulateUdpDatagram,
+  registerAuthMethod,
+  unregisterAuthMethod
+} from '../socks5.js';
+import { createGssapiAuthMethod } from '../gssapi.js';
+import { SocketStream } from '../stream.js';
+import { check, createFakeSocket } from './helpers.js';
+
+/**
+ * Test the UDP request header
+ */
+function testHeader() {
+  console.log('=== Testing UDP Request Header ===');
+  let failures = 0;
+
+  for (const address of ['192.0.2.1', '2001:db8::53', 'dns.example']) {
+    const packet = encapsulateUdpDatagram(new Uint8Array([1, 2, 3]), address, 53);
+    const datagram = decapsulateUdpDatagram(packet);
+    failures += check(`Round trip ${address}`,
+      datagram.address === address && datagram.port === 53 &&
+      datagram.fragment === 0 && datagram.data.join() === '1,2,3');
+  }
+
+  try {
+    decapsulateUdpDatagram(new Uint8Array([0, 0, 0, 1, 10, 0]));
+    failures += check('Truncated header is rejected', false);
+  } catch (error) {
+    failures += check(`Truncated header is rejected (${error.message})`, true);
+  }
+
+  return failures;
+}
+
+/**
+ * Test datagram delivery, fragment policies and relay filtering
+ */
+function testAssociation() {
+  console.log('\n=== Testing UDP Association ===');
+  let failures = 0;
+
+  const relay = { address: '192.0.2.10', port: 4000 };
+  const fragment = (text, frag) => encapsulateUdpDatagram(new TextEncoder().encode(text), '192.0.2.1', 53, frag);
+
+  for (const policy of ['drop', 'reassemble']) {
+    const control = createFakeSocket();
+    const udp = createFakeSocket();
+    const association = new SOCKS5UdpAssociation(control, udp, relay.address, relay.port, { fragmentPolicy: policy });
+
+    const received = [];
+    association.addEventListener('datagram', ({ data }) => received.push(new TextDecoder().decode(data)));
+
+    udp.emit('message', fragment('whole', 0), relay);
+    udp.emit('message', fragment('ab', 1), relay);
+    udp.emit('message', fragment('cd', 2 | 0x80), relay);
+    udp.emit('message', fragment('spoofed', 0), { address: '198.51.100.7', port: relay.port });
+
+    const expected = policy === 'drop' ? 'whole' : 'whole,abcd';
+    failures += check(`Fragment policy '${policy}' delivers ${expected}`, received.join() === expected);
+
+    control.close();
+    failures += check(`Control connection closing ends the association (${policy})`, association.closed && udp.closed);
+  }
+
+  return failures;
+}
+
+/**
+ * Test the two-reply BIND flow
+ */
+async function testBind() {
+  console.log('\n=== Testing BIND ===');
+  let failures = 0;
+
+  const socket = createFakeSocket();
+
+  // Method selection and the first reply, listening on 0.0.0.0:2000, in one chunk
+  deliver(socket, [0x05, 0x00, 0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0x07, 0xD0]);
+
+  const result = await new SOCKS5Protocol().bind(socket, undefined,
+    { address: '192.0.2.1', port: 0 }, { proxyAddress: '198.51.100.1' });
+  failures += check('First reply gives the listening address',
+    result.address === '198.51.100.1' && result.port === 2000);
+
+  // Second reply announces the peer 192.0.2.1:40000, followed by its first bytes
+  const received = [];
+  result.socket.addEventListener('data', data => received.push(...data));
+  deliver(socket, [0x05, 0x00, 0x00, 0x01, 192, 0, 2, 1, 0x9C, 0x40, 0x68, 0x69]);
+  const peer = await result.accepted;
+  failures += check('Second reply announces the inbound peer',
+    peer.address === '192.0.2.1' && peer.port === 40000);
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  failures += check('Peer data in the same chunk as the reply is kept', received.join() === '104,105');
+
+  return failures;
+}
+
+/**
+ * Deliver chunks to a fake socket one at a time, as the handler reads them
+ */
+function deliver(socket, ...chunks) {
+  chunks.reduce((delay, chunk) => {
+    setTimeout(() => socket.emit('data', new Uint8Array(chunk)), delay);
+    return delay + 5;
+  }, 0);
+}
+
+/**
+ * Test a registered method, the greeting order and GSSAPI encapsulation
+ */
+async function testAuthMethods() {
+  console.log('\n=== Testing Authentication Methods ===');
+  let failures = 0;
+
+  // A private method that sends a one-byte token and reads a status byte
+  registerAuthMethod({
+    code: 0x80,
+    name: 'vendor-token',
+    authenticate: async (channel) => {
+      await channel.write(new Uint8Array([0x2A]));
+      const [status] = await channel.read(1);
+      if (status !== 0) {
+        throw new Error('Token rejected');
+      }
+    }
+  });
+
+  try {
+    const socket = createFakeSocket();
+    const stream = new SocketStream(socket);
+    deliver(socket, [0x05, 0x80], [0x00]);
+    const tunnel = await new SOCKS5Protocol({ authMethods: ['vendor-token', 'username-password', 'none'] })
+      .negotiate(stream, undefined);
+
+    failures += check('Greeting offers the configured order, skipping unusable methods',
+      socket.sent[0].join() === '5,2,128,0');
+    failures += check('Selected method runs its sub-negotiation',
+      socket.sent[1].join() === '42' && tunnel === stream);
+  } finally {
+    unregisterAuthMethod('vendor-token');
+  }
+
+  try {
+    await new SOCKS5Protocol({ authMethods: ['vendor-token'] }).negotiate(createFakeSocket(), undefined);
+    failures += check('Unknown method is rejected', false);
+  } catch (error) {
+    failures += check(`Unknown method is rejected (${error.message})`, true);
+  }
+
+  // GSSAPI with a stand-in mechanism: one round trip, and 0xAA prefixed to wrapped data
+  const mechanism = {
+    initSecContext: async (input) => (input ? { complete: true } : { token: new Uint8Array([1, 2]), complete: false }),
+    wrap: async (data) => new Uint8Array([0xAA, ...data]),
+    unwrap: async (token) => token.subarray(1)
+  };
+  registerAuthMethod(createGssapiAuthMethod(mechanism));
+
+  try {
+    const socket = createFakeSocket();
+    deliver(socket, [0x05, 0x01], [0x01, 0x01], [0x00, 0x01], [0x09], [0x01, 0x02], [0x00, 0x02], [0xAA, 0x01]);
+    const tunnel = await new SOCKS5Protocol({ authMethods: ['gssapi'] }).negotiate(socket, undefined);
+
+    failures += check('GSSAPI context and protection level messages',
+      socket.sent[1].join() === '1,1,0,2,1,2' && socket.sent[2].join() === '1,2,0,2,170,2');
+    failures += check('Integrity level chosen by the server is used', tunnel.socket.confidential === false);
+
+    await tunnel.write(new Uint8Array([0x68, 0x69]));
+    failures += check('Writes are encapsulated', socket.sent[3].join() === '1,3,0,3,170,104,105');
+
+    const received = new Promise(resolve => tunnel.addEventListener('data', resolve));
+    socket.emit('data', new Uint8Array([0x01, 0x03, 0x00, 0x03, 0xAA, 0x6F, 0x6B]));
+    failures += check('Reads are unwrapped', (await received).join() === '111,107');
+
+    // The last message and the server's close in the same turn
+    const events = [];
+    tunnel.addEventListener('data', data => events.push(data.join()));
+    const closed = new Promise(resolve => tunnel.addEventListener('closed', resolve));
+    socket.emit('data', new Uint8Array([0x01, 0x03, 0x00, 0x02, 0xAA, 0x21]));
+    socket.emit('closed');
+    await closed;
+    failures += check('Last message before the close is unwrapped', events.join('|') === '33');
+  } finally {
+    unregisterAuthMethod('gssapi');
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testHeader() + testAssociation() + await testBind() + await testAuthMethods();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testHeader, testAssociation, testBind, testAuthMethods, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
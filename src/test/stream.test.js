@@ -0,0 +1,134 @@
+/**
+ * Test script for SocketStream
+ *
+ * Drives the stream with a stand-in socket, so no server is needed
+ */
+
+import { SocketStream } from '../stream.js';
+import { check, createFakeSocket } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Test reads, pushback and the handover to 'data' listeners
+ */
+async function testReading() {
+  console.log('=== Testing Reading ===');
+  let failures = 0;
+
+  const socket = createFakeSocket();
+  const stream = SocketStream.from(socket);
+  failures += check('One stream per socket', SocketStream.from(socket) === stream && SocketStream.from(stream) === stream);
+
+  // A reply, the next reply and tunnelled data in one chunk
+  const reading = stream.readExactly(2);
+  socket.emit('data', encode('OKHTTP/1.1 200 Connection established\r\n\r\nhello'));
+  failures += check('readExactly leaves the rest buffered', decode(await reading) === 'OK');
+
+  const line = await stream.readUntil('\r\n', 100);
+  failures += check('readUntil includes the delimiter', decode(line) === 'HTTP/1.1 200 Connection established\r\n');
+  await stream.readUntil('\r\n', 100);
+
+  const peek = await stream.readExactly(1);
+  stream.unread(peek);
+  failures += check('unread puts bytes back in front', decode(await stream.readExactly(2)) === 'he');
+
+  const received = [];
+  stream.addEventListener('data', data => received.push(decode(data)));
+  stream.addEventListener('closed', () => received.push('closed'));
+  await tick();
+  failures += check('Unread bytes go to the next listener', received.join() === 'llo');
+
+  socket.emit('data', encode('more'));
+  socket.emit('closed');
+  failures += check('Later data is emitted, then closed', received.join() === 'llo,more,closed');
+
+  const split = SocketStream.from(createFakeSocket());
+  const header = split.readUntil(encode('\r\n\r\n'), 100);
+  split.socket.emit('data', encode('Host: a\r\n\r'));
+  split.socket.emit('data', encode('\nrest'));
+  failures += check('Delimiter split across chunks is found', decode(await header) === 'Host: a\r\n\r\n');
+
+  try {
+    const short = split.readExactly(10);
+    split.socket.emit('closed');
+    await short;
+    failures += check('Short read fails when the peer closes', false);
+  } catch (error) {
+    failures += check(`Short read fails when the peer closes (${error.message})`, true);
+  }
+
+  try {
+    const long = SocketStream.from(createFakeSocket());
+    const reading = long.readUntil('\r\n', 4);
+    long.socket.emit('data', encode('abcdef'));
+    await reading;
+    failures += check('readUntil gives up after maxLength', false);
+  } catch (error) {
+    failures += check(`readUntil gives up after maxLength (${error.message})`, true);
+  }
+
+  return failures;
+}
+
+/**
+ * Test write ordering, backpressure and half-close
+ */
+async function testWriting() {
+  console.log('\n=== Testing Writing ===');
+  let failures = 0;
+
+  // Slow writes, so a write that did not wait for the one before would overtake it
+  const socket = createFakeSocket({ writeDelay: 5 });
+  const stream = new SocketStream(socket, { highWaterMark: 8 });
+
+  stream.write(encode('a'));
+  stream.write(encode('b'));
+  await stream.write(encode('c'));
+  failures += check('Unawaited writes keep their order', socket.sent.map(decode).join('') === 'abc');
+
+  const received = [];
+  stream.addEventListener('data', data => received.push(decode(data)));
+  stream.pause();
+  socket.emit('data', encode('12345'));
+  socket.emit('data', encode('6789'));
+  failures += check('Paused stream buffers and pauses a full transport', received.length === 0 && socket.paused);
+
+  stream.resume();
+  failures += check('Resume delivers the buffer and the transport', received.join() === '123456789' && !socket.paused);
+
+  await stream.end();
+  try {
+    await stream.write(encode('d'));
+    failures += check('Writes after end are refused', false);
+  } catch (error) {
+    failures += check(`Writes after end are refused (${error.message})`, true);
+  }
+
+  socket.emit('data', encode('still'));
+  failures += check('Reading continues after end', received.join() === '123456789,still' && stream.isConnected());
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testReading() + await testWriting();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testReading, testWriting, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
@@ -0,0 +1,71 @@
+/**
+ * Test script for the credential vault
+ *
+ * Uses an in-memory storage area so it runs outside the extension
+ */
+
+import { CredentialVault } from '../vault.js';
+import { check, createMemoryStorage } from './helpers.js';
+
+/**
+ * Test encryption, locking and passphrase handling
+ */
+async function testVault() {
+  console.log('=== Testing Credential Vault ===');
+  let failures = 0;
+
+  const storage = createMemoryStorage();
+  const vault = new CredentialVault({ storage, sessionStorage: null, iterations: 1000 });
+
+  await vault.create('correct horse battery');
+  const id = await vault.storeCredential({ username: 'alice', password: 's3cret' });
+
+  const stored = JSON.stringify(storage.data);
+  failures += check('Credentials are not stored in cleartext', !stored.includes('alice') && !stored.includes('s3cret'));
+
+  const credential = await vault.getCredential(id);
+  failures += check('Credential decrypts while unlocked', credential.username === 'alice' && credential.password === 's3cret');
+
+  await vault.lock();
+  try {
+    await vault.getCredential(id);
+    failures += check('Locked vault refuses reads', false);
+  } catch (error) {
+    failures += check(`Locked vault refuses reads (${error.message})`, true);
+  }
+
+  try {
+    await vault.unlock('wrong passphrase');
+    failures += check('Wrong passphrase is rejected', false);
+  } catch (error) {
+    failures += check(`Wrong passphrase is rejected (${error.message})`, true);
+  }
+
+  await vault.changePassphrase('correct horse battery', 'new passphrase here');
+  await vault.lock();
+  await vault.unlock('new passphrase here');
+  const afterChange = await vault.getCredential(id);
+  failures += check('Credentials survive a passphrase change', afterChange.password === 's3cret');
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testVault();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testVault, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
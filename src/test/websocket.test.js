@@ -0,0 +1,145 @@
+/**
+ * Test script for the WebSocket tunnel
+ *
+ * Runs the upgrade and framing against a stand-in server
+ */
+
+import { WebSocketProtocol, encodeFrame, expandPath } from '../websocket.js';
+import { check, createFakeSocket } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Unmask a client frame with a short payload
+ */
+function readClientFrame(frame) {
+  const length = frame[1] & 0x7F;
+  const offset = length === 126 ? 4 : 2;
+  const mask = frame.subarray(offset, offset + 4);
+  const payload = frame.subarray(offset + 4).map((byte, i) => byte ^ mask[i & 3]);
+  return { opcode: frame[0] & 0x0F, masked: (frame[1] & 0x80) !== 0, payload };
+}
+
+/**
+ * Build an unmasked server frame
+ */
+function serverFrame(opcode, payload) {
+  return new Uint8Array([0x80 | opcode, payload.length, ...payload]);
+}
+
+/**
+ * Answer the upgrade request in the socket's first write
+ */
+async function acceptUpgrade(socket, extra = new Uint8Array(0)) {
+  const key = /Sec-WebSocket-Key: (\S+)/.exec(decode(socket.sent[0]))[1];
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1',
+    encode(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')));
+  const response = encode('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${btoa(String.fromCharCode(...digest))}\r\n\r\n`);
+  const bytes = new Uint8Array(response.length + extra.length);
+  bytes.set(response);
+  bytes.set(extra, response.length);
+  return bytes;
+}
+
+/**
+ * Test frame encoding and path templates
+ */
+function testFraming() {
+  console.log('=== Testing Framing ===');
+  let failures = 0;
+
+  const frame = readClientFrame(encodeFrame(2, encode('hello')));
+  failures += check('Client frames are masked binary frames',
+    frame.opcode === 2 && frame.masked && decode(frame.payload) === 'hello');
+
+  const large = encodeFrame(2, new Uint8Array(70000));
+  failures += check('Large payloads use the 64-bit length',
+    (large[1] & 0x7F) === 127 && large.length === 2 + 8 + 4 + 70000);
+
+  failures += check('Path templates take the next hop',
+    expandPath('/wstunnel/tcp/{host}/{port}', 'proxy.example', 1080) === '/wstunnel/tcp/proxy.example/1080');
+
+  return failures;
+}
+
+/**
+ * Test the upgrade and a session over a stand-in connection
+ */
+async function testSession() {
+  console.log('\n=== Testing Session ===');
+  let failures = 0;
+
+  const socket = createFakeSocket();
+  const protocol = new WebSocketProtocol({ host: 'ws.example', port: 8080, path: '/t/{host}/{port}' });
+  const connecting = protocol.connect('10.0.0.1', 1080, socket, { username: 'user', password: 'pass' });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const request = decode(socket.sent[0]);
+  failures += check('Upgrade request names the target in the path',
+    request.startsWith('GET /t/10.0.0.1/1080 HTTP/1.1\r\nHost: ws.example:8080\r\n'));
+  failures += check('Credentials are sent as Basic authorization',
+    request.includes(`Authorization: Basic ${btoa('user:pass')}\r\n`));
+
+  // The response and the first frame arrive in one chunk, split at an odd point
+  const bytes = await acceptUpgrade(socket, serverFrame(2, encode('first')));
+  socket.emit('data', bytes.subarray(0, 20));
+  socket.emit('data', bytes.subarray(20));
+  const { socket: tunnel } = await connecting;
+
+  const received = [];
+  tunnel.addEventListener('data', data => received.push(decode(data)));
+  failures += check('Frames sent with the response are delivered', received.join() === 'first');
+
+  const frame = serverFrame(2, encode('second'));
+  socket.emit('data', frame.subarray(0, 3));
+  socket.emit('data', frame.subarray(3));
+  failures += check('Frames are reassembled across chunks', received.join() === 'first,second');
+
+  await tunnel.write('ping');
+  const written = readClientFrame(socket.sent[socket.sent.length - 1]);
+  failures += check('Writes are sent as binary frames', written.opcode === 2 && decode(written.payload) === 'ping');
+
+  socket.emit('data', serverFrame(9, encode('beat')));
+  const pong = readClientFrame(socket.sent[socket.sent.length - 1]);
+  failures += check('Pings are answered', pong.opcode === 10 && decode(pong.payload) === 'beat');
+
+  socket.emit('data', serverFrame(8, new Uint8Array([0x03, 0xE8])));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  failures += check('A close frame closes the tunnel', !tunnel.isConnected() && socket.closed);
+
+  const refused = createFakeSocket();
+  const attempt = new WebSocketProtocol({ host: 'ws.example', port: 80 }).connect('a.test', 80, refused);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  failures += check('Default port is left out of the Host header', decode(refused.sent[0]).includes('Host: ws.example\r\n'));
+  refused.emit('data', encode('HTTP/1.1 404 Not Found\r\nContent-Length: 0\r\n\r\n'));
+  try {
+    await attempt;
+    failures += check('Refused upgrades fail', false);
+  } catch (error) {
+    failures += check(`Refused upgrades fail (${error.message})`, true);
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = testFraming() + await testSession();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testFraming, testSession, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
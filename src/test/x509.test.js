@@ -0,0 +1,103 @@
+/**
+ * Test script for certificate parsing and pinning
+ *
+ * Uses a self-signed P-256 certificate for proxy.test and 127.0.0.1
+ */
+
+import {
+  parseCertificate,
+  verifyCertificateChain,
+  computePin,
+  matchesHostname,
+  isValidPin
+} from '../x509.js';
+import { check } from './helpers.js';
+
+const CERTIFICATE_PEM = `
+MIIBmzCCAUKgAwIBAgIUFM0Z3pbBjg9EkSt7me/u3WEtU5AwCgYIKoZIzj0EAwIw
+FTETMBEGA1UEAwwKcHJveHkudGVzdDAeFw0yNjEwMTkxMzAzNTdaFw0yNjExMTgx
+MzAzNTdaMBUxEzARBgNVBAMMCnByb3h5LnRlc3QwWTATBgcqhkjOPQIBBggqhkjO
+PQMBBwNCAASGEHnYGC8EKLdPoX1jrgBEbrQ09PXmNyZLWe88wYCqL5d+9sKpnXYR
+Du2X4opbbwNt5GYfmD86aX2F3s0L5Uhio3AwbjAdBgNVHQ4EFgQUQgSAa4+6UGM1
+j35WUrvkZwVMQC8wHwYDVR0jBBgwFoAUQgSAa4+6UGM1j35WUrvkZwVMQC8wDwYD
+VR0TAQH/BAUwAwEB/zAbBgNVHREEFDASggpwcm94eS50ZXN0hwR/AAABMAoGCCqG
+SM49BAMCA0cAMEQCIFupxZ1f5iM59IERIC7aUQ1bYqGuwky/bR2b4T/tHX3HAiBi
+3+jGrI9Pekx68REfiUwPberBx7jZgmePkUGpR/BcYQ==`;
+
+// openssl x509 -pubkey -noout | openssl pkey -pubin -outform der | openssl dgst -sha256 -binary | base64
+const CERTIFICATE_PIN = 'sha256/Ssl1TvkV8yDNj8hTh5TAqdI+ze+NhWEHd8YqIFTIAj0=';
+const OTHER_PIN = 'sha256/zoGOsT7EDosjzX63vazLTWQ9umuaPLvScVsLWe1Bjig=';
+
+const der = Uint8Array.from(atob(CERTIFICATE_PEM.replace(/\s+/g, '')), c => c.charCodeAt(0));
+
+/**
+ * Test parsing, pins and host name matching
+ */
+async function testCertificate() {
+  console.log('=== Testing Certificate Parsing ===');
+  let failures = 0;
+
+  const certificate = parseCertificate(der);
+  failures += check('Subject alternative names are parsed',
+    certificate.dnsNames.join() === 'proxy.test' && certificate.ipAddresses[0].join('.') === '127.0.0.1');
+  failures += check('Pin matches openssl', await computePin(certificate) === CERTIFICATE_PIN);
+  failures += check('Pin format is validated', isValidPin(CERTIFICATE_PIN) && !isValidPin('sha256/abc'));
+
+  for (const [hostname, expected] of [['proxy.test', true], ['PROXY.test', true], ['127.0.0.1', true],
+    ['a.proxy.test', false], ['other.test', false]]) {
+    failures += check(`Host name ${hostname} ${expected ? 'matches' : 'does not match'}`,
+      matchesHostname(certificate, hostname) === expected);
+  }
+
+  return failures;
+}
+
+/**
+ * Test chain verification against pins and validity dates
+ */
+async function testVerification() {
+  console.log('\n=== Testing Chain Verification ===');
+  let failures = 0;
+
+  const { notBefore, notAfter } = parseCertificate(der);
+  const now = new Date(notBefore.getTime() + 60000);
+
+  const leaf = await verifyCertificateChain([der], { hostname: 'proxy.test', pins: [CERTIFICATE_PIN], now });
+  failures += check('Pinned certificate is accepted', leaf.dnsNames[0] === 'proxy.test');
+
+  const rejections = [
+    ['Unpinned certificate is rejected', { hostname: 'proxy.test', pins: [OTHER_PIN], now }, CERTIFICATE_PIN],
+    ['Expired certificate is rejected', { hostname: 'proxy.test', pins: [CERTIFICATE_PIN], now: new Date(notAfter.getTime() + 1000) }, '']
+  ];
+
+  for (const [label, options, expectedText] of rejections) {
+    try {
+      await verifyCertificateChain([der], options);
+      failures += check(label, false);
+    } catch (error) {
+      failures += check(`${label} (${error.message})`, error.message.includes(expectedText));
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  const failures = await testCertificate() + await testVerification();
+  console.log(`\n=== Test completed: ${failures} failure(s) ===`);
+  return failures;
+}
+
+// Export for use in other modules
+export { testCertificate, testVerification, runTests };
+
+// Run tests if this script is executed directly
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+  // Node.js environment
+  runTests()
+    .then(failures => { process.exitCode = failures ? 1 : 0; })
+    .catch(error => { console.error(error); process.exitCode = 1; });
+}
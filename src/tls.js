@@ -0,0 +1,1024 @@
+/**
+ * TLS 1.3 client over an existing socket
+ *
+ * HTTPS proxy hops need TLS with the proxy itself, and that proxy may only
+ * be reachable through a tunnel opened by earlier hops. The browser's
+ * socket APIs can only secure a direct connection, so this module runs
+ * TLS 1.3 (RFC 8446) in JavaScript on top of any socket-like object, using
+ * WebCrypto for the primitives:
+ *
+ * - Key exchange: ECDHE on secp256r1
+ * - Cipher suites: TLS_AES_128_GCM_SHA256, TLS_AES_256_GCM_SHA384
+ * - Server signatures: ECDSA and RSA-PSS
+ *
+ * The server certificate is checked against pinned keys (see x509.js).
+ * Session resumption, 0-RTT and client certificates are not supported; a
+ * server that asks for a client certificate is sent an empty one.
+ *
+ * TLSSocket has the same interface as TCPSocket, so protocol handlers and
+ * later hops use it unchanged, and it can itself carry another TLSSocket.
+ */
+
+import { verifyCertificateChain, verifySignature } from './x509.js';
+import { concat } from './bytes.js';
+import { EventEmitter } from './events.js';
+
+/**
+ * TLS Protocol Constants
+ */
+const LEGACY_VERSION = 0x0303;
+const TLS_1_3 = 0x0304;
+const MAX_FRAGMENT_LENGTH = 16384;
+const AEAD_TAG_LENGTH = 16;
+
+const CONTENT_TYPE = {
+  CHANGE_CIPHER_SPEC: 20,
+  ALERT: 21,
+  HANDSHAKE: 22,
+  APPLICATION_DATA: 23
+};
+
+const HANDSHAKE_TYPE = {
+  CLIENT_HELLO: 1,
+  SERVER_HELLO: 2,
+  NEW_SESSION_TICKET: 4,
+  ENCRYPTED_EXTENSIONS: 8,
+  CERTIFICATE: 11,
+  CERTIFICATE_REQUEST: 13,
+  CERTIFICATE_VERIFY: 15,
+  FINISHED: 20,
+  KEY_UPDATE: 24,
+  MESSAGE_HASH: 254
+};
+
+const EXTENSION = {
+  SERVER_NAME: 0,
+  SUPPORTED_GROUPS: 10,
+  SIGNATURE_ALGORITHMS: 13,
+  SUPPORTED_VERSIONS: 43,
+  COOKIE: 44,
+  KEY_SHARE: 51
+};
+
+const GROUP_SECP256R1 = 0x0017;
+
+const CIPHER_SUITES = {
+  0x1301: { name: 'TLS_AES_128_GCM_SHA256', hash: 'SHA-256', hashLength: 32, keyLength: 16 },
+  0x1302: { name: 'TLS_AES_256_GCM_SHA384', hash: 'SHA-384', hashLength: 48, keyLength: 32 }
+};
+
+// Schemes accepted in CertificateVerify
+const SIGNATURE_SCHEMES = {
+  0x0403: { key: 'ECDSA', hash: 'SHA-256' },
+  0x0503: { key: 'ECDSA', hash: 'SHA-384' },
+  0x0603: { key: 'ECDSA', hash: 'SHA-512' },
+  0x0804: { key: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+  0x0805: { key: 'RSA-PSS', hash: 'SHA-384', saltLength: 48 },
+  0x0806: { key: 'RSA-PSS', hash: 'SHA-512', saltLength: 64 }
+};
+
+// RSA PKCS#1 v1.5, only allowed in certificate signatures
+const CERTIFICATE_ONLY_SCHEMES = [0x0401, 0x0501, 0x0601];
+
+// ServerHello.random of a HelloRetryRequest (RFC 8446 Section 4.1.3)
+const HELLO_RETRY_RANDOM = new Uint8Array([
+  0xCF, 0x21, 0xAD, 0x74, 0xE5, 0x9A, 0x61, 0x11, 0xBE, 0x1D, 0x8C, 0x02, 0x1E, 0x65, 0xB8, 0x91,
+  0xC2, 0xA2, 0x11, 0x16, 0x7A, 0xBB, 0x8C, 0x5E, 0x07, 0x9E, 0x09, 0xE2, 0xC8, 0xA8, 0x33, 0x9C
+]);
+
+const ALERT_CLOSE_NOTIFY = 0;
+
+const ALERT_NAMES = {
+  10: 'unexpected_message',
+  20: 'bad_record_mac',
+  22: 'record_overflow',
+  40: 'handshake_failure',
+  42: 'bad_certificate',
+  43: 'unsupported_certificate',
+  44: 'certificate_revoked',
+  45: 'certificate_expired',
+  46: 'certificate_unknown',
+  47: 'illegal_parameter',
+  48: 'unknown_ca',
+  49: 'access_denied',
+  50: 'decode_error',
+  51: 'decrypt_error',
+  70: 'protocol_version',
+  71: 'insufficient_security',
+  80: 'internal_error',
+  86: 'inappropriate_fallback',
+  90: 'user_canceled',
+  109: 'missing_extension',
+  110: 'unsupported_extension',
+  112: 'unrecognized_name',
+  116: 'certificate_required',
+  120: 'no_application_protocol'
+};
+
+const EMPTY = new Uint8Array(0);
+
+/**
+ * Encode a 16-bit integer
+ * @param {number} value
+ * @returns {number[]}
+ */
+function u16(value) {
+  return [(value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Encode a 24-bit integer
+ * @param {number} value
+ * @returns {number[]}
+ */
+function u24(value) {
+  return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Encode a vector with an 8-bit length prefix
+ * @param {Uint8Array|number[]} bytes
+ * @returns {Uint8Array}
+ */
+function vector8(bytes) {
+  return concat([bytes.length], bytes);
+}
+
+/**
+ * Encode a vector with a 16-bit length prefix
+ * @param {Uint8Array|number[]} bytes
+ * @returns {Uint8Array}
+ */
+function vector16(bytes) {
+  return concat(u16(bytes.length), bytes);
+}
+
+/**
+ * Encode a handshake message
+ * @param {number} type - Handshake type
+ * @param {Uint8Array} body - Message body
+ * @returns {Uint8Array}
+ */
+function handshakeMessage(type, body) {
+  return concat([type], u24(body.length), body);
+}
+
+/**
+ * Encode an extension
+ * @param {number} type - Extension type
+ * @param {Uint8Array} data - Extension data
+ * @returns {Uint8Array}
+ */
+function extension(type, data) {
+  return concat(u16(type), vector16(data));
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function sameBytes(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Sequential reader for TLS structures
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Malformed TLS message');
+    }
+    const value = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  u8() {
+    return this.take(1)[0];
+  }
+
+  u16() {
+    const bytes = this.take(2);
+    return (bytes[0] << 8) | bytes[1];
+  }
+
+  u24() {
+    const bytes = this.take(3);
+    return (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+  }
+
+  vector8() {
+    return this.take(this.u8());
+  }
+
+  vector16() {
+    return this.take(this.u16());
+  }
+
+  vector24() {
+    return this.take(this.u24());
+  }
+}
+
+/**
+ * HMAC with the suite's hash
+ * @returns {Promise<Uint8Array>}
+ */
+async function hmac(hash, key, data) {
+  const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+}
+
+/**
+ * Hash data with the suite's hash
+ * @returns {Promise<Uint8Array>}
+ */
+async function digest(hash, data) {
+  return new Uint8Array(await crypto.subtle.digest(hash, data));
+}
+
+/**
+ * HKDF-Expand-Label (RFC 8446 Section 7.1)
+ * @returns {Promise<Uint8Array>}
+ */
+async function hkdfExpandLabel(suite, secret, label, context, length) {
+  const labelBytes = new TextEncoder().encode('tls13 ' + label);
+  const info = concat(u16(length), vector8(labelBytes), vector8(context));
+
+  // HKDF-Expand (RFC 5869)
+  const output = new Uint8Array(length);
+  let block = EMPTY;
+  for (let counter = 1, offset = 0; offset < length; counter++) {
+    block = await hmac(suite.hash, secret, concat(block, info, [counter]));
+    output.set(block.subarray(0, length - offset), offset);
+    offset += block.length;
+  }
+  return output;
+}
+
+/**
+ * Derive-Secret (RFC 8446 Section 7.1)
+ * @returns {Promise<Uint8Array>}
+ */
+function deriveSecret(suite, secret, label, transcriptHash) {
+  return hkdfExpandLabel(suite, secret, label, transcriptHash, suite.hashLength);
+}
+
+/**
+ * Create the record protection state for a traffic secret
+ * @returns {Promise<Object>}
+ */
+async function createCipherState(suite, secret) {
+  const key = await hkdfExpandLabel(suite, secret, 'key', EMPTY, suite.keyLength);
+  const iv = await hkdfExpandLabel(suite, secret, 'iv', EMPTY, 12);
+
+  return {
+    suite,
+    secret,
+    key: await crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']),
+    iv,
+    sequence: 0
+  };
+}
+
+/**
+ * Move a cipher state to the next generation after a KeyUpdate
+ * @returns {Promise<Object>}
+ */
+async function updateCipherState(state) {
+  const secret = await hkdfExpandLabel(state.suite, state.secret, 'traffic upd', EMPTY, state.suite.hashLength);
+  return createCipherState(state.suite, secret);
+}
+
+/**
+ * Per-record nonce: the IV XORed with the sequence number
+ * @returns {Uint8Array}
+ */
+function recordNonce(state) {
+  const nonce = state.iv.slice();
+  let sequence = state.sequence;
+  for (let i = 11; i >= 4 && sequence > 0; i--) {
+    nonce[i] ^= sequence % 256;
+    sequence = Math.floor(sequence / 256);
+  }
+  return nonce;
+}
+
+/**
+ * Parse a ServerHello or HelloRetryRequest
+ * @param {Uint8Array} body - Message body
+ * @returns {Object} Parsed hello
+ * @throws {Error} If the server did not pick TLS 1.3 or a supported suite
+ */
+function parseServerHello(body) {
+  const reader = new ByteReader(body);
+  reader.u16(); // legacy_version
+  const random = reader.take(32);
+  const sessionId = reader.vector8();
+  const cipherSuite = reader.u16();
+  const compression = reader.u8();
+
+  const hello = {
+    isRetry: sameBytes(random, HELLO_RETRY_RANDOM),
+    cipherSuite,
+    version: null,
+    keyShare: null,
+    selectedGroup: null,
+    cookie: null
+  };
+
+  if (sessionId.length !== 0 || compression !== 0) {
+    throw new Error('Malformed ServerHello');
+  }
+
+  const extensions = new ByteReader(reader.vector16());
+  while (!extensions.done) {
+    const type = extensions.u16();
+    const data = new ByteReader(extensions.vector16());
+
+    if (type === EXTENSION.SUPPORTED_VERSIONS) {
+      hello.version = data.u16();
+    } else if (type === EXTENSION.KEY_SHARE && hello.isRetry) {
+      hello.selectedGroup = data.u16();
+    } else if (type === EXTENSION.KEY_SHARE) {
+      hello.keyShare = { group: data.u16(), key: data.vector16() };
+    } else if (type === EXTENSION.COOKIE) {
+      hello.cookie = data.vector16();
+    }
+  }
+
+  if (hello.version !== TLS_1_3) {
+    throw new Error('Server does not support TLS 1.3');
+  }
+
+  if (!CIPHER_SUITES[cipherSuite]) {
+    throw new Error(`Server chose unsupported cipher suite 0x${cipherSuite.toString(16)}`);
+  }
+
+  return hello;
+}
+
+/**
+ * TLSSocket class - TLS 1.3 client on top of a connected socket
+ *
+ * Emits the same events as TCPSocket: 'opened' once the handshake completes,
+ * 'data' with decrypted Uint8Arrays, 'error' and 'closed'.
+ */
+export class TLSSocket extends EventEmitter {
+  /**
+   * @param {Object} socket - Connected socket reaching the TLS server
+   * @param {Object} options
+   * @param {string} options.servername - Host name (or IP) the server is addressed by
+   * @param {string[]} [options.pins] - Trusted public key pins ('sha256/...')
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.servername = options.servername;
+    this.pins = options.pins || [];
+    this.connected = false;
+    this.cipherSuite = null;
+
+    this._random = crypto.getRandomValues(new Uint8Array(32));
+    this._incoming = EMPTY;
+    this._handshakeBuffer = EMPTY;
+    this._readState = null;
+    this._writeState = null;
+    this._writeQueue = Promise.resolve();
+    this._dataWaiter = null;
+    this._closed = false;
+    this._transportClosed = false;
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._handleTransportClosed();
+    this._onError = (error) => this._handleTransportError(error);
+  }
+
+  /**
+   * Run the TLS handshake
+   * @returns {Promise<void>}
+   * @throws {Error} If the handshake or certificate verification fails
+   */
+  async handshake() {
+    this.socket.addEventListener('data', this._onData);
+    this.socket.addEventListener('closed', this._onClosed);
+    this.socket.addEventListener('error', this._onError);
+
+    try {
+      await this._performHandshake();
+    } catch (error) {
+      this._detach();
+      this._closed = true;
+      throw new Error(`TLS handshake with ${this.servername} failed: ${error.message}`);
+    }
+
+    this.connected = true;
+    this._emit('opened');
+    this._pump();
+  }
+
+  /**
+   * Write application data
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    if (!this.connected) {
+      throw new Error('Socket not connected');
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    if (bytes.length > 0) {
+      await this._writeRecord(CONTENT_TYPE.APPLICATION_DATA, bytes);
+    }
+  }
+
+  /**
+   * Send close_notify and close the underlying socket
+   */
+  close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._rejectWaiter(new Error('Socket closed'));
+
+    const finish = () => {
+      this._detach();
+      this.socket.close();
+    };
+
+    if (wasConnected && !this._transportClosed) {
+      this._writeRecord(CONTENT_TYPE.ALERT, new Uint8Array([1, ALERT_CLOSE_NOTIFY])).then(finish, finish);
+    } else {
+      finish();
+    }
+
+    this._emit('closed');
+  }
+
+  /**
+   * Client side of the handshake (RFC 8446 Section 2)
+   * @private
+   */
+  async _performHandshake() {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+
+    let clientHello = this._buildClientHello(publicKey, null);
+    await this._writeRecord(CONTENT_TYPE.HANDSHAKE, clientHello);
+
+    let serverHello = await this._expectMessage(HANDSHAKE_TYPE.SERVER_HELLO);
+    let hello = parseServerHello(serverHello.body);
+    let transcript = [clientHello];
+
+    if (hello.isRetry) {
+      // Only P-256 is offered, so a retry can only be asking for a cookie
+      if (hello.selectedGroup !== null) {
+        throw new Error(`Server requires unsupported key exchange group 0x${hello.selectedGroup.toString(16)}`);
+      }
+
+      const retrySuite = CIPHER_SUITES[hello.cipherSuite];
+      const firstHash = await digest(retrySuite.hash, clientHello);
+      transcript = [handshakeMessage(HANDSHAKE_TYPE.MESSAGE_HASH, firstHash), serverHello.raw];
+
+      clientHello = this._buildClientHello(publicKey, hello.cookie);
+      await this._writeRecord(CONTENT_TYPE.HANDSHAKE, clientHello);
+      transcript.push(clientHello);
+
+      const retryCipherSuite = hello.cipherSuite;
+      serverHello = await this._expectMessage(HANDSHAKE_TYPE.SERVER_HELLO);
+      hello = parseServerHello(serverHello.body);
+      if (hello.isRetry || hello.cipherSuite !== retryCipherSuite) {
+        throw new Error('Invalid ServerHello after HelloRetryRequest');
+      }
+    }
+
+    transcript.push(serverHello.raw);
+
+    if (!hello.keyShare || hello.keyShare.group !== GROUP_SECP256R1) {
+      throw new Error('Server did not send a P-256 key share');
+    }
+
+    const suite = CIPHER_SUITES[hello.cipherSuite];
+    this.cipherSuite = suite.name;
+    const transcriptHash = () => digest(suite.hash, concat(...transcript));
+
+    const serverKey = await crypto.subtle.importKey('raw', hello.keyShare.key,
+      { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const sharedSecret = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: serverKey }, keyPair.privateKey, 256));
+
+    // Key schedule (RFC 8446 Section 7.1); there is no PSK
+    const zeros = new Uint8Array(suite.hashLength);
+    const emptyHash = await digest(suite.hash, EMPTY);
+    const earlySecret = await hmac(suite.hash, zeros, zeros);
+    const handshakeSecret = await hmac(suite.hash,
+      await deriveSecret(suite, earlySecret, 'derived', emptyHash), sharedSecret);
+
+    let hash = await transcriptHash();
+    const clientHandshakeSecret = await deriveSecret(suite, handshakeSecret, 'c hs traffic', hash);
+    const serverHandshakeSecret = await deriveSecret(suite, handshakeSecret, 's hs traffic', hash);
+
+    this._assertHandshakeBufferEmpty();
+    this._readState = await createCipherState(suite, serverHandshakeSecret);
+
+    // Server's encrypted flight
+    const encryptedExtensions = await this._expectMessage(HANDSHAKE_TYPE.ENCRYPTED_EXTENSIONS);
+    transcript.push(encryptedExtensions.raw);
+
+    let message = await this._readHandshakeMessage();
+    let certificateRequestContext = null;
+    if (message.type === HANDSHAKE_TYPE.CERTIFICATE_REQUEST) {
+      certificateRequestContext = new ByteReader(message.body).vector8();
+      transcript.push(message.raw);
+      message = await this._readHandshakeMessage();
+    }
+
+    if (message.type !== HANDSHAKE_TYPE.CERTIFICATE) {
+      throw new Error(`Expected Certificate, got handshake message ${message.type}`);
+    }
+    const leaf = await this._verifyCertificate(message.body);
+    transcript.push(message.raw);
+
+    const certificateVerify = await this._expectMessage(HANDSHAKE_TYPE.CERTIFICATE_VERIFY);
+    await this._verifyCertificateVerify(leaf, certificateVerify.body, await transcriptHash());
+    transcript.push(certificateVerify.raw);
+
+    const serverFinished = await this._expectMessage(HANDSHAKE_TYPE.FINISHED);
+    const serverFinishedKey = await hkdfExpandLabel(suite, serverHandshakeSecret, 'finished', EMPTY, suite.hashLength);
+    const expected = await hmac(suite.hash, serverFinishedKey, await transcriptHash());
+    if (!sameBytes(serverFinished.body, expected)) {
+      throw new Error('Server Finished message is invalid');
+    }
+    transcript.push(serverFinished.raw);
+
+    // Application traffic secrets cover the transcript up to the server Finished
+    const masterSecret = await hmac(suite.hash,
+      await deriveSecret(suite, handshakeSecret, 'derived', emptyHash), zeros);
+    hash = await transcriptHash();
+    const clientApplicationSecret = await deriveSecret(suite, masterSecret, 'c ap traffic', hash);
+    const serverApplicationSecret = await deriveSecret(suite, masterSecret, 's ap traffic', hash);
+
+    this._assertHandshakeBufferEmpty();
+    this._readState = await createCipherState(suite, serverApplicationSecret);
+    this._writeState = await createCipherState(suite, clientHandshakeSecret);
+
+    // Client's flight; no client certificate is ever offered
+    if (certificateRequestContext !== null) {
+      const emptyCertificate = handshakeMessage(HANDSHAKE_TYPE.CERTIFICATE,
+        concat(vector8(certificateRequestContext), u24(0)));
+      await this._writeRecord(CONTENT_TYPE.HANDSHAKE, emptyCertificate);
+      transcript.push(emptyCertificate);
+    }
+
+    const clientFinishedKey = await hkdfExpandLabel(suite, clientHandshakeSecret, 'finished', EMPTY, suite.hashLength);
+    const clientFinished = handshakeMessage(HANDSHAKE_TYPE.FINISHED,
+      await hmac(suite.hash, clientFinishedKey, await transcriptHash()));
+    await this._writeRecord(CONTENT_TYPE.HANDSHAKE, clientFinished);
+
+    this._writeState = await createCipherState(suite, clientApplicationSecret);
+  }
+
+  /**
+   * Build a ClientHello offering TLS 1.3 only
+   * @private
+   */
+  _buildClientHello(publicKey, cookie) {
+    const extensions = [];
+
+    // SNI carries host names only, never IP literals
+    if (this.servername && !/^[\d.]+$/.test(this.servername) && !this.servername.includes(':')) {
+      const name = new TextEncoder().encode(this.servername);
+      extensions.push(extension(EXTENSION.SERVER_NAME, vector16(concat([0], vector16(name)))));
+    }
+
+    const schemes = [...Object.keys(SIGNATURE_SCHEMES).map(Number), ...CERTIFICATE_ONLY_SCHEMES];
+    extensions.push(extension(EXTENSION.SUPPORTED_VERSIONS, vector8(u16(TLS_1_3))));
+    extensions.push(extension(EXTENSION.SUPPORTED_GROUPS, vector16(u16(GROUP_SECP256R1))));
+    extensions.push(extension(EXTENSION.SIGNATURE_ALGORITHMS, vector16(schemes.flatMap(u16))));
+    extensions.push(extension(EXTENSION.KEY_SHARE, vector16(concat(u16(GROUP_SECP256R1), vector16(publicKey)))));
+    if (cookie) {
+      extensions.push(extension(EXTENSION.COOKIE, vector16(cookie)));
+    }
+
+    const cipherSuites = Object.keys(CIPHER_SUITES).map(Number).flatMap(u16);
+
+    return handshakeMessage(HANDSHAKE_TYPE.CLIENT_HELLO, concat(
+      u16(LEGACY_VERSION),
+      this._random,
+      vector8(EMPTY),           // legacy_session_id
+      vector16(cipherSuites),
+      vector8([0]),             // legacy_compression_methods: null
+      vector16(concat(...extensions))
+    ));
+  }
+
+  /**
+   * Check the server's certificate chain against the pins
+   * @private
+   */
+  async _verifyCertificate(body) {
+    const reader = new ByteReader(body);
+    reader.vector8(); // certificate_request_context, empty for server certificates
+
+    const list = new ByteReader(reader.vector24());
+    const chain = [];
+    while (!list.done) {
+      chain.push(list.vector24().slice());
+      list.vector16(); // per-certificate extensions
+    }
+
+    return verifyCertificateChain(chain, { hostname: this.servername, pins: this.pins });
+  }
+
+  /**
+   * Check that the server holds the certificate's private key
+   * @private
+   */
+  async _verifyCertificateVerify(leaf, body, transcriptHash) {
+    const reader = new ByteReader(body);
+    const schemeId = reader.u16();
+    const signature = reader.vector16();
+
+    const scheme = SIGNATURE_SCHEMES[schemeId];
+    if (!scheme) {
+      throw new Error(`Server used unsupported signature scheme 0x${schemeId.toString(16)}`);
+    }
+
+    const content = concat(
+      new Uint8Array(64).fill(0x20),
+      new TextEncoder().encode('TLS 1.3, server CertificateVerify'),
+      [0],
+      transcriptHash
+    );
+
+    if (!(await verifySignature(leaf, scheme, signature, content))) {
+      throw new Error('Server CertificateVerify signature is invalid');
+    }
+  }
+
+  /**
+   * Read a handshake message of a given type
+   * @private
+   */
+  async _expectMessage(type) {
+    const message = await this._readHandshakeMessage();
+    if (message.type !== type) {
+      throw new Error(`Expected handshake message ${type}, got ${message.type}`);
+    }
+    return message;
+  }
+
+  /**
+   * Read the next complete handshake message, across records if needed
+   * @private
+   */
+  async _readHandshakeMessage() {
+    for (;;) {
+      const message = this._takeHandshakeMessage();
+      if (message) {
+        return message;
+      }
+
+      const record = await this._readRecord();
+      if (!record) {
+        throw new Error('Connection closed during handshake');
+      }
+      if (record.type !== CONTENT_TYPE.HANDSHAKE) {
+        throw new Error(`Unexpected record type ${record.type} during handshake`);
+      }
+      this._handshakeBuffer = concat(this._handshakeBuffer, record.content);
+    }
+  }
+
+  /**
+   * Remove one complete handshake message from the buffer
+   * @private
+   */
+  _takeHandshakeMessage() {
+    const buffer = this._handshakeBuffer;
+    if (buffer.length < 4) {
+      return null;
+    }
+
+    const length = (buffer[1] << 16) | (buffer[2] << 8) | buffer[3];
+    if (buffer.length < 4 + length) {
+      return null;
+    }
+
+    const raw = buffer.slice(0, 4 + length);
+    this._handshakeBuffer = buffer.slice(4 + length);
+    return { type: raw[0], body: raw.subarray(4), raw };
+  }
+
+  /**
+   * Keys may only change on a record boundary
+   * @private
+   */
+  _assertHandshakeBufferEmpty() {
+    if (this._handshakeBuffer.length > 0) {
+      throw new Error('Handshake message spans a key change');
+    }
+  }
+
+  /**
+   * Read and decrypt the next record
+   * @returns {Promise<{type: number, content: Uint8Array}|null>} null after close_notify
+   * @private
+   */
+  async _readRecord() {
+    for (;;) {
+      let record = null;
+
+      while (!record) {
+        if (this._incoming.length >= 5) {
+          const length = (this._incoming[3] << 8) | this._incoming[4];
+          if (length > MAX_FRAGMENT_LENGTH + 256) {
+            throw new Error('TLS record overflow');
+          }
+          if (this._incoming.length >= 5 + length) {
+            record = {
+              header: this._incoming.slice(0, 5),
+              type: this._incoming[0],
+              content: this._incoming.slice(5, 5 + length)
+            };
+            this._incoming = this._incoming.slice(5 + length);
+            break;
+          }
+        }
+        if (this._transportClosed && this.connected) {
+          return null;
+        }
+        await this._waitForData();
+      }
+
+      // Servers in middlebox compatibility mode send an unprotected change_cipher_spec
+      if (record.type === CONTENT_TYPE.CHANGE_CIPHER_SPEC && !this.connected) {
+        continue;
+      }
+
+      if (this._readState) {
+        if (record.type !== CONTENT_TYPE.APPLICATION_DATA) {
+          throw new Error(`Unexpected unprotected record type ${record.type}`);
+        }
+        record = await this._decryptRecord(record);
+      }
+
+      if (record.type === CONTENT_TYPE.ALERT) {
+        const description = record.content[1];
+        if (description === ALERT_CLOSE_NOTIFY) {
+          return null;
+        }
+        throw new Error(`Received TLS alert ${ALERT_NAMES[description] || description}`);
+      }
+
+      return record;
+    }
+  }
+
+  /**
+   * Decrypt a protected record (RFC 8446 Section 5.2)
+   * @private
+   */
+  async _decryptRecord(record) {
+    const state = this._readState;
+    let plaintext;
+    try {
+      plaintext = new Uint8Array(await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: recordNonce(state), additionalData: record.header, tagLength: 128 },
+        state.key,
+        record.content
+      ));
+    } catch (error) {
+      throw new Error('TLS record authentication failed');
+    }
+    state.sequence++;
+
+    // Strip padding; the last non-zero byte is the real content type
+    let end = plaintext.length - 1;
+    while (end >= 0 && plaintext[end] === 0) {
+      end--;
+    }
+    if (end < 0) {
+      throw new Error('TLS record has no content type');
+    }
+
+    return { type: plaintext[end], content: plaintext.subarray(0, end) };
+  }
+
+  /**
+   * Queue a record for sending, fragmenting and encrypting as needed
+   * @param {number} type - Content type
+   * @param {Uint8Array} content - Record content
+   * @param {boolean} [rekey=false] - Update the write key after sending (KeyUpdate)
+   * @private
+   */
+  _writeRecord(type, content, rekey = false) {
+    const task = this._writeQueue.then(async () => {
+      for (let offset = 0; offset < content.length; offset += MAX_FRAGMENT_LENGTH) {
+        const fragment = content.subarray(offset, offset + MAX_FRAGMENT_LENGTH);
+        const state = this._writeState;
+
+        if (!state) {
+          await this.socket.write(concat([type], u16(LEGACY_VERSION), u16(fragment.length), fragment));
+          continue;
+        }
+
+        const header = concat([CONTENT_TYPE.APPLICATION_DATA], u16(LEGACY_VERSION),
+          u16(fragment.length + 1 + AEAD_TAG_LENGTH));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv: recordNonce(state), additionalData: header, tagLength: 128 },
+          state.key,
+          concat(fragment, [type])
+        ));
+        state.sequence++;
+        await this.socket.write(concat(header, ciphertext));
+      }
+
+      if (rekey) {
+        this._writeState = await updateCipherState(this._writeState);
+      }
+    });
+
+    this._writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Deliver application data until the connection ends
+   * @private
+   */
+  async _pump() {
+    try {
+      while (!this._closed) {
+        const record = await this._readRecord();
+        if (!record) {
+          this.close();
+          return;
+        }
+
+        if (record.type === CONTENT_TYPE.APPLICATION_DATA) {
+          if (record.content.length > 0) {
+            this._emit('data', record.content);
+          }
+        } else if (record.type === CONTENT_TYPE.HANDSHAKE) {
+          this._handshakeBuffer = concat(this._handshakeBuffer, record.content);
+          await this._handlePostHandshakeMessages();
+        } else {
+          throw new Error(`Unexpected record type ${record.type}`);
+        }
+      }
+    } catch (error) {
+      if (!this._closed) {
+        this._emit('error', error);
+        this.close();
+      }
+    }
+  }
+
+  /**
+   * Handle NewSessionTicket and KeyUpdate after the handshake
+   * @private
+   */
+  async _handlePostHandshakeMessages() {
+    let message;
+    while ((message = this._takeHandshakeMessage())) {
+      if (message.type === HANDSHAKE_TYPE.NEW_SESSION_TICKET) {
+        continue; // resumption is not supported
+      }
+
+      if (message.type !== HANDSHAKE_TYPE.KEY_UPDATE) {
+        throw new Error(`Unexpected post-handshake message ${message.type}`);
+      }
+
+      this._assertHandshakeBufferEmpty();
+      this._readState = await updateCipherState(this._readState);
+
+      // update_requested: answer with our own KeyUpdate, then switch keys
+      if (message.body[0] === 1) {
+        await this._writeRecord(CONTENT_TYPE.HANDSHAKE,
+          handshakeMessage(HANDSHAKE_TYPE.KEY_UPDATE, new Uint8Array([0])), true);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _receive(chunk) {
+    this._incoming = concat(this._incoming, new Uint8Array(chunk));
+    if (this._dataWaiter) {
+      const waiter = this._dataWaiter;
+      this._dataWaiter = null;
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _waitForData() {
+    if (this._closed || this._transportClosed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this._dataWaiter = { resolve, reject };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _rejectWaiter(error) {
+    if (this._dataWaiter) {
+      const waiter = this._dataWaiter;
+      this._dataWaiter = null;
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportClosed() {
+    this._transportClosed = true;
+    if (this.connected) {
+      // Records that arrived just before the close are still delivered; the pump closes once they are read
+      if (this._dataWaiter) {
+        const waiter = this._dataWaiter;
+        this._dataWaiter = null;
+        waiter.resolve();
+      }
+      return;
+    }
+    this._rejectWaiter(new Error('Connection closed'));
+    this.close();
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportError(error) {
+    this._rejectWaiter(error);
+    if (this.connected) {
+      this._emit('error', error);
+    }
+  }
+
+  /**
+   * Stop listening to the underlying socket
+   * @private
+   */
+  _detach() {
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get socket information
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return {
+      ...this.socket.getInfo(),
+      connected: this.connected,
+      type: 'tls',
+      servername: this.servername,
+      cipherSuite: this.cipherSuite
+    };
+  }
+}
+
+export default TLSSocket;
@@ -0,0 +1,380 @@
+/**
+ * Encrypted credential vault
+ *
+ * Proxy usernames and passwords are kept out of the chain objects. Each
+ * credential pair is encrypted with AES-256-GCM under a key derived from the
+ * user's master passphrase (PBKDF2-SHA-256), and proxies refer to it by
+ * `credentialId`. The credential ID is bound to its ciphertext as
+ * additional authenticated data, so entries cannot be swapped.
+ *
+ * The vault is unlocked once per browser session in the background worker.
+ * The derived key is held in memory and, where available, in
+ * `storage.session` so it survives the worker being suspended; it is never
+ * written to disk.
+ */
+
+const VAULT_STORAGE_KEY = 'credentialVault';
+const SESSION_KEY_STORAGE_KEY = 'credentialVaultSessionKey';
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Encrypted under the vault key to check a passphrase without touching entries
+const CHECK_PLAINTEXT = 'proxy-chain-vault';
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Credential Vault Class
+ * Stores encrypted credential pairs and resolves them by ID while unlocked
+ */
+export class CredentialVault {
+  /**
+   * Create a vault backed by extension storage
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Persistent storage area (default chrome.storage.local)
+   * @param {Object} [options.sessionStorage] - Session storage area for the unlocked key, or null
+   * @param {number} [options.iterations] - PBKDF2 iterations for new vaults
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.sessionStorage = options.sessionStorage !== undefined
+      ? options.sessionStorage
+      : (chrome.storage.session || null);
+    this.iterations = options.iterations || PBKDF2_ITERATIONS;
+    this.key = null;
+  }
+
+  /**
+   * Check whether a vault has been created
+   * @returns {Promise<boolean>}
+   */
+  async isInitialized() {
+    return (await this._load()) !== null;
+  }
+
+  /**
+   * Check whether the vault is unlocked, restoring the session key if needed
+   * @returns {Promise<boolean>}
+   */
+  async isUnlocked() {
+    if (this.key) {
+      return true;
+    }
+    return this._restoreSessionKey();
+  }
+
+  /**
+   * Create a new, empty vault and unlock it
+   * @param {string} passphrase - Master passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If a vault already exists or the passphrase is empty
+   */
+  async create(passphrase) {
+    if (await this.isInitialized()) {
+      throw new Error('Credential vault already exists');
+    }
+    this._checkPassphrase(passphrase);
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: this.iterations, salt: toBase64(salt) };
+    const rawKey = await this._deriveRawKey(passphrase, kdf);
+    const key = await this._importKey(rawKey);
+
+    await this._save({
+      version: VAULT_VERSION,
+      kdf,
+      check: await this._encrypt(key, CHECK_PLAINTEXT, 'check'),
+      entries: {}
+    });
+    await this._setKey(key, rawKey);
+  }
+
+  /**
+   * Unlock the vault for this session
+   * @param {string} passphrase - Master passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If no vault exists or the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const vault = await this._requireVault();
+    const rawKey = await this._deriveRawKey(String(passphrase), vault.kdf);
+    const key = await this._importKey(rawKey);
+
+    try {
+      await this._decrypt(key, vault.check, 'check');
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    await this._setKey(key, rawKey);
+  }
+
+  /**
+   * Forget the unlocked key
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    this.key = null;
+    if (this.sessionStorage) {
+      await this.sessionStorage.remove(SESSION_KEY_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Re-encrypt every entry under a new passphrase
+   * @param {string} currentPassphrase - Current master passphrase
+   * @param {string} newPassphrase - New master passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the current passphrase is wrong or the new one is empty
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    this._checkPassphrase(newPassphrase);
+    await this.unlock(currentPassphrase);
+
+    const vault = await this._requireVault();
+    const credentials = {};
+    for (const id of Object.keys(vault.entries)) {
+      credentials[id] = await this._decrypt(this.key, vault.entries[id], id);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: this.iterations, salt: toBase64(salt) };
+    const rawKey = await this._deriveRawKey(newPassphrase, kdf);
+    const key = await this._importKey(rawKey);
+
+    const entries = {};
+    for (const [id, plaintext] of Object.entries(credentials)) {
+      entries[id] = await this._encrypt(key, plaintext, id);
+    }
+
+    await this._save({
+      version: VAULT_VERSION,
+      kdf,
+      check: await this._encrypt(key, CHECK_PLAINTEXT, 'check'),
+      entries
+    });
+    await this._setKey(key, rawKey);
+  }
+
+  /**
+   * Encrypt and store a credential pair
+   * @param {Object} credentials - { username, password }
+   * @param {string} [credentialId] - Existing ID to overwrite
+   * @returns {Promise<string>} The credential ID
+   * @throws {Error} If the vault is locked
+   */
+  async storeCredential(credentials, credentialId = null) {
+    const key = await this._requireKey();
+    const id = credentialId || 'cred-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+
+    const plaintext = JSON.stringify({
+      username: credentials.username || '',
+      password: credentials.password || ''
+    });
+
+    const vault = await this._requireVault();
+    vault.entries[id] = await this._encrypt(key, plaintext, id);
+    await this._save(vault);
+
+    return id;
+  }
+
+  /**
+   * Decrypt a credential pair
+   * @param {string} credentialId - Credential ID
+   * @returns {Promise<{username: string, password: string}>}
+   * @throws {Error} If the vault is locked or the credential does not exist
+   */
+  async getCredential(credentialId) {
+    const key = await this._requireKey();
+    const vault = await this._requireVault();
+
+    const entry = vault.entries[credentialId];
+    if (!entry) {
+      throw new Error(`Credential '${credentialId}' not found in vault`);
+    }
+
+    return JSON.parse(await this._decrypt(key, entry, credentialId));
+  }
+
+  /**
+   * Remove credentials no longer referenced by any proxy
+   * @param {Set<string>|string[]} usedIds - Credential IDs still in use
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async pruneCredentials(usedIds) {
+    const vault = await this._load();
+    if (!vault) {
+      return 0;
+    }
+
+    const keep = new Set(usedIds);
+    let removed = 0;
+    for (const id of Object.keys(vault.entries)) {
+      if (!keep.has(id)) {
+        delete vault.entries[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this._save(vault);
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('Passphrase must be at least 8 characters');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _load() {
+    const { [VAULT_STORAGE_KEY]: vault } = await this.storage.get(VAULT_STORAGE_KEY);
+    return vault || null;
+  }
+
+  /**
+   * @private
+   */
+  async _save(vault) {
+    await this.storage.set({ [VAULT_STORAGE_KEY]: vault });
+  }
+
+  /**
+   * @private
+   */
+  async _requireVault() {
+    const vault = await this._load();
+    if (!vault) {
+      throw new Error('Credential vault has not been created');
+    }
+    if (vault.version > VAULT_VERSION) {
+      throw new Error(`Unsupported credential vault version ${vault.version}`);
+    }
+    return vault;
+  }
+
+  /**
+   * @private
+   */
+  async _requireKey() {
+    if (!(await this.isUnlocked())) {
+      throw new Error('Credential vault is locked');
+    }
+    return this.key;
+  }
+
+  /**
+   * Derive the raw AES key bits from a passphrase
+   * @private
+   */
+  async _deriveRawKey(passphrase, kdf) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+      material,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * @private
+   */
+  _importKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Keep the unlocked key in memory and in session storage
+   * @private
+   */
+  async _setKey(key, rawKey) {
+    this.key = key;
+    if (this.sessionStorage) {
+      await this.sessionStorage.set({ [SESSION_KEY_STORAGE_KEY]: toBase64(rawKey) });
+    }
+  }
+
+  /**
+   * Restore a key unlocked earlier in this browser session
+   * @private
+   */
+  async _restoreSessionKey() {
+    if (!this.sessionStorage) {
+      return false;
+    }
+
+    const { [SESSION_KEY_STORAGE_KEY]: stored } = await this.sessionStorage.get(SESSION_KEY_STORAGE_KEY);
+    if (!stored) {
+      return false;
+    }
+
+    this.key = await this._importKey(fromBase64(stored));
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async _encrypt(key, plaintext, associatedData) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(associatedData) },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+  }
+
+  /**
+   * @private
+   */
+  async _decrypt(key, entry, associatedData) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(entry.iv), additionalData: new TextEncoder().encode(associatedData) },
+      key,
+      fromBase64(entry.data)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+}
+
+export default CredentialVault;
@@ -0,0 +1,478 @@
+/**
+ * WebSocket tunnel hop
+ *
+ * On networks that only let web traffic out, a TCP-over-WebSocket server
+ * (websockify, wstunnel, websocat and the like) listening on port 80 or 443
+ * can carry the chain: the client upgrades an HTTP request to a WebSocket
+ * (RFC 6455), and from then on the tunnelled bytes travel in binary frames.
+ * The client runs over any socket-like object, so a `wss` hop is the same
+ * client over TLSSocket and either kind can be followed by further hops.
+ *
+ * Where the server connects to is up to the server. websockify forwards to
+ * a fixed target, which the next hop in the chain must be. Servers that take
+ * the target from the URL get it through {host} and {port} in the path, e.g.
+ * /wstunnel/tcp/{host}/{port} (wstunnel before version 7).
+ */
+
+import { createAuthenticator } from './httpAuth.js';
+import { EventEmitter } from './events.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_RESPONSE_HEADER_LENGTH = 16384;
+const MAX_FRAME_LENGTH = 16 * 1024 * 1024;
+const CLOSE_NORMAL = 1000;
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Build a client frame; client frames are always masked (RFC 6455 Section 5.3)
+ * @param {number} opcode
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function encodeFrame(opcode, payload) {
+  const extendedLength = payload.length > 0xFFFF ? 8 : payload.length > 125 ? 2 : 0;
+  const frame = new Uint8Array(2 + extendedLength + 4 + payload.length);
+  frame[0] = 0x80 | opcode;
+
+  if (extendedLength === 8) {
+    frame[1] = 0x80 | 127;
+    const view = new DataView(frame.buffer);
+    view.setUint32(2, Math.floor(payload.length / 0x100000000));
+    view.setUint32(6, payload.length >>> 0);
+  } else if (extendedLength === 2) {
+    frame[1] = 0x80 | 126;
+    frame[2] = payload.length >> 8;
+    frame[3] = payload.length & 0xFF;
+  } else {
+    frame[1] = 0x80 | payload.length;
+  }
+
+  const maskOffset = 2 + extendedLength;
+  const mask = crypto.getRandomValues(new Uint8Array(4));
+  frame.set(mask, maskOffset);
+  for (let i = 0; i < payload.length; i++) {
+    frame[maskOffset + 4 + i] = payload[i] ^ mask[i & 3];
+  }
+  return frame;
+}
+
+/**
+ * Compute the Sec-WebSocket-Accept value the server must answer a key with
+ * @param {string} key - Sec-WebSocket-Key sent
+ * @returns {Promise<string>}
+ */
+async function computeAcceptKey(key) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(key + WEBSOCKET_GUID)));
+  return btoa(String.fromCharCode(...digest));
+}
+
+/**
+ * Fill {host} and {port} in a path template
+ * @param {string} template - Path, e.g. /wstunnel/tcp/{host}/{port}
+ * @param {string} address - Target address
+ * @param {number} port - Target port
+ * @returns {string}
+ */
+function expandPath(template, address, port) {
+  return template
+    .replace(/\{host\}/g, encodeURIComponent(address))
+    .replace(/\{port\}/g, String(port));
+}
+
+/**
+ * Socket that sends writes as binary WebSocket frames and emits the
+ * payloads of the server's frames. Emits 'data', 'error', 'opened' and
+ * 'closed' like TCPSocket.
+ */
+class WebSocketTunnel extends EventEmitter {
+  /**
+   * @param {Object} socket - Connection to the WebSocket server
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.connected = false;
+
+    this._buffer = new Uint8Array(0);
+    this._pendingResponse = null;
+    this._closed = false;
+
+    this._onData = (chunk) => this._receive(chunk);
+    this._onClosed = () => this._handleTransportClosed();
+    this._onError = (error) => this._handleTransportError(error);
+
+    socket.addEventListener('data', this._onData);
+    socket.addEventListener('closed', this._onClosed);
+    socket.addEventListener('error', this._onError);
+  }
+
+  /**
+   * Send the upgrade request and check the server's answer (RFC 6455 Section 4)
+   * @param {Object} request
+   * @param {string} request.host - Host header value
+   * @param {string} request.path - Request target
+   * @param {string} [request.authorization] - Authorization header value
+   * @returns {Promise<void>}
+   * @throws {Error} If the server does not switch to the WebSocket protocol
+   */
+  async handshake(request) {
+    try {
+      await this._performHandshake(request);
+    } catch (error) {
+      // Leave the underlying socket to the caller
+      this._closed = true;
+      this._detach();
+      throw error;
+    }
+
+    this.connected = true;
+    this._emit('opened');
+  }
+
+  /**
+   * @private
+   */
+  async _performHandshake(request) {
+    const key = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+    const lines = [
+      `GET ${request.path} HTTP/1.1`,
+      `Host: ${request.host}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${key}`,
+      'Sec-WebSocket-Version: 13'
+    ];
+    if (request.authorization) {
+      lines.push(`Authorization: ${request.authorization}`);
+    }
+
+    const response = new Promise((resolve, reject) => {
+      this._pendingResponse = { resolve, reject };
+    });
+    await this.socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+    const [statusLine, ...headerLines] = (await response).split('\r\n');
+    const status = /^HTTP\/1\.[01] (\d{3}) ?(.*)$/.exec(statusLine);
+    if (!status) {
+      throw new Error(`Invalid HTTP response: ${statusLine}`);
+    }
+    if (status[1] !== '101') {
+      throw new Error(`WebSocket upgrade refused: ${status[1]} ${status[2]}`.trim());
+    }
+
+    const headers = new Map();
+    for (const line of headerLines) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers.set(line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim());
+      }
+    }
+
+    if ((headers.get('upgrade') || '').toLowerCase() !== 'websocket') {
+      throw new Error('Server did not switch to the WebSocket protocol');
+    }
+    if (headers.get('sec-websocket-accept') !== await computeAcceptKey(key)) {
+      throw new Error('Server sent a wrong Sec-WebSocket-Accept');
+    }
+    if (headers.has('sec-websocket-extensions')) {
+      throw new Error('Server enabled WebSocket extensions that were not offered');
+    }
+  }
+
+  /**
+   * Write data as one binary frame
+   * @param {Uint8Array|string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    if (!this.connected) {
+      throw new Error('Socket not connected');
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    if (bytes.length > 0) {
+      await this.socket.write(encodeFrame(OPCODE.BINARY, bytes));
+    }
+  }
+
+  /**
+   * Send a close frame and close the underlying socket
+   */
+  close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._rejectResponse(new Error('Socket closed'));
+
+    const finish = () => {
+      this._detach();
+      this.socket.close();
+    };
+
+    if (wasConnected) {
+      this.socket.write(encodeFrame(OPCODE.CLOSE, new Uint8Array([CLOSE_NORMAL >> 8, CLOSE_NORMAL & 0xFF])))
+        .then(finish, finish);
+    } else {
+      finish();
+    }
+
+    this._emit('closed');
+  }
+
+  /**
+   * @private
+   */
+  _receive(chunk) {
+    const buffer = new Uint8Array(this._buffer.length + chunk.length);
+    buffer.set(this._buffer);
+    buffer.set(new Uint8Array(chunk), this._buffer.length);
+    this._buffer = buffer;
+
+    if (this._pendingResponse) {
+      this._takeResponse();
+    } else if (this.connected) {
+      this._drain();
+    }
+  }
+
+  /**
+   * Remove the HTTP response head from the buffer once it is complete
+   * @private
+   */
+  _takeResponse() {
+    const text = new TextDecoder('latin1').decode(this._buffer);
+    const end = text.indexOf('\r\n\r\n');
+
+    if (end === -1) {
+      if (this._buffer.length > MAX_RESPONSE_HEADER_LENGTH) {
+        this._rejectResponse(new Error('HTTP response headers too long'));
+      }
+      return;
+    }
+
+    this._buffer = this._buffer.slice(end + 4);
+    const pending = this._pendingResponse;
+    this._pendingResponse = null;
+    pending.resolve(text.slice(0, end));
+  }
+
+  /**
+   * Handle every complete frame in the buffer (RFC 6455 Section 5.2).
+   * Frames stay buffered until someone listens for 'data', so nothing
+   * sent together with the upgrade response is lost.
+   * @private
+   */
+  _drain() {
+    while (this.connected && this._buffer.length >= 2 && this.eventListeners.get('data')?.length) {
+      const buffer = this._buffer;
+      const opcode = buffer[0] & 0x0F;
+      let length = buffer[1] & 0x7F;
+      let offset = 2;
+
+      if (buffer[0] & 0x70) {
+        this._fail(new Error('WebSocket frame has reserved bits set'));
+        return;
+      }
+      if (buffer[1] & 0x80) {
+        this._fail(new Error('WebSocket server sent a masked frame'));
+        return;
+      }
+
+      if (length === 126) {
+        if (buffer.length < 4) {
+          return;
+        }
+        length = (buffer[2] << 8) | buffer[3];
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) {
+          return;
+        }
+        const view = new DataView(buffer.buffer, buffer.byteOffset, 10);
+        length = view.getUint32(2) * 0x100000000 + view.getUint32(6);
+        offset = 10;
+      }
+
+      if (length > MAX_FRAME_LENGTH) {
+        this._fail(new Error(`WebSocket frame of ${length} bytes is too large`));
+        return;
+      }
+      if (buffer.length < offset + length) {
+        return;
+      }
+
+      const payload = buffer.slice(offset, offset + length);
+      this._buffer = buffer.slice(offset + length);
+
+      switch (opcode) {
+        case OPCODE.CONTINUATION:
+        case OPCODE.TEXT:
+        case OPCODE.BINARY:
+          // The tunnel is a byte stream, so message boundaries do not matter
+          if (payload.length > 0) {
+            this._emit('data', payload);
+          }
+          break;
+        case OPCODE.PING:
+          this.socket.write(encodeFrame(OPCODE.PONG, payload)).catch(error => this._fail(error));
+          break;
+        case OPCODE.PONG:
+          break;
+        case OPCODE.CLOSE:
+          this.close();
+          return;
+        default:
+          this._fail(new Error(`Unknown WebSocket opcode ${opcode}`));
+          return;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _fail(error) {
+    if (this.connected) {
+      this._emit('error', error);
+      this.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _rejectResponse(error) {
+    if (this._pendingResponse) {
+      const pending = this._pendingResponse;
+      this._pendingResponse = null;
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportClosed() {
+    this._rejectResponse(new Error('Connection closed during WebSocket handshake'));
+    if (this.connected) {
+      // Nothing can be sent any more; skip the close frame
+      this.connected = false;
+      this._closed = true;
+      this._detach();
+      this._emit('closed');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTransportError(error) {
+    this._rejectResponse(error);
+    if (this.connected) {
+      this._emit('error', error);
+    }
+  }
+
+  /**
+   * Stop listening to the underlying socket
+   * @private
+   */
+  _detach() {
+    this.socket.removeEventListener('data', this._onData);
+    this.socket.removeEventListener('closed', this._onClosed);
+    this.socket.removeEventListener('error', this._onError);
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name ('data', 'error', 'opened', 'closed')
+   * @param {Function} handler - Event handler function
+   */
+  addEventListener(event, handler) {
+    super.addEventListener(event, handler);
+
+    if (event === 'data') {
+      this._drain();
+    }
+  }
+
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get socket information
+   * @returns {Object} Socket info
+   */
+  getInfo() {
+    return {
+      ...this.socket.getInfo(),
+      connected: this.connected,
+      type: 'websocket'
+    };
+  }
+}
+
+/**
+ * WebSocket tunnel protocol handler
+ */
+export class WebSocketProtocol {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - Address of the WebSocket server
+   * @param {number} options.port - Port of the WebSocket server
+   * @param {boolean} [options.secure=false] - Whether the server is reached over TLS (wss)
+   * @param {string} [options.path='/'] - Request path, may contain {host} and {port}
+   */
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port;
+    this.secure = Boolean(options.secure);
+    this.path = options.path || '/';
+  }
+
+  /**
+   * Open the tunnel
+   * @param {string} address - Target address, used by paths with {host}
+   * @param {number} port - Target port, used by paths with {port}
+   * @param {Object} socket - Connection to the WebSocket server
+   * @param {Object} [auth] - { username, password }, sent as Basic authorization
+   * @returns {Promise<{socket: WebSocketTunnel}>} Socket to continue on
+   * @throws {Error} If the upgrade fails
+   */
+  async connect(address, port, socket, auth) {
+    const host = this.host && this.host.includes(':') ? `[${this.host}]` : this.host;
+    const defaultPort = this.secure ? 443 : 80;
+    const authorization = auth && auth.username
+      ? await createAuthenticator({ scheme: 'basic' }, auth).authorize()
+      : null;
+
+    const tunnel = new WebSocketTunnel(socket);
+    await tunnel.handshake({
+      host: this.port && this.port !== defaultPort ? `${host}:${this.port}` : host,
+      path: expandPath(this.path, address, port),
+      authorization
+    });
+
+    return { socket: tunnel };
+  }
+}
+
+export { WebSocketTunnel, encodeFrame, expandPath };
+export default WebSocketProtocol;
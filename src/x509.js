@@ -0,0 +1,523 @@
+/**
+ * X.509 certificate parsing and verification for the TLS client
+ *
+ * Extensions cannot reach the browser's certificate store, so trust in an
+ * HTTPS proxy is established by pinning: each proxy lists the SHA-256
+ * hashes of public keys (SPKI) it trusts, in the `sha256/<base64>` form
+ * used by HPKP. A pin may name the proxy's own key or a CA key further up
+ * the chain; in the latter case the certificate must also match the proxy's
+ * host name, since the CA may have issued certificates for other hosts.
+ *
+ * Only the DER subset found in certificates is parsed.
+ */
+
+// ASN.1 universal tags
+const ASN1_BOOLEAN = 0x01;
+const ASN1_INTEGER = 0x02;
+const ASN1_BIT_STRING = 0x03;
+const ASN1_OCTET_STRING = 0x04;
+const ASN1_OID = 0x06;
+const ASN1_SEQUENCE = 0x30;
+const ASN1_UTC_TIME = 0x17;
+const ASN1_GENERALIZED_TIME = 0x18;
+
+// Context-specific tags used in certificates
+const TAG_VERSION = 0xA0;
+const TAG_EXTENSIONS = 0xA3;
+const TAG_SAN_DNS = 0x82;
+const TAG_SAN_IP = 0x87;
+
+const OID = {
+  RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+  RSA_PSS: '1.2.840.113549.1.1.10',
+  SHA256_WITH_RSA: '1.2.840.113549.1.1.11',
+  SHA384_WITH_RSA: '1.2.840.113549.1.1.12',
+  SHA512_WITH_RSA: '1.2.840.113549.1.1.13',
+  EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+  ECDSA_WITH_SHA256: '1.2.840.10045.4.3.2',
+  ECDSA_WITH_SHA384: '1.2.840.10045.4.3.3',
+  ECDSA_WITH_SHA512: '1.2.840.10045.4.3.4',
+  P256: '1.2.840.10045.3.1.7',
+  P384: '1.3.132.0.34',
+  P521: '1.3.132.0.35',
+  SHA256: '2.16.840.1.101.3.4.2.1',
+  SHA384: '2.16.840.1.101.3.4.2.2',
+  SHA512: '2.16.840.1.101.3.4.2.3',
+  SUBJECT_ALT_NAME: '2.5.29.17',
+  BASIC_CONSTRAINTS: '2.5.29.19'
+};
+
+const CURVES = {
+  [OID.P256]: { name: 'P-256', size: 32 },
+  [OID.P384]: { name: 'P-384', size: 48 },
+  [OID.P521]: { name: 'P-521', size: 66 }
+};
+
+const HASHES = {
+  [OID.SHA256]: 'SHA-256',
+  [OID.SHA384]: 'SHA-384',
+  [OID.SHA512]: 'SHA-512'
+};
+
+const PIN_PATTERN = /^sha256\/[A-Za-z0-9+/]{43}=$/;
+
+/**
+ * Read one DER element
+ * @param {Uint8Array} bytes - DER data
+ * @param {number} [offset=0] - Element start
+ * @returns {{tag: number, start: number, end: number, raw: Uint8Array, content: Uint8Array}}
+ * @throws {Error} If the element is truncated or uses an indefinite length
+ */
+function readElement(bytes, offset = 0) {
+  if (offset + 2 > bytes.length) {
+    throw new Error('Truncated DER element');
+  }
+
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7F;
+    if (lengthBytes === 0 || lengthBytes > 4 || start + lengthBytes > bytes.length) {
+      throw new Error('Unsupported DER length');
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += lengthBytes;
+  }
+
+  const end = start + length;
+  if (end > bytes.length) {
+    throw new Error('Truncated DER element');
+  }
+
+  return {
+    tag,
+    start,
+    end,
+    raw: bytes.subarray(offset, end),
+    content: bytes.subarray(start, end)
+  };
+}
+
+/**
+ * Read the elements inside a constructed element
+ * @param {Object} element - Element from readElement
+ * @returns {Object[]} Child elements
+ */
+function readChildren(element) {
+  const children = [];
+  let offset = 0;
+  while (offset < element.content.length) {
+    const child = readElement(element.content, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER
+ * @param {Object} element - OID element
+ * @returns {string} Dotted OID
+ */
+function decodeOid(element) {
+  const bytes = element.content;
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7F);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+/**
+ * Decode a UTCTime or GeneralizedTime
+ * @param {Object} element - Time element
+ * @returns {Date}
+ */
+function decodeTime(element) {
+  if (element.tag !== ASN1_UTC_TIME && element.tag !== ASN1_GENERALIZED_TIME) {
+    throw new Error('Malformed certificate validity');
+  }
+
+  const text = new TextDecoder().decode(element.content);
+  const match = element.tag === ASN1_UTC_TIME
+    ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/)
+    : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/);
+
+  if (!match) {
+    throw new Error(`Unsupported certificate time '${text}'`);
+  }
+
+  let year = parseInt(match[1], 10);
+  if (element.tag === ASN1_UTC_TIME) {
+    year += year >= 50 ? 1900 : 2000;
+  }
+
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6]));
+}
+
+/**
+ * Describe the WebCrypto parameters for a certificate signature algorithm
+ * @param {Object} algorithm - AlgorithmIdentifier element
+ * @returns {{key: string, hash: string, saltLength?: number}}
+ * @throws {Error} For unsupported algorithms
+ */
+function parseSignatureAlgorithm(algorithm) {
+  const [oidElement, params] = readChildren(algorithm);
+  const oid = decodeOid(oidElement);
+
+  switch (oid) {
+    case OID.SHA256_WITH_RSA:
+      return { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    case OID.SHA384_WITH_RSA:
+      return { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' };
+    case OID.SHA512_WITH_RSA:
+      return { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' };
+    case OID.ECDSA_WITH_SHA256:
+      return { key: 'ECDSA', hash: 'SHA-256' };
+    case OID.ECDSA_WITH_SHA384:
+      return { key: 'ECDSA', hash: 'SHA-384' };
+    case OID.ECDSA_WITH_SHA512:
+      return { key: 'ECDSA', hash: 'SHA-512' };
+    case OID.RSA_PSS: {
+      // RSASSA-PSS-params: [0] hashAlgorithm, [1] maskGenAlgorithm, [2] saltLength
+      let hash = 'SHA-1';
+      let saltLength = 20;
+      for (const field of params ? readChildren(params) : []) {
+        if (field.tag === 0xA0) {
+          hash = HASHES[decodeOid(readChildren(readElement(field.content))[0])];
+        } else if (field.tag === 0xA2) {
+          saltLength = readElement(field.content).content.reduce((n, byte) => n * 256 + byte, 0);
+        }
+      }
+      if (!hash || hash === 'SHA-1') {
+        throw new Error('Unsupported RSA-PSS hash in certificate signature');
+      }
+      return { key: 'RSA-PSS', hash, saltLength };
+    }
+    default:
+      throw new Error(`Unsupported certificate signature algorithm ${oid}`);
+  }
+}
+
+/**
+ * Parse a DER certificate
+ * @param {Uint8Array} der - Certificate bytes
+ * @returns {Object} Parsed certificate
+ * @throws {Error} If the certificate is malformed
+ */
+function parseCertificate(der) {
+  const certificate = readElement(der);
+  if (certificate.tag !== ASN1_SEQUENCE || certificate.end !== der.length) {
+    throw new Error('Certificate is not a DER SEQUENCE');
+  }
+
+  const [tbs, signatureAlgorithm, signatureValue] = readChildren(certificate);
+  if (!tbs || !signatureValue || signatureValue.tag !== ASN1_BIT_STRING) {
+    throw new Error('Malformed certificate');
+  }
+
+  const fields = readChildren(tbs);
+  let index = fields[0].tag === TAG_VERSION ? 1 : 0;
+
+  index++; // serialNumber
+  index++; // signature (repeated in signatureAlgorithm)
+  const issuer = fields[index++];
+  const validity = readChildren(fields[index++]);
+  const subject = fields[index++];
+  const spki = fields[index++];
+
+  const parsed = {
+    der,
+    tbs: tbs.raw,
+    signatureAlgorithm,
+    signature: signatureValue.content.subarray(1), // skip the unused-bits byte
+    issuer: issuer.raw,
+    subject: subject.raw,
+    notBefore: decodeTime(validity[0]),
+    notAfter: decodeTime(validity[1]),
+    spki: spki.raw,
+    dnsNames: [],
+    ipAddresses: [],
+    isCA: false
+  };
+
+  const extensions = fields.slice(index).find(field => field.tag === TAG_EXTENSIONS);
+  if (extensions) {
+    for (const extension of readChildren(readElement(extensions.content))) {
+      const parts = readChildren(extension);
+      const oid = decodeOid(parts[0]);
+      const octets = parts[parts.length - 1];
+      if (octets.tag !== ASN1_OCTET_STRING) {
+        throw new Error('Malformed certificate extension');
+      }
+      const value = readElement(octets.content);
+
+      if (oid === OID.SUBJECT_ALT_NAME) {
+        for (const name of readChildren(value)) {
+          if (name.tag === TAG_SAN_DNS) {
+            parsed.dnsNames.push(new TextDecoder().decode(name.content).toLowerCase());
+          } else if (name.tag === TAG_SAN_IP) {
+            parsed.ipAddresses.push(Array.from(name.content));
+          }
+        }
+      } else if (oid === OID.BASIC_CONSTRAINTS) {
+        const constraints = readChildren(value);
+        parsed.isCA = constraints.length > 0 && constraints[0].tag === ASN1_BOOLEAN && constraints[0].content[0] !== 0;
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Describe how WebCrypto should import a certificate's public key
+ * @param {Object} certificate - Parsed certificate
+ * @returns {{type: string, curve?: Object}} 'rsa' or 'ec' plus the curve
+ */
+function describePublicKey(certificate) {
+  const [algorithm] = readChildren(readElement(certificate.spki));
+  const [oidElement, params] = readChildren(algorithm);
+  const oid = decodeOid(oidElement);
+
+  if (oid === OID.RSA_ENCRYPTION) {
+    return { type: 'rsa' };
+  }
+
+  if (oid === OID.EC_PUBLIC_KEY && params && params.tag === ASN1_OID) {
+    const curve = CURVES[decodeOid(params)];
+    if (curve) {
+      return { type: 'ec', curve };
+    }
+  }
+
+  throw new Error(`Unsupported certificate public key algorithm ${oid}`);
+}
+
+/**
+ * Convert a DER ECDSA signature to the r||s form WebCrypto expects
+ * @param {Uint8Array} signature - DER SEQUENCE { r INTEGER, s INTEGER }
+ * @param {number} size - Curve size in bytes
+ * @returns {Uint8Array}
+ */
+function ecdsaDerToRaw(signature, size) {
+  const [r, s] = readChildren(readElement(signature));
+  if (!r || !s || r.tag !== ASN1_INTEGER || s.tag !== ASN1_INTEGER) {
+    throw new Error('Malformed ECDSA signature');
+  }
+
+  const raw = new Uint8Array(size * 2);
+  [r, s].forEach((integer, i) => {
+    let bytes = integer.content;
+    while (bytes.length > size && bytes[0] === 0) {
+      bytes = bytes.subarray(1);
+    }
+    if (bytes.length > size) {
+      throw new Error('Malformed ECDSA signature');
+    }
+    raw.set(bytes, i * size + size - bytes.length);
+  });
+  return raw;
+}
+
+/**
+ * Verify a signature made with a certificate's key
+ * @param {Object} certificate - Parsed certificate holding the public key
+ * @param {{key: string, hash: string, saltLength?: number}} algorithm - Signature algorithm
+ * @param {Uint8Array} signature - Signature (DER for ECDSA)
+ * @param {Uint8Array} data - Signed data
+ * @returns {Promise<boolean>}
+ */
+async function verifySignature(certificate, algorithm, signature, data) {
+  const publicKey = describePublicKey(certificate);
+
+  if (algorithm.key === 'ECDSA') {
+    if (publicKey.type !== 'ec') {
+      return false;
+    }
+    const key = await crypto.subtle.importKey('spki', certificate.spki,
+      { name: 'ECDSA', namedCurve: publicKey.curve.name }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: algorithm.hash }, key,
+      ecdsaDerToRaw(signature, publicKey.curve.size), data);
+  }
+
+  if (publicKey.type !== 'rsa') {
+    return false;
+  }
+
+  const key = await crypto.subtle.importKey('spki', certificate.spki,
+    { name: algorithm.key, hash: algorithm.hash }, false, ['verify']);
+  const params = algorithm.key === 'RSA-PSS'
+    ? { name: 'RSA-PSS', saltLength: algorithm.saltLength }
+    : { name: algorithm.key };
+  return crypto.subtle.verify(params, key, signature, data);
+}
+
+/**
+ * Compute the HPKP-style pin of a certificate's public key
+ * @param {Object} certificate - Parsed certificate
+ * @returns {Promise<string>} e.g. sha256/AbC...=
+ */
+async function computePin(certificate) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', certificate.spki));
+  return 'sha256/' + btoa(String.fromCharCode(...digest));
+}
+
+/**
+ * Check whether a certificate is valid for a host name or IP literal
+ * @param {Object} certificate - Parsed certificate
+ * @param {string} hostname - Host the proxy was addressed by
+ * @returns {boolean}
+ */
+function matchesHostname(certificate, hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const ip = parseIpAddress(host);
+
+  if (ip) {
+    return certificate.ipAddresses.some(candidate =>
+      candidate.length === ip.length && candidate.every((byte, i) => byte === ip[i]));
+  }
+
+  return certificate.dnsNames.some((name) => {
+    if (name === host) {
+      return true;
+    }
+    // Wildcards cover exactly one leftmost label
+    if (name.startsWith('*.')) {
+      const suffix = name.slice(1);
+      return host.endsWith(suffix) && !host.slice(0, -suffix.length).includes('.') &&
+        host.length > suffix.length;
+    }
+    return false;
+  });
+}
+
+/**
+ * Parse an IPv4 or IPv6 literal to bytes
+ * @param {string} text - Address
+ * @returns {number[]|null} Address bytes, or null if not an IP literal
+ */
+function parseIpAddress(text) {
+  if (/^(\d{1,3}\.){3}\d{1,3}$/.test(text)) {
+    return text.split('.').map(Number);
+  }
+
+  if (!text.includes(':') || !/^[0-9a-f:]+$/.test(text)) {
+    return null;
+  }
+
+  const halves = text.split('::');
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const groups = halves.length === 2
+    ? [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail]
+    : head;
+
+  if (groups.length !== 8) {
+    return null;
+  }
+  return groups.flatMap(group => [(parseInt(group, 16) >> 8) & 0xFF, parseInt(group, 16) & 0xFF]);
+}
+
+/**
+ * Check whether a pin string is well formed
+ * @param {string} pin - Pin to check
+ * @returns {boolean}
+ */
+function isValidPin(pin) {
+  return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+/**
+ * Verify a server certificate chain against pinned keys
+ *
+ * The chain is followed from the leaf through certificates that name each
+ * other as issuer and carry valid signatures. Verification succeeds when a
+ * certificate on that path has a pinned key: the leaf's own key, or a CA
+ * key together with a host name match on the leaf.
+ *
+ * @param {Uint8Array[]} chain - DER certificates, leaf first
+ * @param {Object} options
+ * @param {string} options.hostname - Host the proxy was addressed by
+ * @param {string[]} [options.pins] - Trusted key pins
+ * @param {Date} [options.now] - Time to check validity against
+ * @returns {Promise<Object>} The parsed leaf certificate
+ * @throws {Error} If the chain is invalid or no pin matches
+ */
+async function verifyCertificateChain(chain, options) {
+  if (!chain || chain.length === 0) {
+    throw new Error('Server sent no certificate');
+  }
+
+  const now = options.now || new Date();
+  const pins = new Set(options.pins || []);
+  const certificates = chain.map(parseCertificate);
+  const leaf = certificates[0];
+
+  const path = [leaf];
+  let current = leaf;
+  while (path.length < certificates.length) {
+    const issuer = certificates.find(candidate =>
+      !path.includes(candidate) && sameBytes(candidate.subject, current.issuer));
+    if (!issuer || !issuer.isCA) {
+      break;
+    }
+    const valid = await verifySignature(issuer, parseSignatureAlgorithm(current.signatureAlgorithm),
+      current.signature, current.tbs);
+    if (!valid) {
+      throw new Error('Certificate chain signature is invalid');
+    }
+    path.push(issuer);
+    current = issuer;
+  }
+
+  for (const certificate of path) {
+    if (now < certificate.notBefore || now > certificate.notAfter) {
+      throw new Error('Certificate is expired or not yet valid');
+    }
+  }
+
+  const pathPins = await Promise.all(path.map(computePin));
+
+  if (pins.has(pathPins[0])) {
+    return leaf;
+  }
+
+  if (pathPins.slice(1).some(pin => pins.has(pin))) {
+    if (!matchesHostname(leaf, options.hostname)) {
+      throw new Error(`Certificate does not match host ${options.hostname}`);
+    }
+    return leaf;
+  }
+
+  throw new Error(`Certificate for ${options.hostname} is not pinned (server key ${pathPins[0]})`);
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+export {
+  parseCertificate,
+  verifyCertificateChain,
+  verifySignature,
+  computePin,
+  matchesHostname,
+  isValidPin
+};